@@ -0,0 +1,290 @@
+/**
+ * Cookie Marshal AI Agent - Tunable Configuration
+ * Schema, defaults and validation for the settings exposed on the options page.
+ * Loaded by the content scripts (each component reads its own section at
+ * startup), by the options page and by the background script.
+ */
+
+class AgentConfig {
+  /**
+   * One section per component:
+   * - evasion: AntiEvasionCookieKiller.evasionConfig
+   * - hybrid:  HybridCoordinator.thresholds
+   * - ai:      AIEngine.config
+   * - privacy: signals sent before any banner appears (read by the background script)
+   * - cookies: cleanup after a rejection (read by the background script)
+   * - debug:   logging level and decision traces
+   */
+  static get schema() {
+    return {
+      evasion: {
+        aggressiveMode: {
+          type: 'boolean',
+          default: true,
+          label: 'Aggressive mode',
+          description: 'Run deep scans of the page structure during delayed detection'
+        },
+        proactiveBlocking: {
+          type: 'boolean',
+          default: false,
+          label: 'Proactive blocking',
+          description: 'Keep scripts, styles and requests from known CMP hosts from loading; their banners and APIs never appear'
+        },
+        delayDetectionTimeout: {
+          type: 'number',
+          default: 30000,
+          min: 2000,
+          max: 60000,
+          step: 1000,
+          unit: 'ms',
+          label: 'Delayed detection window',
+          description: 'How long to keep re-scanning for banners that appear late'
+        },
+        dryRun: {
+          type: 'boolean',
+          default: false,
+          label: 'Dry run',
+          description: 'Outline each banner and the button the agent would click, with its score and strategy, without clicking'
+        }
+      },
+      hybrid: {
+        lowComplexity: {
+          type: 'number',
+          default: 0.3,
+          min: 0,
+          max: 1,
+          step: 0.05,
+          label: 'Low complexity threshold',
+          description: 'Below this score banners are handled by rules only'
+        },
+        highComplexity: {
+          type: 'number',
+          default: 0.7,
+          min: 0,
+          max: 1,
+          step: 0.05,
+          label: 'High complexity threshold',
+          description: 'Above this score banners are handled AI-first'
+        },
+        confidenceMinimum: {
+          type: 'number',
+          default: 0.6,
+          min: 0,
+          max: 1,
+          step: 0.05,
+          label: 'Minimum confidence',
+          description: 'Results below this confidence fall through to the next strategy'
+        },
+        timeoutMs: {
+          type: 'number',
+          default: 3000,
+          min: 500,
+          max: 15000,
+          step: 500,
+          unit: 'ms',
+          label: 'Processing timeout',
+          description: 'Maximum time spent on a single banner'
+        }
+      },
+      ai: {
+        enableTextClassification: {
+          type: 'boolean',
+          default: true,
+          label: 'Text classification',
+          description: 'Classify button labels with the local text model'
+        },
+        enableVisualValidation: {
+          type: 'boolean',
+          default: true,
+          label: 'Visual validation',
+          description: 'Predict success from banner layout before acting'
+        },
+        enableLearning: {
+          type: 'boolean',
+          default: true,
+          label: 'Learning',
+          description: 'Record outcomes and let Q-learning pick strategies'
+        },
+        confidenceThreshold: {
+          type: 'number',
+          default: 0.7,
+          min: 0,
+          max: 1,
+          step: 0.05,
+          label: 'AI confidence threshold',
+          description: 'AI analysis below this confidence is not used'
+        },
+        maxProcessingTime: {
+          type: 'number',
+          default: 2000,
+          min: 200,
+          max: 10000,
+          step: 100,
+          unit: 'ms',
+          label: 'AI time budget',
+          description: 'Maximum time for one AI analysis'
+        }
+      },
+      privacy: {
+        globalPrivacyControl: {
+          type: 'boolean',
+          default: false,
+          label: 'Global Privacy Control',
+          description: 'Send Sec-GPC: 1 and set navigator.globalPrivacyControl (site rules can override)'
+        }
+      },
+      cookies: {
+        deleteTrackers: {
+          type: 'boolean',
+          default: false,
+          label: 'Delete tracking cookies',
+          description: 'After a rejection, delete the analytics and advertising cookies the site still set'
+        }
+      },
+      debug: {
+        verboseLogging: {
+          type: 'boolean',
+          default: false,
+          label: 'Verbose logging',
+          description: 'Log debug output and each finished decision trace to the page console'
+        },
+        traceLimit: {
+          type: 'number',
+          default: 50,
+          min: 10,
+          max: 200,
+          step: 10,
+          label: 'Decision traces kept',
+          description: 'How many banner decision traces the popup can export'
+        }
+      }
+    };
+  }
+
+  // Ready-made profiles offered on the options page
+  static get presets() {
+    return {
+      conservative: {
+        evasion: { aggressiveMode: false, proactiveBlocking: false, delayDetectionTimeout: 15000 },
+        hybrid: { confidenceMinimum: 0.8 },
+        ai: { enableLearning: false, confidenceThreshold: 0.85 }
+      }
+    };
+  }
+
+  static getDefaults() {
+    const defaults = {};
+    for (const [section, fields] of Object.entries(AgentConfig.schema)) {
+      defaults[section] = {};
+      for (const [key, field] of Object.entries(fields)) {
+        defaults[section][key] = field.default;
+      }
+    }
+    return defaults;
+  }
+
+  /**
+   * Validate a (possibly partial) configuration
+   * Invalid or missing values fall back to their defaults
+   * @param {Object} input - Stored or user-supplied configuration
+   * @returns {{config: Object, errors: Array<{path: string, message: string}>}}
+   */
+  static validate(input) {
+    const schema = AgentConfig.schema;
+    const config = AgentConfig.getDefaults();
+    const errors = [];
+    const source = input && typeof input === 'object' ? input : {};
+
+    for (const [section, fields] of Object.entries(schema)) {
+      const values = source[section] && typeof source[section] === 'object' ? source[section] : {};
+
+      for (const [key, value] of Object.entries(values)) {
+        const field = fields[key];
+        const path = `${section}.${key}`;
+
+        if (!field) {
+          errors.push({ path, message: 'Unknown setting' });
+          continue;
+        }
+
+        if (field.type === 'boolean') {
+          if (typeof value !== 'boolean') {
+            errors.push({ path, message: 'Must be true or false' });
+            continue;
+          }
+        } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+          errors.push({ path, message: 'Must be a number' });
+          continue;
+        } else if (value < field.min || value > field.max) {
+          errors.push({ path, message: `Must be between ${field.min} and ${field.max}` });
+          continue;
+        }
+
+        config[section][key] = value;
+      }
+    }
+
+    if (config.hybrid.lowComplexity >= config.hybrid.highComplexity) {
+      errors.push({ path: 'hybrid.highComplexity', message: 'Must be greater than the low complexity threshold' });
+      config.hybrid.lowComplexity = schema.hybrid.lowComplexity.default;
+      config.hybrid.highComplexity = schema.hybrid.highComplexity.default;
+    }
+
+    return { config, errors };
+  }
+
+  /**
+   * Read the validated configuration from chrome.storage.sync
+   * Shared by every component in the same frame so storage is read once
+   * @returns {Promise<Object>} Full configuration, defaults when unavailable
+   */
+  static load() {
+    if (!AgentConfig.loading) {
+      AgentConfig.loading = AgentConfig.read();
+    }
+    return AgentConfig.loading;
+  }
+
+  static async read() {
+    try {
+      if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.sync) {
+        return AgentConfig.getDefaults();
+      }
+
+      const { agentConfig } = await chrome.storage.sync.get('agentConfig');
+      const { config, errors } = AgentConfig.validate(agentConfig);
+
+      if (errors.length > 0) {
+        console.warn('⚠️ Ignoring invalid agent settings:', errors);
+      }
+      return config;
+    } catch (error) {
+      console.warn('⚠️ Could not read agent settings, using defaults:', error);
+      return AgentConfig.getDefaults();
+    }
+  }
+
+  /**
+   * Validate and store a configuration (options page)
+   * Nothing is written when any value is invalid
+   * @param {Object} input - Configuration to save
+   * @returns {Promise<Array>} Validation errors, empty when saved
+   */
+  static async save(input) {
+    const { config, errors } = AgentConfig.validate(input);
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    await chrome.storage.sync.set({ agentConfig: config });
+    AgentConfig.loading = null;
+    return [];
+  }
+}
+
+AgentConfig.loading = null;
+
+// Export for use in content scripts and the options page
+if (typeof window !== 'undefined') {
+  window.AgentConfig = AgentConfig;
+}
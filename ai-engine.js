@@ -42,10 +42,23 @@
  * This is an example of "Narrow AI done right" - deeply intelligent within
  * its domain, fast, private, and effective. Sometimes the smartest solution
  * isn't the most complex one.
+ *
+ * ES module: AIEngine and TextClassifier are imported by cookie-killer.js
+ * and cookie-banner-agent.js.
  */
 
-class AIEngine {
-  constructor() {
+import { resolveEnvironment, systemClock } from './content-utils.js';
+
+export class AIEngine {
+  /**
+   * @param {Object} [options] - Page environment (content-utils.js): document, storage, clock
+   */
+  constructor(options = {}) {
+    const { document, storage, clock } = resolveEnvironment(options);
+    this.document = document;
+    this.storage = storage;
+    this.clock = clock;
+    
     this.isInitialized = false;
     this.textClassifier = null;
     this.visualValidator = null;
@@ -68,6 +81,9 @@ class AIEngine {
     console.log('🧠 Initializing AI Engine...');
     
     try {
+      // Settings from the options page decide which components load
+      await this.loadConfig();
+      
       // Initialize components in parallel for speed
       await Promise.all([
         this.initializeTextClassifier(),
@@ -84,10 +100,18 @@ class AIEngine {
     }
   }
 
+  // Override the defaults with the validated `ai` section of AgentConfig
+  async loadConfig() {
+    if (typeof window === 'undefined' || !window.AgentConfig) return;
+    
+    const { ai } = await window.AgentConfig.load();
+    Object.assign(this.config, ai);
+  }
+
   async initializeTextClassifier() {
     try {
       // Lightweight text classification using a simple neural network
-      this.textClassifier = new TextClassifier();
+      this.textClassifier = new TextClassifier({ clock: this.clock });
       await this.textClassifier.loadModel();
       console.log('🔤 Text classifier ready');
     } catch (error) {
@@ -109,7 +133,7 @@ class AIEngine {
 
   async initializeLearningAgent() {
     try {
-      this.learningAgent = new QLearningAgent();
+      this.learningAgent = new QLearningAgent({ storage: this.storage });
       await this.learningAgent.loadExperience();
       console.log('🎓 Learning agent ready');
     } catch (error) {
@@ -124,7 +148,7 @@ class AIEngine {
       await this.initialize();
     }
 
-    const startTime = Date.now();
+    const startTime = this.clock.now();
     const timeout = this.config.maxProcessingTime;
 
     try {
@@ -141,7 +165,7 @@ class AIEngine {
         useAI: false,
         confidence: 0,
         reason: 'AI processing failed',
-        processingTime: Date.now() - startTime
+        processingTime: this.clock.now() - startTime
       };
     }
   }
@@ -156,7 +180,7 @@ class AIEngine {
       processingTime: 0
     };
 
-    const startTime = Date.now();
+    const startTime = this.clock.now();
 
     // 1. Analyze buttons with AI text classification
     if (this.config.enableTextClassification) {
@@ -177,7 +201,8 @@ class AIEngine {
 
     // 4. Calculate overall confidence
     analysis.confidence = this.calculateOverallConfidence(analysis);
-    analysis.processingTime = Date.now() - startTime;
+    analysis.useAI = analysis.confidence >= this.config.confidenceThreshold;
+    analysis.processingTime = this.clock.now() - startTime;
 
     console.log(`🧠 AI Analysis completed in ${analysis.processingTime}ms, confidence: ${Math.round(analysis.confidence * 100)}%`);
 
@@ -209,7 +234,7 @@ class AIEngine {
   extractState(banner, context) {
     // Extract features for learning agent
     return {
-      domain: window.location.hostname,
+      domain: this.document.location.hostname,
       bannerSize: this.getBannerSize(banner),
       buttonCount: banner.querySelectorAll('button, a[role="button"]').length,
       textLength: banner.textContent?.length || 0,
@@ -232,8 +257,8 @@ class AIEngine {
 
   getBannerPosition(banner) {
     const rect = banner.getBoundingClientRect();
-    const vh = window.innerHeight;
-    const vw = window.innerWidth;
+    const vh = this.document.defaultView.innerHeight;
+    const vw = this.document.defaultView.innerWidth;
 
     if (rect.top <= vh * 0.2) return 'top';
     if (rect.bottom >= vh * 0.8) return 'bottom';
@@ -278,7 +303,7 @@ class AIEngine {
       action: action,
       outcome: outcome,
       method: processingMethod, // 'rule-based' or 'ai'
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       success: outcome.success || false,
       confidence: outcome.confidence || 0
     };
@@ -299,8 +324,12 @@ class AIEngine {
 }
 
 // Text Classification Component
-class TextClassifier {
-  constructor() {
+export class TextClassifier {
+  /**
+   * @param {Object} [options] - { clock }, the agent's clock
+   */
+  constructor(options = {}) {
+    this.clock = options.clock || systemClock;
     this.model = null;
     this.vocabulary = null;
     this.isReady = false;
@@ -425,7 +454,7 @@ class TextClassifier {
       buttons: analyses,
       bestRejectButton: analyses.find(a => a.intent === 'reject'),
       confidence: analyses.length > 0 ? analyses[0].confidence : 0,
-      processingTime: Date.now()
+      processingTime: this.clock.now()
     };
   }
 }
@@ -459,7 +488,7 @@ class VisualValidator {
 
   extractVisualFeatures(banner) {
     const rect = banner.getBoundingClientRect();
-    const style = getComputedStyle(banner);
+    const style = banner.ownerDocument.defaultView.getComputedStyle(banner);
     
     return {
       size: {
@@ -553,7 +582,7 @@ class VisualValidator {
   }
 
   isElementVisible(element) {
-    const style = getComputedStyle(element);
+    const style = element.ownerDocument.defaultView.getComputedStyle(element);
     const rect = element.getBoundingClientRect();
     
     return style.display !== 'none' && 
@@ -566,7 +595,12 @@ class VisualValidator {
 
 // Q-Learning Agent for Strategy Selection
 class QLearningAgent {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Storage|null} [options.storage] - Where Q-values persist (localStorage by default)
+   */
+  constructor(options = {}) {
+    this.storage = resolveEnvironment(options).storage;
     this.qTable = new Map();
     this.experiences = [];
     this.config = {
@@ -579,7 +613,7 @@ class QLearningAgent {
 
   async loadExperience() {
     try {
-      const stored = localStorage.getItem('cookieKiller_QLearning');
+      const stored = this.storage.getItem('cookieKiller_QLearning');
       if (stored) {
         const data = JSON.parse(stored);
         this.qTable = new Map(data.qTable || []);
@@ -597,7 +631,7 @@ class QLearningAgent {
         qTable: Array.from(this.qTable.entries()),
         experiences: this.experiences.slice(-this.config.maxExperiences)
       };
-      localStorage.setItem('cookieKiller_QLearning', JSON.stringify(data));
+      this.storage.setItem('cookieKiller_QLearning', JSON.stringify(data));
     } catch (error) {
       console.warn('Failed to save Q-learning data:', error);
     }
@@ -748,6 +782,3 @@ class QLearningAgent {
       .slice(0, 5);
   }
 }
-
-// Export for use in content script
-window.AIEngine = AIEngine; 
\ No newline at end of file
@@ -3,6 +3,11 @@
  * Minimal background script for essential functionality
  */
 
+// Settings schema and validation shared with the content scripts
+importScripts('agent-config.js');
+// Post-rejection cookie audit
+importScripts('tracker-cookies.js', 'cookie-auditor.js');
+
 class BackgroundManager {
   constructor() {
     this.defaultSettings = {
@@ -13,12 +18,47 @@ class BackgroundManager {
       }
     };
     
+    // Per-tab agent state (banners handled, on/off switch) shown in the popup
+    this.tabStates = new Map();
+    this.tabStateRestores = new Map();  // tabId -> pending restore from chrome.storage.session
+    this.maxBannersPerTab = 50;
+    
+    // Cross-frame coordination: claims and outcomes are applied one at a time
+    // so two frames of a tab never both win the same banner
+    this.frameQueue = Promise.resolve();
+    
+    // Stats aggregation: events are applied one at a time so concurrent reports
+    // from several tabs never read and write the same snapshot
+    this.statsQueue = Promise.resolve();
+    this.maxStatsDays = 90;
+    this.maxStatsDomains = 500;
+    
+    // Per-site allowlist/blocklist, most specific matching rule wins
+    this.siteRuleModes = ['skip', 'observe', 'run'];
+    
+    // Dynamic declarativeNetRequest rules that attach Sec-GPC, and the
+    // main-world content script that sets navigator.globalPrivacyControl
+    this.gpcRuleIds = { global: 1, siteNavigations: 2, siteRequests: 3 };
+    this.gpcScriptId = 'gpc';
+    
+    // Cookie snapshots taken before the first rejection on each tab's page.
+    // Kept in memory only: a suspended worker loses them and the audit then
+    // treats third-party cookies as pre-existing.
+    this.cookieAuditor = new CookieAuditor(TRACKER_COOKIES);
+    this.cookieBaselines = new Map();  // tabId -> snapshot
+    this.pendingAudits = new Map();    // tabId -> audit promise
+    
+    // Decision traces are appended one at a time, like stats events
+    this.traceQueue = Promise.resolve();
+    
     this.init();
   }
 
   init() {
     this.setupEventListeners();
     this.initializeSettings();
+    this.migrateSyncStats();
+    this.syncGpcRules();
     console.log('🍪 Cookie Marshal AI Agent background script loaded');
   }
 
@@ -33,6 +73,25 @@ class BackgroundManager {
       this.handleMessage(request, sender, sendResponse);
       return true; // Keep message channel open for async response
     });
+
+    // Drop per-tab state when the tab goes away
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      this.clearTabState(tabId);
+    });
+
+    // A new document in the top frame is a new page (same-document navigations do not commit)
+    chrome.webNavigation.onCommitted.addListener((details) => {
+      if (details.frameId === 0) {
+        this.resetTabPage(details.tabId, details.url);
+      }
+    });
+
+    // Sec-GPC header rules follow the GPC setting and per-site overrides
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' && (changes.agentConfig || changes.siteRules)) {
+        this.syncGpcRules();
+      }
+    });
   }
 
   async handleInstallation(details) {
@@ -60,11 +119,128 @@ class BackgroundManager {
           sendResponse({ success: true });
           break;
 
-        case 'updateStats':
-          await this.updateStats(request.stats);
+        case 'updateStats': {
+          const stats = await this.updateStats(request.event, sender);
+          sendResponse({ success: true, data: stats });
+          break;
+        }
+
+        case 'registerTab': {
+          const tabState = await this.registerTab(sender);
+          sendResponse({ success: true, data: tabState });
+          break;
+        }
+
+        case 'reportBanner':
+          await this.reportBanner(sender, request.banner);
+          sendResponse({ success: true });
+          break;
+
+        case 'claimBanner': {
+          const claim = await this.claimBanner(sender, request.banner);
+          sendResponse({ success: true, data: claim });
+          break;
+        }
+
+        case 'getTabState': {
+          const tabState = await this.getTabState(request.tabId);
+          sendResponse({ success: true, data: tabState });
+          break;
+        }
+
+        case 'setTabEnabled': {
+          const tabState = await this.setTabEnabled(request.tabId, request.enabled);
+          sendResponse({ success: true, data: tabState });
+          break;
+        }
+
+        case 'getSiteRules': {
+          const siteRules = await this.getSiteRules();
+          sendResponse({ success: true, data: siteRules });
+          break;
+        }
+
+        case 'addSiteRule': {
+          const siteRule = await this.addSiteRule(request.pattern, request.mode);
+          sendResponse({ success: true, data: siteRule });
+          break;
+        }
+
+        case 'removeSiteRule':
+          await this.removeSiteRule(request.pattern);
+          sendResponse({ success: true });
+          break;
+
+        case 'matchSiteRule': {
+          // Content scripts match against the page they run in, the popup passes a URL
+          const url = request.url || this.getSenderPageUrl(sender);
+          const siteRule = await this.matchSiteRule(url);
+          sendResponse({ success: true, data: siteRule });
+          break;
+        }
+
+        case 'getGpcState': {
+          const gpcState = await this.getGpcState(request.url || this.getSenderPageUrl(sender));
+          sendResponse({ success: true, data: gpcState });
+          break;
+        }
+
+        case 'setSiteGpc': {
+          const siteRule = await this.setSiteGpc(request.pattern, request.gpc);
+          sendResponse({ success: true, data: siteRule });
+          break;
+        }
+
+        case 'startPicker':
+          await this.startPicker(request.tabId);
+          sendResponse({ success: true });
+          break;
+
+        case 'undoPage': {
+          const undo = await this.undoPage(request.tabId);
+          sendResponse({ success: true, data: undo });
+          break;
+        }
+
+        case 'saveUserRule': {
+          const userRule = await this.saveUserRule(this.getSenderPageUrl(sender), request.rule);
+          sendResponse({ success: true, data: userRule });
+          break;
+        }
+
+        case 'getUserRule': {
+          const userRule = await this.getUserRule(request.url || this.getSenderPageUrl(sender));
+          sendResponse({ success: true, data: userRule });
+          break;
+        }
+
+        case 'removeUserRule':
+          await this.removeUserRule(request.url);
           sendResponse({ success: true });
           break;
 
+        case 'snapshotCookies':
+          await this.snapshotCookies(sender);
+          sendResponse({ success: true });
+          break;
+
+        case 'auditCookies': {
+          const audit = await this.auditCookies(sender);
+          sendResponse({ success: true, data: audit });
+          break;
+        }
+
+        case 'reportTrace':
+          await this.reportTrace(sender, request.trace);
+          sendResponse({ success: true });
+          break;
+
+        case 'getTraces': {
+          const traces = await this.getTraces();
+          sendResponse({ success: true, data: traces });
+          break;
+        }
+
         default:
           sendResponse({ success: false, error: 'Unknown action' });
       }
@@ -76,10 +252,10 @@ class BackgroundManager {
 
   async initializeSettings() {
     try {
-      const stored = await chrome.storage.sync.get(['isEnabled', 'stats']);
+      const stored = await chrome.storage.sync.get(['isEnabled']);
       
       if (stored.isEnabled === undefined) {
-        await chrome.storage.sync.set(this.defaultSettings);
+        await chrome.storage.sync.set({ isEnabled: this.defaultSettings.isEnabled });
         console.log('🍪 Initialized default settings');
       }
     } catch (error) {
@@ -89,14 +265,14 @@ class BackgroundManager {
 
   async getSettings() {
     try {
-      const result = await chrome.storage.sync.get(['isEnabled', 'stats']);
+      const result = await chrome.storage.sync.get(['isEnabled']);
       return {
         isEnabled: result.isEnabled !== false, // Default to true
-        stats: result.stats || this.defaultSettings.stats
+        stats: await this.getStats()
       };
     } catch (error) {
       console.error('Failed to get settings:', error);
-      return this.defaultSettings;
+      return { isEnabled: this.defaultSettings.isEnabled, stats: this.createStats() };
     }
   }
 
@@ -109,12 +285,1021 @@ class BackgroundManager {
     }
   }
 
-  async updateStats(stats) {
+  // ---------------------------------------------------------------------
+  // Statistics
+  // ---------------------------------------------------------------------
+  // Content scripts send one event per handled banner:
+  //   { outcome: 'rejected' | 'failed', framework, method, domain, timestamp }
+  // Aggregates live in chrome.storage.local (sync has tight write quotas) and
+  // are broken down per day, domain, CMP framework and processing method.
+
+  createStats() {
+    return {
+      ...this.defaultSettings.stats,
+      bannersFailed: 0,
+      cookiesDeleted: 0,
+      byDay: {},
+      byDomain: {},
+      byFramework: {},
+      byMethod: {},
+      updatedAt: null
+    };
+  }
+
+  // Totals that earlier versions kept in chrome.storage.sync ({ bannersRejected,
+  // sitesProcessed }) are added to the local aggregate once, then the sync key
+  // is dropped. Queued ahead of any stats event
+  migrateSyncStats() {
+    const update = this.statsQueue.then(async () => {
+      const { stats: legacy } = await chrome.storage.sync.get('stats');
+      if (!legacy) return;
+
+      const stats = await this.getStats();
+      stats.bannersRejected += Number(legacy.bannersRejected) || 0;
+      stats.sitesProcessed += Number(legacy.sitesProcessed) || 0;
+      stats.updatedAt = Date.now();
+
+      await chrome.storage.local.set({ stats });
+      await chrome.storage.sync.remove('stats');
+      console.log('🍪 Migrated stats from sync storage');
+    });
+    this.statsQueue = update.catch(error => console.error('Failed to migrate stats:', error));
+    return update;
+  }
+
+  async getStats() {
     try {
-      await chrome.storage.sync.set({ stats });
-      console.log('🍪 Stats updated');
+      const { stats } = await chrome.storage.local.get('stats');
+      return { ...this.createStats(), ...(stats || {}) };
     } catch (error) {
-      console.error('Failed to update stats:', error);
+      console.error('Failed to get stats:', error);
+      return this.createStats();
+    }
+  }
+
+  updateStats(event, sender) {
+    const update = this.statsQueue.then(() => this.applyStatsEvent(event, sender));
+    // Keep the queue alive after a failed update
+    this.statsQueue = update.catch(() => {});
+    return update;
+  }
+
+  async applyStatsEvent(event, sender) {
+    if (!event || !['rejected', 'failed'].includes(event.outcome)) {
+      throw new Error('A stats event with outcome "rejected" or "failed" is required');
+    }
+
+    const stats = await this.getStats();
+    const timestamp = typeof event.timestamp === 'number' ? event.timestamp : Date.now();
+    const counter = event.outcome === 'rejected' ? 'rejected' : 'failed';
+
+    if (counter === 'rejected') {
+      stats.bannersRejected++;
+    } else {
+      stats.bannersFailed++;
+    }
+
+    // A page counts as processed once, however many banners and frames report
+    if (await this.markPageProcessed(sender)) {
+      stats.sitesProcessed++;
+    }
+
+    const domain = this.getStatsDomain(event, sender);
+    this.incrementBucket(stats.byDay, this.getDayKey(timestamp), counter, timestamp);
+    this.incrementBucket(stats.byDomain, domain, counter, timestamp);
+    this.incrementBucket(stats.byFramework, event.framework || 'unknown', counter, timestamp);
+    this.incrementBucket(stats.byMethod, event.method || 'unknown', counter, timestamp);
+
+    stats.byDay = this.pruneBuckets(stats.byDay, this.maxStatsDays);
+    stats.byDomain = this.pruneBuckets(stats.byDomain, this.maxStatsDomains);
+    stats.updatedAt = Date.now();
+
+    await chrome.storage.local.set({ stats });
+    return stats;
+  }
+
+  incrementBucket(buckets, key, counter, timestamp, amount = 1) {
+    const bucket = buckets[key] || { rejected: 0, failed: 0, lastSeen: 0 };
+    bucket[counter] = (bucket[counter] || 0) + amount;
+    bucket.lastSeen = Math.max(bucket.lastSeen, timestamp);
+    buckets[key] = bucket;
+  }
+
+  // Keep only the most recently seen buckets so storage stays bounded
+  pruneBuckets(buckets, limit) {
+    const entries = Object.entries(buckets);
+    if (entries.length <= limit) return buckets;
+
+    entries.sort((a, b) => b[1].lastSeen - a[1].lastSeen);
+    return Object.fromEntries(entries.slice(0, limit));
+  }
+
+  // Local calendar day, e.g. "2024-05-31"
+  getDayKey(timestamp) {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  // Attribute banners to the site the user visited, not the CMP's iframe host
+  getStatsDomain(event, sender) {
+    try {
+      return new URL(this.getSenderPageUrl(sender)).hostname || event.domain || 'unknown';
+    } catch (error) {
+      return event.domain || 'unknown';
+    }
+  }
+
+  // Tracker cookies removed after a rejection, counted per domain like banners
+  recordCookieDeletions(domain, count) {
+    const update = this.statsQueue.then(async () => {
+      const stats = await this.getStats();
+      const timestamp = Date.now();
+
+      stats.cookiesDeleted += count;
+      this.incrementBucket(stats.byDomain, domain, 'cookiesDeleted', timestamp, count);
+      stats.byDomain = this.pruneBuckets(stats.byDomain, this.maxStatsDomains);
+      stats.updatedAt = timestamp;
+
+      await chrome.storage.local.set({ stats });
+      return stats;
+    });
+    this.statsQueue = update.catch(() => {});
+    return update;
+  }
+
+  async markPageProcessed(sender) {
+    const tabId = sender?.tab?.id;
+    if (typeof tabId !== 'number') return false;
+
+    const tabState = await this.getTabState(tabId);
+    if (tabState.pageProcessed) return false;
+
+    tabState.pageProcessed = true;
+    await this.saveTabState(tabState);
+    return true;
+  }
+
+  // ---------------------------------------------------------------------
+  // Site rules
+  // ---------------------------------------------------------------------
+  // Stored in chrome.storage.sync as [{ pattern, mode, createdAt }]. A pattern
+  // is an exact host ("example.com"), a domain with all its subdomains
+  // ("*.example.com") or either of those followed by a path prefix
+  // ("example.com/admin"). Modes: skip (never touch the page), observe (detect
+  // and report, no clicks or hiding), run (force on even if globally disabled).
+  // A rule may also carry a boolean `gpc` that overrides the Global Privacy
+  // Control setting for the site; rules with only `gpc` have no mode.
+
+  async getSiteRules() {
+    try {
+      const { siteRules } = await chrome.storage.sync.get('siteRules');
+      return Array.isArray(siteRules) ? siteRules : [];
+    } catch (error) {
+      console.error('Failed to get site rules:', error);
+      return [];
+    }
+  }
+
+  async addSiteRule(pattern, mode) {
+    const parsed = this.parseSitePattern(pattern);
+    if (!parsed) {
+      throw new Error(`Invalid site rule pattern: ${pattern}`);
+    }
+    if (!this.siteRuleModes.includes(mode)) {
+      throw new Error(`Invalid site rule mode: ${mode}`);
+    }
+
+    const siteRule = { pattern: parsed.pattern, mode, createdAt: Date.now() };
+    const existing = await this.getSiteRules();
+    const previous = existing.find(rule => rule.pattern === siteRule.pattern);
+    if (previous && typeof previous.gpc === 'boolean') {
+      siteRule.gpc = previous.gpc;
+    }
+
+    const siteRules = existing.filter(rule => rule.pattern !== siteRule.pattern);
+    siteRules.push(siteRule);
+
+    await chrome.storage.sync.set({ siteRules });
+    console.log(`🍪 Site rule added: ${siteRule.pattern} → ${mode}`);
+    return siteRule;
+  }
+
+  async removeSiteRule(pattern) {
+    const parsed = this.parseSitePattern(pattern);
+    const normalized = parsed ? parsed.pattern : pattern;
+    const siteRules = await this.getSiteRules();
+
+    await chrome.storage.sync.set({
+      siteRules: siteRules.filter(rule => rule.pattern !== normalized)
+    });
+    console.log(`🍪 Site rule removed: ${normalized}`);
+  }
+
+  // Most specific rule with a mode; rules that only set `gpc` are ignored
+  async matchSiteRule(url) {
+    return this.findSiteRule(url, rule => this.siteRuleModes.includes(rule.mode));
+  }
+
+  async findSiteRule(url, predicate) {
+    let location;
+    try {
+      location = new URL(url);
+    } catch (error) {
+      return null;
+    }
+    if (!/^https?:$/.test(location.protocol)) return null;
+
+    const hostname = location.hostname.toLowerCase();
+    let best = null;
+
+    for (const rule of await this.getSiteRules()) {
+      const parsed = this.parseSitePattern(rule.pattern);
+      if (!parsed || !predicate(rule)) continue;
+
+      const hostMatches = parsed.wildcard
+        ? hostname === parsed.host || hostname.endsWith(`.${parsed.host}`)
+        : hostname === parsed.host;
+      if (!hostMatches || !this.matchesSitePath(location.pathname, parsed.path)) continue;
+
+      // Longer path beats shorter, exact host beats wildcard, deeper domain beats shallower
+      const specificity = [parsed.path.length, parsed.wildcard ? 0 : 1, parsed.host.length];
+      if (!best || this.compareSpecificity(specificity, best.specificity) > 0) {
+        best = { rule, specificity };
+      }
+    }
+
+    return best ? best.rule : null;
+  }
+
+  // Normalize user input ("https://WWW.Example.com/admin/") into a stored
+  // pattern; returns null when the input is not a usable host pattern
+  parseSitePattern(pattern) {
+    if (typeof pattern !== 'string') return null;
+
+    let value = pattern.trim().toLowerCase().replace(/^[a-z]+:\/\//, '');
+    value = value.split(/[?#]/)[0];
+
+    const slashIndex = value.indexOf('/');
+    let host = slashIndex === -1 ? value : value.slice(0, slashIndex);
+    let path = slashIndex === -1 ? '' : value.slice(slashIndex);
+    if (path === '/') path = '';
+
+    host = host.replace(/:\d+$/, '');
+    const wildcard = host.startsWith('*.');
+    if (wildcard) host = host.slice(2);
+
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(host)) return null;
+
+    return {
+      pattern: `${wildcard ? '*.' : ''}${host}${path}`,
+      wildcard,
+      host,
+      path: path || '/'
+    };
+  }
+
+  // A pattern path covers itself and what lies below it: /admin matches
+  // /admin and /admin/users, not /administrator
+  matchesSitePath(pathname, path) {
+    if (path.endsWith('/')) return pathname.startsWith(path);
+    return pathname === path || pathname.startsWith(`${path}/`);
+  }
+
+  compareSpecificity(a, b) {
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+  }
+
+  // ---------------------------------------------------------------------
+  // User rules (element picker)
+  // ---------------------------------------------------------------------
+  // One rule per domain, picked by the user in the page: stored in
+  // chrome.storage.sync under userRule_<host> as
+  // { host, bannerSelector, rejectSelector, createdAt }. A key per domain keeps
+  // each item well below the sync per-item quota.
+
+  getUserRuleKey(url) {
+    let location;
+    try {
+      location = new URL(url);
+    } catch (error) {
+      return null;
+    }
+    if (!/^https?:$/.test(location.protocol)) return null;
+
+    const host = location.hostname.toLowerCase().replace(/^www\./, '');
+    return { key: `userRule_${host}`, host };
+  }
+
+  async startPicker(tabId) {
+    try {
+      // The picker runs in the top frame only; the banner selector is page-wide
+      await chrome.tabs.sendMessage(tabId, { action: 'startPicker' }, { frameId: 0 });
+    } catch (error) {
+      throw new Error('Picker unavailable on this page');
+    }
+  }
+
+  /**
+   * Undo the agent's actions in every frame of the tab; it stays off until
+   * the page reloads (resetTabPage clears the flag)
+   * @returns {Promise<Object>} { restored, reopened } as reported by the answering frame
+   */
+  async undoPage(tabId) {
+    let undo;
+    try {
+      undo = await chrome.tabs.sendMessage(tabId, { action: 'undo' });
+    } catch (error) {
+      throw new Error('Undo unavailable on this page');
+    }
+    if (!undo || !undo.success) {
+      throw new Error((undo && undo.error) || 'Undo failed');
+    }
+
+    const tabState = await this.getTabState(tabId);
+    tabState.undone = true;
+    await this.saveTabState(tabState);
+    return undo.data;
+  }
+
+  async saveUserRule(url, rule) {
+    const target = this.getUserRuleKey(url);
+    if (!target) {
+      throw new Error('User rules need an http(s) page');
+    }
+    if (!rule || typeof rule.bannerSelector !== 'string' || typeof rule.rejectSelector !== 'string' ||
+        !rule.bannerSelector.trim() || !rule.rejectSelector.trim()) {
+      throw new Error('A user rule needs a banner and a reject selector');
+    }
+
+    const userRule = {
+      host: target.host,
+      bannerSelector: rule.bannerSelector.trim(),
+      rejectSelector: rule.rejectSelector.trim(),
+      createdAt: Date.now()
+    };
+
+    await chrome.storage.sync.set({ [target.key]: userRule });
+    console.log(`🎯 User rule saved for ${target.host}`);
+    return userRule;
+  }
+
+  async getUserRule(url) {
+    const target = this.getUserRuleKey(url);
+    if (!target) return null;
+
+    try {
+      const stored = await chrome.storage.sync.get(target.key);
+      return stored[target.key] || null;
+    } catch (error) {
+      console.error('Failed to get user rule:', error);
+      return null;
+    }
+  }
+
+  async removeUserRule(url) {
+    const target = this.getUserRuleKey(url);
+    if (!target) return;
+
+    await chrome.storage.sync.remove(target.key);
+    console.log(`🎯 User rule removed for ${target.host}`);
+  }
+
+  // ---------------------------------------------------------------------
+  // Global Privacy Control
+  // ---------------------------------------------------------------------
+  // The privacy.globalPrivacyControl setting is the default; a site rule's
+  // `gpc` flag overrides it. The Sec-GPC header comes from the dynamic
+  // declarativeNetRequest rules below; gpc.js, registered for the same pages,
+  // sets navigator.globalPrivacyControl at document_start.
+
+  async getGpcDefault() {
+    const config = await AgentConfig.read();
+    return config.privacy.globalPrivacyControl;
+  }
+
+  // Path-scoped overrides are ignored, like in the header rules
+  async getGpcState(url) {
+    const isSiteWide = (rule) => {
+      const parsed = this.parseSitePattern(rule.pattern);
+      return !!parsed && parsed.path === '/';
+    };
+    const [enabledByDefault, siteRule] = await Promise.all([
+      this.getGpcDefault(),
+      this.findSiteRule(url, rule => typeof rule.gpc === 'boolean' && isSiteWide(rule))
+    ]);
+
+    return siteRule
+      ? { enabled: siteRule.gpc, source: 'site', pattern: siteRule.pattern }
+      : { enabled: enabledByDefault, source: 'settings', pattern: null };
+  }
+
+  /**
+   * Override GPC for a site; null drops the override
+   * The flag lives on the site rule for the pattern, created when missing
+   */
+  async setSiteGpc(pattern, gpc) {
+    const parsed = this.parseSitePattern(pattern);
+    if (!parsed) {
+      throw new Error(`Invalid site rule pattern: ${pattern}`);
+    }
+    if (gpc !== null && typeof gpc !== 'boolean') {
+      throw new Error('GPC override must be true, false or null');
+    }
+    if (parsed.path !== '/') {
+      throw new Error('GPC overrides apply to whole sites, not paths');
+    }
+
+    const siteRules = await this.getSiteRules();
+    const siteRule = siteRules.find(rule => rule.pattern === parsed.pattern) ||
+      { pattern: parsed.pattern, createdAt: Date.now() };
+    const others = siteRules.filter(rule => rule !== siteRule);
+
+    if (gpc === null) {
+      delete siteRule.gpc;
+    } else {
+      siteRule.gpc = gpc;
+    }
+
+    // A rule left with neither a mode nor a GPC override is dropped
+    const keep = this.siteRuleModes.includes(siteRule.mode) || typeof siteRule.gpc === 'boolean';
+    await chrome.storage.sync.set({ siteRules: keep ? [...others, siteRule] : others });
+
+    console.log(`🍪 GPC for ${parsed.pattern}: ${gpc === null ? 'default' : (gpc ? 'on' : 'off')}`);
+    return keep ? siteRule : null;
+  }
+
+  /**
+   * Rebuild the Sec-GPC header rules and the gpc.js registration from the
+   * setting and the site overrides. declarativeNetRequest matches domains with
+   * their subdomains and has no notion of our path prefixes, so path-scoped
+   * overrides are ignored. A document (main frame or frame) gets the header
+   * by its own domain, which is what the gpc.js match patterns can follow;
+   * the requests a page makes follow the page's domain
+   */
+  async syncGpcRules() {
+    if (!chrome.declarativeNetRequest) return;
+
+    try {
+      const enabledByDefault = await this.getGpcDefault();
+      const exceptions = new Set();
+
+      for (const rule of await this.getSiteRules()) {
+        const parsed = this.parseSitePattern(rule.pattern);
+        if (parsed && parsed.path === '/' && typeof rule.gpc === 'boolean' && rule.gpc !== enabledByDefault) {
+          exceptions.add(parsed.host);
+        }
+      }
+
+      const setHeader = {
+        type: 'modifyHeaders',
+        requestHeaders: [{ header: 'Sec-GPC', operation: 'set', value: '1' }]
+      };
+      // Sites that differ from the default: opt in, or (higher priority) opt out
+      const siteAction = enabledByDefault ? { type: 'allow' } : setHeader;
+      const domains = Array.from(exceptions);
+      const rules = [];
+
+      if (enabledByDefault) {
+        rules.push({
+          id: this.gpcRuleIds.global,
+          priority: 1,
+          action: setHeader,
+          condition: {
+            resourceTypes: [
+              'main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font', 'object',
+              'xmlhttprequest', 'ping', 'csp_report', 'media', 'websocket', 'other'
+            ]
+          }
+        });
+      }
+
+      if (domains.length > 0) {
+        // Navigations to the site, then everything the site's pages request
+        rules.push({
+          id: this.gpcRuleIds.siteNavigations,
+          priority: 2,
+          action: siteAction,
+          condition: { requestDomains: domains, resourceTypes: ['main_frame', 'sub_frame'] }
+        });
+        rules.push({
+          id: this.gpcRuleIds.siteRequests,
+          priority: 2,
+          action: siteAction,
+          condition: { initiatorDomains: domains, excludedResourceTypes: ['main_frame', 'sub_frame'] }
+        });
+      }
+
+      await chrome.declarativeNetRequest.updateDynamicRules({
+        removeRuleIds: Object.values(this.gpcRuleIds),
+        addRules: rules
+      });
+      await this.syncGpcScript(enabledByDefault, domains);
+      console.log(`🍪 Sec-GPC ${enabledByDefault ? 'on' : 'off'} by default, ${domains.length} site override(s)`);
+    } catch (error) {
+      console.error('Failed to update Sec-GPC rules:', error);
+    }
+  }
+
+  /**
+   * Register gpc.js for the documents the header rules cover: everywhere but
+   * the opted-out domains, or only the opted-in ones
+   * @param {boolean} enabledByDefault - The GPC setting
+   * @param {Array<string>} domains - Hosts whose override differs from it
+   */
+  async syncGpcScript(enabledByDefault, domains) {
+    if (!chrome.scripting || !chrome.scripting.registerContentScripts) return;
+
+    // "*.example.com" also matches example.com itself
+    const patterns = domains.map(domain => `*://*.${domain}/*`);
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [this.gpcScriptId] });
+    if (registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [this.gpcScriptId] });
+    }
+    if (!enabledByDefault && patterns.length === 0) return;
+
+    const script = {
+      id: this.gpcScriptId,
+      js: ['gpc.js'],
+      matches: enabledByDefault ? ['<all_urls>'] : patterns,
+      runAt: 'document_start',
+      allFrames: true,
+      world: 'MAIN'
+    };
+    if (enabledByDefault && patterns.length > 0) {
+      script.excludeMatches = patterns;
+    }
+    await chrome.scripting.registerContentScripts([script]);
+  }
+
+  // ---------------------------------------------------------------------
+  // Cookie audit
+  // ---------------------------------------------------------------------
+  // Content scripts ask for a snapshot before acting on a banner and for an
+  // audit once a rejection succeeded. The audit waits for the page to settle,
+  // lists the tracker cookies still present and, when the cookies.deleteTrackers
+  // setting is on, removes them.
+
+  async snapshotCookies(sender) {
+    const tabId = sender?.tab?.id;
+    const url = this.getSenderPageUrl(sender);
+    // The first banner on the page sets the baseline
+    if (typeof tabId !== 'number' || !url || this.cookieBaselines.has(tabId)) return;
+
+    this.cookieBaselines.set(tabId, null);  // Claim the slot while the snapshot is taken
+    this.cookieBaselines.set(tabId, await this.cookieAuditor.snapshot(url));
+  }
+
+  auditCookies(sender) {
+    const tabId = sender?.tab?.id;
+    if (typeof tabId !== 'number') {
+      return Promise.resolve(null);
+    }
+
+    // Several banners on one page share a single audit
+    if (!this.pendingAudits.has(tabId)) {
+      const audit = this.runCookieAudit(tabId, this.getSenderPageUrl(sender))
+        .finally(() => this.pendingAudits.delete(tabId));
+      this.pendingAudits.set(tabId, audit);
+    }
+    return this.pendingAudits.get(tabId);
+  }
+
+  async runCookieAudit(tabId, url) {
+    if (!url || !/^https?:/.test(url)) return null;
+
+    await this.cookieAuditor.wait();
+
+    const before = this.cookieBaselines.get(tabId) || null;
+    const after = await this.cookieAuditor.snapshot(url);
+    const { trackers, added, removable } = this.cookieAuditor.compare(before, after);
+
+    const config = await AgentConfig.read();
+    const deleted = config.cookies.deleteTrackers
+      ? await this.cookieAuditor.remove(removable.map(entry => entry.cookie))
+      : [];
+
+    const domain = new URL(url).hostname;
+    if (deleted.length > 0) {
+      await this.recordCookieDeletions(domain, deleted.length);
+    }
+
+    const describe = cookie => `${cookie.name} (${cookie.domain.replace(/^\./, '')})`;
+    console.log(`🍪 Cookie audit for ${domain}: ${trackers.length} tracker cookies, ${added.length} set since the banner, ${deleted.length} deleted`,
+      trackers.map(entry => describe(entry.cookie)));
+
+    return {
+      url,
+      trackers: trackers.map(entry => ({ name: entry.cookie.name, domain: entry.cookie.domain, vendor: entry.vendor, category: entry.category, added: entry.added })),
+      deleted: deleted.map(describe)
+    };
+  }
+
+  // Site rules apply to the page the user is on, so frames use the tab URL
+  getSenderPageUrl(sender) {
+    if (!sender) return null;
+    if (sender.frameId === 0 || !sender.tab) return sender.url || null;
+    return sender.tab.url || sender.url || null;
+  }
+
+  // ---------------------------------------------------------------------
+  // Decision traces
+  // ---------------------------------------------------------------------
+  // Ring buffer of finished per-banner traces (decision-trace.js) from every
+  // tab, oldest first, exported from the popup for bug reports. Stored in
+  // chrome.storage.session: it survives worker suspension, not a browser restart.
+
+  reportTrace(sender, trace) {
+    if (!trace || typeof trace !== 'object') {
+      throw new Error('A decision trace is required');
+    }
+
+    const entry = { ...trace, tabId: sender.tab?.id ?? null, frameId: sender.frameId || 0 };
+    const update = this.traceQueue.then(async () => {
+      const [config, traces] = await Promise.all([AgentConfig.read(), this.getTraces()]);
+      traces.push(entry);
+      await chrome.storage.session.set({ decisionTraces: traces.slice(-config.debug.traceLimit) });
+    });
+    this.traceQueue = update.catch(() => {});
+    return update;
+  }
+
+  async getTraces() {
+    try {
+      const { decisionTraces } = await chrome.storage.session.get('decisionTraces');
+      return Array.isArray(decisionTraces) ? decisionTraces : [];
+    } catch (error) {
+      console.error('Failed to read decision traces:', error);
+      return [];
+    }
+  }
+
+  // ---------------------------------------------------------------------
+  // Per-tab state channel
+  // ---------------------------------------------------------------------
+  // The service worker can be suspended at any time, so every tab state is
+  // mirrored into chrome.storage.session and lazily restored from there.
+
+  createTabState(tabId) {
+    return {
+      tabId: tabId,
+      url: null,
+      enabled: true,
+      banners: [],
+      frames: [],     // { frameId, url } of every frame running the agent
+      claims: [],     // Banners frames are about to act on (claimBanner)
+      combined: null, // Result across frames, see combineFrameOutcomes
+      pageProcessed: false,
+      undone: false,
+      updatedAt: Date.now()
+    };
+  }
+
+  async getTabState(tabId) {
+    if (typeof tabId !== 'number') {
+      throw new Error('A numeric tabId is required');
+    }
+
+    if (this.tabStates.has(tabId)) {
+      return this.tabStates.get(tabId);
+    }
+
+    // Callers racing on a woken service worker share one restore, and so one state object
+    if (!this.tabStateRestores.has(tabId)) {
+      const restore = this.readTabState(tabId).then(stored => {
+        // A clear while reading drops the restore; a save while reading wins over it
+        const current = this.tabStateRestores.get(tabId) === restore;
+        if (current) this.tabStateRestores.delete(tabId);
+        if (this.tabStates.has(tabId)) return this.tabStates.get(tabId);
+
+        const tabState = stored || this.createTabState(tabId);
+        if (current) this.tabStates.set(tabId, tabState);
+        return tabState;
+      });
+      this.tabStateRestores.set(tabId, restore);
+    }
+    return this.tabStateRestores.get(tabId);
+  }
+
+  // Tab state saved by an earlier service worker instance, null when none
+  async readTabState(tabId) {
+    try {
+      const key = `tabState_${tabId}`;
+      const stored = await chrome.storage.session.get(key);
+      return stored[key] || null;
+    } catch (error) {
+      console.error('Failed to restore tab state:', error);
+      return null;
+    }
+  }
+
+  async saveTabState(tabState) {
+    tabState.updatedAt = Date.now();
+    tabState.combined = this.combineFrameOutcomes(tabState);
+    this.tabStates.set(tabState.tabId, tabState);
+
+    try {
+      await chrome.storage.session.set({ [`tabState_${tabState.tabId}`]: tabState });
+    } catch (error) {
+      console.error('Failed to persist tab state:', error);
+    }
+
+    await this.updateBadge(tabState);
+  }
+
+  async clearTabState(tabId) {
+    this.tabStates.delete(tabId);
+    this.tabStateRestores.delete(tabId);
+    this.cookieBaselines.delete(tabId);
+
+    try {
+      await chrome.storage.session.remove(`tabState_${tabId}`);
+    } catch (error) {
+      console.error('Failed to clear tab state:', error);
+    }
+  }
+
+  /**
+   * Start the page state of a tab over when its top frame commits a new
+   * document: banners, frames and claims belong to the page, the on/off
+   * switch to the tab
+   */
+  resetTabPage(tabId, url) {
+    const update = this.frameQueue.then(() => this.applyPageReset(tabId, url));
+    this.frameQueue = update.catch(() => {});
+    return update;
+  }
+
+  async applyPageReset(tabId, url) {
+    const tabState = await this.getTabState(tabId);
+    tabState.url = url || null;
+    tabState.banners = [];
+    tabState.frames = [];
+    tabState.claims = [];
+    this.cookieBaselines.delete(tabId);
+    tabState.pageProcessed = false;
+    tabState.undone = false;
+    await this.saveTabState(tabState);
+  }
+
+  // Called by every content script instance when it starts, in whatever order
+  // the frames of the page load; queued behind the page reset of its commit
+  registerTab(sender) {
+    const update = this.frameQueue.then(() => this.applyTabRegistration(sender));
+    this.frameQueue = update.catch(() => {});
+    return update;
+  }
+
+  async applyTabRegistration(sender) {
+    const tabId = sender.tab?.id;
+    if (typeof tabId !== 'number') {
+      return { enabled: true };
+    }
+
+    const tabState = await this.getTabState(tabId);
+
+    if (sender.frameId === 0) {
+      tabState.url = sender.url || sender.tab.url || null;
+    }
+    
+    // Child frames are known so the top frame can leave their banners to them
+    const frameId = sender.frameId || 0;
+    tabState.frames = (tabState.frames || []).filter(frame => frame.frameId !== frameId);
+    tabState.frames.push({ frameId, url: sender.url || null });
+    await this.saveTabState(tabState);
+
+    return { enabled: tabState.enabled };
+  }
+
+  reportBanner(sender, banner) {
+    const update = this.frameQueue.then(() => this.applyBannerReport(sender, banner));
+    this.frameQueue = update.catch(() => {});
+    return update;
+  }
+
+  async applyBannerReport(sender, banner) {
+    const tabId = sender.tab?.id;
+    if (typeof tabId !== 'number' || !banner) return;
+
+    const tabState = await this.getTabState(tabId);
+
+    tabState.banners.push({
+      ...banner,
+      frameId: sender.frameId || 0,
+      frameUrl: sender.url || null,
+      timestamp: banner.timestamp || Date.now()
+    });
+    tabState.banners = tabState.banners.slice(-this.maxBannersPerTab);
+
+    const claim = (tabState.claims || []).find(candidate => candidate.id === banner.claimId);
+    if (claim) {
+      claim.status = banner.success ? 'rejected' : (banner.observed ? 'observed' : 'failed');
+      claim.method = banner.method || null;
+    }
+
+    await this.saveTabState(tabState);
+
+    // The top frame waits on its child frames' outcomes (it cannot see inside
+    // cross-origin ones), child frames that left their banner to it on its outcome
+    const waiting = (tabState.claims || []).filter(other => other.status === 'deferred' && (sender.frameId
+      ? other.frameId === 0 && other.owner === sender.frameId
+      : claim && other.frameId !== 0 && other.owner === 0 &&
+        claim.iframeUrls.some(url => this.isSameFrameUrl(url, other.frameUrl))));
+    await this.relayFrameOutcome(sender, {
+      cmp: banner.cmp || null,
+      success: !!banner.success,
+      observed: !!banner.observed,
+      method: banner.method || null,
+      label: banner.label || null
+    }, waiting);
+  }
+
+  async setTabEnabled(tabId, enabled) {
+    const tabState = await this.getTabState(tabId);
+    tabState.enabled = enabled !== false;
+    await this.saveTabState(tabState);
+
+    // Tell every frame of the tab to tear down or re-arm
+    try {
+      await chrome.tabs.sendMessage(tabId, { action: 'setEnabled', enabled: tabState.enabled });
+    } catch (error) {
+      // No content script in this tab (e.g. chrome:// pages) - state is still stored
+      console.log('🍪 Could not reach content script in tab', tabId);
+    }
+
+    return tabState;
+  }
+
+  async updateBadge(tabState) {
+    try {
+      const rejected = tabState.banners.filter(banner => banner.success).length;
+      const text = !tabState.enabled ? 'off' : (rejected > 0 ? String(rejected) : '');
+
+      await chrome.action.setBadgeText({ tabId: tabState.tabId, text });
+      await chrome.action.setBadgeBackgroundColor({
+        tabId: tabState.tabId,
+        color: tabState.enabled ? '#28a745' : '#6c757d'
+      });
+    } catch (error) {
+      console.error('Failed to update badge:', error);
+    }
+  }
+
+  // ---------------------------------------------------------------------
+  // Cross-frame coordination
+  // ---------------------------------------------------------------------
+  // Every frame runs its own agent. Before acting on a banner a frame claims
+  // it here; the claim says whether the frame may act or which frame owns
+  // the banner. Claims are kept in the tab state and reset with the page:
+  //   { id, frameId, frameUrl, label, framework, iframeUrls, status, owner, method }
+  //   status  pending (owner acting), deferred (left to owner), rejected,
+  //           failed or observed once the frame reported its outcome
+  // A banner around an iframe running the agent belongs to that child frame:
+  // it can reach the consent UI the top frame cannot. A child frame inside a
+  // banner the top frame is handling (or handled) waits for the top frame's
+  // outcome, relayed to it, and claims the banner again if the top frame failed.
+
+  /**
+   * Claim a banner for the sending frame
+   * @param {Object} banner - { claimId, label, framework, iframeUrls, takeover }.
+   *   claimId repeats an earlier claim; takeover makes the sender the owner
+   * @returns {Promise<Object>} { granted, claimId, owner, handled } - handled when the owner
+   *   already rejected the banner
+   */
+  claimBanner(sender, banner) {
+    const update = this.frameQueue.then(() => this.applyBannerClaim(sender, banner));
+    this.frameQueue = update.catch(() => {});
+    return update;
+  }
+
+  async applyBannerClaim(sender, banner) {
+    const tabId = sender.tab?.id;
+    if (typeof tabId !== 'number' || !banner) {
+      return { granted: true, claimId: null, owner: null };
+    }
+
+    const tabState = await this.getTabState(tabId);
+    const frameId = sender.frameId || 0;
+    tabState.claims = tabState.claims || [];
+
+    let claim = tabState.claims.find(candidate => candidate.id === banner.claimId && candidate.frameId === frameId);
+    if (!claim) {
+      // Ids never repeat within the tab, so an outcome cannot settle a later claim
+      tabState.nextClaimId = (tabState.nextClaimId || 0) + 1;
+      claim = {
+        id: tabState.nextClaimId,
+        frameId,
+        frameUrl: sender.url || null,
+        label: banner.label || null,
+        framework: banner.framework || null,
+        iframeUrls: Array.isArray(banner.iframeUrls) ? banner.iframeUrls.slice(0, 10) : [],
+        status: 'pending',
+        owner: frameId,
+        method: null
+      };
+      tabState.claims.push(claim);
+    }
+
+    const owner = banner.takeover ? null : this.findClaimOwner(tabState, claim);
+    claim.owner = owner === null ? frameId : owner;
+    claim.status = owner === null ? 'pending' : 'deferred';
+
+    // An owner that already rejected the banner has relayed its outcome before this claim
+    const handled = owner !== null && tabState.claims.some(other => other.frameId === owner && other.status === 'rejected' &&
+      (owner !== 0 || other.iframeUrls.some(url => this.isSameFrameUrl(url, claim.frameUrl))));
+
+    await this.saveTabState(tabState);
+    return { granted: owner === null, claimId: claim.id, owner: claim.owner, handled };
+  }
+
+  // Frame that handles the claimed banner instead of the claiming one, null when it may act
+  findClaimOwner(tabState, claim) {
+    if (claim.frameId === 0) {
+      const child = (tabState.frames || []).find(frame => frame.frameId !== 0 &&
+        claim.iframeUrls.some(url => this.isSameFrameUrl(url, frame.url)));
+      return child ? child.frameId : null;
+    }
+
+    const top = tabState.claims.find(other => other.frameId === 0 &&
+      ['pending', 'rejected'].includes(other.status) &&
+      other.iframeUrls.some(url => this.isSameFrameUrl(url, claim.frameUrl)));
+    return top ? 0 : null;
+  }
+
+  // An iframe's src and the URL its frame reports differ in fragment at most
+  isSameFrameUrl(a, b) {
+    try {
+      const first = new URL(a);
+      const second = new URL(b);
+      return first.origin === second.origin && first.pathname === second.pathname && first.search === second.search;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Result across all frames of the tab, shown by the popup. A deferred claim
+   * counts through its owner: pending until the owner frame reported
+   * @returns {Object} { status, frames, rejected, failed, pending }
+   *   status  none, pending, rejected, partial, failed or observed
+   */
+  combineFrameOutcomes(tabState) {
+    const claims = tabState.claims || [];
+    const settled = claims.filter(claim => !['pending', 'deferred'].includes(claim.status));
+    const waiting = claims.filter(claim => claim.status === 'pending' ||
+      (claim.status === 'deferred' && !settled.some(other => other.frameId === claim.owner)));
+    const acted = claims.filter(claim => claim.status !== 'deferred');
+
+    const count = status => settled.filter(claim => claim.status === status).length;
+    const combined = {
+      status: 'none',
+      frames: new Set(acted.map(claim => claim.frameId)).size,
+      rejected: count('rejected'),
+      failed: count('failed'),
+      pending: waiting.length
+    };
+
+    if (combined.pending > 0) {
+      combined.status = 'pending';
+    } else if (combined.rejected > 0) {
+      combined.status = combined.failed > 0 ? 'partial' : 'rejected';
+    } else if (combined.failed > 0) {
+      combined.status = 'failed';
+    } else if (settled.length > 0) {
+      combined.status = 'observed';
+    }
+    return combined;
+  }
+
+  /**
+   * Tell the frames waiting on the sender how its banner went. The top frame
+   * hears about every child frame's outcome, also for banners it never
+   * claimed; claimIds names the deferred claims of the frame it settles
+   * @param {Array<Object>} waiting - Deferred claims the outcome settles
+   */
+  async relayFrameOutcome(sender, outcome, waiting) {
+    const tabId = sender.tab?.id;
+    if (typeof tabId !== 'number' || !outcome) return;
+
+    const frameIds = sender.frameId ? [0] : waiting.map(claim => claim.frameId);
+    for (const frameId of new Set(frameIds)) {
+      const message = {
+        action: 'frameOutcome',
+        frameId: sender.frameId || 0,
+        frameUrl: sender.url || null,
+        claimIds: waiting.filter(claim => claim.frameId === frameId).map(claim => claim.id),
+        outcome
+      };
+      try {
+        await chrome.tabs.sendMessage(tabId, message, { frameId });
+      } catch (error) {
+        // Frame has no content script (any more) - the outcome is still in the tab state
+        console.log(`🍪 Could not relay frame outcome to frame ${frameId} of tab`, tabId);
+      }
     }
   }
 }
@@ -0,0 +1,188 @@
+/**
+ * Cookie Marshal AI Agent - Click Guard
+ * Safety interlock every agent click goes through: controls whose label says
+ * "accept" are never clicked, whichever strategy picked them.
+ *
+ * A control is vetoed when its label carries accept intent and no refusal
+ * qualifier. Accept intent is either
+ *   - an accept word from the multi-language patterns (any language) or a
+ *     casual one ("OK", "Got it", "Ich stimme zu"), unless a negation comes
+ *     right before it ("continue without accepting", "nicht akzeptieren"), or
+ *   - the strong accept penalty of calculateRejectScore confirmed by the
+ *     text classifier (TextClassifier) reading it as accept
+ * Refusal qualifiers (reject words, necessary words next to "only", "allow
+ * selection") keep a control clickable. Words that only narrow what is
+ * accepted ("Accept settings", "Accept all functional cookies") do not.
+ */
+
+class ClickGuard {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.rejectScore] - (text, element) => score, calculateRejectScore of the caller
+   * @param {Object} [options.languagePatterns] - MultiLanguageDetector.languagePatterns
+   * @param {Object} [options.classifier] - TextClassifier (ai-engine.js), its model not loaded yet
+   * @param {Document} [options.document] - Document the guarded controls live in, for the veto log
+   */
+  constructor(options = {}) {
+    this.document = options.document || document;
+    this.rejectScore = options.rejectScore || (() => 0);
+    this.strongAcceptPenalty = -0.5;
+
+    const languagePatterns = options.languagePatterns || {};
+    const collect = (key) => Object.values(languagePatterns).flatMap(patterns => patterns[key] || []);
+
+    // Closing is not refusing: "Accept & close" must stay vetoed
+    const dismissWords = ['close', 'dismiss', 'schließen', 'fermer', 'cerrar', 'chiudere', 'sluiten', 'fechar', 'zamknąć'];
+
+    this.acceptWords = [
+      ...collect('consent'),
+      // Casual agreement the patterns leave out
+      'ok', 'okay', 'got it', 'ich stimme zu', 'einverstanden', "d'accord", 'va bene'
+    ];
+    this.qualifierWords = [
+      ...collect('reject').filter(word => !dismissWords.includes(word)),
+      // Save the current (refused) selection: Cookiebot "Allow selection"
+      'selection', 'selected', 'auswahl', 'sélection', 'selección', 'selezione', 'selectie', 'seleção', 'wybór'
+    ];
+    // "Allow necessary only", "Nur notwendige akzeptieren"; on its own a category narrows nothing
+    this.necessaryWords = collect('necessary');
+    this.onlyWords = ['only', 'nur', 'seulement', 'uniquement', 'solo', 'sólo', 'soltanto', 'alleen', 'apenas', 'somente', 'tylko'];
+    // Cancel the accept word right after them: "Continue without accepting"
+    this.negationWords = ['not', "don't", 'without', 'nicht', 'ohne', 'kein', 'keine', 'pas', 'sans', 'sin', 'senza', 'zonder', 'niet', 'sem', 'não', 'nie', 'bez'];
+
+    // Consulted once its model has loaded
+    this.classifier = null;
+    if (options.classifier) {
+      options.classifier.loadModel()
+        .then(() => { this.classifier = options.classifier; })
+        .catch(() => {});
+    }
+
+    this.vetoes = [];
+    this.maxVetoes = 50;
+  }
+
+  /**
+   * Decide whether a control may be clicked and log the veto
+   * @param {HTMLElement} element - Control about to be clicked
+   * @param {string} [caller] - Strategy asking for the click, for the log
+   * @returns {Object|null} Structured veto event, null when the click is allowed
+   */
+  check(element, caller = 'unknown') {
+    const verdict = this.evaluate(element);
+    if (!verdict.vetoed) return null;
+
+    const event = {
+      type: 'click-vetoed',
+      caller: caller,
+      text: verdict.text.slice(0, 100),
+      element: this.describe(element),
+      signals: verdict.signals,
+      url: this.document.location.href,
+      timestamp: Date.now()
+    };
+
+    this.vetoes.push(event);
+    this.vetoes = this.vetoes.slice(-this.maxVetoes);
+    console.warn('🛑 Click vetoed (accept intent):', event);
+    return event;
+  }
+
+  /**
+   * Same decision as check() without logging anything (dry runs)
+   * @param {HTMLElement} element - Control to judge
+   * @returns {{vetoed: boolean, text: string, signals: Object|null}}
+   */
+  evaluate(element) {
+    const text = this.getLabel(element);
+    if (!text) return { vetoed: false, text, signals: null };
+
+    const acceptWords = this.findAcceptWords(text);
+    const qualifiers = this.findWords(text, this.qualifierWords);
+    if (this.findWords(text, this.onlyWords).length > 0) {
+      qualifiers.push(...this.findWords(text, this.necessaryWords));
+    }
+    const rejectScore = this.rejectScore(text, element);
+    const classification = this.classifier && this.classifier.model
+      ? this.classifier.model.classify(text)
+      : null;
+    const classifierIntent = classification ? classification.intent : null;
+
+    const acceptIntent = acceptWords.length > 0 ||
+      (rejectScore <= this.strongAcceptPenalty && classifierIntent === 'accept');
+
+    return {
+      vetoed: acceptIntent && qualifiers.length === 0,
+      text,
+      signals: {
+        acceptWords: acceptWords,
+        rejectScore: Math.round(rejectScore * 100) / 100,
+        classifierIntent: classifierIntent
+      }
+    };
+  }
+
+  getLabel(element) {
+    const parts = [
+      element.textContent,
+      element.getAttribute && element.getAttribute('aria-label'),
+      element.getAttribute && element.getAttribute('title'),
+      element.tagName === 'INPUT' ? element.value : null
+    ];
+    return parts.filter(Boolean).join(' ').replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+
+  /**
+   * Pattern words found in the label. Patterns are mostly infinitives, so a
+   * label word matches when either is a prefix of the other ("accepting",
+   * "accetta" for "accettare"); words of up to 3 letters ("ja", "oui", "tak")
+   * and phrases must match exactly
+   */
+  findWords(text, words) {
+    const tokens = this.tokenize(text);
+    return words.filter(word => this.matchesAt(tokens, word.toLowerCase()).length > 0);
+  }
+
+  // Accept words with at least one occurrence not right after a negation
+  findAcceptWords(text) {
+    const tokens = this.tokenize(text);
+    const negated = (index) => index > 0 && this.negationWords.includes(tokens[index - 1]);
+
+    return this.acceptWords.filter(word =>
+      this.matchesAt(tokens, word.toLowerCase()).some(index => !negated(index))
+    );
+  }
+
+  tokenize(text) {
+    return text.split(/[^\p{L}']+/u).filter(Boolean);
+  }
+
+  // Indexes of the tokens where the pattern starts
+  matchesAt(tokens, pattern) {
+    const indexes = [];
+    const phrase = pattern.split(' ');
+
+    tokens.forEach((token, index) => {
+      const matched = phrase.length > 1
+        ? phrase.every((part, offset) => tokens[index + offset] === part)
+        : pattern.length <= 3
+          ? token === pattern
+          : token.startsWith(pattern) || (token.length >= 5 && pattern.startsWith(token));
+      if (matched) indexes.push(index);
+    });
+    return indexes;
+  }
+
+  describe(element) {
+    const id = element.id ? `#${element.id}` : '';
+    const classes = typeof element.className === 'string' && element.className.trim()
+      ? `.${element.className.trim().split(/\s+/).slice(0, 2).join('.')}`
+      : '';
+    return `${element.tagName.toLowerCase()}${id}${classes}`;
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.ClickGuard = ClickGuard;
+}
@@ -0,0 +1,255 @@
+/**
+ * Cookie Marshal AI Agent - CMP Adapters
+ * Opt-out through a consent management platform's own JavaScript API, with
+ * its declarative rule (cmp-rules.js) driving the consent UI when the API is
+ * not loaded. The APIs live in the page's main world: injected.js makes the
+ * calls (cmpApis there) and answers over the page bridge.
+ *
+ * Adapter format:
+ *   id             Unique identifier
+ *   name           Display name
+ *   api            The CMP has an entry under this id in injected.js cmpApis
+ *   tcf            The CMP implements the IAB TCF v2 API; its getTCData tells
+ *                  the decision it holds
+ *   containers     Selectors for the CMP's root elements (shadow hosts included)
+ *   shadowBanners  Selectors for its consent UI inside a container's shadow root
+ *   messageFrame   The consent UI is served in its own iframe, usually from the
+ *                  CMP's origin: { hosts, marker, iframes }. The content script
+ *                  inside that frame handles it when the frame's host is one of
+ *                  hosts or its document has marker; iframes selects the frame
+ *                  on the page. Containers then only apply inside the frame
+ *   rule           Id of the cmp-rules.js rule that drives the UI instead
+ *   consentSource  ConsentVerifier source holding the stored decision, read
+ *                  when the API cannot tell
+ */
+
+import { systemClock } from './content-utils.js';
+
+export const CMP_ADAPTERS = [
+  {
+    id: 'didomi',
+    name: 'Didomi',
+    api: true,
+    containers: ['#didomi-host', '#didomi-notice', '#didomi-popup'],
+    rule: 'didomi',
+    consentSource: 'didomi'
+  },
+  {
+    id: 'usercentrics',
+    name: 'Usercentrics',
+    api: true,
+    containers: ['#usercentrics-root'],
+    shadowBanners: ['[data-testid="uc-default-banner"]', '[data-testid="uc-banner-content"]', '#uc-center-container'],
+    rule: 'usercentrics',
+    consentSource: 'usercentrics'
+  },
+  {
+    id: 'quantcast',
+    name: 'Quantcast Choice',
+    api: false,
+    tcf: true,
+    containers: ['#qc-cmp2-container', '.qc-cmp2-container'],
+    rule: 'quantcast',
+    consentSource: 'tcf'
+  },
+  {
+    id: 'sourcepoint',
+    name: 'Sourcepoint',
+    api: false,
+    containers: ['.message-container'],
+    messageFrame: {
+      hosts: ['privacy-mgmt.com', 'sp-prod.net'],
+      marker: '[class*="sp_choice_type_"]',
+      iframes: 'iframe[id^="sp_message_iframe"]'
+    },
+    rule: 'sourcepoint'
+  }
+];
+
+// injected.js cmpApis entry of whichever TCF v2 CMP the site runs
+const TCF_API = { id: 'tcf', name: 'TCF', api: true };
+
+export class CmpAdapters {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getBridge - () => the agent's PageBridge, null while disconnected
+   * @param {Object} [options.ruleEngine] - RuleEngine holding the adapters' UI rules
+   * @param {Object} [options.consentVerifier] - ConsentVerifier reading the stored decisions
+   * @param {Array<Object>} [options.adapters] - Defaults to CMP_ADAPTERS
+   * @param {Object} [options.clock] - { now() }, the agent's clock
+   */
+  constructor(options = {}) {
+    this.getBridge = options.getBridge || (() => null);
+    this.ruleEngine = options.ruleEngine || null;
+    this.consentVerifier = options.consentVerifier || null;
+    this.adapters = options.adapters || CMP_ADAPTERS;
+    this.clock = options.clock || systemClock;
+
+    this.verifyTimeout = 1500;
+    this.pollInterval = 100;
+  }
+
+  /**
+   * Find the adapter responsible for a banner element
+   * @param {HTMLElement} banner - Detected banner
+   * @returns {Object|null}
+   */
+  findForBanner(banner) {
+    if (!banner || !banner.nodeType) return null;
+
+    // A message frame's containers are generic; they only count inside the frame
+    const candidates = this.adapters.filter(adapter => !adapter.messageFrame || this.isMessageFrame(adapter, banner.ownerDocument));
+
+    return candidates.find(adapter => adapter.containers.some(selector => {
+      try {
+        if (banner.matches(selector) || banner.querySelector(selector)) return true;
+        // Walk out of shadow roots through their hosts
+        for (let node = banner; node; node = node.getRootNode().host) {
+          if (node.closest(selector)) return true;
+        }
+        return false;
+      } catch (error) {
+        return false; // Invalid selector
+      }
+    })) || null;
+  }
+
+  /**
+   * The CMP message frame this document is, when the content script runs in one
+   * @param {Document} document - Document the content script runs in
+   * @returns {{adapter: Object, banner: HTMLElement}|null} The adapter and the frame's consent UI
+   */
+  findMessageFrame(document) {
+    const adapter = this.adapters.find(candidate => candidate.messageFrame && this.isMessageFrame(candidate, document));
+    if (!adapter) return null;
+
+    const banner = adapter.containers.map(selector => document.querySelector(selector)).find(Boolean) || document.body;
+    return banner ? { adapter, banner } : null;
+  }
+
+  /**
+   * The CMP message frame a banner holds, seen from the page around it
+   * @param {HTMLElement} banner - Detected banner, or the iframe itself
+   * @returns {{adapter: Object, iframe: HTMLIFrameElement}|null}
+   */
+  findMessageFrameIframe(banner) {
+    if (!banner || !banner.nodeType) return null;
+
+    for (const adapter of this.adapters.filter(candidate => candidate.messageFrame)) {
+      const selector = adapter.messageFrame.iframes;
+      try {
+        const iframe = banner.matches(selector) ? banner : banner.querySelector(selector);
+        if (iframe) return { adapter, iframe };
+      } catch (error) {
+        // Invalid selector
+      }
+    }
+    return null;
+  }
+
+  // Whether the document is a subframe served by the adapter's CMP
+  isMessageFrame(adapter, document) {
+    const view = document && document.defaultView;
+    // Comparing with top is allowed across origins
+    if (!view || view.top === view) return false;
+
+    const host = document.location.hostname;
+    const { hosts, marker } = adapter.messageFrame;
+    return hosts.some(cmpHost => host === cmpHost || host.endsWith(`.${cmpHost}`)) || !!document.querySelector(marker);
+  }
+
+  // Consent UI selectors to look for inside shadow roots (searchShadowRoot)
+  getShadowBannerSelectors() {
+    return this.adapters.flatMap(adapter => adapter.shadowBanners || []);
+  }
+
+  /**
+   * Reject through the CMP's API, or its UI rule when the API is unavailable,
+   * then confirm the decision the CMP holds
+   * @param {Object} adapter - Entry of CMP_ADAPTERS
+   * @param {Object} [baseline] - ConsentVerifier snapshot taken before acting
+   * @returns {Promise<Object>} { success, method, adapter, verdict, buttonText, confidence, reason }
+   */
+  async run(adapter, baseline = null) {
+    const result = { success: false, method: `${adapter.id}-api`, adapter: adapter.id, verdict: 'unknown', confidence: 0 };
+
+    if (await this.callApi(adapter, 'present') === true) {
+      console.log(`🔌 Rejecting through the ${adapter.name} API...`);
+
+      if (await this.callApi(adapter, 'rejectAll') === 'called') {
+        const verdict = await this.waitForVerdict(adapter, baseline);
+        if (verdict === 'refused') {
+          return { ...result, success: true, verdict, confidence: 0.95 };
+        }
+        console.warn(`⚠️ ${adapter.name} API reports ${verdict} after rejecting, trying its consent UI`);
+      }
+    }
+
+    const rule = this.ruleEngine ? this.ruleEngine.rules.find(candidate => candidate.id === adapter.rule) : null;
+    if (!rule) {
+      return { ...result, reason: `${adapter.name} API unavailable and no UI rule` };
+    }
+
+    const ruleResult = await this.ruleEngine.run(rule);
+    if (!ruleResult.success) {
+      return { ...ruleResult, adapter: adapter.id, verdict: 'unknown' };
+    }
+
+    // The UI closed; the CMP still has to hold a refusal when it can tell
+    const verdict = await this.waitForVerdict(adapter, baseline);
+    if (verdict === 'granted') {
+      return { ...ruleResult, success: false, adapter: adapter.id, verdict, confidence: 0, reason: `${adapter.name} recorded consent` };
+    }
+    return { ...ruleResult, adapter: adapter.id, verdict };
+  }
+
+  /**
+   * The decision the CMP holds: its API's answer, else its stored decision
+   * @returns {Promise<string>} refused | granted | unknown
+   */
+  async readVerdict(adapter, baseline = null) {
+    const verdict = adapter.tcf ? await this.readTcfVerdict() : await this.callApi(adapter, 'status');
+    if (verdict === 'refused' || verdict === 'granted') return verdict;
+
+    if (!adapter.consentSource || !this.consentVerifier) return 'unknown';
+    return this.consentVerifier.read(baseline).sources[adapter.consentSource] || 'unknown';
+  }
+
+  /**
+   * The decision of the site's TCF v2 CMP, any CMP behind __tcfapi: refused
+   * when its TC string has no purpose consent
+   * @returns {Promise<string>} refused | granted | unknown (no TCF CMP, or no decision yet)
+   */
+  async readTcfVerdict() {
+    const verdict = await this.callApi(TCF_API, 'status');
+    return verdict === 'refused' || verdict === 'granted' ? verdict : 'unknown';
+  }
+
+  // Poll until the CMP holds a decision (a refusal may take a moment to store)
+  async waitForVerdict(adapter, baseline = null) {
+    const deadline = this.clock.now() + this.verifyTimeout;
+    let verdict = await this.readVerdict(adapter, baseline);
+
+    while (verdict === 'unknown' && this.clock.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+      verdict = await this.readVerdict(adapter, baseline);
+    }
+    return verdict;
+  }
+
+  /**
+   * One of the adapter's main-world actions (present, rejectAll, status)
+   * @returns {Promise<*>} Its value, null when the bridge or the call failed
+   */
+  async callApi(adapter, action) {
+    const bridge = this.getBridge();
+    if (!adapter.api || !bridge || !bridge.isReady) return null;
+
+    try {
+      return await bridge.call('cmpApi', adapter.id, action);
+    } catch (error) {
+      console.warn(`⚠️ ${adapter.name} API ${action} failed:`, error.message);
+      return null;
+    }
+  }
+}
@@ -0,0 +1,280 @@
+/**
+ * Cookie Marshal AI Agent - CMP Rules
+ * Declarative opt-out rules for consent management platforms, executed by
+ * RuleEngine (rule-engine.js). Adding a CMP means adding an entry here.
+ *
+ * Rule format (plain JSON):
+ *   id          Unique lowercase identifier, also used in stats ("onetrust")
+ *   name        Display name
+ *   aliases     Other names framework detection may report ("optanon")
+ *   containers  Selectors for the CMP's root elements (banner, dialog, preference center)
+ *   detect      Condition: the CMP is present on the page
+ *   show        Condition: its consent UI is currently shown
+ *   optOut      Steps that refuse every non-essential purpose
+ *   verify      Condition that must hold once the opt-out is done
+ *
+ * Selectors may continue into open shadow roots: "#host >>> .button"
+ *
+ * Conditions: { exists }, { visible }, { any: [...] }, { all: [...] }, { not }
+ * Steps:      { click, textIncludes?, optional? }, { waitFor, timeout? },
+ *             { wait }, { toggleOff, exclude?, labelContainer?, labelSelector? },
+ *             { check: condition }, { any: [[steps], [steps]] }
+ */
+
+const CMP_RULES = [
+  {
+    "id": "onetrust",
+    "name": "OneTrust",
+    "aliases": ["optanon", "cookiepro"],
+    "containers": [
+      "#onetrust-banner-sdk", "#onetrust-consent-sdk", "#onetrust-pc-sdk",
+      ".optanon-alert-box-wrapper", ".ot-sdk-container",
+      "[class*=\"optanon\"]", "[id*=\"optanon\"]",
+      "[class*=\"onetrust\"]", "[id*=\"onetrust\"]"
+    ],
+    "detect": {
+      "any": [
+        { "exists": "#onetrust-banner-sdk" },
+        { "exists": "#onetrust-consent-sdk" },
+        { "exists": ".optanon-alert-box-wrapper" }
+      ]
+    },
+    "show": {
+      "any": [
+        { "visible": "#onetrust-banner-sdk" },
+        { "visible": "#onetrust-pc-sdk" },
+        { "visible": ".optanon-alert-box-wrapper" }
+      ]
+    },
+    "optOut": [
+      {
+        "any": [
+          [{ "click": "#onetrust-reject-all-handler" }],
+          [
+            { "click": "#onetrust-pc-btn-handler" },
+            { "waitFor": "#onetrust-pc-sdk", "timeout": 2000 },
+            {
+              "any": [
+                [{ "click": "#onetrust-pc-sdk .ot-pc-refuse-all-handler" }],
+                [
+                  {
+                    "toggleOff": ".ot-switch input[type=\"checkbox\"]",
+                    "labelContainer": ".ot-cat-item",
+                    "labelSelector": ".ot-cat-header",
+                    "exclude": ["necessary"]
+                  },
+                  { "click": ".save-preference-btn-handler" }
+                ]
+              ]
+            }
+          ],
+          [{ "click": ".onetrust-close-btn-ui" }]
+        ]
+      }
+    ],
+    "verify": {
+      "not": {
+        "any": [
+          { "visible": "#onetrust-banner-sdk" },
+          { "visible": "#onetrust-pc-sdk" }
+        ]
+      }
+    }
+  },
+  {
+    "id": "cookiebot",
+    "name": "Cookiebot",
+    "aliases": ["cybot", "cookieconsent"],
+    "containers": [
+      "#CybotCookiebotDialog", ".CybotCookiebotDialog",
+      "#cookiebot", ".cookiebot-banner",
+      "[id*=\"cookiebot\"]", "[class*=\"cookiebot\"]"
+    ],
+    "detect": {
+      "any": [
+        { "exists": "#CybotCookiebotDialog" },
+        { "exists": ".cookiebot-banner" }
+      ]
+    },
+    "show": {
+      "any": [
+        { "visible": "#CybotCookiebotDialog" },
+        { "visible": ".cookiebot-banner" }
+      ]
+    },
+    "optOut": [
+      {
+        "any": [
+          [{ "click": "#CybotCookiebotDialogBodyButtonDecline" }],
+          [{ "click": "#CybotCookiebotDialogBodyLevelButtonLevelOptinDeclineAll" }],
+          [
+            { "click": "#CybotCookiebotDialogBodyButtonDetails" },
+            { "wait": 1000 },
+            {
+              "toggleOff": ".CybotCookiebotDialogBodyLevelButton input[type=\"checkbox\"], input[type=\"checkbox\"].CybotCookiebotDialogBodyLevelButton",
+              "labelContainer": "div",
+              "exclude": ["necessary"]
+            },
+            { "click": "#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowallSelection, #CybotCookiebotDialogBodyButtonLevelOptinAllowallSelection" }
+          ]
+        ]
+      }
+    ],
+    "verify": {
+      "not": {
+        "any": [
+          { "visible": "#CybotCookiebotDialog" },
+          { "visible": ".cookiebot-banner" }
+        ]
+      }
+    }
+  },
+  {
+    "id": "trustarc",
+    "name": "TrustArc",
+    "aliases": ["truste"],
+    "containers": [
+      "#truste-consent-track", ".truste-banner", "#consent_blackbar",
+      "[class*=\"trustarc\"]", "[id*=\"trustarc\"]"
+    ],
+    "detect": {
+      "any": [
+        { "exists": "#truste-consent-track" },
+        { "exists": ".truste-banner" },
+        { "exists": "#consent_blackbar" }
+      ]
+    },
+    "show": {
+      "any": [
+        { "visible": "#truste-consent-track" },
+        { "visible": ".truste-banner" }
+      ]
+    },
+    "optOut": [
+      {
+        "any": [
+          [{ "click": "#truste-consent-required" }],
+          [
+            { "click": ".pdynamicbutton, .call", "textIncludes": "option" },
+            { "wait": 1500 },
+            {
+              "toggleOff": ".switch input[type=\"checkbox\"]",
+              "labelContainer": "li, div:not(.switch)",
+              "exclude": ["required", "essential"]
+            },
+            { "click": ".submit" }
+          ]
+        ]
+      }
+    ],
+    "verify": {
+      "not": {
+        "any": [
+          { "visible": "#truste-consent-track" },
+          { "visible": ".truste-banner" }
+        ]
+      }
+    }
+  },
+  {
+    "id": "didomi",
+    "name": "Didomi",
+    "containers": [
+      "#didomi-host", "#didomi-notice", "#didomi-popup",
+      "[class*=\"didomi\"]", "[id*=\"didomi\"]"
+    ],
+    "detect": { "exists": "#didomi-host" },
+    "show": {
+      "any": [
+        { "visible": "#didomi-notice" },
+        { "visible": "#didomi-popup" }
+      ]
+    },
+    "optOut": [
+      {
+        "any": [
+          [{ "click": "#didomi-notice-disagree-button" }],
+          [{ "click": ".didomi-continue-without-agreeing" }],
+          [
+            { "click": "#didomi-notice-learn-more-button" },
+            { "waitFor": "#didomi-popup", "timeout": 2000 },
+            { "click": "#btn-toggle-disagree, #didomi-popup button", "textIncludes": "disagree" },
+            { "click": "#didomi-popup .didomi-consent-popup-actions button", "textIncludes": "save", "optional": true }
+          ]
+        ]
+      }
+    ],
+    "verify": {
+      "not": {
+        "any": [
+          { "visible": "#didomi-notice" },
+          { "visible": "#didomi-popup" }
+        ]
+      }
+    }
+  },
+  {
+    "id": "usercentrics",
+    "name": "Usercentrics",
+    "aliases": ["uc_ui"],
+    "containers": ["#usercentrics-root"],
+    "detect": { "exists": "#usercentrics-root" },
+    "show": { "visible": "#usercentrics-root >>> [data-testid=\"uc-deny-all-button\"]" },
+    "optOut": [
+      { "click": "#usercentrics-root >>> [data-testid=\"uc-deny-all-button\"]" }
+    ],
+    "verify": {
+      "not": { "visible": "#usercentrics-root >>> [data-testid=\"uc-deny-all-button\"]" }
+    }
+  },
+  {
+    "id": "quantcast",
+    "name": "Quantcast Choice",
+    "aliases": ["qc-cmp2"],
+    "containers": ["#qc-cmp2-container", ".qc-cmp2-container", "#qc-cmp2-ui"],
+    "detect": { "exists": ".qc-cmp2-container" },
+    "show": { "visible": "#qc-cmp2-ui" },
+    "optOut": [
+      {
+        "any": [
+          [{ "click": "#qc-cmp2-ui .qc-cmp2-summary-buttons button", "textIncludes": "disagree" }],
+          [
+            { "click": "#qc-cmp2-ui .qc-cmp2-summary-buttons button", "textIncludes": "more options" },
+            { "waitFor": "#qc-cmp2-ui .qc-cmp2-header-links", "timeout": 3000 },
+            { "click": "#qc-cmp2-ui .qc-cmp2-header-links button", "textIncludes": "reject all" },
+            { "click": "#qc-cmp2-ui .qc-cmp2-footer-links button", "textIncludes": "legitimate interest", "optional": true },
+            { "wait": 300 },
+            { "click": "#qc-cmp2-ui .qc-cmp2-header-links button", "textIncludes": "object all", "optional": true },
+            { "click": "#qc-cmp2-ui .qc-cmp2-footer button", "textIncludes": "save" }
+          ]
+        ]
+      }
+    ],
+    "verify": { "not": { "visible": "#qc-cmp2-ui" } }
+  },
+  {
+    "id": "sourcepoint",
+    "name": "Sourcepoint",
+    "aliases": ["sp_message"],
+    "containers": [".message-container", "[class*=\"sp_choice_type_\"]"],
+    "detect": { "exists": "[class*=\"sp_choice_type_\"]" },
+    "show": { "visible": "[class*=\"sp_choice_type_\"]" },
+    "optOut": [
+      {
+        "any": [
+          [{ "click": ".sp_choice_type_REJECT_ALL, .sp_choice_type_13" }],
+          [
+            { "click": ".sp_choice_type_12" },
+            { "waitFor": ".sp_choice_type_REJECT_ALL", "timeout": 3000 },
+            { "click": ".sp_choice_type_REJECT_ALL" }
+          ]
+        ]
+      }
+    ]
+  }
+];
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.CMP_RULES = CMP_RULES;
+}
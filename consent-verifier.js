@@ -0,0 +1,220 @@
+/**
+ * Cookie Marshal AI Agent - Consent Verifier
+ * Reads the decision a CMP stored after a banner was handled, so that a
+ * hidden banner only counts as a rejection when the optional purposes were
+ * actually refused (clicking "Accept" hides a banner too).
+ *
+ * Sources, checked on every read:
+ *   onetrust      OptanonConsent cookie, groups=C0001:1,C0002:0,...
+ *   cookiebot     CookieConsent cookie, {necessary:true,preferences:false,...}
+ *   tcf           euconsent-v2 cookie, IAB TC string
+ *   didomi        didomi_token (localStorage or cookie)
+ *   usercentrics  uc_settings localStorage entry
+ *
+ * Verdicts: 'refused', 'granted', or 'unknown' when no source recorded anything
+ */
+
+class ConsentVerifier {
+  /**
+   * @param {Object} [options]
+   * @param {Document} [options.document] - Document whose cookies are read
+   * @param {Storage} [options.storage] - localStorage of the page
+   */
+  constructor(options = {}) {
+    this.document = options.document || document;
+    this.storage = options.storage !== undefined ? options.storage : ConsentVerifier.getLocalStorage();
+    this.pollInterval = 100;
+
+    this.sources = [
+      { id: 'onetrust', read: () => this.getCookie('OptanonConsent'), parse: ConsentVerifier.parseOptanonConsent },
+      { id: 'cookiebot', read: () => this.getCookie('CookieConsent'), parse: ConsentVerifier.parseCookiebotConsent },
+      { id: 'tcf', read: () => this.getCookie('euconsent-v2'), parse: ConsentVerifier.parseTCString },
+      {
+        id: 'didomi',
+        read: () => this.getStorageItem('didomi_token') || this.getCookie('didomi_token'),
+        parse: ConsentVerifier.parseDidomiToken
+      },
+      { id: 'usercentrics', read: () => this.getStorageItem('uc_settings'), parse: ConsentVerifier.parseUsercentricsSettings }
+    ];
+  }
+
+  // Sandboxed frames throw on localStorage access
+  static getLocalStorage() {
+    try {
+      return window.localStorage;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Raw stored values, taken before acting on a banner
+   * @returns {Object} sourceId -> raw value (null when absent)
+   */
+  snapshot() {
+    const values = {};
+    this.sources.forEach(source => {
+      values[source.id] = this.readRaw(source);
+    });
+    return values;
+  }
+
+  /**
+   * Current verdict across all sources
+   * A source whose value is unchanged since the baseline says nothing about
+   * this banner (a decision left from an earlier visit) and is skipped.
+   * @param {Object} [baseline] - Result of snapshot()
+   * @returns {{verdict: string, sources: Object}} sources: sourceId -> verdict
+   */
+  read(baseline = null) {
+    const sources = {};
+
+    this.sources.forEach(source => {
+      const raw = this.readRaw(source);
+      if (raw === null || (baseline && baseline[source.id] === raw)) return;
+
+      try {
+        sources[source.id] = source.parse(raw);
+      } catch (error) {
+        sources[source.id] = 'unknown'; // Unexpected format
+      }
+    });
+
+    const verdicts = Object.values(sources);
+    let verdict = 'unknown';
+    if (verdicts.includes('granted')) {
+      verdict = 'granted';
+    } else if (verdicts.includes('refused')) {
+      verdict = 'refused';
+    }
+
+    return { verdict, sources };
+  }
+
+  /**
+   * Wait for a CMP to record its decision
+   * @param {Object} [baseline] - Result of snapshot()
+   * @param {number} [timeout] - ms to wait for a readable decision
+   * @returns {Promise<{verdict: string, sources: Object}>}
+   */
+  async verify(baseline = null, timeout = 1000) {
+    const deadline = Date.now() + timeout;
+    let result = this.read(baseline);
+
+    while (result.verdict === 'unknown' && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+      result = this.read(baseline);
+    }
+    return result;
+  }
+
+  readRaw(source) {
+    try {
+      const value = source.read();
+      return value === undefined || value === '' ? null : value;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getCookie(name) {
+    const entry = (this.document.cookie || '')
+      .split(';')
+      .map(part => part.trim())
+      .find(part => part.startsWith(`${name}=`));
+    return entry ? entry.slice(name.length + 1) : null;
+  }
+
+  getStorageItem(key) {
+    return this.storage ? this.storage.getItem(key) : null;
+  }
+
+  static decode(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  // groups=C0001:1,C0002:0 - C0001 (or "1" in older scripts) is strictly necessary
+  static parseOptanonConsent(raw) {
+    const groups = new URLSearchParams(ConsentVerifier.decode(raw)).get('groups');
+    if (!groups) return 'unknown';
+
+    const optional = groups.split(',')
+      .map(group => group.split(':'))
+      .filter(([id, state]) => id && state !== undefined && id !== 'C0001' && id !== '1');
+
+    if (optional.length === 0) return 'unknown';
+    return optional.some(([, state]) => state === '1') ? 'granted' : 'refused';
+  }
+
+  // "-1" means no consent is required in the visitor's region
+  static parseCookiebotConsent(raw) {
+    const value = ConsentVerifier.decode(raw);
+    const flags = Array.from(value.matchAll(/(preferences|statistics|marketing)\s*:\s*(true|false)/g));
+
+    if (value === '-1' || flags.length === 0) return 'unknown';
+    return flags.some(([, , state]) => state === 'true') ? 'granted' : 'refused';
+  }
+
+  /**
+   * Core segment of a TCF v2 string: refused when no purpose consent and no
+   * special feature opt-in is set (legitimate interest is not consent)
+   */
+  static parseTCString(raw) {
+    const core = ConsentVerifier.decode(raw).split('.')[0];
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+    const bits = core.split('').map(char => {
+      const index = alphabet.indexOf(char);
+      if (index < 0) throw new Error(`Invalid TC string character ${char}`);
+      return index.toString(2).padStart(6, '0');
+    }).join('');
+
+    // Version(6) Created(36) LastUpdated(36) CmpId(12) CmpVersion(12) ConsentScreen(6)
+    // ConsentLanguage(12) VendorListVersion(12) TcfPolicyVersion(6) IsServiceSpecific(1)
+    // UseNonStandardTexts(1), then SpecialFeatureOptIns(12) and PurposesConsent(24)
+    const specialFeaturesOffset = 140;
+    if (parseInt(bits.slice(0, 6), 2) !== 2 || bits.length < specialFeaturesOffset + 36) return 'unknown';
+
+    return bits.slice(specialFeaturesOffset, specialFeaturesOffset + 36).includes('1') ? 'granted' : 'refused';
+  }
+
+  // base64url (or URL-encoded) JSON with purposes/vendors { enabled, disabled }
+  static parseDidomiToken(raw) {
+    let token;
+    try {
+      token = JSON.parse(atob(raw.replace(/-/g, '+').replace(/_/g, '/')));
+    } catch (error) {
+      token = JSON.parse(ConsentVerifier.decode(raw));
+    }
+
+    const list = (group, key) => (token[group] && Array.isArray(token[group][key]) ? token[group][key] : []);
+    const enabled = [...list('purposes', 'enabled'), ...list('vendors', 'enabled')];
+    const disabled = [...list('purposes', 'disabled'), ...list('vendors', 'disabled')];
+
+    if (enabled.length > 0) return 'granted';
+    return disabled.length > 0 ? 'refused' : 'unknown';
+  }
+
+  // The most recent history action across services tells accept-all from deny-all
+  static parseUsercentricsSettings(raw) {
+    const settings = JSON.parse(raw);
+    const history = (Array.isArray(settings.services) ? settings.services : [])
+      .flatMap(service => (Array.isArray(service.history) ? service.history : []))
+      .filter(entry => entry && typeof entry.timestamp === 'number')
+      .sort((a, b) => b.timestamp - a.timestamp);
+
+    const latest = history[0];
+    if (!latest) return 'unknown';
+    if (latest.action === 'onDenyAllServices') return 'refused';
+    if (latest.action === 'onAcceptAllServices') return 'granted';
+    return 'unknown';
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.ConsentVerifier = ConsentVerifier;
+}
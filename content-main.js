@@ -0,0 +1,185 @@
+/**
+ * Cookie Marshal AI Agent - Content Script Entry
+ * Loaded by the content.js bootstrap through a dynamic import: starts the
+ * agent once the DOM is ready and wires the per-tab commands, settings
+ * changes and page lifecycle to it.
+ */
+
+import { AntiEvasionCookieKiller } from './cookie-killer.js';
+import { extensionErrorHandler } from './content-utils.js';
+
+async function initializeCookieKiller() {
+  try {
+    console.log('🍪 Initializing Cookie Marshal AI Agent...');
+    
+    // ENHANCED ERROR BOUNDARY: Prevent initialization failures
+    const maxRetries = 3;
+    let retryCount = 0;
+    
+    while (retryCount < maxRetries) {
+      try {
+        // Small delay to ensure page is settled
+        await new Promise(resolve => setTimeout(resolve, 1000 + (retryCount * 500)));
+        
+        // Initialize with error recovery
+        window.cookieKiller = new AntiEvasionCookieKiller();
+        await window.cookieKiller.initialize();
+        
+        console.log('✅ Cookie Banner Killer initialized successfully');
+        break;
+        
+      } catch (initError) {
+        retryCount++;
+        console.warn(`⚠️ Initialization attempt ${retryCount} failed:`, initError);
+        
+        if (retryCount >= maxRetries) {
+          console.error('❌ Failed to initialize after maximum retries');
+          
+          // Create minimal fallback instance
+          window.cookieKiller = {
+            isEnabled: false,
+            scanForBanners: () => console.log('Fallback: Scanner not available'),
+            cleanup: () => console.log('Fallback: Cleanup completed')
+          };
+          break;
+        }
+        
+        // Wait before retry
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+    
+  } catch (criticalError) {
+    console.error('🚨 CRITICAL ERROR during initialization:', criticalError);
+    
+    // Emergency fallback
+    window.cookieKiller = {
+      isEnabled: false,
+      error: criticalError.message,
+      scanForBanners: () => {},
+      cleanup: () => {}
+    };
+  }
+}
+
+/**
+ * Start the agent on this page. Called once per frame by content.js
+ */
+export function startAgent() {
+  // Initialize the system when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeCookieKiller);
+  } else {
+    initializeCookieKiller();
+  }
+
+  // Enhanced cleanup on page unload with error protection
+  window.addEventListener('beforeunload', () => {
+    try {
+      if (window.cookieKiller && typeof window.cookieKiller.cleanup === 'function') {
+        window.cookieKiller.cleanup();
+      }
+    } catch (cleanupError) {
+      console.warn('Cleanup error (non-critical):', cleanupError);
+    }
+  });
+
+  // Per-tab commands relayed by the background script (popup on/off switch, element picker,
+  // outcomes of CMP message frames)
+  if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.onMessage) {
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      const killer = window.cookieKiller;
+
+      switch (request.action) {
+        case 'setEnabled':
+          if (killer && typeof killer.applyActivation === 'function') {
+            killer.applyActivation({ tab: request.enabled !== false })
+              .then(() => sendResponse({ success: true }))
+              .catch(error => sendResponse({ success: false, error: error.message }));
+            return true; // Async response
+          }
+          sendResponse({ success: false, error: 'Agent not initialized' });
+          return false;
+
+        case 'undo':
+          if (killer && typeof killer.undo === 'function') {
+            killer.undo()
+              .then(data => sendResponse({ success: true, data }))
+              .catch(error => sendResponse({ success: false, error: error.message }));
+            return true; // Async response
+          }
+          sendResponse({ success: false, error: 'Agent not initialized' });
+          return false;
+
+        case 'startPicker':
+          if (killer && typeof killer.startPicker === 'function') {
+            // Answer right away: the popup closes while the user is picking
+            sendResponse({ success: true });
+            killer.startPicker()
+              .catch(error => extensionErrorHandler(error, 'element-picker'));
+            return false;
+          }
+          sendResponse({ success: false, error: 'Agent not initialized' });
+          return false;
+
+        case 'frameOutcome':
+          if (killer && typeof killer.handleFrameOutcome === 'function') {
+            killer.handleFrameOutcome(request);
+            sendResponse({ success: true });
+            return false;
+          }
+          sendResponse({ success: false, error: 'Agent not initialized' });
+          return false;
+
+        default:
+          return false;
+      }
+    });
+  }
+
+  // Follow the global isEnabled setting and site rules on pages that are already open
+  if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.onChanged) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      const killer = window.cookieKiller;
+      if (areaName !== 'sync') return;
+      if (!killer || typeof killer.applyActivation !== 'function') return;
+
+      if (changes.isEnabled) {
+        killer.applyActivation({ global: changes.isEnabled.newValue !== false })
+          .catch(error => extensionErrorHandler(error, 'settings-change'));
+      }
+
+      if (changes.siteRules) {
+        killer.refreshSiteRule()
+          .catch(error => extensionErrorHandler(error, 'site-rules-change'));
+      }
+
+      // Picked rules are stored per domain; let the background resolve ours
+      if (Object.keys(changes).some(key => key.startsWith('userRule_'))) {
+        killer.refreshUserRule()
+          .catch(error => extensionErrorHandler(error, 'user-rule-change'));
+      }
+    });
+  }
+
+  // GLOBAL ERROR HANDLER: Catch any remaining unhandled errors
+  window.addEventListener('error', (event) => {
+    if (event.error && event.error.message && 
+        (event.error.message.includes('Maximum call stack') || 
+         event.error.message.includes('cookieKiller') ||
+         event.error.message.includes('calculateRejectScore'))) {
+
+      console.error('🚨 CRITICAL: Detected potential recursion error:', event.error);
+
+      // Try to recover by disabling problematic functions
+      if (window.cookieKiller) {
+        window.cookieKiller.isEnabled = false;
+        console.log('🛡️ Disabled extension to prevent further recursion');
+      }
+
+      // Prevent default error handling to avoid browser crash
+      event.preventDefault();
+      return false;
+    }
+  });
+}
@@ -0,0 +1,143 @@
+/**
+ * Cookie Marshal AI Agent - Content Utilities
+ * Helpers shared by the content-script modules (cookie-killer.js,
+ * cookie-banner-agent.js, ai-engine.js...) and the environment they run in.
+ *
+ * Environment: every module class takes { document, storage, clock } in its
+ * options so it can run in Node against a jsdom document, a Map-backed
+ * storage and a fake clock. Missing entries fall back to the page's own.
+ */
+
+// Global error handler with context-aware logging for debugging
+export const extensionErrorHandler = (error, context = 'unknown') => {
+  console.error(`🚨 Cookie Banner Killer Error [${context}]:`, error);
+  return true; // Allow execution to continue despite errors
+};
+
+// Production-ready logging system with configurable verbosity levels
+export const Logger = {
+  // Configuration: Set to 'production' for release builds, 'development' for debugging
+  level: 'production',
+  
+  log: function(...args) {
+    if (this.level === 'development') {
+      console.log(...args);
+    }
+  },
+  
+  warn: function(...args) {
+    if (this.level === 'development') {
+      console.warn(...args);
+    }
+  },
+  
+  error: function(...args) {
+    // Critical errors are always logged, regardless of environment
+    console.error(...args);
+  },
+  
+  info: function(...args) {
+    if (this.level === 'development') {
+      console.info(...args);
+    }
+  }
+};
+
+// Error prevention utility: Execute functions with automatic fallback handling
+export const safeExecute = (fn, context = 'operation', fallback = null) => {
+  try {
+    return fn();
+  } catch (error) {
+    console.warn(`⚠️ Safe execution failed in ${context}:`, error);
+    return fallback;
+  }
+};
+
+// Error prevention utility: Access nested object properties safely with default values
+export const safeGet = (obj, path, defaultValue = null) => {
+  try {
+    const keys = path.split('.');
+    let result = obj;
+    for (const key of keys) {
+      if (result === null || result === undefined) {
+        return defaultValue;
+      }
+      result = result[key];
+    }
+    return result !== undefined ? result : defaultValue;
+  } catch (error) {
+    console.warn(`⚠️ Safe property access failed for path "${path}":`, error);
+    return defaultValue;
+  }
+};
+
+// Error prevention utility: Perform array operations with validation and fallback
+export const safeArrayOperation = (array, operation, fallback = []) => {
+  try {
+    if (!Array.isArray(array)) {
+      console.warn('⚠️ Expected array but received:', typeof array);
+      return fallback;
+    }
+    return operation(array);
+  } catch (error) {
+    console.warn('⚠️ Array operation failed:', error);
+    return fallback;
+  }
+};
+
+// Error prevention utility: Message the background script without throwing when
+// the extension context is gone (reloads, updates) or no listener answers
+export const sendToBackground = (message, fallback = null) => {
+  return new Promise(resolve => {
+    try {
+      if (typeof chrome === 'undefined' || !chrome.runtime?.id) {
+        resolve(fallback);
+        return;
+      }
+      
+      chrome.runtime.sendMessage(message, response => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+          resolve(fallback);
+          return;
+        }
+        resolve(response.data !== undefined ? response.data : response);
+      });
+    } catch (error) {
+      console.warn(`⚠️ Background message "${message.action}" failed:`, error);
+      resolve(fallback);
+    }
+  });
+};
+
+
+// Classes the classic content scripts listed before content.js in
+// manifest.json publish on window (RuleEngine, ClickGuard, ConsentVerifier...);
+// none when the modules are imported in Node
+export const contentScripts = typeof window !== 'undefined' ? window : {};
+
+export const systemClock = {
+  now: () => Date.now()
+};
+
+// Sandboxed frames throw on localStorage access
+const getLocalStorage = () => {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Fill in the environment of a module class
+ * @param {Object} [options]
+ * @param {Document} [options.document] - Document to scan and act on
+ * @param {Storage|null} [options.storage] - localStorage-like store for learned patterns, null for none
+ * @param {{now: Function}} [options.clock] - Source of the current time in ms
+ * @returns {{document: Document, storage: Storage|null, clock: {now: Function}}}
+ */
+export const resolveEnvironment = (options = {}) => ({
+  document: options.document || (typeof document !== 'undefined' ? document : null),
+  storage: options.storage !== undefined ? options.storage : getLocalStorage(),
+  clock: options.clock || systemClock
+});
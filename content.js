@@ -16,6 +16,11 @@
  * Cookie Marshal AI Agent - Content Script
  * Intelligent cookie banner detection and removal system using pattern matching and Q-learning
  * Implements comprehensive anti-evasion techniques for modern cookie consent frameworks
+ *
+ * Content scripts cannot be ES modules, so this bootstrap only guards
+ * against running twice and imports content-main.js. The agent itself lives
+ * in ES modules (cookie-killer.js, cookie-banner-agent.js, ai-engine.js, ...)
+ * that take their document, storage and clock as options and load in Node.
  */
 
 (function() {
@@ -27,4263 +32,8 @@
     return;
   }
   window.cookieBannerKillerLoaded = true;
-
-  // Global error handler with context-aware logging for debugging
-  const extensionErrorHandler = (error, context = 'unknown') => {
-    console.error(`🚨 Cookie Banner Killer Error [${context}]:`, error);
-    return true; // Allow execution to continue despite errors
-  };
-
-  // Production-ready logging system with configurable verbosity levels
-  const Logger = {
-    // Configuration: Set to 'production' for release builds, 'development' for debugging
-    level: 'production',
-    
-    log: function(...args) {
-      if (this.level === 'development') {
-        console.log(...args);
-      }
-    },
-    
-    warn: function(...args) {
-      if (this.level === 'development') {
-        console.warn(...args);
-      }
-    },
-    
-    error: function(...args) {
-      // Critical errors are always logged, regardless of environment
-      console.error(...args);
-    },
-    
-    info: function(...args) {
-      if (this.level === 'development') {
-        console.info(...args);
-      }
-    }
-  };
-
-  // Error prevention utility: Execute functions with automatic fallback handling
-  const safeExecute = (fn, context = 'operation', fallback = null) => {
-    try {
-      return fn();
-    } catch (error) {
-      console.warn(`⚠️ Safe execution failed in ${context}:`, error);
-      return fallback;
-    }
-  };
-
-  // Error prevention utility: Access nested object properties safely with default values
-  const safeGet = (obj, path, defaultValue = null) => {
-    try {
-      const keys = path.split('.');
-      let result = obj;
-      for (const key of keys) {
-        if (result === null || result === undefined) {
-          return defaultValue;
-        }
-        result = result[key];
-      }
-      return result !== undefined ? result : defaultValue;
-    } catch (error) {
-      console.warn(`⚠️ Safe property access failed for path "${path}":`, error);
-      return defaultValue;
-    }
-  };
-
-  // Error prevention utility: Perform array operations with validation and fallback
-  const safeArrayOperation = (array, operation, fallback = []) => {
-    try {
-      if (!Array.isArray(array)) {
-        console.warn('⚠️ Expected array but received:', typeof array);
-        return fallback;
-      }
-      return operation(array);
-    } catch (error) {
-      console.warn('⚠️ Array operation failed:', error);
-      return fallback;
-    }
-  };
-
-  /**
-   * Main cookie banner detection and removal engine
-   * Implements advanced anti-evasion techniques for modern cookie consent frameworks
-   */
-  /**
-   * Cookie Marshal AI Agent - Advanced Cookie Banner Detection & Rejection System
-   * 
-   * =======================================================================
-   * PERSONAL LEARNING PROJECT DOCUMENTATION FOR DEVELOPERS
-   * =======================================================================
-   * 
-   * This system demonstrates practical AI engineering by choosing specialized 
-   * pattern-matching + Q-learning over trendy LLM approaches for cookie banner handling.
-   * 
-   * WHY THIS ARCHITECTURE?
-   * ----------------------
-   * Instead of using Large Language Models (ChatGPT, Claude, etc.), I built a
-   * specialized AI system optimized for the specific task of cookie banner detection:
-   * 
-   * ✅ SPECIALIZED AI ADVANTAGES:
-   * - Speed: <200ms processing vs 1-5s API delays  
-   * - Privacy: 100% local processing, zero external calls
-   * - Reliability: Deterministic behavior vs unpredictable LLM responses
-   * - Efficiency: Minimal browser resources vs heavy computational requirements
-   * - Cost: Free operation vs API usage costs
-   * 
-   * CORE TECHNICAL COMPONENTS:
-   * -------------------------
-   * 1. Pattern Recognition: 43+ CSS selectors + multi-language keyword detection
-   * 2. Q-Learning Agent: Reinforcement learning for strategy optimization  
-   * 3. Multi-Step Navigation: Complex preference center & consent wizard handling
-   * 4. Anti-Evasion: Shadow DOM, iframe, and dynamic content scanning
-   * 5. Framework Handlers: OneTrust, CookieBot, TrustArc specialized support
-   * 6. Hybrid Decision: Rule-based + AI analysis with confidence scoring
-   * 
-   * LEARNING GOALS ACHIEVED:
-   * -----------------------
-   * ✓ Understanding when specialized AI outperforms general AI
-   * ✓ Building privacy-preserving machine learning systems
-   * ✓ Creating production-ready browser extensions with complex logic
-   * ✓ Implementing reinforcement learning for real-world applications
-   * ✓ Demonstrating that "simple" can be more effective than "trendy"
-   * 
-   * ARCHITECTURE DECISION RATIONALE:
-   * --------------------------------
-   * This project proves that for focused tasks, a well-designed specialized
-   * system can outperform general-purpose AI in every meaningful metric:
-   * performance, privacy, reliability, and user experience.
-   * 
-   * @class AntiEvasionCookieKiller
-   * @description Main orchestrator class for intelligent cookie banner detection and rejection
-   * @author Personal Learning Project inspired by Ivan Lee's LinkedIn request
-   * @version 2024.1
-   */
-  class AntiEvasionCookieKiller {
-    /**
-     * Initialize the Cookie Marshal AI Agent with advanced multi-layered detection
-     * 
-     * DEVELOPER ARCHITECTURE NOTES:
-     * ----------------------------
-     * This constructor sets up a sophisticated system that balances:
-     * 1. Rule-based detection (fast & reliable for common patterns)
-     * 2. AI-powered analysis (flexible & learning for complex scenarios)
-     * 3. Hybrid coordination (chooses optimal strategy per situation)
-     * 
-     * The system emphasizes efficiency while maintaining learning capabilities -
-     * demonstrating practical AI engineering over theoretical complexity.
-     */
-    constructor() {
-      this.isEnabled = true;
-      this.processedBanners = new Set();  // Track processed banners to prevent duplicate handling
-      this.delayedBanners = new Set();    // Track banners pending delayed processing
-      this.shadowRoots = new Set();       // Monitor shadow DOM instances for banner detection
-      this.interceptedScripts = new Set(); // Track blocked cookie-related scripts
-      
-      // Anti-evasion detection configuration parameters
-      this.evasionConfig = {
-        maxScanDepth: 10,              // Maximum DOM traversal depth for banner detection
-        delayDetectionTimeout: 30000,   // Maximum wait time for delayed banner appearance (30 seconds)
-        aggressiveMode: true,          // Enable aggressive banner removal techniques
-        proactiveBlocking: true,       // Block cookie scripts before they execute
-        stealthMode: true              // Operate without detectable signatures
-      };
-      
-      // Component integration - initialized separately for modular architecture
-      this.ruleBasedAgent = null;        // Traditional pattern-matching agent
-      this.aiEngine = null;              // AI-powered analysis engine
-      this.hybridCoordinator = null;     // Decision coordinator between rule-based and AI approaches
-      this.isInitializing = false;      // Prevent concurrent initialization attempts
-      
-      // Resource management for cleanup operations
-      this.observers = [];               // DOM mutation observers
-      this.scanIntervals = [];           // Periodic scanning intervals
-      this.retryCount = 0;              // Current retry attempt counter
-      this.maxRetries = 5;              // Maximum retry attempts for failed operations
-      this.lastScanTime = 0;            // Timestamp of last banner scan for throttling
-      
-      // Initialize timeout references for proper cleanup
-      this.scanTimeout = null;
-      this.periodicInterval = null;
-      this.retryTimeout = null;
-      
-      // Framework detection tracking
-      this.detectedFrameworks = new Set();  // Store identified cookie management frameworks
-      
-      // Pattern learning and evasion detection
-      this.suspiciousPatterns = new Set();                      // Patterns that might indicate evasion attempts
-      this.knownEvasionTechniques = this.initializeEvasionDetection(); // Pre-configured evasion signatures
-      
-      // Optional component integration with graceful fallback
-      this.multiLanguageDetector = null;
-      this.initializeMultiLanguageSupport();
-      
-      this.performanceOptimizer = null;
-      this.initializePerformanceOptimizer();
-      
-      console.log('🛡️ Anti-Evasion Cookie Banner Killer initialized successfully');
-    }
-
-    /**
-     * Initialize multi-language detection capabilities if available
-     * Provides enhanced detection for international cookie banners
-     */
-    initializeMultiLanguageSupport() {
-      try {
-        if (window.MultiLanguageDetector) {
-          this.multiLanguageDetector = new window.MultiLanguageDetector();
-          console.log('🌍 Multi-language support enabled:', this.multiLanguageDetector.getLanguageStats());
-        }
-      } catch (error) {
-        console.warn('Multi-language detector initialization failed:', error);
-        // System continues with basic English detection as fallback
-      }
-    }
-
-    /**
-     * Initialize performance optimization features if available
-     * Improves scanning efficiency and reduces CPU usage
-     */
-    initializePerformanceOptimizer() {
-      try {
-        if (window.PerformanceOptimizer) {
-          this.performanceOptimizer = new window.PerformanceOptimizer();
-          console.log('⚡ Performance optimization enabled');
-        }
-      } catch (error) {
-        console.warn('Performance optimizer initialization failed:', error);
-        // System operates without optimization features
-      }
-    }
-
-    /**
-     * Initialize known evasion technique patterns and signatures
-     * Returns configuration object with detection patterns for various anti-bot techniques
-     */
-    initializeEvasionDetection() {
-      return {
-        // JavaScript patterns that indicate delayed banner loading
-        delayedLoadingIndicators: [
-          'setTimeout', 'setInterval', 'requestAnimationFrame',
-          'DOMContentLoaded', 'load', 'scroll', 'click',
-          'onScroll', 'onLoad', 'onDOMReady'
-        ],
-        
-        // CSS classes commonly used to hide banners from immediate detection
-        stealthClasses: [
-          'hidden', 'invisible', 'opacity-0', 'display-none',
-          'sr-only', 'screen-reader', 'visually-hidden'
-        ],
-        
-        // Known cookie consent management frameworks and platforms
-        cookieFrameworks: [
-          'cookiebot', 'onetrust', 'trustarc', 'quantcast',
-          'didomi', 'usercentrics', 'cookiepro', 'termly',
-          'iubenda', 'cookieyes', 'complianz', 'borlabs'
-        ],
-        
-        // Advanced evasion signatures used to detect automation tools
-        evasionSignatures: [
-          'bot-detect', 'headless', 'automation', 'selenium',
-          'webdriver', 'phantom', 'spider', 'crawler'
-        ]
-      };
-    }
-
-    async initialize() {
-      if (this.isInitializing) return;
-      this.isInitializing = true;
-      
-      try {
-        console.log('🚀 Initializing Anti-Evasion Cookie Killer with advanced detection...');
-        
-        // Inject advanced blocking scripts
-        await this.injectAdvancedScript();
-        
-        // Initialize core agents
-        this.ruleBasedAgent = new CookieBannerAgent();
-        
-        // Initialize AI engine if available
-        if (window.AIEngine) {
-          this.aiEngine = new window.AIEngine();
-          console.log('🧠 AI Engine created, initializing...');
-          
-          // Wait for AI initialization to complete
-          try {
-            await this.aiEngine.initialize();
-            console.log('✅ AI Engine fully initialized');
-          } catch (error) {
-            console.warn('⚠️ AI initialization failed, continuing with rules only:', error);
-            this.aiEngine = null; // Clear failed AI engine
-          }
-        }
-        
-        // Create hybrid coordinator
-        if (window.HybridCoordinator && this.ruleBasedAgent) {
-          this.hybridCoordinator = new window.HybridCoordinator(this.ruleBasedAgent, this.aiEngine);
-          console.log('🤖 Hybrid Coordinator initialized');
-        }
-        
-        console.log('✅ Anti-Evasion Cookie Killer ready');
-        
-        // Start aggressive scanning
-        await this.startAdvancedDetection();
-        
-      } catch (error) {
-        console.error('❌ Failed to initialize:', error);
-        this.ruleBasedAgent = new CookieBannerAgent();
-        await this.startAdvancedDetection();
-      }
-      
-      this.isInitializing = false;
-    }
-
-    async startAdvancedDetection() {
-      console.log('🕵️ Starting advanced cookie banner detection...');
-      
-      // Phase 1: Immediate scan
-      await this.performImmediateScan();
-      
-      // Phase 2: Setup continuous monitoring
-      this.setupAdvancedObservers();
-      
-      // Phase 3: Setup delayed detection
-      this.setupDelayedDetection();
-      
-      // Phase 4: Setup stealth detection
-      this.setupStealthDetection();
-      
-      // Phase 5: Setup framework-specific detection
-      this.setupFrameworkDetection();
-      
-      // Phase 6: Setup proactive blocking
-      if (this.evasionConfig.proactiveBlocking) {
-        this.setupProactiveBlocking();
-      }
-    }
-
-    async performImmediateScan() {
-      console.log('⚡ Performing immediate banner scan...');
-      
-      // Scan for existing banners
-      await this.scanForBanners();
-      
-      // Scan shadow DOM
-      this.scanShadowDOM();
-      
-      // Scan for hidden elements that might become visible
-      this.scanHiddenElements();
-      
-      // Check for framework loading indicators
-      this.detectFrameworkLoading();
-    }
-
-    setupAdvancedObservers() {
-      console.log('👁️ Setting up advanced DOM observers...');
-      
-      // Main DOM observer with enhanced detection
-      const mainObserver = new MutationObserver((mutations) => {
-        this.handleDOMMutations(mutations);
-      });
-      
-      mainObserver.observe(document.documentElement, {
-        childList: true,
-        subtree: true,
-        attributes: true,
-        attributeOldValue: true,
-        characterData: true,
-        characterDataOldValue: true
-      });
-      
-      this.observers.push(mainObserver);
-      
-      // Shadow DOM observer
-      const shadowObserver = new MutationObserver((mutations) => {
-        this.handleShadowDOMMutations(mutations);
-      });
-      
-      // Monitor for new shadow roots
-      this.monitorShadowRoots();
-      
-      // Style observer to catch CSS-based showing/hiding
-      this.setupStyleObserver();
-      
-      // Script injection observer
-      this.setupScriptObserver();
-    }
-
-    async handleDOMMutations(mutations) {
-      let needsScan = false;
-      let hasDelayedContent = false;
-      
-      for (const mutation of mutations) {
-        // Check for added nodes
-        if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-          for (const node of mutation.addedNodes) {
-            if (node.nodeType === Node.ELEMENT_NODE) {
-              // Check for cookie-related content
-              if (this.isLikelyCookieElement(node)) {
-                needsScan = true;
-                console.log('🎯 Detected potential cookie element:', node);
-              }
-              
-              // Check for delayed loading indicators
-              if (this.hasDelayedLoadingIndicators(node)) {
-                hasDelayedContent = true;
-
-              }
-              
-              // Check for framework components
-              if (this.isFrameworkComponent(node)) {
-                console.log('🏭 Detected cookie framework component:', node);
-                needsScan = true;
-              }
-            }
-          }
-        }
-        
-        // Check for attribute changes that might reveal hidden banners
-        if (mutation.type === 'attributes') {
-          const element = mutation.target;
-          if (this.isAttributeChangeRevealing(element, mutation.attributeName, mutation.oldValue)) {
-            needsScan = true;
-            console.log('👀 Detected revealing attribute change:', element);
-          }
-        }
-      }
-      
-      // Debounced scanning
-      if (needsScan) {
-        this.debouncedScan();
-      }
-      
-      // Extended monitoring for delayed content
-      if (hasDelayedContent) {
-        this.setupExtendedMonitoring();
-      }
-    }
-
-    setupDelayedDetection() {
-      console.log('⏱️ Setting up delayed banner detection...');
-      
-      // Multiple scan intervals to catch delayed banners
-      const intervals = [2000, 5000, 10000, 15000, 20000, 30000];
-      
-      intervals.forEach((delay, index) => {
-        const intervalId = setTimeout(async () => {
-          console.log(`🔍 Delayed scan ${index + 1}/${intervals.length} (${delay}ms)`);
-          
-          await this.scanForBanners();
-          this.scanForNewFrameworks();
-          this.detectLazyLoadedContent();
-          
-          // Aggressive mode: scan deeper into page structure
-          if (this.evasionConfig.aggressiveMode) {
-            await this.performDeepScan();
-          }
-          
-        }, delay);
-        
-        this.scanIntervals.push(intervalId);
-      });
-      
-      // Event-based delayed detection
-      this.setupEventBasedDetection();
-    }
-
-    setupEventBasedDetection() {
-      const events = ['scroll', 'click', 'mousemove', 'keydown', 'resize', 'focus'];
-      
-      events.forEach(eventType => {
-        let triggered = false;
-        
-        document.addEventListener(eventType, async () => {
-          if (!triggered) {
-            triggered = true;
-            console.log(`🎯 Event-based scan triggered by: ${eventType}`);
-            
-            // Wait a bit for event-triggered content to load
-            setTimeout(async () => {
-              await this.scanForBanners();
-              this.detectEventTriggeredBanners();
-            }, 1000);
-          }
-        }, { once: true, passive: true });
-      });
-    }
-
-    setupStealthDetection() {
-      console.log('🥷 Setting up stealth banner detection...');
-      
-      // Monitor for elements becoming visible
-      if ('IntersectionObserver' in window) {
-        const visibilityObserver = new IntersectionObserver((entries) => {
-          entries.forEach(entry => {
-            if (entry.isIntersecting && this.isLikelyCookieElement(entry.target)) {
-              console.log('👁️ Hidden banner became visible:', entry.target);
-              this.processBanner(entry.target);
-            }
-          });
-        });
-        
-        // Observe all potentially hidden elements
-        try {
-          document.querySelectorAll('[style*="display"], [class*="hidden"], [style*="visibility"]')
-            .forEach(el => {
-              if (this.isLikelyCookieElement(el)) {
-                visibilityObserver.observe(el);
-              }
-            });
-        } catch (error) {
-          console.warn('Failed to setup visibility observer for hidden elements:', error);
-        }
-      }
-      
-      // Monitor CSS changes that might reveal banners
-      this.monitorCSSChanges();
-      
-      // Detect and handle iframe-based banners
-      this.detectIframeBanners();
-    }
-
-    setupFrameworkDetection() {
-      console.log('🏭 Setting up framework-specific detection...');
-      
-      // Monitor for OneTrust
-      this.monitorFramework('OneTrust', ['optanon', 'onetrust', 'otBannerSdk']);
-      
-      // Monitor for CookieBot
-      this.monitorFramework('CookieBot', ['cookiebot', 'cb']);
-      
-      // Monitor for TrustArc
-      this.monitorFramework('TrustArc', ['trustarc', 'truste']);
-      
-      // Monitor for other frameworks
-      this.knownEvasionTechniques.cookieFrameworks.forEach(framework => {
-        this.monitorFrameworkByName(framework);
-      });
-      
-      // Generic framework detection
-      this.setupGenericFrameworkDetection();
-    }
-
-    monitorFramework(name, identifiers) {
-      // Monitor global variables
-      identifiers.forEach(id => {
-        this.monitorGlobalVariable(id, () => {
-          console.log(`🏭 Detected ${name} framework initialization`);
-          this.handleFrameworkDetection(name, id);
-        });
-      });
-      
-      // Monitor script loading
-      this.monitorScriptLoading(identifiers, name);
-      
-      // Monitor DOM for framework-specific elements
-      this.monitorFrameworkElements(identifiers);
-    }
-
-    monitorGlobalVariable(variable, callback) {
-      // Check if already exists
-      if (window[variable]) {
-        callback();
-        return;
-      }
-      
-      // Monitor for creation
-      Object.defineProperty(window, variable, {
-        configurable: true,
-        set(value) {
-          delete window[variable];
-          window[variable] = value;
-          callback();
-        }
-      });
-    }
-
-    setupProactiveBlocking() {
-      console.log('🛡️ Setting up proactive banner blocking...');
-      
-      // Block known cookie script URLs
-      this.blockCookieScripts();
-      
-      // Intercept fetch/XHR requests for cookie-related content
-      this.interceptCookieRequests();
-      
-      // Block CSS that creates banners
-      this.blockCookieCSS();
-      
-      // Create fake APIs to fool detection scripts
-      this.createFakeAPIs();
-      
-      // Block specific cookie frameworks from loading
-      this.blockFrameworkInitialization();
-    }
-
-    async scanForBanners() {
-      const currentTime = Date.now();
-      
-      // Prevent excessive scanning
-      if (currentTime - this.lastScanTime < 500) {
-        return;
-      }
-      this.lastScanTime = currentTime;
-      
-      console.log('🔍 Advanced banner scanning...');
-      
-              // SAFE ENHANCEMENT: Use performance-optimized scanning if available
-      let banners;
-      if (this.performanceOptimizer && typeof this.performanceOptimizer.optimizedScan === 'function') {
-        try {
-          banners = await this.performanceOptimizer.optimizedScan(
-            () => this.findAllCookieBanners(),
-            this.performanceOptimizer.generateScanCacheKey()
-          );
-          console.log('⚡ Performance-optimized scan completed');
-        } catch (error) {
-          console.warn('Optimized scan failed, using fallback:', error);
-          banners = await this.findAllCookieBanners();
-        }
-      } else {
-        // ORIGINAL FUNCTIONALITY: Direct scan
-        banners = await this.findAllCookieBanners();
-      }
-      
-      if (banners.length > 0) {
-        console.log(`🎯 Found ${banners.length} cookie banner(s)`);
-
-
-        
-        for (const banner of banners) {
-          if (!this.processedBanners.has(banner)) {
-            await this.processBanner(banner);
-            this.processedBanners.add(banner);
-          }
-        }
-      }
-      
-      // Always check for delayed banners
-      this.scheduleDelayedCheck();
-    }
-
-    async findAllCookieBanners() {
-      const banners = [];
-      
-      // Enhanced selector patterns
-      const advancedSelectors = this.getAdvancedSelectors();
-      
-      // SAFE ENHANCEMENT: Use batch queries if available
-      if (this.performanceOptimizer && typeof this.performanceOptimizer.batchQuerySelectors === 'function') {
-        try {
-          const batchResults = this.performanceOptimizer.batchQuerySelectors(advancedSelectors);
-          
-          // Process batch results
-          for (const [selector, elements] of batchResults) {
-            elements.forEach(element => {
-              if (this.isValidCookieBanner(element) && !this.processedBanners.has(element)) {
-                banners.push(element);
-              }
-            });
-          }
-        } catch (error) {
-          console.warn('Batch query failed, using individual queries:', error);
-          // Fall back to original implementation
-          for (const selector of advancedSelectors) {
-            try {
-              const elements = document.querySelectorAll(selector);
-              elements.forEach(element => {
-                if (this.isValidCookieBanner(element) && !this.processedBanners.has(element)) {
-                  banners.push(element);
-                }
-              });
-            } catch (error) {
-              console.warn(`Error with selector ${selector}:`, error);
-            }
-          }
-        }
-      } else {
-        // ORIGINAL FUNCTIONALITY: Individual selector queries
-        for (const selector of advancedSelectors) {
-          try {
-            const elements = document.querySelectorAll(selector);
-            elements.forEach(element => {
-              if (this.isValidCookieBanner(element) && !this.processedBanners.has(element)) {
-                banners.push(element);
-              }
-            });
-          } catch (error) {
-            console.warn(`Error with selector ${selector}:`, error);
-          }
-        }
-      }
-      
-      // Find by content analysis
-      const contentBanners = this.findBannersByContent();
-      banners.push(...contentBanners);
-      
-      // Find in shadow DOM
-      const shadowBanners = this.findBannersInShadowDOM();
-      banners.push(...shadowBanners);
-      
-      // Find dynamically created banners
-      const dynamicBanners = this.findDynamicBanners();
-      banners.push(...dynamicBanners);
-      
-      // Find framework-specific banners
-      const frameworkBanners = this.findFrameworkBanners();
-      banners.push(...frameworkBanners);
-      
-      return this.deduplicateBanners(banners);
-    }
-
-    getAdvancedSelectors() {
-      return [
-        // Generic cookie banner selectors - IMPROVED with exclusions
-        '[class*="cookie" i]:not([class*="policy" i]):not(a):not(span):not([class*="cart" i]):not([class*="shop" i])',
-        '[id*="cookie" i]:not([id*="policy" i]):not(a):not(span):not([id*="cart" i]):not([id*="shop" i])',
-        '[class*="consent" i]:not(a):not(span):not([class*="terms" i]):not([class*="legal" i])',
-        '[id*="consent" i]:not(a):not(span):not([id*="terms" i]):not([id*="legal" i])',
-        
-        // GDPR and privacy related - MORE SPECIFIC
-        '[class*="gdpr" i]:not(a):not(span)',
-        '[class*="privacy" i][class*="banner" i]:not([class*="policy" i]):not(a):not(span)',
-        '[class*="cookie" i][class*="banner" i]:not(a):not(span)',
-        '[class*="consent" i][class*="banner" i]:not(a):not(span)',
-        
-        // Framework-specific selectors (these are safe)
-        '[class*="cookiebot" i]', '[id*="cookiebot" i]',
-        '[class*="onetrust" i]', '[id*="onetrust" i]',
-        '[class*="trustarc" i]', '[id*="trustarc" i]',
-        '[class*="quantcast" i]', '[id*="quantcast" i]',
-        '[class*="didomi" i]', '[id*="didomi" i]',
-        '[class*="usercentrics" i]', '[id*="usercentrics" i]',
-        '[class*="cookiepro" i]', '[id*="cookiepro" i]',
-        '[class*="termly" i]', '[id*="termly" i]',
-        '[class*="iubenda" i]', '[id*="iubenda" i]',
-        '[class*="cookieyes" i]', '[id*="cookieyes" i]',
-        '[class*="complianz" i]', '[id*="complianz" i]',
-        '[class*="borlabs" i]', '[id*="borlabs" i]',
-        
-        // Specific banner patterns - ENHANCED with cookie context
-        '.cookie-notice', '.privacy-notice', '.consent-banner',
-        '#cookie-bar', '#privacy-bar', '#consent-bar',
-        '.cookie-modal', '.privacy-modal', '.consent-modal',
-        '.cookie-overlay', '.privacy-overlay', '.consent-overlay',
-        
-        // SAFE position-based selectors - ONLY with cookie context
-        '[class*="cookie" i][style*="position: fixed"]',
-        '[class*="consent" i][style*="position: fixed"]',
-        '[class*="privacy" i][style*="position: fixed"]',
-        '[id*="cookie" i][style*="position: fixed"]',
-        '[id*="consent" i][style*="position: fixed"]',
-        
-        // SAFE role-based selectors - ONLY with cookie context
-        '[role="dialog"][aria-label*="cookie" i]',
-        '[role="dialog"][aria-label*="consent" i]', 
-        '[role="dialog"][aria-label*="privacy" i]',
-        '[role="banner"][class*="cookie" i]',
-        '[role="alert"][class*="cookie" i]',
-        
-        // Data attribute selectors - SAFE, specific
-        '[data-name*="cookie" i]', '[data-id*="cookie" i]',
-        '[data-name*="consent" i]', '[data-id*="consent" i]',
-        '[data-testid*="cookie" i]', '[data-testid*="consent" i]',
-        '[data-cookie-banner]', '[data-consent-banner]',
-        
-        // REPLACED DANGEROUS SELECTORS with SPECIFIC ones
-        '[class*="cookie" i][class*="banner" i]',
-        '[class*="cookie" i][class*="notice" i]', 
-        '[class*="cookie" i][class*="modal" i]',
-        '[class*="consent" i][class*="popup" i]',
-        '[class*="privacy" i][class*="overlay" i]',
-        
-        // Language-specific selectors - SAFE, specific
-        '[class*="cookies" i]:not([class*="shopping" i]):not([class*="recipe" i])',
-        '[class*="datenschutz" i]', '[class*="politique" i]',
-        '[class*="politica" i]', '[class*="privacidad" i]'
-      ];
-    }
-
-    findBannersByContent() {
-      const banners = [];
-      const cookieKeywords = [
-        'cookie', 'cookies', 'consent', 'privacy', 'gdpr', 'ccpa',
-        'accept', 'decline', 'reject', 'allow', 'deny',
-        'datenschutz', 'politique', 'politica', 'privacidad',
-        'tracking', 'analytics', 'functional', 'marketing'
-      ];
-      
-      // Find elements by text content
-      const walker = document.createTreeWalker(
-        document.body,
-        NodeFilter.SHOW_ELEMENT,
-        {
-          acceptNode: (node) => {
-            const text = node.textContent?.toLowerCase() || '';
-            const hasKeywords = cookieKeywords.some(keyword => text.includes(keyword));
-            const isVisible = this.isElementVisible(node);
-            const isValidSize = this.hasValidBannerSize(node);
-            
-            return hasKeywords && isVisible && isValidSize ? 
-              NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
-          }
-        }
-      );
-      
-      let node;
-      while (node = walker.nextNode()) {
-        if (this.isValidCookieBanner(node)) {
-          banners.push(node);
-        }
-      }
-      
-      return banners;
-    }
-
-    findBannersInShadowDOM() {
-      const banners = [];
-      
-      // Find all elements with shadow roots
-      const allElements = document.querySelectorAll('*');
-      
-      allElements.forEach(element => {
-        if (element.shadowRoot) {
-          this.shadowRoots.add(element.shadowRoot);
-          
-          // Search within shadow DOM
-          const shadowBanners = this.searchShadowRoot(element.shadowRoot);
-          banners.push(...shadowBanners);
-          
-          // Track shadow DOM banner detection
-          if (shadowBanners.length > 0) {
-
-            console.log(`🌑 Found ${shadowBanners.length} banners in Shadow DOM`);
-          }
-        }
-      });
-      
-      return banners;
-    }
-
-    findDynamicBanners() {
-      const banners = [];
-      
-      // Check for elements that were recently added
-      const recentElements = document.querySelectorAll('[data-recently-added], .dynamic-content');
-      
-      recentElements.forEach(element => {
-        if (this.isLikelyCookieElement(element) && this.isValidCookieBanner(element)) {
-          banners.push(element);
-
-          console.log('🔄 Found dynamically loaded banner');
-        }
-      });
-      
-      return banners;
-    }
-
-    findFrameworkBanners() {
-      const banners = [];
-      
-      // OneTrust specific
-      const oneTrustBanners = [
-        '#onetrust-banner-sdk', '#onetrust-consent-sdk',
-        '.optanon-alert-box-wrapper', '.ot-sdk-container'
-      ];
-      
-      // CookieBot specific
-      const cookieBotBanners = [
-        '#CybotCookiebotDialog', '.CybotCookiebotDialog',
-        '#cookiebot', '.cookiebot-banner'
-      ];
-      
-      // Combine all framework selectors
-      const frameworkSelectors = [...oneTrustBanners, ...cookieBotBanners];
-      
-      frameworkSelectors.forEach(selector => {
-        try {
-          const elements = document.querySelectorAll(selector);
-          elements.forEach(element => {
-            if (this.isValidCookieBanner(element)) {
-              banners.push(element);
-            }
-          });
-        } catch (error) {
-          // Framework selector failed
-        }
-      });
-      
-      return banners;
-    }
-
-    isLikelyCookieElement(element) {
-      if (!element || element.nodeType !== Node.ELEMENT_NODE) return false;
-      
-      const text = element.textContent?.toLowerCase() || '';
-      const className = (element.className || '').toString().toLowerCase();
-      const id = (element.id || '').toString().toLowerCase();
-      
-      // Check for cookie-related keywords
-      const cookieKeywords = [
-        'cookie', 'consent', 'privacy', 'gdpr', 'accept', 'decline', 'reject'
-      ];
-      
-      return cookieKeywords.some(keyword => 
-        text.includes(keyword) || className.includes(keyword) || id.includes(keyword)
-      );
-    }
-
-    hasDelayedLoadingIndicators(element) {
-      const scriptContent = element.textContent || '';
-      const attributes = Array.from(element.attributes || []).map(attr => attr.value).join(' ');
-      
-      return this.knownEvasionTechniques.delayedLoadingIndicators.some(indicator =>
-        scriptContent.includes(indicator) || attributes.includes(indicator)
-      );
-    }
-
-    isFrameworkComponent(element) {
-      const className = (element.className || '').toString().toLowerCase();
-      const id = (element.id || '').toString().toLowerCase();
-      
-      return this.knownEvasionTechniques.cookieFrameworks.some(framework =>
-        className.includes(framework) || id.includes(framework)
-      );
-    }
-
-    isAttributeChangeRevealing(element, attributeName, oldValue) {
-      if (!attributeName) return false;
-      
-      const revealingAttributes = ['style', 'class', 'hidden', 'aria-hidden'];
-      
-      if (revealingAttributes.includes(attributeName)) {
-        const currentValue = element.getAttribute(attributeName) || '';
-        
-        // Check if element is becoming visible
-        if (attributeName === 'style') {
-          const wasHidden = oldValue?.includes('display: none') || oldValue?.includes('visibility: hidden');
-          const isNowVisible = !currentValue.includes('display: none') && !currentValue.includes('visibility: hidden');
-          return wasHidden && isNowVisible && this.isLikelyCookieElement(element);
-        }
-        
-        if (attributeName === 'class') {
-          const hadHiddenClass = this.knownEvasionTechniques.stealthClasses.some(cls => 
-            oldValue?.includes(cls)
-          );
-          const hasVisibleClass = !this.knownEvasionTechniques.stealthClasses.some(cls => 
-            currentValue.includes(cls)
-          );
-          return hadHiddenClass && hasVisibleClass && this.isLikelyCookieElement(element);
-        }
-      }
-      
-      return false;
-    }
-
-    async processBanner(banner) {
-      // ENHANCED ERROR PREVENTION: Validate banner element
-      if (!banner || typeof banner !== 'object' || !banner.nodeType) {
-        console.warn('⚠️ Invalid banner element provided to processBanner');
-        return {
-          success: false,
-          method: 'invalid-element',
-          error: 'Invalid banner element',
-          confidence: 0
-        };
-      }
-
-      // ENHANCED ERROR PREVENTION: Prevent duplicate processing
-      if (this.processedBanners.has(banner)) {
-        console.log('ℹ️ Banner already processed, skipping');
-        return {
-          success: false,
-          method: 'already-processed',
-          confidence: 0
-        };
-      }
-
-      // Mark as processed immediately to prevent duplicate processing
-      this.processedBanners.add(banner);
-      
-      const processingStart = Date.now();
-      let result = null;
-
-      try {
-        console.log('🎯 Processing cookie banner with hybrid approach');
-
-        // ENHANCED ERROR PREVENTION: Safe hybrid coordinator check
-        if (safeGet(this, 'hybridCoordinator') && typeof this.hybridCoordinator.processBanner === 'function') {
-          console.log('🤖 Using Hybrid Coordinator...');
-          
-          result = await safeExecute(
-            () => Promise.race([
-            this.hybridCoordinator.processBanner(banner),
-            new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('Hybrid processing timeout')), 5000)
-              )
-            ]),
-            'hybrid-processing',
-            { success: false, method: 'hybrid-timeout', confidence: 0 }
-          );
-
-          // ENHANCED ERROR PREVENTION: Validate result structure
-          if (result && typeof result === 'object') {
-            // Track processing method for statistics (safely)
-            const method = safeGet(result, 'method', 'unknown');
-            const confidence = safeGet(result, 'confidence', 0);
-            
-            if (method.includes('ai')) {
-              console.log('🧠 AI processing completed');
-            } else if (method.includes('rule')) {
-              console.log('📋 Rule-based processing completed');
-            }
-            
-            if (method.includes('parallel')) {
-              console.log('⚡ Parallel processing completed');
-            }
-
-            // REMOVED: Statistics tracking for simplicity
-            // Confidence tracking removed to prevent errors
-          }
-          
-        } else {
-          // Fallback to direct agent processing
-          console.log('📋 Using Rule-Based Processing (fallback)...');
-          
-          // ENHANCED ERROR PREVENTION: Safe agent initialization
-          const agent = safeExecute(
-            () => new CookieBannerAgent(),
-            'agent-creation',
-            null
-          );
-          
-          if (!agent) {
-            throw new Error('Failed to create CookieBannerAgent');
-          }
-          
-          result = await safeExecute(
-            () => Promise.race([
-            agent.processBanner(banner),
-            new Promise((_, reject) => 
-              setTimeout(() => reject(new Error('Fallback timeout')), 3000)
-            )
-            ]),
-            'fallback-processing',
-            { success: false, method: 'fallback-timeout', confidence: 0 }
-          );
-        }
-
-        const processingTime = Date.now() - processingStart;
-
-        // ENHANCED ERROR PREVENTION: Validate result before proceeding
-        if (!result || typeof result !== 'object') {
-          throw new Error('Invalid processing result');
-        }
-
-        if (safeGet(result, 'success', false)) {
-          // REMOVED: Framework and language tracking for simplicity
-          
-          this.markBannerSuccess(banner, result.method || 'hybrid', {
-            buttonText: result.buttonText,
-            confidence: result.confidence,
-            processingTime: processingTime
-          });
-          
-          console.log(`✅ Banner processed successfully in ${processingTime}ms`);
-          return result;
-          
-        } else {
-          // Try one more aggressive button search (ENHANCED: with better error handling)
-          console.log('🔍 Attempting aggressive button search...');
-          
-          const aggressiveResult = await safeExecute(
-            () => this.findAndClickRejectButton(banner),
-            'aggressive-search',
-            { success: false }
-          );
-          
-          if (safeGet(aggressiveResult, 'success', false)) {
-            this.markBannerSuccess(banner, 'aggressive-search', aggressiveResult);
-            return aggressiveResult;
-          }
-          
-          // Try multi-step consent handling if simple methods failed
-          console.log('🔄 Attempting multi-step consent flow...');
-          const multiStepResult = await safeExecute(
-            () => this.handleMultiStepConsent(banner),
-            'multi-step-consent',
-            { success: false }
-          );
-          
-          if (safeGet(multiStepResult, 'success', false)) {
-            this.markBannerSuccess(banner, 'multi-step-consent', multiStepResult);
-            console.log('✅ Multi-step consent completed successfully');
-            return multiStepResult;
-          }
-        }
-
-      } catch (error) {
-        console.error('❌ Banner processing failed with error:', error);
-
-        this.markBannerFailure(banner, `ERROR: ${safeGet(error, 'message', 'Unknown error')}`);
-        
-        return {
-          success: false,
-          method: 'error-occurred',
-          error: safeGet(error, 'message', 'Unknown error'),
-          confidence: 0
-        };
-      }
-
-      // Final fallback - mark as failure
-      this.markBannerFailure(banner, 'All processing methods failed');
-      return { 
-        success: false, 
-        reason: 'All processing attempts failed',
-        method: 'all-failed',
-        confidence: 0
-      };
-    }
-
-    // Console-only feedback methods
-    markBannerSuccess(banner, method, details) {
-        console.log(`✅ ${method}: ${details || 'Success'}`);
-    }
-
-    markBannerFailure(banner, reason) {
-      console.log(`❌ ${reason}`);
-    }
-
-    detectEvasionAttempt(banner) {
-      const indicators = [];
-      
-      // Check for delayed appearance
-      if (this.delayedBanners.has(banner)) {
-        indicators.push('delayed-loading');
-      }
-      
-      // Check for stealth techniques
-      const style = window.getComputedStyle(banner);
-      if (style.position === 'fixed' && parseInt(style.zIndex) > 9999) {
-        indicators.push('high-z-index');
-      }
-      
-      // Check for obfuscated attributes
-      const classes = (banner.className || '').toString().split(' ');
-      const hasObfuscatedClasses = classes.some(cls => 
-        /^[a-f0-9]{8,}$/.test(cls) || cls.length > 20
-      );
-      if (hasObfuscatedClasses) {
-        indicators.push('obfuscated-classes');
-      }
-      
-      // Check for framework evasion
-      if (this.isFrameworkEvasion(banner)) {
-        indicators.push('framework-evasion');
-      }
-      
-      return indicators.length > 0;
-    }
-
-    aggressiveRemoval(banner) {
-      console.log('🗡️ Applying aggressive banner removal...');
-      
-      try {
-        // REMOVED: No more hiding - only attempt button clicking
-        console.log('❌ Aggressive removal disabled - using console logging feedback only');
-        
-        // Try one more aggressive button search (FIXED: add await and proper error handling)
-        this.findAndClickRejectButton(banner).then(result => {
-          if (!result.success) {
-            console.log('Aggressive removal failed: No safe buttons found even with aggressive scanning');
-          }
-        }).catch(error => {
-          console.warn('Aggressive button search failed:', error);
-        });
-        
-        // REMOVED: DOM removal, overlay clearing, script blocking
-        // Banner remains visible for inspection
-        
-      } catch (error) {
-        console.warn('Aggressive removal failed:', error);
-      }
-    }
-
-    clearAssociatedOverlays(banner) {
-      // REMOVED: No longer hide overlays - just log for debugging
-      console.log('🔍 Scanning for associated overlays (no longer hidden)');
-      
-      const overlays = document.querySelectorAll([
-        '.modal-backdrop', '.overlay', '.backdrop',
-        '[style*="position: fixed"]', '[style*="z-index"]'
-      ].join(','));
-      
-      overlays.forEach(overlay => {
-        const zIndex = parseInt(window.getComputedStyle(overlay).zIndex);
-        if (zIndex > 1000) {
-          console.log('👁️ Found high z-index overlay (left visible):', overlay);
-          // REMOVED: this.hideBanner(overlay);
-        }
-      });
-    }
-
-    debouncedScan() {
-      clearTimeout(this.scanTimeout);
-      this.scanTimeout = setTimeout(() => this.scanForBanners(), 500);
-    }
-
-    scheduleDelayedCheck() {
-      setTimeout(async () => {
-        const newBanners = await this.findAllCookieBanners();
-        if (newBanners.length > 0) {
-          console.log('⏰ Found delayed banners:', newBanners.length);
-          newBanners.forEach(banner => this.delayedBanners.add(banner));
-          
-          for (const banner of newBanners) {
-            if (!this.processedBanners.has(banner)) {
-              await this.processBanner(banner);
-            }
-          }
-        }
-      }, 3000);
-    }
-
-    isValidCookieBanner(element) {
-      if (!element || element.nodeType !== Node.ELEMENT_NODE) return false;
-      if (this.processedBanners.has(element)) return false;
-      
-      // ENHANCED VALIDATION with context analysis
-      if (!this.isElementVisible(element) || !this.hasValidBannerSize(element)) {
-        return false;
-      }
-      
-      // Get element content including child elements
-      const elementText = element.textContent || '';
-      const elementHTML = element.innerHTML || '';
-      
-      // EXCLUSION CHECK: Skip obvious non-cookie elements
-      if (this.isExcludedElement(element, elementText)) {
-        return false;
-      }
-      
-      // FRAMEWORK CHECK: High confidence for known frameworks
-      if (this.isKnownCookieFramework(element)) {
-        return true;
-      }
-      
-      // CONTENT CHECK: Enhanced validation
-      if (!this.containsCookieKeywords(elementText)) {
-        return false;
-      }
-      
-      // CONTEXT CHECK: Analyze parent/position context
-      if (!this.hasValidCookieContext(element)) {
-        return false;
-      }
-      
-      // BUTTON CHECK: Must have actionable buttons
-      if (!this.hasValidCookieButtons(element)) {
-        return false;
-      }
-      
-      return true;
-    }
-
-    isExcludedElement(element, text) {
-      const tagName = element.tagName?.toLowerCase();
-      const className = (element.className || '').toString().toLowerCase();
-      const id = (element.id || '').toString().toLowerCase();
-      const role = element.getAttribute('role') || '';
-      const lowerText = text.toLowerCase();
-      
-      // Skip navigation elements
-      if (tagName === 'nav' || tagName === 'header' || tagName === 'footer' || 
-          role === 'navigation' || role === 'menubar' || role === 'tablist') {
-        return true;
-      }
-      
-      // Skip form elements (login, checkout, etc.)
-      if (tagName === 'form' || element.closest('form')) {
-        const formText = lowerText;
-        if (formText.includes('login') || formText.includes('sign in') || 
-            formText.includes('email') || formText.includes('password') ||
-            formText.includes('username') || formText.includes('register')) {
-          return true;
-        }
-      }
-      
-      // ENHANCED: More comprehensive commerce patterns
-      const commercePatterns = [
-        'cart', 'shop', 'buy', 'price', 'checkout', 'payment',
-        'product', 'order', 'purchase', 'sale', 'discount',
-        'add to cart', 'buy now', 'add to bag', 'wishlist',
-        'shipping', 'delivery', 'total', 'subtotal', 'tax'
-      ];
-      
-      if (commercePatterns.some(pattern => 
-        className.includes(pattern) || id.includes(pattern) || lowerText.includes(pattern)
-      )) {
-        return true;
-      }
-      
-      // ENHANCED: Media and interactive content
-      if (tagName === 'video' || tagName === 'audio' || tagName === 'iframe' ||
-          className.includes('video') || className.includes('player') ||
-          className.includes('media') || className.includes('carousel')) {
-        return true;
-      }
-      
-      // ENHANCED: User interface elements
-      const uiPatterns = [
-        'tooltip', 'dropdown', 'modal', 'sidebar', 'menu',
-        'search', 'filter', 'sort', 'pagination', 'breadcrumb',
-        'tab', 'accordion', 'dialog'
-      ];
-      
-      // Only exclude UI elements if they don't contain cookie-specific terms
-      if (uiPatterns.some(pattern => className.includes(pattern) || id.includes(pattern))) {
-        const hasCookieTerms = ['cookie', 'consent', 'privacy', 'gdpr'].some(term => 
-          lowerText.includes(term) || className.includes(term) || id.includes(term)
-        );
-        if (!hasCookieTerms) {
-        return true;
-        }
-      }
-      
-      // ENHANCED: Development platforms and tools
-      const developmentPatterns = [
-        'github', 'gitlab', 'bitbucket', 'commit', 'repository', 'pull request',
-        'issue', 'fork', 'clone', 'branch', 'merge', 'code review',
-        'stack overflow', 'stackoverflow', 'npm', 'yarn', 'webpack',
-        'docker', 'kubernetes', 'aws', 'azure', 'gcp'
-      ];
-      
-      if (developmentPatterns.some(pattern => 
-        className.includes(pattern) || id.includes(pattern) || lowerText.includes(pattern)
-      )) {
-        return true;
-      }
-      
-      // ENHANCED: Social media and sharing
-      const socialPatterns = [
-        'share', 'like', 'follow', 'subscribe', 'comment',
-        'facebook', 'twitter', 'linkedin', 'instagram', 'youtube',
-        'social', 'feed', 'post', 'tweet', 'pin'
-      ];
-      
-      if (socialPatterns.some(pattern => className.includes(pattern) || id.includes(pattern))) {
-        const hasCookieTerms = ['cookie', 'consent', 'privacy'].some(term => 
-          lowerText.includes(term)
-        );
-        if (!hasCookieTerms) {
-          return true;
-        }
-      }
-      
-      // ENHANCED: Notification/alert elements that aren't cookie-related
-      if ((className.includes('notification') || className.includes('alert') || 
-           className.includes('banner') || className.includes('toast')) && 
-          !lowerText.includes('cookie') && !lowerText.includes('privacy') && 
-          !lowerText.includes('consent') && !lowerText.includes('gdpr')) {
-        return true;
-      }
-      
-      // NEW: Skip elements that are clearly content sections
-      const contentPatterns = [
-        'article', 'blog', 'news', 'content', 'main', 'section',
-        'sidebar', 'widget', 'advertisement', 'ad-'
-      ];
-      
-      if (contentPatterns.some(pattern => 
-        tagName === pattern || className.includes(pattern) || id.includes(pattern)
-      )) {
-        const hasCookieTerms = ['cookie', 'consent', 'privacy', 'gdpr'].some(term => 
-          lowerText.includes(term) || className.includes(term) || id.includes(term)
-        );
-        if (!hasCookieTerms) {
-          return true;
-        }
-      }
-      
-      return false;
-    }
-
-    isKnownCookieFramework(element) {
-      const className = (element.className || '').toString().toLowerCase();
-      const id = (element.id || '').toString().toLowerCase();
-      
-      const frameworkIdentifiers = [
-        'cookiebot', 'onetrust', 'trustarc', 'quantcast', 'didomi',
-        'usercentrics', 'termly', 'iubenda', 'optanon'
-      ];
-      
-      return frameworkIdentifiers.some(framework => 
-        className.includes(framework) || id.includes(framework)
-      );
-    }
-
-    hasValidCookieContext(element) {
-      // ENHANCED: More sophisticated context validation
-      const style = getComputedStyle(element);
-      const position = style.position;
-      const zIndex = parseInt(style.zIndex) || 0;
-      const rect = element.getBoundingClientRect();
-      
-      // Framework elements always pass (high confidence)
-      if (this.isKnownCookieFramework(element)) {
-        return true;
-      }
-      
-      // ENHANCED: Check positioning characteristics of cookie banners
-      const isWellPositioned = (
-        position === 'fixed' || 
-        position === 'sticky' || 
-        zIndex > 100
-      );
-      
-      // ENHANCED: More precise banner location detection
-      const windowHeight = window.innerHeight;
-      const windowWidth = window.innerWidth;
-      
-      // Top banner detection (improved)
-      const isAtTop = rect.top < windowHeight * 0.25 && rect.top >= 0;
-      
-      // Bottom banner detection (improved)
-      const isAtBottom = rect.bottom > windowHeight * 0.75 && rect.bottom <= windowHeight;
-      
-      // Full width check (more lenient for mobile)
-      const isFullWidth = rect.width > windowWidth * 0.7;
-      
-      // Center modal detection
-      const isCenterModal = (
-        rect.left > windowWidth * 0.1 && 
-        rect.right < windowWidth * 0.9 &&
-        rect.top > windowHeight * 0.1 &&
-        rect.bottom < windowHeight * 0.9 &&
-        zIndex > 1000
-      );
-      
-      // Side banner detection (left/right edges)
-      const isSideBanner = (
-        (rect.left < 50 || rect.right > windowWidth - 50) &&
-        rect.height > windowHeight * 0.3
-      );
-      
-      const isBannerPosition = isAtTop || isAtBottom || isCenterModal || isSideBanner;
-      const isReasonableSize = rect.width >= 250 && rect.height >= 80;
-      
-      // ENHANCED: Check parent container context
-      const parentContext = this.checkParentCookieContext(element);
-      
-      // NEW: Check for overlay characteristics
-      const hasOverlayCharacteristics = (
-        style.backgroundColor !== 'rgba(0, 0, 0, 0)' &&
-        style.backgroundColor !== 'transparent' &&
-        (position === 'fixed' || position === 'absolute') &&
-        zIndex > 50
-      );
-      
-      // Combine all context signals
-      const contextScore = 
-        (isWellPositioned ? 0.3 : 0) +
-        (isBannerPosition && isFullWidth ? 0.4 : 0) +
-        (isCenterModal ? 0.4 : 0) +
-        (isSideBanner ? 0.2 : 0) +
-        (isReasonableSize ? 0.2 : 0) +
-        (parentContext ? 0.3 : 0) +
-        (hasOverlayCharacteristics ? 0.2 : 0);
-      
-      const isValidContext = contextScore >= 0.5;
-      
-      if (isValidContext) {
-        console.log(`✅ Valid cookie banner context (score: ${contextScore.toFixed(2)})`);
-      } else {
-        console.log(`❌ Invalid context (score: ${contextScore.toFixed(2)}, threshold: 0.5)`);
-      }
-      
-      return isValidContext;
-    }
-
-    // NEW: Helper method to check parent container context
-    checkParentCookieContext(element) {
-      let parent = element.parentElement;
-      let depth = 0;
-      
-      while (parent && depth < 3) {
-        const parentClass = (parent.className || '').toString().toLowerCase();
-        const parentId = (parent.id || '').toString().toLowerCase();
-        
-        // Check for cookie-related parent containers
-        const cookieContainerPatterns = [
-          'cookie', 'consent', 'privacy', 'banner', 'modal', 'overlay',
-          'gdpr', 'ccpa', 'notification', 'alert'
-        ];
-        
-        const hasParentContext = cookieContainerPatterns.some(pattern =>
-          parentClass.includes(pattern) || parentId.includes(pattern)
-        );
-        
-        if (hasParentContext) {
-          return true;
-        }
-        
-        parent = parent.parentElement;
-        depth++;
-      }
-      
-      return false;
-    }
-
-    hasValidCookieButtons(element) {
-      const buttons = element.querySelectorAll('button, a[role="button"], input[type="button"], [onclick]');
-      
-      if (buttons.length === 0) {
-        return false; // No actionable elements
-      }
-      
-      // Check if any button has cookie-related text
-      const buttonTexts = Array.from(buttons).map(btn => 
-        (btn.textContent || '').toLowerCase()
-      ).join(' ');
-      
-      const cookieButtonKeywords = [
-        'accept', 'decline', 'reject', 'allow', 'deny', 'manage',
-        'ok', 'close', 'dismiss', 'preferences', 'settings'
-      ];
-      
-      return cookieButtonKeywords.some(keyword => 
-        buttonTexts.includes(keyword)
-      );
-    }
-
-    isElementVisible(element) {
-      if (!element) return false;
-      
-      const style = window.getComputedStyle(element);
-      const rect = element.getBoundingClientRect();
-      
-      return style.display !== 'none' &&
-             style.visibility !== 'hidden' &&
-             style.opacity !== '0' &&
-             rect.width > 0 &&
-             rect.height > 0;
-    }
-
-    hasValidBannerSize(element) {
-      const rect = element.getBoundingClientRect();
-      return rect.width >= 200 && rect.height >= 50;
-    }
-
-    containsCookieKeywords(content) {
-      // SAFE ENHANCEMENT: Use multi-language detection if available
-      if (this.multiLanguageDetector && typeof this.multiLanguageDetector.containsCookieContent === 'function') {
-        try {
-          const enhancedResult = this.multiLanguageDetector.containsCookieContent(content);
-          if (enhancedResult) {
-            return true; // Multi-language detection found a match
-          }
-        } catch (error) {
-          console.warn('Multi-language detection error, using fallback:', error);
-          // Continue to original implementation
-        }
-      }
-      
-      // ENHANCED VALIDATION: Require multiple signals to avoid false positives
-      const lowerContent = content.toLowerCase();
-      
-      // Primary cookie/privacy indicators (REQUIRED)
-      const primaryKeywords = [
-        'cookie', 'cookies', 'consent', 'privacy', 'gdpr', 'ccpa',
-        'datenschutz', 'politique', 'politica', 'privacidad'
-      ];
-      
-      // Secondary context indicators (strengthen confidence)
-      const secondaryKeywords = [
-        'accept', 'decline', 'reject', 'allow', 'deny', 'manage', 'preferences',
-        'tracking', 'analytics', 'functional', 'marketing', 'necessary',
-        'third party', 'advertising', 'personalization', 'legitimate interest'
-      ];
-      
-      // Framework indicators (high confidence)
-      const frameworkKeywords = [
-        'optanon', 'onetrust', 'cookiebot', 'trustarc', 'quantcast',
-        'didomi', 'usercentrics', 'termly', 'iubenda', 'cookiepro'
-      ];
-      
-      // ENHANCEMENT: Domain-specific pattern learning
-      const domainPatterns = this.getDomainSpecificPatterns(window.location.hostname);
-      
-      // ENHANCEMENT: Context-aware scoring  
-      const contextScore = this.calculateContextScore(lowerContent);
-      
-      // ENHANCED EXCLUSION patterns (automatic rejection)
-      const exclusionPatterns = [
-        // Shopping/commerce - more comprehensive
-        'add to cart', 'shopping cart', 'checkout', 'payment', 'order now',
-        'buy now', 'purchase', 'price', 'discount', 'sale', 'shipping cost',
-        'total price', 'subtotal', 'tax', 'coupon', 'promo code',
-        
-        // User account/auth - enhanced
-        'sign in', 'sign up', 'login', 'register', 'account', 'profile',
-        'username', 'password', 'email address', 'forgot password',
-        'create account', 'user registration', 'member login',
-        
-        // Navigation/UI - more specific
-        'main menu', 'navigation', 'search results', 'filter by', 'sort by',
-        'previous page', 'next page', 'page navigation', 'breadcrumb',
-        'back to top', 'scroll to', 'jump to section',
-        
-        // Media/content - expanded
-        'play video', 'watch now', 'download', 'share this', 'like this',
-        'subscribe', 'newsletter signup', 'notification settings',
-        'video player', 'audio controls', 'media gallery',
-        
-        // Errors/system - more comprehensive
-        'error message', 'warning', 'success message', 'loading', 'please wait',
-        'try again', 'refresh page', 'connection error', 'server error',
-        'page not found', '404 error', 'access denied',
-        
-        // NEW: Development/technical content
-        'code snippet', 'documentation', 'api reference', 'tutorial',
-        'download source', 'github repository', 'stack trace',
-        
-        // NEW: Social/community features
-        'leave a comment', 'rate this', 'review this', 'feedback form',
-        'contact us', 'customer support', 'help center'
-      ];
-      
-      // Check for exclusions first - more thorough
-      const hasExclusions = exclusionPatterns.some(pattern => 
-        lowerContent.includes(pattern)
-      );
-      
-      if (hasExclusions) {
-        console.log('🚫 Excluded content due to non-cookie patterns:', exclusionPatterns.find(p => lowerContent.includes(p)));
-        return false; // Definitely not a cookie banner
-      }
-      
-      // Check for framework indicators (high confidence)
-      const hasFramework = frameworkKeywords.some(keyword => 
-        lowerContent.includes(keyword)
-      );
-      
-      if (hasFramework) {
-        console.log('✅ Framework detected:', frameworkKeywords.find(k => lowerContent.includes(k)));
-        return true; // Framework detected = very likely cookie banner
-      }
-      
-      // ENHANCED: Multi-signal validation with improved scoring
-      const hasPrimary = primaryKeywords.some(keyword => 
-        lowerContent.includes(keyword)
-      );
-      
-      const hasSecondary = secondaryKeywords.some(keyword => 
-        lowerContent.includes(keyword)
-      );
-      
-      const hasDomainPattern = domainPatterns.some(pattern => 
-        lowerContent.includes(pattern)
-      );
-      
-      // NEW: Check for characteristic cookie banner phrases
-      const bannerPhrases = [
-        'we use cookies', 'this website uses', 'we collect information',
-        'improve your experience', 'personalize content', 'analyze traffic',
-        'for marketing purposes', 'third-party cookies', 'essential cookies',
-        'functional cookies', 'performance cookies', 'targeting cookies'
-      ];
-      
-      const hasBannerPhrase = bannerPhrases.some(phrase => 
-        lowerContent.includes(phrase)
-      );
-      
-      // NEW: Check for legal compliance terms
-      const legalTerms = [
-        'legal basis', 'legitimate interest', 'data processing',
-        'cookie policy', 'privacy policy', 'terms of service',
-        'data protection', 'user consent', 'opt-out'
-      ];
-      
-      const hasLegalTerms = legalTerms.some(term => 
-        lowerContent.includes(term)
-      );
-      
-      // Enhanced weighted scoring system for more accurate detection
-      let confidenceScore = 0;
-      if (hasPrimary) confidenceScore += 0.3;
-      if (hasSecondary) confidenceScore += 0.2;
-      if (hasDomainPattern) confidenceScore += 0.15;
-      if (hasBannerPhrase) confidenceScore += 0.25; // High weight for characteristic phrases
-      if (hasLegalTerms) confidenceScore += 0.1;
-      confidenceScore += contextScore * 0.1;
-      
-      // More conservative threshold: require 0.7+ confidence for better precision
-      const isValid = confidenceScore >= 0.7;
-      
-      if (isValid) {
-        console.log(`✅ Cookie content detected with confidence: ${confidenceScore.toFixed(2)}`);
-      } else {
-        console.log(`❌ Content rejected with confidence: ${confidenceScore.toFixed(2)} (threshold: 0.7)`);
-      }
-      
-      return isValid;
-    }
-
-    // ENHANCEMENT: Domain-specific pattern learning
-    getDomainSpecificPatterns(hostname) {
-      try {
-        const stored = localStorage.getItem(`patterns_${hostname}`);
-        if (stored) {
-          const data = JSON.parse(stored);
-          return data.successfulPatterns || [];
-        }
-      } catch (error) {
-        // Graceful fallback
-      }
-      return [];
-    }
-
-    // ENHANCEMENT: Context-aware scoring
-    calculateContextScore(content) {
-      let score = 0;
-      
-      // Check for banner-specific contexts
-      if (content.includes('this website') || content.includes('this site')) score += 0.2;
-      if (content.includes('we use') || content.includes('we collect')) score += 0.2;
-      if (content.includes('your experience') || content.includes('browsing experience')) score += 0.1;
-      if (content.includes('third party') || content.includes('partners')) score += 0.1;
-      
-      return Math.min(score, 0.5); // Cap at 0.5
-    }
-
-    /**
-     * Learn Successful Patterns - Core Learning Algorithm
-     * 
-     * DEVELOPER NOTES: This is the heart of the learning system that makes
-     * Cookie Marshal an "AI Agent" rather than just a pattern matcher.
-     * 
-     * LEARNING PHILOSOPHY:
-     * - Store successful interaction patterns locally for future use
-     * - Improve detection accuracy over time through experience
-     * - Maintain privacy by never transmitting learned data externally
-     * 
-     * TECHNICAL IMPLEMENTATION:
-     * - Extracts meaningful patterns from successful banner interactions
-     * - Stores domain-specific patterns in localStorage (privacy-preserving)
-     * - Limits storage to prevent memory bloat (max 20 patterns per domain)
-     * - Uses normalized text for robust pattern matching
-     * 
-     * This demonstrates practical machine learning - simple, effective, and
-     * privacy-preserving. Sometimes the best AI is the simplest that works.
-     * 
-     * @param {Element} banner - The successfully processed banner element
-     * @param {string} buttonText - Text of the successful reject button
-     */
-    learnSuccessfulPattern(banner, buttonText) {
-      try {
-        const hostname = window.location.hostname;
-        const key = `patterns_${hostname}`;
-        
-        // Extract useful patterns from successful interactions
-        const bannerText = banner.textContent?.toLowerCase() || '';
-        const patterns = [];
-        
-        // Learn button text patterns
-        if (buttonText) {
-          const normalizedButtonText = buttonText.toLowerCase().trim();
-          patterns.push(normalizedButtonText);
-        }
-        
-        // Learn banner context patterns
-        const contextWords = bannerText.split(' ').filter(word => 
-          word.length > 3 && 
-          ['cookie', 'consent', 'privacy', 'gdpr', 'tracking'].some(keyword => word.includes(keyword))
-        );
-        patterns.push(...contextWords.slice(0, 3)); // Max 3 context words
-        
-        // Store patterns (limit to prevent excessive storage)
-        const stored = localStorage.getItem(key);
-        const data = stored ? JSON.parse(stored) : { successfulPatterns: [] };
-        
-        patterns.forEach(pattern => {
-          if (!data.successfulPatterns.includes(pattern)) {
-            data.successfulPatterns.push(pattern);
-          }
-        });
-        
-        // Keep only recent patterns (max 20 per domain)
-        data.successfulPatterns = data.successfulPatterns.slice(-20);
-        
-        localStorage.setItem(key, JSON.stringify(data));
-        console.log(`🧠 Learned patterns for ${hostname}:`, patterns);
-        
-      } catch (error) {
-        // Silent failure - learning is optional
-        console.warn('Pattern learning failed:', error);
-      }
-    }
-
-    isNotNavigationElement(element) {
-      const tagName = element.tagName?.toLowerCase();
-      const role = element.getAttribute('role');
-      
-      return tagName !== 'nav' && 
-             tagName !== 'header' && 
-             tagName !== 'footer' && 
-             role !== 'navigation';
-    }
-
-    deduplicateBanners(banners) {
-      const unique = new Set();
-      const result = [];
-      
-      banners.forEach(banner => {
-        if (!unique.has(banner) && banner.isConnected) {
-          unique.add(banner);
-          result.push(banner);
-        }
-      });
-      
-      return result;
-    }
-
-    // Missing methods implementation
-    scanShadowDOM() {
-      console.log('🌑 Scanning Shadow DOM for banners...');
-      
-      const allElements = document.querySelectorAll('*');
-      allElements.forEach(element => {
-        if (element.shadowRoot) {
-          this.shadowRoots.add(element.shadowRoot);
-          
-          // Search within shadow DOM
-          const shadowBanners = this.searchShadowRoot(element.shadowRoot);
-          shadowBanners.forEach(banner => {
-            if (!this.processedBanners.has(banner)) {
-              this.processBanner(banner);
-            }
-          });
-        }
-      });
-    }
-
-    searchShadowRoot(shadowRoot) {
-      const banners = [];
-      const selectors = this.getAdvancedSelectors();
-      
-      selectors.forEach(selector => {
-        try {
-          const elements = shadowRoot.querySelectorAll(selector);
-          elements.forEach(element => {
-            if (this.isValidCookieBanner(element)) {
-              banners.push(element);
-            }
-          });
-        } catch (error) {
-          // Shadow DOM selector failed, continue
-        }
-      });
-      
-      return banners;
-    }
-
-    scanHiddenElements() {
-      console.log('👁️ Scanning hidden elements...');
-      
-      const hiddenElements = document.querySelectorAll('[style*="display: none"], [style*="visibility: hidden"], .hidden, .invisible');
-      
-      hiddenElements.forEach(element => {
-        if (this.isLikelyCookieElement(element)) {
-          // Check if it might become visible
-          const observer = new MutationObserver((mutations) => {
-            mutations.forEach(mutation => {
-              if (mutation.type === 'attributes' && 
-                  (mutation.attributeName === 'style' || mutation.attributeName === 'class')) {
-                if (this.isElementVisible(element) && this.isValidCookieBanner(element)) {
-                  console.log('👀 Hidden element became visible:', element);
-                  this.processBanner(element);
-                }
-              }
-            });
-          });
-          
-          observer.observe(element, { attributes: true, attributeFilter: ['style', 'class'] });
-          this.observers.push(observer);
-        }
-      });
-    }
-
-    detectFrameworkLoading() {
-      console.log('🏭 Detecting framework loading...');
-      
-      // Check for existing framework globals
-      const frameworks = ['OneTrust', 'Cookiebot', 'TrustArc', 'Didomi', 'UC_UI'];
-      
-      frameworks.forEach(framework => {
-        if (window[framework]) {
-          console.log(`🏭 Found ${framework} framework`);
-          setTimeout(() => this.scanForBanners(), 500);
-        }
-      });
-    }
-
-    handleShadowDOMMutations(mutations) {
-      // Handle shadow DOM changes
-      mutations.forEach(mutation => {
-        if (mutation.type === 'childList') {
-          mutation.addedNodes.forEach(node => {
-            if (node.nodeType === Node.ELEMENT_NODE && this.isLikelyCookieElement(node)) {
-              if (this.isValidCookieBanner(node)) {
-                console.log('🌑 Banner found in shadow DOM:', node);
-                this.processBanner(node);
-              }
-            }
-          });
-        }
-      });
-    }
-
-    setupExtendedMonitoring() {
-      console.log('🔬 Setting up extended monitoring...');
-      
-      // Monitor for late-loading scripts
-      const scriptObserver = new MutationObserver((mutations) => {
-        mutations.forEach(mutation => {
-          mutation.addedNodes.forEach(node => {
-            if (node.tagName === 'SCRIPT') {
-              const src = node.src || '';
-              const content = node.textContent || '';
-              
-              if (this.containsCookieKeywords(src + ' ' + content)) {
-                console.log('📜 Cookie-related script detected:', src || 'inline');
-                setTimeout(() => this.scanForBanners(), 1000);
-              }
-            }
-          });
-        });
-      });
-      
-      scriptObserver.observe(document.documentElement, { childList: true, subtree: true });
-      this.observers.push(scriptObserver);
-    }
-
-    detectIframeBanners() {
-      console.log('🖼️ Detecting iframe banners...');
-      
-      const iframes = document.querySelectorAll('iframe');
-      let bannersFound = 0;
-      
-      iframes.forEach(iframe => {
-        try {
-          // Only attempt to access iframe content if same-origin
-          if (iframe.contentDocument) {
-            const iframeBanners = this.searchIframeForBanners(iframe.contentDocument);
-            if (iframeBanners.length > 0) {
-              bannersFound += iframeBanners.length;
-
-              console.log(`🎯 Found ${iframeBanners.length} iframe banners`);
-            }
-          }
-        } catch (error) {
-          // Cross-origin iframe - cannot access
-          console.log('🚫 Cross-origin iframe detected, cannot scan');
-        }
-      });
-      
-      return bannersFound;
-    }
-
-    searchIframeForBanners(iframeDoc) {
-      const selectors = this.getAdvancedSelectors();
-      selectors.forEach(selector => {
-        try {
-          const elements = iframeDoc.querySelectorAll(selector);
-          elements.forEach(element => {
-            if (this.isValidCookieBanner(element)) {
-              console.log('🎯 Found banner in iframe:', element);
-              this.processBanner(element);
-            }
-          });
-        } catch (error) {
-          // Selector failed in iframe
-        }
-      });
-    }
-
-    setupGenericFrameworkDetection() {
-      console.log('🏭 Setting up generic framework detection...');
-      
-      // Monitor for framework initialization
-      const checkFrameworks = () => {
-        // SECURITY FIX: Replaced eval() with safe property access
-        // 
-        // DEVELOPER SECURITY NOTE: This method originally used eval() to check
-        // for global framework objects, which was a serious security vulnerability.
-        // 
-        // VULNERABILITY: eval('window.OneTrust') can execute arbitrary code
-        // SECURE FIX: () => window.OneTrust uses safe property access
-        // 
-        // This demonstrates secure coding practices in browser extensions:
-        // - Never use eval() with dynamic strings
-        // - Always use direct property access for object checking
-        // - Wrap in try-catch for safe feature detection
-        const frameworkChecks = [
-          { name: 'OneTrust', check: () => window.OneTrust },
-          { name: 'Cookiebot', check: () => window.Cookiebot },
-          { name: 'TrustArc', check: () => window.TrustArc },
-          { name: 'Didomi', check: () => window.Didomi },
-          { name: 'UC_UI', check: () => window.UC_UI },
-          { name: '__tcfapi', check: () => window.__tcfapi }
-        ];
-        
-        frameworkChecks.forEach(({ name, check }) => {
-          try {
-            if (check()) {
-              console.log(`🏭 Framework detected: ${name}`);
-              setTimeout(() => this.scanForBanners(), 500);
-            }
-          } catch (error) {
-            // Framework not available - this is expected and safe
-          }
-        });
-      };
-      
-      // Check immediately and periodically
-      checkFrameworks();
-      const intervalId = setInterval(checkFrameworks, 2000);
-      setTimeout(() => clearInterval(intervalId), 30000); // Stop after 30 seconds
-    }
-
-    isFrameworkEvasion(banner) {
-      const className = (banner.className || '').toString().toLowerCase();
-      const id = (banner.id || '').toString().toLowerCase();
-      
-      // Check for framework-specific patterns that indicate evasion
-      const evasionPatterns = [
-        'dynamic', 'lazy', 'delayed', 'async', 'defer',
-        'stealth', 'hidden', 'invisible', 'ghost'
-      ];
-      
-      return evasionPatterns.some(pattern => 
-        className.includes(pattern) || id.includes(pattern)
-      );
-    }
-
-    clearBannerRetries(banner) {
-      // Clear any retry mechanisms for this banner
-      if (banner._retryTimeout) {
-        clearTimeout(banner._retryTimeout);
-        delete banner._retryTimeout;
-      }
-    }
-
-    blockRecreationScripts(banner) {
-      console.log('🚫 Blocking banner recreation scripts...');
-      
-      try {
-        // Look for parent elements that might contain recreation logic
-        let parent = banner.parentElement;
-        while (parent) {
-          const scripts = parent.querySelectorAll('script');
-          scripts.forEach(script => {
-            if (this.containsCookieKeywords(script.textContent || '')) {
-              script.type = 'text/blocked';
-              script.remove();
-            }
-          });
-          parent = parent.parentElement;
-          if (parent === document.body) break;
-        }
-      } catch (error) {
-        console.warn('Failed to block recreation scripts:', error);
-      }
-    }
-
-    // Additional utility methods...
-    async injectAdvancedScript() {
-      // Implementation for injecting advanced scripts
-      console.log('💉 Injecting advanced anti-evasion scripts...');
-      
-      try {
-        // Inject CSS to block common banner patterns
-        const style = document.createElement('style');
-        style.textContent = `
-          [class*="cookie-banner"],
-          [class*="consent-banner"],
-          [id*="cookie-consent"],
-          .cookiebot-banner,
-          #onetrust-banner-sdk {
-            display: none !important;
-            visibility: hidden !important;
-            opacity: 0 !important;
-          }
-        `;
-        document.head.appendChild(style);
-        
-        return true;
-      } catch (error) {
-        console.warn('Failed to inject advanced scripts:', error);
-        return false;
-      }
-    }
-
-    // Statistics monitoring removed for simplicity
-
-    cleanup() {
-      // Clean up all observers and intervals
-      this.observers.forEach(observer => {
-        try {
-          observer.disconnect();
-        } catch (error) {
-          console.warn('Observer cleanup error:', error);
-        }
-      });
-      this.scanIntervals.forEach(id => clearTimeout(id));
-      
-      if (this.scanTimeout) clearTimeout(this.scanTimeout);
-      if (this.periodicInterval) clearInterval(this.periodicInterval);
-      if (this.retryTimeout) clearTimeout(this.retryTimeout);
-      
-      // ENHANCEMENT: Clear all arrays and sets to prevent memory leaks
-      this.observers = [];
-      this.scanIntervals = [];
-      this.processedBanners.clear();
-      this.delayedBanners.clear();
-      this.shadowRoots.clear();
-      this.interceptedScripts.clear();
-      this.detectedFrameworks.clear();
-      this.suspiciousPatterns.clear();
-      
-      // SAFE ENHANCEMENT: Clean up performance optimizer if available
-      if (this.performanceOptimizer && typeof this.performanceOptimizer.cleanup === 'function') {
-        try {
-          this.performanceOptimizer.cleanup();
-        } catch (error) {
-          console.warn('Performance optimizer cleanup failed:', error);
-        }
-      }
-      
-      // Multi-language detector doesn't need explicit cleanup (no resources to free)
-      console.log('🧹 Cookie killer cleanup completed');
-    }
-
-    // Proactive blocking methods
-    blockCookieScripts() {
-      console.log('🚫 Blocking cookie scripts...');
-      
-      const blockedDomains = [
-        'cookiebot.com', 'onetrust.com', 'trustarc.com',
-        'quantcast.com', 'didomi.io', 'usercentrics.com'
-      ];
-      
-      // Block scripts by modifying their loading
-      const observer = new MutationObserver((mutations) => {
-        mutations.forEach(mutation => {
-          mutation.addedNodes.forEach(node => {
-            if (node.tagName === 'SCRIPT' && node.src) {
-              const shouldBlock = blockedDomains.some(domain => 
-                node.src.includes(domain)
-              );
-              
-              if (shouldBlock) {
-                console.log('🚫 Blocked cookie script:', node.src);
-                node.type = 'text/blocked';
-                node.remove();
-              }
-            }
-          });
-        });
-      });
-      
-      observer.observe(document.documentElement, { childList: true, subtree: true });
-      this.observers.push(observer);
-    }
-
-    interceptCookieRequests() {
-      console.log('🕵️ Intercepting cookie requests...');
-      
-      const originalFetch = window.fetch;
-      window.fetch = async (...args) => {
-        const url = args[0];
-        if (typeof url === 'string' && this.mightContainBannerContent(url)) {
-          console.log('🚫 Blocked cookie request:', url);
-          return new Response('{}', { status: 200 });
-        }
-        return originalFetch.apply(this, args);
-      };
-    }
-
-    mightContainBannerContent(url) {
-      if (!url) return false;
-      
-      const bannerIndicators = [
-        'cookie', 'consent', 'privacy', 'banner', 'modal',
-        'onetrust', 'cookiebot', 'trustarc'
-      ];
-      
-      return bannerIndicators.some(indicator => 
-        url.toLowerCase().includes(indicator)
-      );
-    }
-
-    blockCookieCSS() {
-      console.log('🎨 Blocking cookie CSS...');
-      
-      // Monitor for CSS that creates banners
-      const cssObserver = new MutationObserver((mutations) => {
-        mutations.forEach(mutation => {
-          mutation.addedNodes.forEach(node => {
-            if (node.tagName === 'STYLE' || node.tagName === 'LINK') {
-              const content = node.textContent || node.href || '';
-              if (this.containsCookieKeywords(content)) {
-                console.log('🚫 Blocked cookie CSS:', node);
-                node.disabled = true;
-                node.remove();
-              }
-            }
-          });
-        });
-      });
-      
-      cssObserver.observe(document.documentElement, { childList: true, subtree: true });
-      this.observers.push(cssObserver);
-    }
-
-    createFakeAPIs() {
-      console.log('🎭 Creating fake APIs...');
-      
-      // Create fake consent APIs to fool detection scripts
-      window.__tcfapi = function(command, version, callback) {
-        if (callback) {
-          callback({ gdprApplies: false }, true);
-        }
-      };
-      
-      window.__cmp = function(command, parameter, callback) {
-        if (callback) {
-          callback({ consentData: null }, true);
-        }
-      };
-    }
-
-    blockFrameworkInitialization() {
-      console.log('🏭 Blocking framework initialization...');
-      
-      const blockedGlobals = [
-        'OneTrust', 'Cookiebot', 'TrustArc', 'Didomi', 'UC_UI'
-      ];
-      
-      blockedGlobals.forEach(globalName => {
-        Object.defineProperty(window, globalName, {
-          configurable: true,
-          set: function(value) {
-            console.log(`🚫 Blocked ${globalName} initialization`);
-            // Don't actually set the value
-          },
-          get: function() {
-            return undefined;
-          }
-        });
-      });
-    }
-
-    // Setup framework-specific monitoring
-    setupFrameworkSpecificMonitoring(frameworkName) {
-      console.log(`🔬 Setting up ${frameworkName} monitoring...`);
-      
-      // Framework-specific element monitoring
-      const frameworkSelectors = this.getFrameworkSelectors(frameworkName);
-      
-      const observer = new MutationObserver((mutations) => {
-        mutations.forEach(mutation => {
-          mutation.addedNodes.forEach(node => {
-            if (node.nodeType === Node.ELEMENT_NODE) {
-              const className = (node.className || '').toString().toLowerCase();
-              const id = (node.id || '').toString().toLowerCase();
-              
-              const isFrameworkElement = frameworkSelectors.some(selector =>
-                className.includes(selector) || id.includes(selector)
-              );
-              
-              if (isFrameworkElement && this.isValidCookieBanner(node)) {
-                console.log(`🎯 ${frameworkName} element detected:`, node);
-                this.processBanner(node);
-              }
-            }
-          });
-        });
-      });
-      
-      observer.observe(document.documentElement, { childList: true, subtree: true });
-      this.observers.push(observer);
-    }
-
-    getFrameworkSelectors(frameworkName) {
-      const selectors = {
-        'OneTrust': [
-          '#onetrust-banner-sdk', '.optanon-alert-box-wrapper', 
-          '[class*="onetrust"]', '[id*="onetrust"]'
-        ],
-        'CookieBot': [
-          '#CybotCookiebotDialog', '.CybotCookiebotDialog',
-          '[class*="cookiebot"]', '[id*="cookiebot"]'
-        ],
-        'TrustArc': [
-          '#truste-consent-track', '.truste-banner',
-          '[class*="trustarc"]', '[id*="trustarc"]'
-        ]
-      };
-      
-      return selectors[frameworkName] || [`[class*="${frameworkName.toLowerCase()}"]`];
-    }
-
-    // Missing methods that are referenced but not defined
-    monitorShadowRoots() {
-      const observer = new MutationObserver((mutations) => {
-        mutations.forEach(mutation => {
-          mutation.addedNodes.forEach(node => {
-            if (node.nodeType === Node.ELEMENT_NODE && node.shadowRoot) {
-              console.log('🌑 New shadow root detected:', node);
-              this.shadowRoots.add(node.shadowRoot);
-              this.searchShadowRoot(node.shadowRoot);
-            }
-          });
-        });
-      });
-      
-      observer.observe(document.documentElement, { childList: true, subtree: true });
-      this.observers.push(observer);
-    }
-
-    setupStyleObserver() {
-      const styleObserver = new MutationObserver((mutations) => {
-        mutations.forEach(mutation => {
-          if (mutation.type === 'attributes' && mutation.attributeName === 'style') {
-            const element = mutation.target;
-            if (this.isLikelyCookieElement(element)) {
-              console.log('🎨 Style change detected on potential banner:', element);
-              this.debouncedScan();
-            }
-          }
-        });
-      });
-      
-      // Observe all potential banner elements
-      document.querySelectorAll('*').forEach(el => {
-        if (this.isLikelyCookieElement(el)) {
-          styleObserver.observe(el, { attributes: true, attributeFilter: ['style'] });
-        }
-      });
-      
-      this.observers.push(styleObserver);
-    }
-
-    monitorCSSChanges() {
-      console.log('🎨 Setting up CSS change monitoring...');
-      
-      // Create a MutationObserver to watch for style changes
-      const cssObserver = new MutationObserver((mutations) => {
-        mutations.forEach(mutation => {
-          // Monitor for style attribute changes
-          if (mutation.type === 'attributes' && 
-              (mutation.attributeName === 'style' || 
-               mutation.attributeName === 'class')) {
-            const element = mutation.target;
-            
-            // Check if this element might be a cookie banner becoming visible
-            if (this.isLikelyCookieElement(element)) {
-              const currentStyle = getComputedStyle(element);
-              const isNowVisible = currentStyle.display !== 'none' && 
-                                  currentStyle.visibility !== 'hidden' && 
-                                  currentStyle.opacity !== '0';
-              
-              if (isNowVisible && this.isValidCookieBanner(element)) {
-                console.log('🎯 CSS change revealed cookie banner:', element);
-                this.processBanner(element);
-              }
-            }
-          }
-          
-          // Monitor for new style sheets being added
-          if (mutation.type === 'childList') {
-            mutation.addedNodes.forEach(node => {
-              if (node.tagName === 'STYLE' || node.tagName === 'LINK') {
-                // New CSS might reveal previously hidden banners
-                setTimeout(() => {
-                  this.scanForBanners();
-                }, 100);
-              }
-            });
-          }
-        });
-      });
-      
-      // Observe the entire document for style changes
-      cssObserver.observe(document.documentElement, {
-        attributes: true,
-        attributeFilter: ['style', 'class'],
-        childList: true,
-        subtree: true
-      });
-      
-      // Store observer for cleanup
-      if (!this.observers) this.observers = [];
-      this.observers.push(cssObserver);
-      
-      // Also monitor for dynamically inserted stylesheets
-      this.monitorStyleSheetChanges();
-    }
-
-    monitorStyleSheetChanges() {
-      // Watch for new stylesheets being loaded
-      const originalCreateElement = document.createElement;
-      document.createElement = function(tagName) {
-        const element = originalCreateElement.call(this, tagName);
-        
-        if (tagName.toLowerCase() === 'style' || tagName.toLowerCase() === 'link') {
-          element.addEventListener('load', () => {
-            // New stylesheet loaded, check for revealed banners
-            setTimeout(() => {
-              if (window.cookieKiller) {
-                window.cookieKiller.scanForBanners();
-              }
-            }, 100);
-          });
-        }
-        
-        return element;
-      };
-    }
-
-    setupScriptObserver() {
-      const scriptObserver = new MutationObserver((mutations) => {
-        mutations.forEach(mutation => {
-          mutation.addedNodes.forEach(node => {
-            if (node.tagName === 'SCRIPT') {
-              const src = node.src || '';
-              const content = node.textContent || '';
-              
-              if (this.isCookieFrameworkScript(src, content)) {
-                console.log('📜 Cookie framework script detected:', src || 'inline');
-                this.handleFrameworkScriptInjection(node);
-              }
-            }
-          });
-        });
-      });
-      
-      scriptObserver.observe(document.documentElement, { childList: true, subtree: true });
-      this.observers.push(scriptObserver);
-    }
-
-    isCookieFrameworkScript(src, content) {
-      const frameworkIndicators = [
-        'cookiebot', 'onetrust', 'trustarc', 'quantcast', 'didomi',
-        'usercentrics', 'cookiepro', 'termly', 'iubenda', 'borlabs'
-      ];
-      
-      return frameworkIndicators.some(indicator => 
-        src.toLowerCase().includes(indicator) || 
-        content.toLowerCase().includes(indicator)
-      );
-    }
-
-    handleFrameworkScriptInjection(scriptElement) {
-      console.log('🏭 Handling framework script injection');
-      
-      if (this.evasionConfig.proactiveBlocking) {
-        scriptElement.type = 'text/blocked';
-        scriptElement.remove();
-      }
-      
-      setTimeout(() => {
-        this.scanForBanners();
-        this.setupExtendedMonitoring();
-      }, 1000);
-    }
-
-    scanForNewFrameworks() {
-      console.log('🏭 Scanning for newly loaded cookie frameworks...');
-      
-      // Check for new global variables
-      this.knownEvasionTechniques.cookieFrameworks.forEach(framework => {
-        const variations = [
-          framework, framework.toUpperCase(), 
-          framework + 'API', framework + '_api',
-          framework + 'SDK', framework + '_sdk'
-        ];
-        
-        variations.forEach(variation => {
-          if (window[variation]) {
-            if (!this.detectedFrameworks) this.detectedFrameworks = new Set();
-            
-            if (!this.detectedFrameworks.has(variation)) {
-              console.log(`🏭 New framework detected: ${variation}`);
-              this.detectedFrameworks.add(variation);
-              this.handleNewFrameworkDetection(variation);
-            }
-          }
-        });
-      });
-      
-      // Check for new framework-specific DOM elements
-      const frameworkSelectors = [
-        '[class*="cookiebot"]', '[class*="onetrust"]', '[class*="trustarc"]',
-        '[class*="quantcast"]', '[class*="didomi"]', '[class*="usercentrics"]'
-      ];
-      
-      frameworkSelectors.forEach(selector => {
-        const elements = document.querySelectorAll(selector);
-        if (elements.length > 0) {
-          console.log(`🏭 Framework elements found: ${selector}`);
-          elements.forEach(el => {
-            if (this.isValidCookieBanner(el)) {
-              this.processBanner(el);
-            }
-          });
-        }
-      });
-    }
-
-    handleNewFrameworkDetection(variation) {
-      console.log(`🎯 Handling new framework detection: ${variation}`);
-      setTimeout(() => {
-        this.scanForBanners();
-      }, 500);
-    }
-
-    detectLazyLoadedContent() {
-      console.log('⏳ Detecting lazy-loaded banner content...');
-      
-      const lazyElements = document.querySelectorAll('[data-src], [loading="lazy"], .lazy-load');
-      
-      lazyElements.forEach(element => {
-        if (this.isLikelyCookieElement(element)) {
-          if (element.dataset.src) {
-            element.src = element.dataset.src;
-            delete element.dataset.src;
-          }
-          
-          element.dispatchEvent(new Event('load'));
-          setTimeout(() => this.scanForBanners(), 1000);
-        }
-      });
-    }
-
-    async performDeepScan() {
-      console.log('🔍 Performing deep scan for hidden banners...');
-      
-      const hiddenElements = document.querySelectorAll('[style*="display: none"], [style*="visibility: hidden"], .hidden, .invisible');
-      
-      for (const element of hiddenElements) {
-        if (this.isLikelyCookieElement(element)) {
-          const originalStyle = element.style.cssText;
-          element.style.display = 'block';
-          element.style.visibility = 'visible';
-          
-          if (this.isValidCookieBanner(element)) {
-            console.log('🕵️ Found hidden banner during deep scan:', element);
-            await this.processBanner(element);
-          }
-          
-          element.style.cssText = originalStyle;
-        }
-      }
-      
-      const highZElements = Array.from(document.querySelectorAll('*')).filter(el => {
-        const zIndex = parseInt(window.getComputedStyle(el).zIndex);
-        return zIndex > 1000;
-      });
-      
-      for (const element of highZElements) {
-        if (this.isLikelyCookieElement(element) && this.isValidCookieBanner(element)) {
-          console.log('🎯 Found high z-index banner:', element);
-          await this.processBanner(element);
-        }
-      }
-    }
-
-    detectEventTriggeredBanners() {
-      console.log('🎭 Detecting event-triggered banners...');
-      
-      const triggerEvents = [
-        new Event('scroll'),
-        new Event('mousemove'),
-        new Event('click', { bubbles: true }),
-        new Event('focus'),
-        new Event('resize')
-      ];
-      
-      triggerEvents.forEach(event => {
-        document.dispatchEvent(event);
-        window.dispatchEvent(event);
-      });
-      
-      setTimeout(() => this.scanForBanners(), 1500);
-    }
-
-    monitorFrameworkByName(frameworkName) {
-      const observer = new MutationObserver((mutations) => {
-        mutations.forEach(mutation => {
-          mutation.addedNodes.forEach(node => {
-            if (node.tagName === 'SCRIPT') {
-              const src = node.src || '';
-              const content = node.textContent || '';
-              
-              if (src.toLowerCase().includes(frameworkName) || 
-                  content.toLowerCase().includes(frameworkName)) {
-                console.log(`🏭 ${frameworkName} framework detected`);
-                this.handleFrameworkDetection(frameworkName, frameworkName);
-              }
-            }
-          });
-        });
-      });
-      
-      observer.observe(document.documentElement, { childList: true, subtree: true });
-      this.observers.push(observer);
-    }
-
-    handleFrameworkDetection(frameworkName, identifier) {
-      console.log(`🎯 Handling ${frameworkName} framework detection`);
-      
-      setTimeout(() => {
-        this.scanForBanners();
-        
-        if (frameworkName.toLowerCase().includes('onetrust')) {
-          this.scanOneTrustElements();
-        } else if (frameworkName.toLowerCase().includes('cookiebot')) {
-          this.scanCookieBotElements();
-        }
-      }, 500);
-      
-      this.setupFrameworkSpecificMonitoring(frameworkName);
-    }
-
-    scanOneTrustElements() {
-      const oneTrustSelectors = [
-        '#onetrust-banner-sdk', '#onetrust-consent-sdk',
-        '.optanon-alert-box-wrapper', '.ot-sdk-container',
-        '[class*="optanon"]', '[id*="optanon"]'
-      ];
-      
-      oneTrustSelectors.forEach(selector => {
-        const elements = document.querySelectorAll(selector);
-        elements.forEach(el => {
-          if (this.isValidCookieBanner(el)) {
-            console.log('🎯 OneTrust banner found:', el);
-            this.processBanner(el);
-          }
-        });
-      });
-    }
-
-    scanCookieBotElements() {
-      const cookieBotSelectors = [
-        '#CybotCookiebotDialog', '.CybotCookiebotDialog',
-        '#cookiebot', '.cookiebot-banner',
-        '[id*="cookiebot"]', '[class*="cookiebot"]'
-      ];
-      
-      cookieBotSelectors.forEach(selector => {
-        const elements = document.querySelectorAll(selector);
-        elements.forEach(el => {
-          if (this.isValidCookieBanner(el)) {
-            console.log('🎯 CookieBot banner found:', el);
-            this.processBanner(el);
-          }
-        });
-      });
-    }
-
-    // Missing methods found by validation
-    monitorScriptLoading(identifiers, frameworkName) {
-      const scriptObserver = new MutationObserver((mutations) => {
-        mutations.forEach(mutation => {
-          mutation.addedNodes.forEach(node => {
-            if (node.tagName === 'SCRIPT') {
-              const src = node.src || '';
-              
-              const isFrameworkScript = identifiers.some(identifier =>
-                src.toLowerCase().includes(identifier)
-              );
-              
-              if (isFrameworkScript) {
-                console.log(`📜 ${frameworkName} script loading:`, src);
-                
-                // Wait for script to execute and create elements
-                setTimeout(() => {
-                  this.scanForBanners();
-                }, 1000);
-              }
-            }
-          });
-        });
-      });
-      
-      scriptObserver.observe(document.documentElement, { childList: true, subtree: true });
-      this.observers.push(scriptObserver);
-    }
-
-    monitorFrameworkElements(identifiers) {
-      const elementObserver = new MutationObserver((mutations) => {
-        mutations.forEach(mutation => {
-          mutation.addedNodes.forEach(node => {
-            if (node.nodeType === Node.ELEMENT_NODE) {
-              const className = (node.className || '').toString().toLowerCase();
-              const id = (node.id || '').toString().toLowerCase();
-              
-              const isFrameworkElement = identifiers.some(identifier =>
-                className.includes(identifier) || id.includes(identifier)
-              );
-              
-              if (isFrameworkElement && this.isValidCookieBanner(node)) {
-                console.log('🏭 Framework element added to DOM:', node);
-                this.processBanner(node);
-              }
-            }
-          });
-        });
-      });
-      
-      elementObserver.observe(document.documentElement, { childList: true, subtree: true });
-      this.observers.push(elementObserver);
-    }
-
-    /**
-     * Calculate Reject Score - Intelligent Button Classification System
-     * 
-     * DEVELOPER INSIGHT: This method showcases why specialized AI beats general AI.
-     * Instead of sending button text to an LLM API (slow, privacy-compromising),
-     * we use domain-specific intelligence optimized for cookie consent scenarios.
-     * 
-     * SCORING ALGORITHM:
-     * - Multi-language reject keyword detection (8 languages supported)
-     * - Visual cue analysis (button styling, positioning, prominence)
-     * - Context evaluation (surrounding text, banner framework)
-     * - Confidence thresholds to prevent false positives
-     * 
-     * PERFORMANCE: <5ms processing vs 1000-5000ms for LLM API calls
-     * PRIVACY: 100% local processing vs external data transmission
-     * ACCURACY: Domain-tuned for cookie scenarios vs general-purpose
-     * 
-     * This is practical AI engineering - fast, private, and purpose-built.
-     * 
-     * @param {string} text - Button text content to analyze
-     * @param {Element} button - Button element for visual analysis
-     * @returns {number} Confidence score (0-1, >0.7 indicates likely reject button)
-     */
-    calculateRejectScore(text, button) {
-      // ENHANCED: More sophisticated button scoring to reduce false positives
-      const normalizedText = text.toLowerCase().trim();
-      let score = 0;
-      
-      // VERY HIGH confidence reject patterns (0.9+ score)
-      const veryHighPatterns = [
-        'reject all', 'decline all', 'deny all', 'refuse all',
-        'reject all cookies', 'decline all cookies', 'deny all cookies'
-      ];
-      if (veryHighPatterns.some(pattern => normalizedText.includes(pattern))) {
-        score += 0.9;
-      }
-      
-      // HIGH confidence reject patterns (0.8 score)
-      const highPatterns = [
-        'reject cookies', 'decline cookies', 'deny cookies',
-        'refuse cookies', 'no cookies', 'block cookies'
-      ];
-      if (highPatterns.some(pattern => normalizedText.includes(pattern))) {
-        score += 0.8;
-      }
-      
-      // MEDIUM-HIGH confidence patterns (0.6 score)
-      const mediumHighPatterns = ['reject', 'decline', 'deny', 'refuse'];
-      if (mediumHighPatterns.some(pattern => normalizedText === pattern)) {
-        score += 0.6;
-      }
-      
-      // MEDIUM confidence patterns (0.4 score) - only if context is clear
-      const mediumPatterns = ['no', 'close', 'dismiss', 'cancel'];
-      if (mediumPatterns.some(pattern => normalizedText === pattern)) {
-        // Only give points if it's in a clear cookie context
-        const buttonContext = button.closest('[class*="cookie"], [class*="consent"], [class*="privacy"]');
-        if (buttonContext) {
-          score += 0.4;
-        }
-      }
-      
-      // STRONG penalty for accept words (more comprehensive)
-      const acceptPatterns = [
-        'accept', 'allow', 'agree', 'enable', 'ok', 'yes',
-        'accept all', 'allow all', 'agree to all', 'enable all',
-        'accept cookies', 'allow cookies', 'i agree', 'got it'
-      ];
-      if (acceptPatterns.some(pattern => normalizedText.includes(pattern))) {
-        score -= 0.8; // Strong penalty
-      }
-      
-      // MEDIUM penalty for ambiguous/dangerous words
-      const ambiguousPatterns = [
-        'continue', 'proceed', 'next', 'confirm', 'submit',
-        'save', 'apply', 'update', 'customize'
-      ];
-      if (ambiguousPatterns.some(pattern => normalizedText.includes(pattern))) {
-        score -= 0.3;
-      }
-      
-      // BONUS for explicit privacy/cookie context
-      const contextBonusPatterns = [
-        'cookie preferences', 'privacy settings', 'manage cookies',
-        'cookie settings', 'opt out', 'do not track'
-      ];
-      if (contextBonusPatterns.some(pattern => normalizedText.includes(pattern))) {
-        score += 0.2;
-      }
-      
-      // ENHANCED: Check button attributes for additional context
-      const ariaLabel = (button.getAttribute('aria-label') || '').toLowerCase();
-      const title = (button.getAttribute('title') || '').toLowerCase();
-      const className = (button.className || '').toString().toLowerCase();
-      
-      // Bonus for clear rejection in attributes
-      if (ariaLabel.includes('reject') || title.includes('reject') || 
-          className.includes('reject') || className.includes('decline')) {
-        score += 0.2;
-      }
-      
-      // Penalty for accept in attributes
-      if (ariaLabel.includes('accept') || title.includes('accept') || 
-          className.includes('accept') || className.includes('allow')) {
-        score -= 0.2;
-      }
-      
-      // SAFETY: Never allow negative scores, cap at 1.0
-      const finalScore = Math.max(0, Math.min(1, score));
-      
-      // Enhanced logging for debugging
-      if (finalScore > 0.3) {
-        console.log(`🎯 Button scoring: "${normalizedText}" = ${finalScore.toFixed(2)}`);
-      }
-      
-      return finalScore;
-    }
-
-    async findAndClickRejectButton(banner) {
-      // ENHANCED ERROR PREVENTION: Validate banner element
-      if (!banner || typeof banner !== 'object' || !banner.querySelectorAll) {
-        console.warn('⚠️ Invalid banner element provided to findAndClickRejectButton');
-        return { success: false, confidence: 0, error: 'Invalid banner element' };
-      }
-
-      try {
-        // ENHANCED ERROR PREVENTION: Safe button selection
-        const buttons = safeExecute(
-          () => banner.querySelectorAll('button, a[role="button"], input[type="button"], [onclick]'),
-          'button-selection',
-          []
-        );
-
-        if (!buttons || buttons.length === 0) {
-          console.log('ℹ️ No buttons found in banner');
-          return { success: false, confidence: 0, reason: 'No buttons found' };
-        }
-      
-      for (const button of buttons) {
-          try {
-            // ENHANCED ERROR PREVENTION: Safe text extraction
-            const text = safeGet(button, 'textContent', '').toLowerCase().trim();
-            const ariaLabel = safeGet(button.getAttribute('aria-label'), '', '').toString().toLowerCase();
-            const title = safeGet(button.getAttribute('title'), '', '').toString().toLowerCase();
-        const fullText = `${text} ${ariaLabel} ${title}`;
-        
-            // ENHANCED ERROR PREVENTION: Safe score calculation
-            const rejectScore = safeExecute(
-              () => this.calculateRejectScore(fullText, button),
-              'score-calculation',
-              0
-            );
-        
-        if (rejectScore > 0.7) {
-              console.log(`🎯 Found high-confidence reject button: "${text}" (score: ${rejectScore.toFixed(2)})`);
-              
-              // ENHANCED ERROR PREVENTION: Safe button click
-              const clickResult = await safeExecute(
-                () => this.clickButton(button),
-                'button-click',
-                { success: false, buttonText: text }
-              );
-
-              if (safeGet(clickResult, 'success', false)) {
-            return {
-              success: true,
-              confidence: rejectScore,
-                  buttonText: safeGet(clickResult, 'buttonText', text)
-                };
-              }
-            }
-          } catch (buttonError) {
-            console.warn('⚠️ Error processing individual button:', buttonError);
-            continue; // Continue with next button
-          }
-        }
-
-        return { success: false, confidence: 0, reason: 'No suitable reject button found' };
-        
-      } catch (error) {
-        console.error('❌ findAndClickRejectButton failed:', error);
-        return { 
-          success: false, 
-          confidence: 0, 
-          error: safeGet(error, 'message', 'Unknown error') 
-        };
-      }
-    }
-
-    async clickButton(button) {
-      // ENHANCED ERROR PREVENTION: Validate button element
-      if (!button || typeof button !== 'object' || !button.click) {
-        console.warn('⚠️ Invalid button element provided to clickButton');
-        return { success: false, buttonText: 'Invalid button' };
-      }
-      
-      return new Promise(resolve => {
-        try {
-          // ENHANCED ERROR PREVENTION: Safe text extraction
-          const buttonText = safeGet(button, 'textContent', '').trim() || 
-                           safeGet(button.getAttribute('aria-label'), '', '') || 
-                           'Unknown button';
-          
-          // Multiple click strategies with error handling
-          safeExecute(() => button.click(), 'primary-click');
-          
-          // Trigger additional events safely
-          ['mousedown', 'mouseup', 'click'].forEach(eventType => {
-            safeExecute(() => {
-            const event = new MouseEvent(eventType, {
-              bubbles: true,
-              cancelable: true,
-              view: window
-            });
-            button.dispatchEvent(event);
-            }, `${eventType}-event`);
-          });
-          
-          // Check success after short delay
-          setTimeout(() => {
-            try {
-              // ENHANCED ERROR PREVENTION: Safe visibility check
-              const bannerContainer = safeExecute(
-                () => button.closest('[class*="cookie"], [class*="consent"], [class*="banner"]'),
-                'banner-container-check',
-                null
-              );
-              
-              const stillVisible = bannerContainer ? 
-                safeExecute(() => this.isElementVisible(bannerContainer), 'visibility-check', true) : 
-                true;
-
-            resolve({
-              success: !stillVisible,
-              buttonText: buttonText
-            });
-            } catch (checkError) {
-              console.warn('⚠️ Error checking button click success:', checkError);
-              resolve({
-                success: false,
-                buttonText: buttonText
-              });
-            }
-          }, 1000);
-          
-        } catch (error) {
-          console.warn('❌ Button click failed:', error);
-          resolve({
-            success: false,
-            buttonText: safeGet(button, 'textContent', '').trim() || 'Unknown button'
-          });
-        }
-      });
-    }
-
-    // Tracking methods removed for simplicity
-
-    /**
-     * Handle Multi-Step Consent - Advanced Consent Flow Navigation
-     * 
-     * DEVELOPER SHOWCASE: This system demonstrates sophisticated automation
-     * that competes with commercial solutions while maintaining complete privacy.
-     * 
-     * PROBLEM SOLVED: Modern websites use complex multi-step consent flows
-     * that simple button-clicking can't handle. This system intelligently navigates:
-     * 
-     * FLOW TYPES SUPPORTED:
-     * 1. Preference Centers: "Manage Cookies" → Configure Categories → Save
-     * 2. Consent Wizards: Step 1 → Step 2 → Step 3 → Complete
-     * 3. Framework Flows: OneTrust, CookieBot, TrustArc specific workflows
-     * 4. Progressive Consent: Basic → Advanced → Detailed → Finalization
-     * 
-     * INTELLIGENT FEATURES:
-     * - Multi-language preference button detection (5+ languages)
-     * - Dynamic page transition waiting with timeout protection
-     * - Framework-specific routing and optimization
-     * - Category-aware toggle/checkbox/dropdown management
-     * - Automatic save button detection and activation
-     * 
-     * PERFORMANCE IMPACT: Increased GDPR site success from 60-70% to 85-95%
-     * 
-     * This showcases how specialized automation can solve complex real-world
-     * problems more effectively than general-purpose AI approaches.
-     * 
-     * @param {HTMLElement} banner - The cookie banner element to process
-     * @returns {Promise<Object>} Processing result with success status and method details
-     */
-    async handleMultiStepConsent(banner) {
-      console.log('🔄 Initiating multi-step consent flow analysis...');
-      
-      try {
-        // Step 1: Try to find "Manage Preferences" or similar buttons
-        const preferenceButton = await this.findPreferenceButton(banner);
-        
-        if (preferenceButton) {
-          console.log('🎯 Found preference button, navigating to settings...');
-          
-          // Click the preference button
-          await this.clickButton(preferenceButton);
-          
-          // Wait for preferences page to load
-          await this.waitForPreferencesPage();
-          
-          // Step 2: Handle the preferences interface
-          const preferencesResult = await this.configurePreferences();
-          
-          if (preferencesResult.success) {
-            return {
-              success: true,
-              confidence: 0.85,
-              method: 'multi-step-preferences',
-              steps: preferencesResult.steps
-            };
-          }
-        }
-        
-        // Step 2: Try progressive preference navigation
-        const progressiveResult = await this.handleProgressiveConsent(banner);
-        if (progressiveResult.success) {
-          return progressiveResult;
-        }
-        
-        // Step 3: Try framework-specific multi-step flows
-        const frameworkResult = await this.handleFrameworkMultiStep(banner);
-        if (frameworkResult.success) {
-          return frameworkResult;
-        }
-        
-        return { success: false, reason: 'No multi-step flow detected' };
-        
-      } catch (error) {
-        console.warn('Multi-step consent handling failed:', error);
-        return { success: false, error: error.message };
-      }
-    }
-
-    /**
-     * Locate preference center navigation buttons using multi-language detection
-     * Identifies buttons that lead to cookie preference management interfaces
-     * @param {HTMLElement} banner - The cookie banner element to search within
-     * @returns {Promise<HTMLElement|null>} The preference button element or null if not found
-     */
-    async findPreferenceButton(banner) {
-      const preferenceKeywords = [
-        // English
-        'manage preferences', 'cookie preferences', 'manage cookies', 'customize',
-        'privacy settings', 'cookie settings', 'manage options', 'preferences',
-        'settings', 'options', 'choose', 'customize cookies', 'manage consent',
-        
-        // German
-        'einstellungen verwalten', 'cookie-einstellungen', 'präferenzen', 
-        'datenschutz-einstellungen', 'cookies verwalten',
-        
-        // French  
-        'gérer les préférences', 'paramètres des cookies', 'personnaliser',
-        'paramètres de confidentialité', 'gérer les cookies',
-        
-        // Spanish
-        'gestionar preferencias', 'configuración de cookies', 'personalizar',
-        'configuración de privacidad', 'gestionar cookies',
-        
-        // Italian
-        'gestisci preferenze', 'impostazioni cookie', 'personalizza',
-        'impostazioni privacy', 'gestisci cookie'
-      ];
-      
-      const buttons = banner.querySelectorAll('button, a[role="button"], [onclick], input[type="button"]');
-      
-      for (const button of buttons) {
-        const text = (button.textContent || '').toLowerCase().trim();
-        const ariaLabel = (button.getAttribute('aria-label') || '').toLowerCase();
-        const title = (button.getAttribute('title') || '').toLowerCase();
-        const fullText = `${text} ${ariaLabel} ${title}`;
-        
-        // Check if this button leads to preferences
-        if (preferenceKeywords.some(keyword => fullText.includes(keyword))) {
-          console.log(`🎯 Found preference button: "${text}"`);
-          return button;
-        }
-      }
-      
-      return null;
-    }
-
-    /**
-     * Wait for preference page or modal to dynamically appear after navigation
-     * Monitors DOM for preference interface indicators with timeout protection
-     * @returns {Promise<boolean>} True if preferences page detected, false on timeout
-     */
-    async waitForPreferencesPage() {
-      return new Promise((resolve) => {
-        let attempts = 0;
-        const maxAttempts = 20; // 10 seconds max wait
-        
-        const checkForPreferences = () => {
-          attempts++;
-          
-          // Look for preference page indicators
-          const preferenceIndicators = [
-            '[class*="preference"]', '[class*="setting"]', '[class*="manage"]',
-            '[class*="cookie-setting"]', '[class*="privacy-setting"]',
-            '[id*="preference"]', '[id*="setting"]', '[id*="manage"]',
-            '[role="tabpanel"]', '[role="dialog"][aria-label*="setting"]',
-            '.cookie-categories', '.privacy-categories', '.consent-categories'
-          ];
-          
-          const foundPreferences = preferenceIndicators.some(selector => {
-            try {
-              return document.querySelector(selector) !== null;
-            } catch (e) {
-              return false;
-            }
-          });
-          
-          if (foundPreferences || attempts >= maxAttempts) {
-            console.log(foundPreferences ? '✅ Preferences page detected' : '⏰ Timeout waiting for preferences');
-            resolve(foundPreferences);
-          } else {
-            setTimeout(checkForPreferences, 500);
-          }
-        };
-        
-        setTimeout(checkForPreferences, 500); // Initial delay
-      });
-    }
-
-    /**
-     * Configure cookie preferences to disable non-essential categories
-     * Orchestrates preference configuration through multiple interface types
-     * @returns {Promise<Object>} Configuration result with success status and completed steps
-     */
-    async configurePreferences() {
-      console.log('🔧 Configuring cookie preferences...');
-      
-      const steps = [];
-      let successCount = 0;
-      
-      try {
-        // Step 1: Handle toggle switches
-        const toggleResult = await this.handleCookieToggles();
-        if (toggleResult.success) {
-          steps.push('Disabled cookie category toggles');
-          successCount++;
-        }
-        
-        // Step 2: Handle checkboxes
-        const checkboxResult = await this.handleCookieCheckboxes();
-        if (checkboxResult.success) {
-          steps.push('Unchecked cookie category checkboxes');
-          successCount++;
-        }
-        
-        // Step 3: Handle dropdown selections
-        const dropdownResult = await this.handleCookieDropdowns();
-        if (dropdownResult.success) {
-          steps.push('Set cookie dropdowns to reject');
-          successCount++;
-        }
-        
-        // Step 4: Handle category buttons
-        const categoryResult = await this.handleCategoryButtons();
-        if (categoryResult.success) {
-          steps.push('Disabled cookie categories via buttons');
-          successCount++;
-        }
-        
-        // Step 5: Save preferences
-        const saveResult = await this.savePreferences();
-        if (saveResult.success) {
-          steps.push('Saved preference changes');
-          successCount++;
-        }
-        
-        console.log(`✅ Multi-step configuration completed: ${successCount} steps successful`);
-        
-        return {
-          success: successCount > 0,
-          steps: steps,
-          successCount: successCount
-        };
-        
-      } catch (error) {
-        console.warn('Preference configuration failed:', error);
-        return { success: false, error: error.message, steps: steps };
-      }
-    }
-
-    /**
-     * Process cookie category toggle switches in preference interfaces
-     * Disables non-essential cookie categories while preserving necessary ones
-     * @returns {Promise<Object>} Operation result with success status and disabled count
-     */
-    async handleCookieToggles() {
-      const toggles = document.querySelectorAll(`
-        input[type="checkbox"][class*="toggle"],
-        input[type="checkbox"][class*="switch"],
-        .toggle-switch input,
-        .cookie-toggle input,
-        [role="switch"],
-        .switch input[type="checkbox"]
-      `);
-      
-      let disabledCount = 0;
-      
-      for (const toggle of toggles) {
-        try {
-          // Skip if already unchecked
-          if (!toggle.checked) continue;
-          
-          // Get associated label text to determine if this is non-essential
-          const labelText = this.getToggleLabelText(toggle);
-          
-          if (this.isNonEssentialCategory(labelText)) {
-            // Disable the toggle
-            if (toggle.checked) {
-              toggle.click();
-              disabledCount++;
-              console.log(`🔄 Disabled toggle: ${labelText}`);
-              
-              // Small delay between toggles
-              await new Promise(resolve => setTimeout(resolve, 200));
-            }
-          }
-        } catch (error) {
-          console.warn('Error handling toggle:', error);
-        }
-      }
-      
-      return { success: disabledCount > 0, count: disabledCount };
-    }
-
-    /**
-     * Process cookie category checkboxes in preference interfaces
-     * Unchecks non-essential cookie category selections while preserving necessary ones
-     * @returns {Promise<Object>} Operation result with success status and unchecked count
-     */
-    async handleCookieCheckboxes() {
-      const checkboxes = document.querySelectorAll(`
-        input[type="checkbox"]:not([class*="toggle"]):not([class*="switch"]),
-        .cookie-category input[type="checkbox"],
-        .privacy-category input[type="checkbox"],
-        .consent-category input[type="checkbox"]
-      `);
-      
-      let uncheckedCount = 0;
-      
-      for (const checkbox of checkboxes) {
-        try {
-          // Skip if already unchecked
-          if (!checkbox.checked) continue;
-          
-          // Get associated label text
-          const labelText = this.getCheckboxLabelText(checkbox);
-          
-          if (this.isNonEssentialCategory(labelText)) {
-            // Uncheck the checkbox
-            checkbox.click();
-            uncheckedCount++;
-            console.log(`☑️ Unchecked: ${labelText}`);
-            
-            // Small delay between clicks
-            await new Promise(resolve => setTimeout(resolve, 200));
-          }
-        } catch (error) {
-          console.warn('Error handling checkbox:', error);
-        }
-      }
-      
-      return { success: uncheckedCount > 0, count: uncheckedCount };
-    }
-
-    /**
-     * Process cookie category dropdown selections in preference interfaces
-     * Sets dropdown values to reject/deny non-essential cookie categories
-     * @returns {Promise<Object>} Operation result with success status and changed count
-     */
-    async handleCookieDropdowns() {
-      const dropdowns = document.querySelectorAll(`
-        select[class*="cookie"],
-        select[class*="privacy"],
-        select[class*="consent"],
-        .cookie-category select,
-        .privacy-category select
-      `);
-      
-      let changedCount = 0;
-      
-      for (const dropdown of dropdowns) {
-        try {
-          // Look for "reject", "deny", "off", "disabled" options
-          const rejectOptions = Array.from(dropdown.options).filter(option => {
-            const text = option.textContent.toLowerCase();
-            return text.includes('reject') || text.includes('deny') || 
-                   text.includes('off') || text.includes('disable') ||
-                   text.includes('no') || option.value === '0' || option.value === 'false';
-          });
-          
-          if (rejectOptions.length > 0) {
-            dropdown.value = rejectOptions[0].value;
-            dropdown.dispatchEvent(new Event('change', { bubbles: true }));
-            changedCount++;
-            console.log(`📋 Set dropdown to reject: ${rejectOptions[0].textContent}`);
-          }
-        } catch (error) {
-          console.warn('Error handling dropdown:', error);
-        }
-      }
-      
-      return { success: changedCount > 0, count: changedCount };
-    }
-
-    /**
-     * Process category-specific rejection buttons in preference interfaces
-     * Clicks reject/deny buttons for individual non-essential cookie categories
-     * @returns {Promise<Object>} Operation result with success status and processed count
-     */
-    async handleCategoryButtons() {
-      const categoryContainers = document.querySelectorAll(`
-        .cookie-category, .privacy-category, .consent-category,
-        [class*="category"], [class*="purpose"], .cookie-group
-      `);
-      
-      let processedCount = 0;
-      
-      for (const container of categoryContainers) {
-        try {
-          const categoryText = container.textContent.toLowerCase();
-          
-          if (this.isNonEssentialCategory(categoryText)) {
-            // Look for reject/deny buttons within this category
-            const rejectButton = container.querySelector(`
-              button[class*="reject"], button[class*="deny"], button[class*="off"],
-              button:contains("reject"), button:contains("deny"), button:contains("off")
-            `);
-            
-            if (rejectButton) {
-              await this.clickButton(rejectButton);
-              processedCount++;
-              console.log(`🎯 Clicked category reject button`);
-            }
-          }
-        } catch (error) {
-          console.warn('Error handling category button:', error);
-        }
-      }
-      
-      return { success: processedCount > 0, count: processedCount };
-    }
-
-    /**
-     * Save configured cookie preferences using appropriate confirmation buttons
-     * Locates and clicks save/confirm buttons while avoiding "accept all" options
-     * @returns {Promise<Object>} Operation result with success status and button details
-     */
-    async savePreferences() {
-      // Look for save/confirm buttons
-      const saveKeywords = [
-        'save', 'confirm', 'apply', 'accept', 'done', 'finish',
-        'save preferences', 'save settings', 'confirm choices',
-        'save changes', 'apply settings', 'update preferences',
-        // Other languages
-        'speichern', 'bestätigen', 'anwenden', // German
-        'enregistrer', 'confirmer', 'appliquer', // French
-        'guardar', 'confirmar', 'aplicar', // Spanish
-        'salva', 'conferma', 'applica' // Italian
-      ];
-      
-      const saveButtons = document.querySelectorAll(`
-        button, input[type="submit"], input[type="button"],
-        a[role="button"], [onclick]
-      `);
-      
-      for (const button of saveButtons) {
-        const text = (button.textContent || '').toLowerCase().trim();
-        const ariaLabel = (button.getAttribute('aria-label') || '').toLowerCase();
-        const fullText = `${text} ${ariaLabel}`;
-        
-        // Check if this is a save button
-        if (saveKeywords.some(keyword => fullText.includes(keyword))) {
-          // Avoid buttons that might accept all cookies
-          if (!fullText.includes('accept all') && !fullText.includes('allow all')) {
-            console.log(`💾 Clicking save button: "${text}"`);
-            await this.clickButton(button);
-            return { success: true, buttonText: text };
-          }
-        }
-      }
-      
-      return { success: false, reason: 'No suitable save button found' };
-    }
-
-    /**
-     * Classify cookie categories as essential or non-essential for configuration decisions
-     * Uses multi-language keyword analysis to determine category importance
-     * @param {string} text - The category text content to analyze
-     * @returns {boolean} True if category should be disabled, false if essential
-     */
-    isNonEssentialCategory(text) {
-      const lowerText = text.toLowerCase();
-      
-      // Categories that should remain enabled (essential)
-      const essentialKeywords = [
-        'necessary', 'essential', 'required', 'functional', 'strictly necessary',
-        'security', 'authentication', 'basic', 'core', 'fundamental',
-        'notwendig', 'erforderlich', 'wesentlich', // German
-        'nécessaire', 'essentiel', 'requis', // French
-        'necesario', 'esencial', 'requerido', // Spanish
-        'necessario', 'essenziale', 'richiesto' // Italian
-      ];
-      
-      // If it contains essential keywords, keep it enabled
-      if (essentialKeywords.some(keyword => lowerText.includes(keyword))) {
-        return false;
-      }
-      
-      // Categories that should be disabled (non-essential)
-      const nonEssentialKeywords = [
-        'marketing', 'advertising', 'analytics', 'tracking', 'social',
-        'performance', 'measurement', 'targeting', 'personalization',
-        'third party', 'social media', 'youtube', 'facebook', 'google',
-        'marketing', 'werbung', 'analytik', // German
-        'marketing', 'publicité', 'analytique', // French
-        'marketing', 'publicidad', 'analítica', // Spanish
-        'marketing', 'pubblicità', 'analitica' // Italian
-      ];
-      
-      // If it contains non-essential keywords, disable it
-      return nonEssentialKeywords.some(keyword => lowerText.includes(keyword));
-    }
-
-    /**
-     * Get label text for a toggle switch
-     */
-    getToggleLabelText(toggle) {
-      // Try different methods to find associated label
-      const id = toggle.id;
-      if (id) {
-        const label = document.querySelector(`label[for="${id}"]`);
-        if (label) return label.textContent.trim();
-      }
-      
-      // Check parent elements for text
-      let parent = toggle.parentElement;
-      for (let i = 0; i < 3 && parent; i++) {
-        const text = parent.textContent.trim();
-        if (text && text.length < 200) { // Reasonable label length
-          return text;
-        }
-        parent = parent.parentElement;
-      }
-      
-      return '';
-    }
-
-    /**
-     * Get label text for a checkbox
-     */
-    getCheckboxLabelText(checkbox) {
-      return this.getToggleLabelText(checkbox); // Same logic
-    }
-
-    /**
-     * Handle progressive consent flows with step-by-step navigation
-     * Navigates through multi-step consent wizards to locate rejection options
-     * @param {HTMLElement} banner - The cookie banner element to process
-     * @returns {Promise<Object>} Processing result with success status and method details
-     */
-    async handleProgressiveConsent(banner) {
-      console.log('🔄 Attempting progressive consent handling...');
-      
-      // Look for "Next", "Continue" buttons that might lead to preferences
-      const progressButtons = banner.querySelectorAll('button, a[role="button"]');
-      
-      for (const button of progressButtons) {
-        const text = (button.textContent || '').toLowerCase().trim();
-        
-        // Progressive flow indicators
-        if (text.includes('continue') || text.includes('next') || 
-            text.includes('more options') || text.includes('advanced')) {
-          
-          console.log(`🔄 Trying progressive flow button: "${text}"`);
-          
-          // Click and wait for next step
-          await this.clickButton(button);
-          await new Promise(resolve => setTimeout(resolve, 1000));
-          
-          // Try to find reject options in the new context
-          const newContext = document.body;
-          const rejectResult = await this.findAndClickRejectButton(newContext);
-          
-          if (rejectResult.success) {
-            return {
-              success: true,
-              confidence: 0.75,
-              method: 'progressive-flow',
-              buttonText: rejectResult.buttonText
-            };
-          }
-        }
-      }
-      
-      return { success: false };
-    }
-
-    /**
-     * Orchestrate framework-specific multi-step consent handling
-     * Detects and routes to specialized handlers for major cookie frameworks
-     * @param {HTMLElement} banner - The cookie banner element to process
-     * @returns {Promise<Object>} Processing result from framework-specific handler
-     */
-    async handleFrameworkMultiStep(banner) {
-      const className = (banner.className || '').toString().toLowerCase();
-      const innerHTML = banner.innerHTML.toLowerCase();
-      
-      // OneTrust multi-step handling
-      if (className.includes('onetrust') || innerHTML.includes('onetrust')) {
-        return await this.handleOneTrustMultiStep(banner);
-      }
-      
-      // CookieBot multi-step handling
-      if (className.includes('cookiebot') || innerHTML.includes('cookiebot')) {
-        return await this.handleCookieBotMultiStep(banner);
-      }
-      
-      // TrustArc multi-step handling
-      if (className.includes('trustarc') || innerHTML.includes('trustarc')) {
-        return await this.handleTrustArcMultiStep(banner);
-      }
-      
-      return { success: false };
-    }
-
-    /**
-     * OneTrust consent management platform specialized handler
-     * Implements OneTrust-specific navigation and preference configuration
-     * @param {HTMLElement} banner - The OneTrust cookie banner element
-     * @returns {Promise<Object>} Processing result with OneTrust-specific details
-     */
-    async handleOneTrustMultiStep(banner) {
-      console.log('🏭 Handling OneTrust multi-step flow...');
-      
-      // Step 1: Try direct reject button first
-      const directReject = banner.querySelector('#onetrust-reject-all-handler, .onetrust-close-btn-ui');
-      if (directReject) {
-        const result = await this.clickButton(directReject);
-        if (result.success) {
-          return { success: true, confidence: 0.9, method: 'onetrust-direct' };
-        }
-      }
-      
-      // Step 2: Try "Manage Preferences" approach
-      const manageBtn = banner.querySelector('#onetrust-pc-btn-handler, .onetrust-pc-dark-filter');
-      if (manageBtn) {
-        await this.clickButton(manageBtn);
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        // Look for category toggles in preference center
-        const toggles = document.querySelectorAll('.ot-switch input[type="checkbox"]');
-        let disabledCount = 0;
-        
-        for (const toggle of toggles) {
-          // Skip "Strictly Necessary" cookies
-          const label = toggle.closest('.ot-cat-item')?.querySelector('.ot-cat-header')?.textContent || '';
-          if (!label.toLowerCase().includes('strictly necessary') && 
-              !label.toLowerCase().includes('necessary')) {
-            if (toggle.checked) {
-              toggle.click();
-              disabledCount++;
-              await new Promise(resolve => setTimeout(resolve, 200));
-            }
-          }
-        }
-        
-        // Click "Save Settings" or "Confirm My Choices"
-        const saveBtn = document.querySelector('#onetrust-accept-btn-handler, .save-preference-btn-handler');
-        if (saveBtn) {
-          await this.clickButton(saveBtn);
-          return { 
-            success: true, 
-            confidence: 0.85, 
-            method: 'onetrust-preferences',
-            categoriesDisabled: disabledCount 
-          };
-        }
-      }
-      
-      return { success: false };
-    }
-
-    /**
-     * CookieBot consent management platform specialized handler
-     * Implements CookieBot-specific navigation and preference configuration
-     * @param {HTMLElement} banner - The CookieBot cookie banner element
-     * @returns {Promise<Object>} Processing result with CookieBot-specific details
-     */
-    async handleCookieBotMultiStep(banner) {
-      console.log('🏭 Handling CookieBot multi-step flow...');
-      
-      // Step 1: Try direct decline
-      const directDecline = banner.querySelector('#CybotCookiebotDialogBodyButtonDecline');
-      if (directDecline) {
-        const result = await this.clickButton(directDecline);
-        if (result.success) {
-          return { success: true, confidence: 0.9, method: 'cookiebot-direct' };
-        }
-      }
-      
-      // Step 2: Try preferences approach
-      const detailsBtn = banner.querySelector('#CybotCookiebotDialogBodyButtonDetails');
-      if (detailsBtn) {
-        await this.clickButton(detailsBtn);
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        // Disable non-essential categories
-        const checkboxes = document.querySelectorAll('.CybotCookiebotDialogBodyLevelButton input[type="checkbox"]');
-        let disabledCount = 0;
-        
-        for (const checkbox of checkboxes) {
-          const label = checkbox.closest('div')?.textContent || '';
-          if (!label.toLowerCase().includes('necessary') && checkbox.checked) {
-            checkbox.click();
-            disabledCount++;
-            await new Promise(resolve => setTimeout(resolve, 200));
-          }
-        }
-        
-        // Save preferences
-        const allowBtn = document.querySelector('#CybotCookiebotDialogBodyButtonAccept');
-        if (allowBtn) {
-          await this.clickButton(allowBtn);
-          return { 
-            success: true, 
-            confidence: 0.85, 
-            method: 'cookiebot-preferences',
-            categoriesDisabled: disabledCount 
-          };
-        }
-      }
-      
-      return { success: false };
-    }
-
-    /**
-     * TrustArc consent management platform specialized handler
-     * Implements TrustArc-specific navigation and preference configuration
-     * @param {HTMLElement} banner - The TrustArc cookie banner element
-     * @returns {Promise<Object>} Processing result with TrustArc-specific details
-     */
-    async handleTrustArcMultiStep(banner) {
-      console.log('🏭 Handling TrustArc multi-step flow...');
-      
-      // TrustArc often uses "More Options" or "Cookie Settings"
-      const optionsBtn = banner.querySelector('.pdynamicbutton, .call');
-      if (optionsBtn && optionsBtn.textContent.toLowerCase().includes('option')) {
-        await this.clickButton(optionsBtn);
-        await new Promise(resolve => setTimeout(resolve, 1500));
-        
-        // Look for preference checkboxes
-        const checkboxes = document.querySelectorAll('.switch input[type="checkbox"]');
-        let disabledCount = 0;
-        
-        for (const checkbox of checkboxes) {
-          const container = checkbox.closest('.switch')?.parentElement;
-          const label = container?.textContent || '';
-          
-          if (!label.toLowerCase().includes('required') && 
-              !label.toLowerCase().includes('essential') && 
-              checkbox.checked) {
-            checkbox.click();
-            disabledCount++;
-            await new Promise(resolve => setTimeout(resolve, 200));
-          }
-        }
-        
-        // Submit preferences
-        const submitBtn = document.querySelector('.submit, .trustarc-agree-btn');
-        if (submitBtn) {
-          await this.clickButton(submitBtn);
-          return { 
-            success: true, 
-            confidence: 0.8, 
-            method: 'trustarc-preferences',
-            categoriesDisabled: disabledCount 
-          };
-        }
-      }
-      
-      return { success: false };
-    }
-  }
-
-  /**
-   * Fallback cookie banner processing agent with multi-step capabilities
-   * Provides reliable cookie rejection when advanced detection methods are not available
-   * Integrates seamlessly with main system for complex multi-step consent flows
-   */
-  class CookieBannerAgent {
-    constructor() {
-      this.smartDecisionEngine = {
-        patterns: this.loadKnownPatterns(),
-        determineStrategy: this.determineStrategy.bind(this)
-      };
-      this.blockingStrategies = this.initializeBlockingStrategies();
-    }
-
-    async processBanner(banner) {
-      // ENHANCED ERROR HANDLING: Prevent all types of errors
-      if (!banner) {
-        return { success: false, reason: 'Invalid banner element' };
-      }
-
-      console.log('🎯 Processing banner with rule-based agent');
-      const startTime = Date.now();
-      
-      try {
-        // 1. Try to click reject button with timeout and error handling
-        const rejectResult = await Promise.race([
-          this.findAndClickRejectButton(banner),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Reject button timeout')), 3000)
-          )
-        ]).catch(error => {
-          console.warn('Reject button operation failed:', error);
-          return { success: false, error: error.message };
-        });
-        
-        if (rejectResult && rejectResult.success) {
-          // LOG FEEDBACK: Mark successful rejection
-                  this.markBannerSuccess(banner, 'REJECT BUTTON CLICKED', rejectResult.buttonText);
-        
-        // ENHANCEMENT: Learn successful patterns for this domain via main instance
-        if (window.cookieKiller && window.cookieKiller.learnSuccessfulPattern) {
-          window.cookieKiller.learnSuccessfulPattern(banner, rejectResult.buttonText);
-        }
-        
-        return {
-          success: true,
-          method: 'button-click',
-          buttonClicked: true,
-          confidence: rejectResult.confidence || 0.5,
-          processingTime: Date.now() - startTime
-        };
-        }
-        
-        // 2. Try strategy-based approach with timeout and error handling
-        const strategy = this.determineStrategy(banner);
-        const strategyResult = await Promise.race([
-          this.executeStrategy(strategy, banner),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Strategy timeout')), 3000)
-          )
-        ]).catch(error => {
-          console.warn('Strategy execution failed:', error);
-          return { success: false, error: error.message };
-        });
-        
-        if (strategyResult && strategyResult.success) {
-          // LOG FEEDBACK: Mark successful strategy
-          this.markBannerSuccess(banner, 'STRATEGY SUCCESS', strategy.name);
-          return {
-            success: true,
-            method: 'strategy-execution',
-            strategy: strategy.name,
-            confidence: strategyResult.confidence || 0.7,
-            processingTime: Date.now() - startTime
-          };
-        }
-        
-        // 3. Try multi-step consent handling if simple methods failed
-        console.log('🔄 Attempting multi-step consent flow...');
-        const multiStepResult = await Promise.race([
-          window.cookieKiller.handleMultiStepConsent(banner),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Multi-step timeout')), 10000)
-          )
-        ]).catch(error => {
-          console.warn('Multi-step consent handling failed:', error);
-          return { success: false, error: error.message };
-        });
-        
-        if (multiStepResult && multiStepResult.success) {
-          // LOG FEEDBACK: Mark successful multi-step
-          this.markBannerSuccess(banner, 'MULTI-STEP CONSENT', multiStepResult.method);
-          return {
-            success: true,
-            method: 'multi-step-consent',
-            steps: multiStepResult.steps,
-            confidence: multiStepResult.confidence || 0.8,
-            processingTime: Date.now() - startTime
-          };
-        }
-        
-        // 4. NO FALLBACK HIDING - This is normal behavior
-        console.log('ℹ️ Element processed but no action needed (likely not a cookie banner)');
-        
-        // This is normal behavior - not all detected elements need processing
-        console.log('ℹ️ No safe reject button found for element (this is normal for non-cookie banners)');
-        
-        return {
-          success: false,
-          method: 'no-safe-button-found',
-          confidence: 0,
-          processingTime: Date.now() - startTime,
-          reason: 'No reject button with sufficient confidence found'
-        };
-        
-      } catch (error) {
-        console.error('❌ Rule-based processing failed:', error);
-        
-        this.markBannerFailure(banner, `PROCESSING ERROR: ${error.message}`);
-        return {
-          success: false,
-          method: 'rule-based-error',
-          error: error.message,
-          confidence: 0,
-          processingTime: Date.now() - startTime
-        };
-      }
-    }
-
-    // Console-only feedback methods
-    markBannerSuccess(banner, method, details) {
-      console.log(`✅ ${method}: ${details || 'Success'}`);
-    }
-
-    markBannerFailure(banner, reason) {
-      console.log(`❌ ${reason}`);
-    }
-
-    calculateRejectScore(text, button) {
-      // ENHANCED: More sophisticated button scoring to reduce false positives
-      const normalizedText = text.toLowerCase().trim();
-      let score = 0;
-      
-      // VERY HIGH confidence reject patterns (0.9+ score)
-      const veryHighPatterns = [
-        'reject all', 'decline all', 'deny all', 'refuse all',
-        'reject all cookies', 'decline all cookies', 'deny all cookies'
-      ];
-      if (veryHighPatterns.some(pattern => normalizedText.includes(pattern))) {
-        score += 0.9;
-      }
-      
-      // HIGH confidence reject patterns (0.8 score)
-      const highPatterns = [
-        'reject cookies', 'decline cookies', 'deny cookies',
-        'refuse cookies', 'no cookies', 'block cookies'
-      ];
-      if (highPatterns.some(pattern => normalizedText.includes(pattern))) {
-        score += 0.8;
-      }
-      
-      // MEDIUM-HIGH confidence patterns (0.6 score)
-      const mediumHighPatterns = ['reject', 'decline', 'deny', 'refuse'];
-      if (mediumHighPatterns.some(pattern => normalizedText === pattern)) {
-        score += 0.6;
-      }
-      
-      // MEDIUM confidence patterns (0.4 score) - only if context is clear
-      const mediumPatterns = ['no', 'close', 'dismiss', 'cancel'];
-      if (mediumPatterns.some(pattern => normalizedText === pattern)) {
-        // Only give points if it's in a clear cookie context
-        const buttonContext = button.closest('[class*="cookie"], [class*="consent"], [class*="privacy"]');
-        if (buttonContext) {
-          score += 0.4;
-        }
-      }
-      
-      // STRONG penalty for accept words (more comprehensive)
-      const acceptPatterns = [
-        'accept', 'allow', 'agree', 'enable', 'ok', 'yes',
-        'accept all', 'allow all', 'agree to all', 'enable all',
-        'accept cookies', 'allow cookies', 'i agree', 'got it'
-      ];
-      if (acceptPatterns.some(pattern => normalizedText.includes(pattern))) {
-        score -= 0.8; // Strong penalty
-      }
-      
-      // MEDIUM penalty for ambiguous/dangerous words
-      const ambiguousPatterns = [
-        'continue', 'proceed', 'next', 'confirm', 'submit',
-        'save', 'apply', 'update', 'customize'
-      ];
-      if (ambiguousPatterns.some(pattern => normalizedText.includes(pattern))) {
-        score -= 0.3;
-      }
-      
-      // BONUS for explicit privacy/cookie context
-      const contextBonusPatterns = [
-        'cookie preferences', 'privacy settings', 'manage cookies',
-        'cookie settings', 'opt out', 'do not track'
-      ];
-      if (contextBonusPatterns.some(pattern => normalizedText.includes(pattern))) {
-        score += 0.2;
-      }
-      
-      // ENHANCED: Check button attributes for additional context
-      const ariaLabel = (button.getAttribute('aria-label') || '').toLowerCase();
-      const title = (button.getAttribute('title') || '').toLowerCase();
-      const className = (button.className || '').toString().toLowerCase();
-      
-      // Bonus for clear rejection in attributes
-      if (ariaLabel.includes('reject') || title.includes('reject') || 
-          className.includes('reject') || className.includes('decline')) {
-        score += 0.2;
-      }
-      
-      // Penalty for accept in attributes
-      if (ariaLabel.includes('accept') || title.includes('accept') || 
-          className.includes('accept') || className.includes('allow')) {
-        score -= 0.2;
-      }
-      
-      // SAFETY: Never allow negative scores, cap at 1.0
-      const finalScore = Math.max(0, Math.min(1, score));
-      
-      // Enhanced logging for debugging
-      if (finalScore > 0.3) {
-        console.log(`🎯 Button scoring: "${normalizedText}" = ${finalScore.toFixed(2)}`);
-      }
-      
-      return finalScore;
-    }
-
-    async findAndClickRejectButton(banner) {
-      // FIXED: Remove recursive delegation to prevent infinite loop
-      // DO NOT delegate to window.cookieKiller - implement directly
-      
-      const buttons = banner.querySelectorAll('button, a[role="button"], input[type="button"], [onclick]');
-      
-      for (const button of buttons) {
-        const text = button.textContent?.toLowerCase().trim() || '';
-        const ariaLabel = (button.getAttribute('aria-label') || '').toString().toLowerCase();
-        const title = (button.getAttribute('title') || '').toString().toLowerCase();
-        const fullText = `${text} ${ariaLabel} ${title}`;
-        
-        const rejectScore = this.calculateRejectScore(fullText, button);
-        
-        if (rejectScore > 0.7) {
-          const result = await this.clickButton(button);
-          if (result.success) {
-            return {
-              success: true,
-              confidence: rejectScore,
-              buttonText: result.buttonText
-            };
-          }
-        }
-      }
-      
-      return { success: false, confidence: 0 };
-    }
-
-    async clickButton(button) {
-      // FIXED: Remove recursive delegation to prevent infinite loop
-      // DO NOT delegate to window.cookieKiller - implement directly
-      
-      return new Promise(resolve => {
-        try {
-          const buttonText = button.textContent?.trim() || button.getAttribute('aria-label') || 'Unknown button';
-          
-          // Multiple click strategies
-          button.click();
-          
-          // Trigger other events
-          ['mousedown', 'mouseup', 'click'].forEach(eventType => {
-            const event = new MouseEvent(eventType, {
-              bubbles: true,
-              cancelable: true,
-              view: window
-            });
-            button.dispatchEvent(event);
-          });
-          
-          // Check success after short delay
-          setTimeout(() => {
-            const stillVisible = this.isElementVisible(button.closest('[class*="cookie"], [class*="consent"], [class*="banner"]'));
-            resolve({
-              success: !stillVisible,
-              buttonText: buttonText
-            });
-          }, 1000);
-          
-        } catch (error) {
-          console.warn('Button click failed:', error);
-          resolve({
-            success: false,
-            buttonText: button.textContent?.trim() || 'Unknown button'
-          });
-        }
-      });
-    }
-
-    isElementVisible(element) {
-      if (!element) return false;
-      const style = getComputedStyle(element);
-      const rect = element.getBoundingClientRect();
-      
-      return style.display !== 'none' && 
-             style.visibility !== 'hidden' && 
-             style.opacity !== '0' &&
-             rect.width > 0 && 
-             rect.height > 0;
-    }
-
-    determineStrategy(banner) {
-      const text = banner.textContent?.toLowerCase() || '';
-      const className = (banner.className || '').toString().toLowerCase();
-      const buttonCount = banner.querySelectorAll('button').length;
-      
-      // Strategy selection logic
-      if (buttonCount >= 3) {
-        return { name: 'multi-button', priority: 1 };
-      } else if (/cookiebot|onetrust/.test(className)) {
-        return { name: 'framework-specific', priority: 2 };
-      } else if (buttonCount === 1) {
-        return { name: 'single-button', priority: 3 };
-      } else {
-        return { name: 'generic-hiding', priority: 4 };
-      }
-    }
-
-    async executeStrategy(strategy, banner) {
-      try {
-        switch (strategy.name) {
-          case 'multi-button':
-            return await this.tryMultipleButtons(banner);
-          case 'framework-specific':
-            return await this.handleFrameworkBanner(banner);
-          case 'single-button':
-            return await this.handleSingleButton(banner);
-          default:
-            // NO FALLBACK HIDING - Return failure instead
-            return { success: false, confidence: 0, reason: 'No valid strategy found' };
-        }
-      } catch (error) {
-        console.error('Strategy execution failed:', error);
-        return { success: false };
-      }
-    }
-
-    async tryMultipleButtons(banner) {
-      const buttons = Array.from(banner.querySelectorAll('button, a[role="button"]'));
-      
-      // Sort by reject likelihood
-      buttons.sort((a, b) => {
-        const scoreA = this.calculateRejectScore(a.textContent?.toLowerCase() || '', a);
-        const scoreB = this.calculateRejectScore(b.textContent?.toLowerCase() || '', b);
-        return scoreB - scoreA;
-      });
-      
-      for (const button of buttons.slice(0, 3)) { // Try top 3
-        const result = await this.clickButton(button);
-        if (result.success) {
-          return { 
-            success: true, 
-            confidence: 0.8,
-            buttonText: result.buttonText
-          };
-        }
-      }
-      
-      return { success: false };
-    }
-
-    async handleFrameworkBanner(banner) {
-      const className = (banner.className || '').toString().toLowerCase();
-      
-      if (className.includes('cookiebot')) {
-        return await this.handleCookiebot(banner);
-      } else if (className.includes('onetrust')) {
-        return await this.handleOneTrust(banner);
-      }
-      
-      return { success: false };
-    }
-
-    async handleCookiebot(banner) {
-      // Cookiebot specific handling
-      const rejectBtn = banner.querySelector('[id*="reject"], [class*="reject"]');
-      if (rejectBtn) {
-        const result = await this.clickButton(rejectBtn);
-        return { 
-          success: result.success, 
-          confidence: 0.9,
-          buttonText: result.buttonText
-        };
-      }
-      return { success: false };
-    }
-
-    async handleOneTrust(banner) {
-      // OneTrust specific handling
-      const rejectBtn = banner.querySelector('#onetrust-reject-all-handler, .onetrust-close-btn-ui');
-      if (rejectBtn) {
-        const result = await this.clickButton(rejectBtn);
-        return { 
-          success: result.success, 
-          confidence: 0.9,
-          buttonText: result.buttonText
-        };
-      }
-      return { success: false };
-    }
-
-    async handleSingleButton(banner) {
-      const button = banner.querySelector('button, a[role="button"]');
-      if (button) {
-        const text = button.textContent?.toLowerCase() || '';
-        
-        // Only click if it seems safe
-        if (!/accept|allow|agree|enable/.test(text)) {
-          const result = await this.clickButton(button);
-          return { 
-            success: result.success, 
-            confidence: 0.6,
-            buttonText: result.buttonText
-          };
-        }
-      }
-      
-      // NO FALLBACK HIDING - Return failure instead
-      return { success: false, confidence: 0, reason: 'Unsafe button or no button found' };
-    }
-
-    loadKnownPatterns() {
-      return {
-        reject: ['reject', 'decline', 'deny', 'refuse', 'dismiss', 'close', 'no'],
-        accept: ['accept', 'allow', 'agree', 'enable', 'yes'],
-        necessary: ['necessary', 'essential', 'required', 'functional'],
-        manage: ['manage', 'customize', 'preferences', 'settings']
-      };
-    }
-
-    initializeBlockingStrategies() {
-      return {
-        immediate: { priority: 1, delay: 0 },
-        delayed: { priority: 2, delay: 1000 },
-        observer: { priority: 3, delay: 0 }
-      };
-    }
-  }
-
-  // Initialize the system when DOM is ready
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initializeCookieKiller);
-  } else {
-    initializeCookieKiller();
-  }
-
-  async function initializeCookieKiller() {
-    try {
-      console.log('🍪 Initializing Cookie Marshal AI Agent...');
-      
-      // ENHANCED ERROR BOUNDARY: Prevent initialization failures
-      const maxRetries = 3;
-      let retryCount = 0;
-      
-      while (retryCount < maxRetries) {
-        try {
-          // Small delay to ensure page is settled
-          await new Promise(resolve => setTimeout(resolve, 1000 + (retryCount * 500)));
-          
-          // Initialize with error recovery
-          window.cookieKiller = new AntiEvasionCookieKiller();
-          await window.cookieKiller.initialize();
-          
-          console.log('✅ Cookie Banner Killer initialized successfully');
-          break;
-          
-        } catch (initError) {
-          retryCount++;
-          console.warn(`⚠️ Initialization attempt ${retryCount} failed:`, initError);
-          
-          if (retryCount >= maxRetries) {
-            console.error('❌ Failed to initialize after maximum retries');
-            
-            // Create minimal fallback instance
-            window.cookieKiller = {
-              isEnabled: false,
-              scanForBanners: () => console.log('Fallback: Scanner not available'),
-              cleanup: () => console.log('Fallback: Cleanup completed')
-            };
-            break;
-          }
-          
-          // Wait before retry
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-      }
-      
-    } catch (criticalError) {
-      console.error('🚨 CRITICAL ERROR during initialization:', criticalError);
-      
-      // Emergency fallback
-      window.cookieKiller = {
-        isEnabled: false,
-        error: criticalError.message,
-        scanForBanners: () => {},
-        cleanup: () => {}
-      };
-    }
-  }
-
-  // Enhanced cleanup on page unload with error protection
-  window.addEventListener('beforeunload', () => {
-    try {
-      if (window.cookieKiller && typeof window.cookieKiller.cleanup === 'function') {
-        window.cookieKiller.cleanup();
-      }
-    } catch (cleanupError) {
-      console.warn('Cleanup error (non-critical):', cleanupError);
-    }
-  });
-
-  // GLOBAL ERROR HANDLER: Catch any remaining unhandled errors
-  window.addEventListener('error', (event) => {
-    if (event.error && event.error.message && 
-        (event.error.message.includes('Maximum call stack') || 
-         event.error.message.includes('cookieKiller') ||
-         event.error.message.includes('calculateRejectScore'))) {
-      
-      console.error('🚨 CRITICAL: Detected potential recursion error:', event.error);
-      
-      // Try to recover by disabling problematic functions
-      if (window.cookieKiller) {
-        window.cookieKiller.isEnabled = false;
-        console.log('🛡️ Disabled extension to prevent further recursion');
-      }
-      
-      // Prevent default error handling to avoid browser crash
-      event.preventDefault();
-      return false;
-    }
-  });
-
-})(); 
\ No newline at end of file
+  
+  import(chrome.runtime.getURL('content-main.js'))
+    .then(({ startAgent }) => startAgent())
+    .catch(error => console.error('🚨 Cookie Banner Killer Error [module-load]:', error));
+})();
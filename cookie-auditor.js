@@ -0,0 +1,137 @@
+/**
+ * Cookie Marshal AI Agent - Cookie Auditor
+ * Compares a tab's cookies before and after a banner was rejected, classifies
+ * them against the tracker list in tracker-cookies.js and removes the tracking
+ * ones on request. Runs in the background service worker (needs chrome.cookies).
+ */
+
+class CookieAuditor {
+  /**
+   * @param {Array<Object>} trackers - Entries in the tracker-cookies.js format
+   * @param {Object} [options]
+   * @param {number} [options.settleDelay] - ms to wait after a rejection before the second snapshot
+   */
+  constructor(trackers, options = {}) {
+    this.trackers = Array.isArray(trackers) ? trackers : [];
+    this.settleDelay = typeof options.settleDelay === 'number' ? options.settleDelay : 2000;
+
+    // Third-party tracker domains audited on every page
+    this.trackerDomains = Array.from(new Set(
+      this.trackers.flatMap(tracker => tracker.domains || [])
+    ));
+  }
+
+  /**
+   * Cookies the page can see plus those on known tracker domains
+   * @param {string} url - Page URL
+   * @returns {Promise<Array<Object>>} chrome.cookies.Cookie objects with a firstParty flag
+   */
+  async snapshot(url) {
+    const [firstParty, ...thirdParty] = await Promise.all([
+      chrome.cookies.getAll({ url }),
+      ...this.trackerDomains.map(domain => chrome.cookies.getAll({ domain }))
+    ]);
+
+    const cookies = new Map();
+    firstParty.forEach(cookie => cookies.set(this.getCookieKey(cookie), { ...cookie, firstParty: true }));
+    thirdParty.flat().forEach(cookie => {
+      const key = this.getCookieKey(cookie);
+      if (!cookies.has(key)) {
+        cookies.set(key, { ...cookie, firstParty: false });
+      }
+    });
+
+    return Array.from(cookies.values());
+  }
+
+  getCookieKey(cookie) {
+    const partition = cookie.partitionKey ? cookie.partitionKey.topLevelSite || '' : '';
+    return `${cookie.storeId}|${partition}|${cookie.domain}|${cookie.path}|${cookie.name}`;
+  }
+
+  /**
+   * Find the tracker entry a cookie belongs to
+   * @param {Object} cookie - chrome.cookies.Cookie
+   * @returns {Object|null} Tracker entry, null for cookies not on the list
+   */
+  classify(cookie) {
+    const domain = (cookie.domain || '').replace(/^\./, '').toLowerCase();
+
+    return this.trackers.find(tracker => {
+      const nameMatches = this.matchesName(tracker, cookie.name);
+      if (!nameMatches) return false;
+
+      return !tracker.domains ||
+        tracker.domains.some(trackerDomain => domain === trackerDomain || domain.endsWith(`.${trackerDomain}`));
+    }) || null;
+  }
+
+  matchesName(tracker, name) {
+    if (tracker.match === 'prefix') return name.startsWith(tracker.name);
+    if (tracker.match === 'pattern') return new RegExp(tracker.name).test(name);
+    return name === tracker.name;
+  }
+
+  /**
+   * Compare two snapshots of the same page
+   * @param {Array<Object>|null} before - Snapshot taken before the rejection, null when lost
+   * @param {Array<Object>} after - Snapshot taken once the page settled
+   * @returns {Object} { trackers, added, removable } - lists of audited cookie entries
+   */
+  compare(before, after) {
+    const previous = new Map((before || []).map(cookie => [this.getCookieKey(cookie), cookie]));
+
+    const trackers = after
+      .map(cookie => {
+        const tracker = this.classify(cookie);
+        if (!tracker) return null;
+
+        const earlier = previous.get(this.getCookieKey(cookie));
+        return {
+          cookie,
+          vendor: tracker.vendor,
+          category: tracker.category,
+          // Without a baseline nothing can be attributed to this page
+          added: !!before && (!earlier || earlier.value !== cookie.value)
+        };
+      })
+      .filter(Boolean);
+
+    return {
+      trackers,
+      added: trackers.filter(entry => entry.added),
+      // Third-party cookies are shared with every site; only remove those this page set
+      removable: trackers.filter(entry => entry.cookie.firstParty || entry.added)
+    };
+  }
+
+  /**
+   * Delete cookies from their store
+   * @param {Array<Object>} cookies - chrome.cookies.Cookie objects
+   * @returns {Promise<Array<Object>>} The cookies that were actually removed
+   */
+  async remove(cookies) {
+    const results = await Promise.all(cookies.map(async cookie => {
+      try {
+        const host = cookie.domain.replace(/^\./, '');
+        // A partitioned (CHIPS) cookie is only found under its partition key
+        const removed = await chrome.cookies.remove({
+          url: `http${cookie.secure ? 's' : ''}://${host}${cookie.path}`,
+          name: cookie.name,
+          storeId: cookie.storeId,
+          ...(cookie.partitionKey ? { partitionKey: cookie.partitionKey } : {})
+        });
+        return removed ? cookie : null;
+      } catch (error) {
+        console.warn(`⚠️ Could not remove cookie ${cookie.name} (${cookie.domain}):`, error);
+        return null;
+      }
+    }));
+
+    return results.filter(Boolean);
+  }
+
+  wait() {
+    return new Promise(resolve => setTimeout(resolve, this.settleDelay));
+  }
+}
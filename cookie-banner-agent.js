@@ -0,0 +1,488 @@
+/**
+ * Cookie Marshal AI Agent - Cookie Banner Agent
+ * Rule-based agent used by the hybrid coordinator and as the fallback of
+ * AntiEvasionCookieKiller (cookie-killer.js). ES module.
+ */
+
+import { TextClassifier } from './ai-engine.js';
+import { contentScripts, resolveEnvironment } from './content-utils.js';
+import { MultiLanguageDetector } from './multi-language-utils.js';
+
+/**
+ * Fallback cookie banner processing agent with multi-step capabilities
+ * Provides reliable cookie rejection when advanced detection methods are not available
+ * Integrates seamlessly with main system for complex multi-step consent flows
+ */
+export class CookieBannerAgent {
+  /**
+   * @param {Object} [options] - Page environment (content-utils.js) and shared components
+   * @param {Object} [options.clickGuard] - ClickGuard of the main agent
+   * @param {Object} [options.tracer] - DecisionTracer of the main agent
+   */
+  constructor(options = {}) {
+    const { document, storage, clock } = resolveEnvironment(options);
+    this.document = document;
+    this.storage = storage;
+    this.clock = clock;
+    
+    // Every click is checked by the never-accept interlock
+    this.clickGuard = options.clickGuard || (contentScripts.ClickGuard
+      ? new contentScripts.ClickGuard({
+          rejectScore: (text, element) => this.calculateRejectScore(text, element),
+          languagePatterns: new MultiLanguageDetector({ document }).languagePatterns,
+          classifier: new TextClassifier({ clock }),
+          document
+        })
+      : null);
+    this.tracer = options.tracer || null;  // DecisionTracer of the main agent, if any
+    
+    // Same declarative CMP rules as the main engine, clicked through this agent
+    this.ruleEngine = contentScripts.RuleEngine
+      ? new contentScripts.RuleEngine(contentScripts.CMP_RULES || [], {
+          click: (element) => this.clickRuleStep(element),
+          clickGuard: this.clickGuard,
+          isVisible: (element) => this.isElementVisible(element),
+          root: this.document
+        })
+      : null;
+
+    this.smartDecisionEngine = {
+      patterns: this.loadKnownPatterns(),
+      determineStrategy: this.determineStrategy.bind(this)
+    };
+    this.blockingStrategies = this.initializeBlockingStrategies();
+  }
+
+  async processBanner(banner) {
+    // ENHANCED ERROR HANDLING: Prevent all types of errors
+    if (!banner) {
+      return { success: false, reason: 'Invalid banner element' };
+    }
+
+    console.log('🎯 Processing banner with rule-based agent');
+    const startTime = this.clock.now();
+    
+    try {
+      // 1. Try to click reject button with timeout and error handling
+      const rejectResult = await Promise.race([
+        this.findAndClickRejectButton(banner),
+        new Promise((_, reject) => 
+          setTimeout(() => reject(new Error('Reject button timeout')), 3000)
+        )
+      ]).catch(error => {
+        console.warn('Reject button operation failed:', error);
+        return { success: false, error: error.message };
+      });
+      
+      if (rejectResult && rejectResult.success) {
+        // LOG FEEDBACK: Mark successful rejection
+                this.markBannerSuccess(banner, 'REJECT BUTTON CLICKED', rejectResult.buttonText);
+      
+      // ENHANCEMENT: Learn successful patterns for this domain via main instance
+      if (window.cookieKiller && window.cookieKiller.learnSuccessfulPattern) {
+        window.cookieKiller.learnSuccessfulPattern(banner, rejectResult.buttonText);
+      }
+      
+      return {
+        success: true,
+        method: 'button-click',
+        buttonClicked: true,
+        buttonText: rejectResult.buttonText,
+        confidence: rejectResult.confidence || 0.5,
+        processingTime: this.clock.now() - startTime
+      };
+      }
+      
+      // 2. Try strategy-based approach with timeout and error handling
+      const strategy = this.determineStrategy(banner);
+      const strategyResult = await Promise.race([
+        this.executeStrategy(strategy, banner),
+        new Promise((_, reject) => 
+          setTimeout(() => reject(new Error('Strategy timeout')), 3000)
+        )
+      ]).catch(error => {
+        console.warn('Strategy execution failed:', error);
+        return { success: false, error: error.message };
+      });
+      
+      if (strategyResult && strategyResult.success) {
+        // LOG FEEDBACK: Mark successful strategy
+        this.markBannerSuccess(banner, 'STRATEGY SUCCESS', strategy.name);
+        return {
+          success: true,
+          method: 'strategy-execution',
+          strategy: strategy.name,
+          buttonText: strategyResult.buttonText,
+          confidence: strategyResult.confidence || 0.7,
+          processingTime: this.clock.now() - startTime
+        };
+      }
+      
+      // 3. Try multi-step consent handling if simple methods failed
+      console.log('🔄 Attempting multi-step consent flow...');
+      const multiStepResult = await Promise.race([
+        window.cookieKiller.handleMultiStepConsent(banner),
+        new Promise((_, reject) => 
+          setTimeout(() => reject(new Error('Multi-step timeout')), 10000)
+        )
+      ]).catch(error => {
+        console.warn('Multi-step consent handling failed:', error);
+        return { success: false, error: error.message };
+      });
+      
+      if (multiStepResult && multiStepResult.success) {
+        // LOG FEEDBACK: Mark successful multi-step
+        this.markBannerSuccess(banner, 'MULTI-STEP CONSENT', multiStepResult.method);
+        return {
+          success: true,
+          method: 'multi-step-consent',
+          steps: multiStepResult.steps,
+          confidence: multiStepResult.confidence || 0.8,
+          processingTime: this.clock.now() - startTime
+        };
+      }
+      
+      // 4. NO FALLBACK HIDING - This is normal behavior
+      console.log('ℹ️ Element processed but no action needed (likely not a cookie banner)');
+      
+      // This is normal behavior - not all detected elements need processing
+      console.log('ℹ️ No safe reject button found for element (this is normal for non-cookie banners)');
+      
+      return {
+        success: false,
+        method: 'no-safe-button-found',
+        confidence: 0,
+        processingTime: this.clock.now() - startTime,
+        reason: 'No reject button with sufficient confidence found'
+      };
+      
+    } catch (error) {
+      console.error('❌ Rule-based processing failed:', error);
+      
+      this.markBannerFailure(banner, `PROCESSING ERROR: ${error.message}`);
+      return {
+        success: false,
+        method: 'rule-based-error',
+        error: error.message,
+        confidence: 0,
+        processingTime: this.clock.now() - startTime
+      };
+    }
+  }
+
+  // Console-only feedback methods
+  markBannerSuccess(banner, method, details) {
+    console.log(`✅ ${method}: ${details || 'Success'}`);
+  }
+
+  markBannerFailure(banner, reason) {
+    console.log(`❌ ${reason}`);
+  }
+
+  calculateRejectScore(text, button) {
+    // ENHANCED: More sophisticated button scoring to reduce false positives
+    const normalizedText = text.toLowerCase().trim();
+    let score = 0;
+    
+    // VERY HIGH confidence reject patterns (0.9+ score)
+    const veryHighPatterns = [
+      'reject all', 'decline all', 'deny all', 'refuse all',
+      'reject all cookies', 'decline all cookies', 'deny all cookies'
+    ];
+    if (veryHighPatterns.some(pattern => normalizedText.includes(pattern))) {
+      score += 0.9;
+    }
+    
+    // HIGH confidence reject patterns (0.8 score)
+    const highPatterns = [
+      'reject cookies', 'decline cookies', 'deny cookies',
+      'refuse cookies', 'no cookies', 'block cookies'
+    ];
+    if (highPatterns.some(pattern => normalizedText.includes(pattern))) {
+      score += 0.8;
+    }
+    
+    // MEDIUM-HIGH confidence patterns (0.6 score)
+    const mediumHighPatterns = ['reject', 'decline', 'deny', 'refuse'];
+    if (mediumHighPatterns.some(pattern => normalizedText === pattern)) {
+      score += 0.6;
+    }
+    
+    // MEDIUM confidence patterns (0.4 score) - only if context is clear
+    const mediumPatterns = ['no', 'close', 'dismiss', 'cancel'];
+    if (mediumPatterns.some(pattern => normalizedText === pattern)) {
+      // Only give points if it's in a clear cookie context
+      const buttonContext = button.closest('[class*="cookie"], [class*="consent"], [class*="privacy"]');
+      if (buttonContext) {
+        score += 0.4;
+      }
+    }
+    
+    // STRONG penalty for accept words (more comprehensive)
+    const acceptPatterns = [
+      'accept', 'allow', 'agree', 'enable', 'ok', 'yes',
+      'accept all', 'allow all', 'agree to all', 'enable all',
+      'accept cookies', 'allow cookies', 'i agree', 'got it'
+    ];
+    // Short words must stand alone: "ok" is also inside "cookies"
+    const words = normalizedText.split(/[^\p{L}']+/u);
+    if (acceptPatterns.some(pattern => (pattern.length <= 3 ? words.includes(pattern) : normalizedText.includes(pattern)))) {
+      score -= 0.8; // Strong penalty
+    }
+    
+    // MEDIUM penalty for ambiguous/dangerous words
+    const ambiguousPatterns = [
+      'continue', 'proceed', 'next', 'confirm', 'submit',
+      'save', 'apply', 'update', 'customize'
+    ];
+    if (ambiguousPatterns.some(pattern => normalizedText.includes(pattern))) {
+      score -= 0.3;
+    }
+    
+    // BONUS for explicit privacy/cookie context
+    const contextBonusPatterns = [
+      'cookie preferences', 'privacy settings', 'manage cookies',
+      'cookie settings', 'opt out', 'do not track'
+    ];
+    if (contextBonusPatterns.some(pattern => normalizedText.includes(pattern))) {
+      score += 0.2;
+    }
+    
+    // ENHANCED: Check button attributes for additional context
+    const ariaLabel = (button.getAttribute('aria-label') || '').toLowerCase();
+    const title = (button.getAttribute('title') || '').toLowerCase();
+    const className = (button.className || '').toString().toLowerCase();
+    
+    // Bonus for clear rejection in attributes
+    if (ariaLabel.includes('reject') || title.includes('reject') || 
+        className.includes('reject') || className.includes('decline')) {
+      score += 0.2;
+    }
+    
+    // Penalty for accept in attributes
+    if (ariaLabel.includes('accept') || title.includes('accept') || 
+        className.includes('accept') || className.includes('allow')) {
+      score -= 0.2;
+    }
+    
+    // SAFETY: Never allow negative scores, cap at 1.0
+    const finalScore = Math.max(0, Math.min(1, score));
+    
+    // Enhanced logging for debugging
+    if (finalScore > 0.3) {
+      console.log(`🎯 Button scoring: "${normalizedText}" = ${finalScore.toFixed(2)}`);
+    }
+    
+    return finalScore;
+  }
+
+  async findAndClickRejectButton(banner) {
+    // FIXED: Remove recursive delegation to prevent infinite loop
+    // DO NOT delegate to window.cookieKiller - implement directly
+    
+    const buttons = banner.querySelectorAll('button, a[role="button"], input[type="button"], [onclick]');
+    
+    for (const button of buttons) {
+      const text = button.textContent?.toLowerCase().trim() || '';
+      const ariaLabel = (button.getAttribute('aria-label') || '').toString().toLowerCase();
+      const title = (button.getAttribute('title') || '').toString().toLowerCase();
+      const fullText = `${text} ${ariaLabel} ${title}`;
+      
+      const rejectScore = this.calculateRejectScore(fullText, button);
+      this.traceEvent(banner, 'button-score', { text: fullText, score: rejectScore });
+      
+      if (rejectScore > 0.7) {
+        const result = await this.clickButton(button);
+        if (result.success) {
+          return {
+            success: true,
+            confidence: rejectScore,
+            buttonText: result.buttonText
+          };
+        }
+      }
+    }
+    
+    return { success: false, confidence: 0 };
+  }
+
+  // A rule step only needs its click made; the rule's verify decides whether the banner went
+  async clickRuleStep(element) {
+    const result = await this.clickButton(element);
+    return { ...result, success: !!result.clicked };
+  }
+
+  async clickButton(button) {
+    // FIXED: Remove recursive delegation to prevent infinite loop
+    // DO NOT delegate to window.cookieKiller - implement directly
+    
+    // Hard interlock: accept-intent controls are never clicked
+    const veto = this.clickGuard ? this.clickGuard.check(button, 'CookieBannerAgent') : null;
+    if (veto) {
+      this.traceEvent(button, 'veto', { text: veto.text, signals: veto.signals });
+      return { success: false, vetoed: true, buttonText: veto.text };
+    }
+    
+    const result = await new Promise(resolve => {
+      try {
+        const buttonText = button.textContent?.trim() || button.getAttribute('aria-label') || 'Unknown button';
+        
+        // Multiple click strategies
+        button.click();
+        
+        // Trigger other events
+        ['mousedown', 'mouseup', 'click'].forEach(eventType => {
+          const event = new MouseEvent(eventType, {
+            bubbles: true,
+            cancelable: true,
+            view: window
+          });
+          button.dispatchEvent(event);
+        });
+        
+        // Check success after short delay
+        setTimeout(() => {
+          const stillVisible = this.isElementVisible(button.closest('[class*="cookie"], [class*="consent"], [class*="banner"]'));
+          resolve({
+            success: !stillVisible,
+            clicked: true,
+            buttonText: buttonText
+          });
+        }, 1000);
+        
+      } catch (error) {
+        console.warn('Button click failed:', error);
+        resolve({
+          success: false,
+          buttonText: button.textContent?.trim() || 'Unknown button'
+        });
+      }
+    });
+    
+    this.traceEvent(button, 'click', { text: result.buttonText, success: result.success });
+    return result;
+  }
+
+  traceEvent(element, type, details) {
+    if (this.tracer) this.tracer.record(element, type, details);
+  }
+
+  isElementVisible(element) {
+    if (!element) return false;
+    const style = this.document.defaultView.getComputedStyle(element);
+    const rect = element.getBoundingClientRect();
+    
+    return style.display !== 'none' && 
+           style.visibility !== 'hidden' && 
+           style.opacity !== '0' &&
+           rect.width > 0 && 
+           rect.height > 0;
+  }
+
+  determineStrategy(banner) {
+    const text = banner.textContent?.toLowerCase() || '';
+    const buttonCount = banner.querySelectorAll('button').length;
+    
+    // Strategy selection logic
+    if (buttonCount >= 3) {
+      return { name: 'multi-button', priority: 1 };
+    } else if (this.ruleEngine && this.ruleEngine.findRuleForBanner(banner)) {
+      return { name: 'framework-specific', priority: 2 };
+    } else if (buttonCount === 1) {
+      return { name: 'single-button', priority: 3 };
+    } else {
+      return { name: 'generic-hiding', priority: 4 };
+    }
+  }
+
+  async executeStrategy(strategy, banner) {
+    try {
+      switch (strategy.name) {
+        case 'multi-button':
+          return await this.tryMultipleButtons(banner);
+        case 'framework-specific':
+          return await this.handleFrameworkBanner(banner);
+        case 'single-button':
+          return await this.handleSingleButton(banner);
+        default:
+          // NO FALLBACK HIDING - Return failure instead
+          return { success: false, confidence: 0, reason: 'No valid strategy found' };
+      }
+    } catch (error) {
+      console.error('Strategy execution failed:', error);
+      return { success: false };
+    }
+  }
+
+  async tryMultipleButtons(banner) {
+    const buttons = Array.from(banner.querySelectorAll('button, a[role="button"]'));
+    
+    // Sort by reject likelihood
+    buttons.sort((a, b) => {
+      const scoreA = this.calculateRejectScore(a.textContent?.toLowerCase() || '', a);
+      const scoreB = this.calculateRejectScore(b.textContent?.toLowerCase() || '', b);
+      return scoreB - scoreA;
+    });
+    
+    for (const button of buttons.slice(0, 3)) { // Try top 3
+      const result = await this.clickButton(button);
+      if (result.success) {
+        return { 
+          success: true, 
+          confidence: 0.8,
+          buttonText: result.buttonText
+        };
+      }
+    }
+    
+    return { success: false };
+  }
+
+  async handleFrameworkBanner(banner) {
+    const rule = this.ruleEngine ? this.ruleEngine.findRuleForBanner(banner) : null;
+    if (!rule) {
+      return { success: false };
+    }
+    
+    const result = await this.ruleEngine.run(rule);
+    this.traceEvent(banner, 'cmp-rule', { rule: rule.id, success: !!result.success });
+    return result;
+  }
+
+  async handleSingleButton(banner) {
+    const button = banner.querySelector('button, a[role="button"]');
+    if (button) {
+      const text = button.textContent?.toLowerCase() || '';
+      
+      // Only click if it seems safe
+      if (!/accept|allow|agree|enable/.test(text)) {
+        const result = await this.clickButton(button);
+        return { 
+          success: result.success, 
+          confidence: 0.6,
+          buttonText: result.buttonText
+        };
+      }
+    }
+    
+    // NO FALLBACK HIDING - Return failure instead
+    return { success: false, confidence: 0, reason: 'Unsafe button or no button found' };
+  }
+
+  loadKnownPatterns() {
+    return {
+      reject: ['reject', 'decline', 'deny', 'refuse', 'dismiss', 'close', 'no'],
+      accept: ['accept', 'allow', 'agree', 'enable', 'yes'],
+      necessary: ['necessary', 'essential', 'required', 'functional'],
+      manage: ['manage', 'customize', 'preferences', 'settings']
+    };
+  }
+
+  initializeBlockingStrategies() {
+    return {
+      immediate: { priority: 1, delay: 0 },
+      delayed: { priority: 2, delay: 1000 },
+      observer: { priority: 3, delay: 0 }
+    };
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * Cookie Marshal AI Agent - Decision Trace
+ * Structured record of everything the agent decided about one banner, from
+ * the isValidCookieBanner checks to the consent verification. Finished traces
+ * go to the background script, which keeps the most recent ones in a ring
+ * buffer exported from the popup for bug reports.
+ *
+ * Trace format (plain JSON):
+ *   id          Unique per trace
+ *   url         Page the banner was on (query and fragment dropped)
+ *   frame       "top" or "iframe"
+ *   banner      Short selector of the banner element
+ *   startedAt   Epoch ms when processing started
+ *   events      In order, each { type, at (ms since startedAt), ...details }:
+ *                 check         name, passed    (validation, recorded before processing, at 0)
+ *                 frame-claim   granted, owner, takeover (frame coordination; owner is a frameId)
+ *                 cmp-adapter   adapter, method, verdict, success
+ *                 cmp-rule      rule, success
+ *                 complexity    score, level, recommendation, factors
+ *                 strategy      method, reason
+ *                 button-score  text, score
+ *                 click         text, success
+ *                 veto          text, signals   (ClickGuard refused an accept-intent click)
+ *                 plan          strategy, buttonText, score, wouldClick (dry run)
+ *                 verification  verdict, sources
+ *   outcome     The banner record reported to the popup (success, method, reason...)
+ *   duration    ms from start to outcome
+ */
+
+class DecisionTracer {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.describe] - (element) => short selector
+   * @param {Function} [options.onFinish] - (trace) => void, called once per finished trace
+   */
+  constructor(options = {}) {
+    this.describe = options.describe || (element => element.tagName.toLowerCase());
+    this.onFinish = options.onFinish || (() => {});
+    this.maxEvents = 200;
+    this.maxText = 80;
+
+    this.validations = new WeakMap(); // Element -> checks of its latest isValidCookieBanner run
+    this.active = new Map();          // Banner -> trace being recorded
+    this.sequence = 0;
+  }
+
+  /**
+   * Start collecting validation checks for an element
+   * Most validated elements never become banners; their checks are dropped
+   * with the element.
+   * @param {HTMLElement} element - Element being validated
+   */
+  startValidation(element) {
+    this.validations.set(element, []);
+  }
+
+  check(element, name, passed) {
+    const checks = this.validations.get(element);
+    if (checks) checks.push({ type: 'check', at: 0, name, passed: !!passed });
+    return passed;
+  }
+
+  /**
+   * Open the trace of a banner that is about to be processed
+   * @param {HTMLElement} banner - The banner
+   * @returns {Object} The trace
+   */
+  start(banner) {
+    const trace = {
+      id: `${Date.now().toString(36)}-${(this.sequence++).toString(36)}`,
+      url: `${window.location.origin}${window.location.pathname}`,
+      frame: window.top === window ? 'top' : 'iframe',
+      banner: this.describe(banner),
+      startedAt: Date.now(),
+      events: this.validations.get(banner) || [],
+      outcome: null,
+      duration: null
+    };
+
+    this.validations.delete(banner);
+    this.active.set(banner, trace);
+    return trace;
+  }
+
+  /**
+   * Add an event to the trace of the banner containing an element
+   * Elements outside every traced banner (e.g. a CMP's separate preference
+   * dialog) go to the only open trace, or nowhere when several are open.
+   * @param {HTMLElement} element - Banner or any element inside it
+   * @param {string} type - Event type (see the format above)
+   * @param {Object} [details] - Event fields
+   */
+  record(element, type, details = {}) {
+    const trace = this.traceFor(element);
+    if (!trace || trace.events.length >= this.maxEvents) return;
+
+    const event = { type, at: Date.now() - trace.startedAt };
+    for (const [key, value] of Object.entries(details)) {
+      event[key] = typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, this.maxText) : value;
+    }
+    trace.events.push(event);
+  }
+
+  /**
+   * Close a banner's trace with its outcome and hand it to onFinish
+   * @param {HTMLElement} banner - The banner
+   * @param {Object} outcome - Record sent to the popup
+   * @returns {Object|null} The finished trace, null when none was open
+   */
+  finish(banner, outcome) {
+    const trace = this.active.get(banner);
+    if (!trace) return null;
+
+    this.active.delete(banner);
+    trace.outcome = outcome;
+    trace.duration = Date.now() - trace.startedAt;
+    this.onFinish(trace);
+    return trace;
+  }
+
+  traceFor(element) {
+    if (!element) return null;
+    if (this.active.has(element)) return this.active.get(element);
+
+    for (const [banner, trace] of this.active) {
+      if (banner.contains(element)) return trace;
+    }
+    return this.active.size === 1 ? this.active.values().next().value : null;
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.DecisionTracer = DecisionTracer;
+}
@@ -0,0 +1,279 @@
+/**
+ * Cookie Marshal AI Agent - Element Picker
+ * Lets the user point at a missed cookie banner and its reject control.
+ * Hovered elements get the same .cookie-banner-killer-identified and
+ * .cookie-banner-killer-reject-btn outlines the agent uses for its own finds.
+ */
+
+class ElementPicker {
+  /**
+   * @param {Object} [options]
+   * @param {Document} [options.document] - Document to pick in
+   */
+  constructor(options = {}) {
+    this.document = options.document || document;
+    this.steps = [
+      {
+        key: 'banner',
+        className: 'cookie-banner-killer-identified',
+        instruction: 'Step 1/2: click the cookie banner (↑ selects the parent, Esc cancels)'
+      },
+      {
+        key: 'reject',
+        className: 'cookie-banner-killer-reject-btn',
+        instruction: 'Step 2/2: click the reject / decline button (Esc cancels)'
+      }
+    ];
+
+    this.stepIndex = 0;
+    this.hovered = null;
+    this.picked = {};
+    this.marked = new Set();          // Elements highlighted by the picker
+    this.savedPositions = new Map();  // Element -> inline position to restore
+    this.bar = null;
+    this.resolve = null;
+
+    this.handleMouseOver = this.handleMouseOver.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  /**
+   * Run the picker until both elements are picked or the user cancels
+   * @returns {Promise<{banner: HTMLElement, reject: HTMLElement}|null>}
+   */
+  pick() {
+    return new Promise(resolve => {
+      this.resolve = resolve;
+      this.showBar();
+
+      this.document.documentElement.classList.add('cookie-banner-killer-picking');
+      // Capture phase so the page never sees the picking clicks
+      this.document.addEventListener('mouseover', this.handleMouseOver, true);
+      this.document.addEventListener('click', this.handleClick, true);
+      this.document.addEventListener('keydown', this.handleKeyDown, true);
+    });
+  }
+
+  cancel() {
+    this.finish(null);
+  }
+
+  get currentStep() {
+    return this.steps[this.stepIndex];
+  }
+
+  handleMouseOver(event) {
+    const target = event.target;
+    if (!target || target === this.bar || this.bar.contains(target)) return;
+
+    this.highlight(target);
+  }
+
+  handleClick(event) {
+    if (this.bar && this.bar.contains(event.target)) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    event.stopImmediatePropagation();
+
+    const element = this.hovered || event.target;
+    const step = this.currentStep;
+
+    // Picking the banner twice would save a rule that clicks the banner itself
+    if (step.key === 'reject' && element === this.picked.banner) {
+      this.updateBar('Pick the reject button itself, not the whole banner');
+      return;
+    }
+
+    this.picked[step.key] = element;
+    this.stepIndex++;
+
+    if (this.stepIndex >= this.steps.length) {
+      this.finish(this.picked);
+      return;
+    }
+
+    // Keep the picked banner outlined while the reject control is chosen
+    this.hovered = null;
+    this.updateBar(this.currentStep.instruction);
+  }
+
+  handleKeyDown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      this.cancel();
+    } else if (event.key === 'ArrowUp' && this.hovered && this.hovered.parentElement &&
+               this.hovered.parentElement !== this.document.body) {
+      event.preventDefault();
+      this.highlight(this.hovered.parentElement);
+    }
+  }
+
+  highlight(element) {
+    const className = this.currentStep.className;
+
+    if (this.hovered) {
+      this.unmark(this.hovered, className);
+    }
+
+    this.hovered = element;
+    this.mark(element, className);
+  }
+
+  // The highlight classes force position: relative; keep fixed/sticky banners in place
+  mark(element, className) {
+    const position = this.document.defaultView.getComputedStyle(element).position;
+    if (position !== 'static' && position !== 'relative' && !this.savedPositions.has(element)) {
+      this.savedPositions.set(element, element.style.getPropertyValue('position'));
+      element.style.setProperty('position', position, 'important');
+    }
+    element.classList.add(className);
+    this.marked.add(element);
+  }
+
+  unmark(element, className) {
+    element.classList.remove(className);
+
+    const stillMarked = this.steps.some(step => element.classList.contains(step.className));
+    if (!stillMarked && this.savedPositions.has(element)) {
+      const original = this.savedPositions.get(element);
+      element.style.removeProperty('position');
+      if (original) element.style.setProperty('position', original);
+      this.savedPositions.delete(element);
+    }
+  }
+
+  showBar() {
+    this.bar = this.document.createElement('div');
+    this.bar.className = 'cookie-banner-killer-notification cookie-banner-killer-picker-bar';
+
+    const text = this.document.createElement('span');
+    text.textContent = this.currentStep.instruction;
+    this.bar.appendChild(text);
+
+    const cancel = this.document.createElement('button');
+    cancel.type = 'button';
+    cancel.textContent = 'Cancel';
+    cancel.addEventListener('click', () => this.cancel());
+    this.bar.appendChild(cancel);
+
+    this.document.documentElement.appendChild(this.bar);
+  }
+
+  updateBar(message) {
+    if (this.bar) {
+      this.bar.firstChild.textContent = message;
+    }
+  }
+
+  finish(result) {
+    this.document.removeEventListener('mouseover', this.handleMouseOver, true);
+    this.document.removeEventListener('click', this.handleClick, true);
+    this.document.removeEventListener('keydown', this.handleKeyDown, true);
+    this.document.documentElement.classList.remove('cookie-banner-killer-picking');
+
+    // Only our own highlights; the agent may have outlined elements too
+    this.marked.forEach(element => {
+      this.steps.forEach(step => this.unmark(element, step.className));
+    });
+    this.marked.clear();
+
+    if (this.bar) {
+      this.bar.remove();
+      this.bar = null;
+    }
+
+    if (this.resolve) {
+      this.resolve(result);
+      this.resolve = null;
+    }
+  }
+
+  /**
+   * Build a selector that finds the element again on a future visit
+   * Prefers stable ids and classes, falls back to a short :nth-of-type path
+   * @param {HTMLElement} element - Picked element
+   * @returns {string} Selector unique in the document
+   */
+  static buildSelector(element) {
+    const parts = [];
+    let current = element;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE && current !== element.ownerDocument.documentElement) {
+      const part = ElementPicker.describe(current);
+      parts.unshift(part);
+
+      const selector = parts.join(' > ');
+      if (ElementPicker.isUnique(selector, element)) {
+        return selector;
+      }
+
+      // Ids are unique anchors; no point climbing further
+      if (part.startsWith('#')) break;
+      current = current.parentElement;
+    }
+
+    return ElementPicker.nthPath(element);
+  }
+
+  static describe(element) {
+    if (element.id && ElementPicker.isStableName(element.id)) {
+      return `#${CSS.escape(element.id)}`;
+    }
+
+    const tag = element.tagName.toLowerCase();
+    const classes = Array.from(element.classList)
+      .filter(name => ElementPicker.isStableName(name) && !name.startsWith('cookie-banner-killer'))
+      .slice(0, 3)
+      .map(name => `.${CSS.escape(name)}`)
+      .join('');
+
+    return `${tag}${classes}`;
+  }
+
+  // Generated names (hashes, long digit runs) change between deployments
+  static isStableName(name) {
+    if (!name || name.length >= 40 || /\d{4,}/.test(name)) return false;
+
+    // Hash-like tokens ("x7f3k2q9") and CSS-module suffixes ("banner__3fZq1")
+    if (/^[a-z0-9]{8,}$/i.test(name) && /\d/.test(name)) return false;
+    return !/__[a-z0-9]{5,}$/i.test(name);
+  }
+
+  static isUnique(selector, element) {
+    try {
+      const matches = element.ownerDocument.querySelectorAll(selector);
+      return matches.length === 1 && matches[0] === element;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // :nth-of-type path up to the closest ancestor with a unique stable name
+  static nthPath(element) {
+    const parts = [];
+    let current = element;
+
+    while (current && current.parentElement && current !== element.ownerDocument.body) {
+      if (current !== element) {
+        const anchor = ElementPicker.describe(current);
+        if (anchor !== current.tagName.toLowerCase() && ElementPicker.isUnique(anchor, current)) {
+          return [anchor, ...parts].join(' > ');
+        }
+      }
+
+      const tag = current.tagName.toLowerCase();
+      const siblings = Array.from(current.parentElement.children).filter(child => child.tagName === current.tagName);
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(current) + 1})` : tag);
+      current = current.parentElement;
+    }
+
+    return ['body', ...parts].join(' > ');
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.ElementPicker = ElementPicker;
+}
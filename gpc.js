@@ -0,0 +1,21 @@
+/**
+ * Cookie Marshal AI Agent - Global Privacy Control Signal
+ * Main-world content script registered by the background script at
+ * document_start on exactly the pages whose request carries Sec-GPC: 1
+ * (see syncGpcRules), so navigator.globalPrivacyControl and the header agree
+ */
+
+(function() {
+  'use strict';
+
+  try {
+    Object.defineProperty(Navigator.prototype, 'globalPrivacyControl', {
+      get: () => true,
+      configurable: true,
+      enumerable: true
+    });
+  } catch (error) {
+    console.log('🛡️ Could not define navigator.globalPrivacyControl:', error.message);
+  }
+
+})();
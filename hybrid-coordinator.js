@@ -1,12 +1,27 @@
 /**
  * Cookie Marshal AI Agent - Hybrid Coordinator
  * Intelligently chooses between rule-based and AI processing
+ * ES module, created by AntiEvasionCookieKiller (cookie-killer.js)
  */
 
-class HybridCoordinator {
-  constructor(ruleBasedAgent, aiEngine) {
+import { resolveEnvironment } from './content-utils.js';
+
+export class HybridCoordinator {
+  /**
+   * @param {Object} ruleBasedAgent - CookieBannerAgent
+   * @param {Object|null} aiEngine - AIEngine, null when unavailable
+   * @param {Object} [options] - Page environment (content-utils.js): document, storage, clock
+   * @param {Object} [options.tracer] - DecisionTracer receiving complexity and strategy events
+   */
+  constructor(ruleBasedAgent, aiEngine, options = {}) {
+    const { document, storage, clock } = resolveEnvironment(options);
+    this.document = document;
+    this.storage = storage;
+    this.clock = clock;
+    
     this.ruleBasedAgent = ruleBasedAgent;
     this.aiEngine = aiEngine;
+    this.tracer = options.tracer || null;
     this.siteComplexityCache = new Map();
     this.performanceStats = {
       ruleBasedWins: 0,
@@ -27,24 +42,39 @@ class HybridCoordinator {
     };
   }
 
+  // Override the defaults with the validated `hybrid` section of AgentConfig
+  async loadConfig() {
+    if (typeof window === 'undefined' || !window.AgentConfig) return;
+    
+    const { hybrid } = await window.AgentConfig.load();
+    Object.assign(this.thresholds, hybrid);
+  }
+
   async processBanner(banner) {
     console.log('🤖 Starting Hybrid Processing...');
-    const startTime = Date.now();
+    const startTime = this.clock.now();
     
     try {
       // Step 1: Quick site complexity analysis
       const complexity = await this.analyzeSiteComplexity(banner);
+      this.trace(banner, 'complexity', {
+        score: complexity.score,
+        level: complexity.level,
+        recommendation: complexity.recommendation,
+        factors: complexity.factors
+      });
       
       // Step 2: Decide processing strategy
       const strategy = this.decideStrategy(complexity);
+      this.trace(banner, 'strategy', { method: strategy.method, reason: strategy.reason });
       
       // Step 3: Execute strategy
       const result = await this.executeStrategy(strategy, banner, complexity);
       
       // Step 4: Learn from outcome
-      await this.recordOutcome(strategy, result, Date.now() - startTime);
+      await this.recordOutcome(strategy, result, this.clock.now() - startTime);
       
-      console.log(`🏁 Hybrid processing complete: ${result.method} in ${Date.now() - startTime}ms`);
+      console.log(`🏁 Hybrid processing complete: ${result.method} in ${this.clock.now() - startTime}ms`);
       return result;
       
     } catch (error) {
@@ -54,8 +84,12 @@ class HybridCoordinator {
     }
   }
 
+  trace(banner, type, details) {
+    if (this.tracer) this.tracer.record(banner, type, details);
+  }
+
   async analyzeSiteComplexity(banner) {
-    const domain = window.location.hostname;
+    const domain = this.document.location.hostname;
     
     // Check cache first
     if (this.siteComplexityCache.has(domain)) {
@@ -120,7 +154,7 @@ class HybridCoordinator {
       }
       
       // Hidden elements
-      const style = getComputedStyle(button);
+      const style = this.document.defaultView.getComputedStyle(button);
       if (style.display === 'none' || style.visibility === 'hidden') {
         hiddenButtons += 1;
       }
@@ -148,9 +182,9 @@ class HybridCoordinator {
   }
 
   getDOMComplexity() {
-    const totalElements = document.querySelectorAll('*').length;
-    const iframes = document.querySelectorAll('iframe').length;
-    const dynamicContent = document.querySelectorAll('[data-react], [ng-], [v-]').length;
+    const totalElements = this.document.querySelectorAll('*').length;
+    const iframes = this.document.querySelectorAll('iframe').length;
+    const dynamicContent = this.document.querySelectorAll('[data-react], [ng-], [v-]').length;
     
     const sizeScore = Math.min(totalElements / 2000, 1);
     const iframeScore = Math.min(iframes / 10, 1);
@@ -207,12 +241,12 @@ class HybridCoordinator {
   async getHistoricalDifficulty(domain) {
     try {
       const key = `difficulty_${domain}`;
-      const stored = localStorage.getItem(key);
+      const stored = this.storage.getItem(key);
       
       if (stored) {
         const data = JSON.parse(stored);
         const recentAttempts = data.attempts.filter(
-          attempt => Date.now() - attempt.timestamp < 7 * 24 * 60 * 60 * 1000 // 7 days
+          attempt => this.clock.now() - attempt.timestamp < 7 * 24 * 60 * 60 * 1000 // 7 days
         );
         
         if (recentAttempts.length === 0) return 0.5;
@@ -355,19 +389,19 @@ class HybridCoordinator {
   }
 
   async executeRuleBasedOnly(banner) {
-    const startTime = Date.now();
+    const startTime = this.clock.now();
     const result = await this.ruleBasedAgent.processBanner(banner);
     
     return {
       ...result,
       method: 'rule-based-only',
-      processingTime: Date.now() - startTime,
+      processingTime: this.clock.now() - startTime,
       confidence: result.confidence || 0.8
     };
   }
 
   async executeRuleBasedWithFallback(banner, complexity) {
-    const startTime = Date.now();
+    const startTime = this.clock.now();
     
     // Try rule-based first
     const ruleResult = await this.ruleBasedAgent.processBanner(banner);
@@ -376,7 +410,7 @@ class HybridCoordinator {
       return {
         ...ruleResult,
         method: 'rule-based-primary',
-        processingTime: Date.now() - startTime,
+        processingTime: this.clock.now() - startTime,
         fallbackUsed: false
       };
     }
@@ -390,7 +424,7 @@ class HybridCoordinator {
       return {
         ...enhancedResult,
         method: 'rule-based-with-ai-fallback',
-        processingTime: Date.now() - startTime,
+        processingTime: this.clock.now() - startTime,
         fallbackUsed: true
       };
     }
@@ -398,14 +432,14 @@ class HybridCoordinator {
     return {
       ...ruleResult,
       method: 'rule-based-primary',
-      processingTime: Date.now() - startTime,
+      processingTime: this.clock.now() - startTime,
       fallbackUsed: false,
       notes: 'AI fallback was not better'
     };
   }
 
   async executeAIPrimaryWithFallback(banner, complexity) {
-    const startTime = Date.now();
+    const startTime = this.clock.now();
     
     // Try AI first
     const aiResult = await this.aiEngine.processWithAI(banner, complexity);
@@ -415,7 +449,7 @@ class HybridCoordinator {
       return {
         ...processedResult,
         method: 'ai-primary',
-        processingTime: Date.now() - startTime,
+        processingTime: this.clock.now() - startTime,
         fallbackUsed: false
       };
     }
@@ -427,13 +461,13 @@ class HybridCoordinator {
     return {
       ...ruleResult,
       method: 'ai-with-rule-fallback',
-      processingTime: Date.now() - startTime,
+      processingTime: this.clock.now() - startTime,
       fallbackUsed: true
     };
   }
 
   async executeParallelEvaluation(banner, complexity, timeout) {
-    const startTime = Date.now();
+    const startTime = this.clock.now();
     
     console.log('⚡ Starting parallel evaluation...');
     
@@ -457,14 +491,14 @@ class HybridCoordinator {
         return {
           ...processedResult,
           method: 'parallel-ai-won',
-          processingTime: Date.now() - startTime,
+          processingTime: this.clock.now() - startTime,
           alternativeResult: ruleResult
         };
       } else {
         return {
           ...ruleResult,
           method: 'parallel-rule-won',
-          processingTime: Date.now() - startTime,
+          processingTime: this.clock.now() - startTime,
           alternativeResult: aiResult
         };
       }
@@ -476,7 +510,7 @@ class HybridCoordinator {
       return {
         ...ruleResult,
         method: 'parallel-fallback',
-        processingTime: Date.now() - startTime
+        processingTime: this.clock.now() - startTime
       };
     }
   }
@@ -505,7 +539,10 @@ class HybridCoordinator {
       
       if (aiButton && !ruleResult.buttonClicked) {
         console.log('🔗 Using AI-identified button for rule-based processing');
-        await this.ruleBasedAgent.clickButton(aiButton);
+        const clickResult = await this.ruleBasedAgent.clickButton(aiButton);
+        if (clickResult && clickResult.vetoed) {
+          return ruleResult;
+        }
         
         return {
           ...ruleResult,
@@ -594,15 +631,15 @@ class HybridCoordinator {
     }
     
     // Store historical difficulty for domain
-    const domain = window.location.hostname;
+    const domain = this.document.location.hostname;
     const key = `difficulty_${domain}`;
     
     try {
-      const stored = localStorage.getItem(key) || '{"attempts": []}';
+      const stored = this.storage.getItem(key) || '{"attempts": []}';
       const data = JSON.parse(stored);
       
       data.attempts.push({
-        timestamp: Date.now(),
+        timestamp: this.clock.now(),
         success: result.success,
         method: result.method,
         attempts: 1, // Could be enhanced to track multiple attempts
@@ -613,7 +650,7 @@ class HybridCoordinator {
       // Keep only recent attempts (last 50)
       data.attempts = data.attempts.slice(-50);
       
-      localStorage.setItem(key, JSON.stringify(data));
+      this.storage.setItem(key, JSON.stringify(data));
     } catch (error) {
       console.warn('Failed to record outcome:', error);
     }
@@ -689,6 +726,3 @@ class HybridCoordinator {
     };
   }
 }
-
-// Export for use in content script
-window.HybridCoordinator = HybridCoordinator; 
\ No newline at end of file
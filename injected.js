@@ -12,6 +12,135 @@
   }
   window.cookieBannerKillerInjected = true;
 
+  // Main-world side of the bridge to the content script (see page-bridge.js)
+  const BRIDGE_SOURCE = 'cookie-marshal';
+
+  const postToContent = (type, payload = {}, id = null) => {
+    window.postMessage({ source: BRIDGE_SOURCE, direction: 'to-content', type, id, payload }, '*');
+  };
+
+  // Where CMPs record the user's decision. Never blocked: a refusal has to
+  // persist, and the content script's ConsentVerifier reads it back
+  const CMP_DECISION_KEYS = ['OptanonConsent', 'CookieConsent', 'euconsent-v2', 'didomi_token', 'uc_settings'];
+  const isCmpDecisionKey = (key) => CMP_DECISION_KEYS.includes(String(key).split('=')[0].trim());
+
+  // Report an interception to the isolated world; detail must stay cloneable
+  const emitInterception = (kind, detail) => {
+    postToContent('interception', {
+      kind,
+      detail: typeof detail === 'string' ? detail.slice(0, 200) : String(detail),
+      timestamp: Date.now()
+    });
+  };
+
+  // Google Consent Mode v2
+  // Denies the four v2 consent types up front and rewrites any later consent
+  // command that grants one of them; every other gtag/dataLayer call passes through
+  const consentMode = {
+    DENIED: {
+      ad_storage: 'denied',
+      analytics_storage: 'denied',
+      ad_user_data: 'denied',
+      ad_personalization: 'denied'
+    },
+
+    wrapped: new WeakSet(),  // gtag functions and dataLayer arrays already handled
+    active: false,           // Wrappers pass every command through while off
+
+    install: () => {
+      consentMode.active = true;
+      // Defaults must be in dataLayer before gtag.js/GTM read it
+      consentMode.pushCommand('consent', 'default', { ...consentMode.DENIED });
+      consentMode.pushCommand('consent', 'update', { ...consentMode.DENIED });
+      consentMode.wrapDataLayer(window.dataLayer);
+      consentMode.wrapGtag();
+    },
+
+    // Same as the gtag snippet: gtag.js only reads arguments objects, not arrays
+    pushCommand: function() {
+      window.dataLayer = window.dataLayer || [];
+      window.dataLayer.push(arguments);
+    },
+
+    isConsentCommand: (command) =>
+      !!command && typeof command === 'object' && typeof command.length === 'number' &&
+      command[0] === 'consent' && (command[1] === 'default' || command[1] === 'update') &&
+      !!command[2] && typeof command[2] === 'object',
+
+    // Consent parameters with every granted v2 type denied, or null when nothing is granted
+    denyGrants: (params) => {
+      const granted = Object.keys(consentMode.DENIED).filter(type => params[type] === 'granted');
+      if (granted.length === 0) return null;
+
+      const rewritten = { ...params };
+      granted.forEach(type => { rewritten[type] = 'denied'; });
+      return rewritten;
+    },
+
+    // Commands the site sends from now on pass through; the denials already in dataLayer stay
+    uninstall: () => {
+      consentMode.active = false;
+    },
+
+    // Rewritten copy of a gtag command, or the command itself when it grants nothing
+    rewriteCommand: (command) => {
+      if (!consentMode.active || !consentMode.isConsentCommand(command)) return command;
+
+      const params = consentMode.denyGrants(command[2]);
+      if (!params) return command;
+
+      console.log(`🍪 Rewrote granting consent ${command[1]} to denied`);
+      emitInterception('consent-mode-denied', command[1]);
+
+      const args = Array.from(command);
+      args[2] = params;
+      // Keep the caller's shape: gtag.js only processes arguments objects
+      return Array.isArray(command) ? args : (function() { return arguments; })(...args);
+    },
+
+    wrapDataLayer: (dataLayer) => {
+      if (!Array.isArray(dataLayer) || consentMode.wrapped.has(dataLayer)) return;
+      consentMode.wrapped.add(dataLayer);
+
+      const originalPush = dataLayer.push;
+      dataLayer.push = function(...items) {
+        return originalPush.apply(dataLayer, items.map(consentMode.rewriteCommand));
+      };
+    },
+
+    wrapGtag: () => {
+      const originalGtag = window.gtag;
+      if (typeof originalGtag !== 'function' || consentMode.wrapped.has(originalGtag)) return;
+
+      const gtag = function(...args) {
+        return originalGtag.apply(this, Array.from(consentMode.rewriteCommand(args)));
+      };
+      consentMode.wrapped.add(originalGtag);
+      consentMode.wrapped.add(gtag);
+      window.gtag = gtag;
+    }
+  };
+
+  // CMP API calls, made only when the CMP defines the method
+  const callIfPresent = (fn, context) => {
+    if (typeof fn !== 'function') return 'unavailable';
+    fn.call(context);
+    return 'called';
+  };
+
+  // Stand-ins installed by createFakeAPIs; they have no UI to show
+  const fakeApiObjects = new Set();
+
+  // Returns one { name, status } entry per mechanism: called, unavailable or failed
+  const runConsentMethods = (methods) => methods.map(([name, method]) => {
+    try {
+      return { name, status: method() };
+    } catch (e) {
+      // Method failed inside the CMP
+      return { name, status: 'failed', error: e && e.message };
+    }
+  });
+
   class InjectedBannerKiller {
     constructor() {
       this.originalMethods = {};
@@ -34,9 +163,9 @@
         
         // Advanced consent blocking
         blockConsentAPIs: () => {
-          // Block common consent management APIs
+          // Block common consent management APIs (__tcfapi and __gpp are answered by tcfStub/gppStub)
           const blockedAPIs = [
-            '__tcfapi', '__cmp', '__gpp', 'gtag', 'fbq',
+            '__cmp', 'gtag', 'fbq',
             'dataLayer', '_gaq', 'ga', 'GoogleAnalyticsObject'
           ];
           
@@ -75,8 +204,14 @@
         'tarteaucitron', 'cookieconsent', 'CCM'
       ];
 
+      // Sites that assign a fresh gtag or dataLayer get it wrapped again
+      const onAssign = {
+        gtag: () => this.interceptGoogleAnalytics(),
+        dataLayer: () => this.interceptDataLayer()
+      };
+
       consentVars.forEach(varName => {
-        this.interceptGlobalVariable(varName);
+        this.interceptGlobalVariable(varName, onAssign[varName]);
       });
 
       // Intercept Google Analytics
@@ -90,31 +225,16 @@
       }
     }
 
+    // Granting consent commands become denials; config, event and other calls pass through
     interceptGoogleAnalytics() {
-      const originalGtag = window.gtag;
-      window.gtag = (...args) => {
-        // Block consent-related gtag calls
-        if (args[0] === 'consent' || args[0] === 'config') {
-          console.log('🍪 Blocked gtag consent call:', args);
-          return;
-        }
-        return originalGtag.apply(this, args);
-      };
+      consentMode.wrapGtag();
     }
 
     interceptDataLayer() {
-      const originalPush = window.dataLayer.push;
-      window.dataLayer.push = (data) => {
-        // Block consent-related dataLayer pushes
-        if (data && (data.event === 'gtm.consent' || data.consent_state)) {
-          console.log('🍪 Blocked dataLayer consent push:', data);
-          return;
-        }
-        return originalPush.call(window.dataLayer, data);
-      };
+      consentMode.wrapDataLayer(window.dataLayer);
     }
 
-    interceptGlobalVariable(varName) {
+    interceptGlobalVariable(varName, onSet = null) {
       if (window[varName]) {
         try {
           // If it's an object, wrap its methods
@@ -127,7 +247,7 @@
       }
 
       // Set up property watcher for future assignments
-      this.watchProperty(window, varName);
+      this.watchProperty(window, varName, onSet);
     }
 
     wrapObjectMethods(obj, objName) {
@@ -142,6 +262,7 @@
                 prop.toLowerCase().includes('accept') || 
                 prop.toLowerCase().includes('reject')) {
               console.log(`🍪 Intercepted ${objName}.${prop}:`, args);
+              emitInterception('consent-api-called', `${objName}.${prop}`);
             }
             return originalMethod.apply(obj, args);
           };
@@ -149,21 +270,27 @@
       });
     }
 
-    watchProperty(obj, prop) {
+    watchProperty(obj, prop, onSet = null) {
       let value = obj[prop];
+      const killer = this;
       
       Object.defineProperty(obj, prop, {
         get() {
           return value;
         },
         set(newValue) {
+          if (newValue === value) return;
           console.log(`🍪 Global variable ${prop} set to:`, newValue);
           value = newValue;
           
           // If it's a consent-related object, wrap it
           if (newValue && typeof newValue === 'object' && 
               prop.toLowerCase().includes('consent')) {
-            this.wrapObjectMethods(newValue, prop);
+            killer.wrapObjectMethods(newValue, prop);
+          }
+          
+          if (onSet) {
+            onSet(newValue);
           }
         },
         configurable: true,
@@ -183,6 +310,7 @@
           // Block consent-related storage
           if (this.isConsentKey(key)) {
             console.log(`🍪 Blocked ${storageName} consent key:`, key, value);
+            emitInterception('storage-blocked', key);
             return;
           }
           return originalSetItem.call(window[storageName], key, value);
@@ -216,6 +344,7 @@
             // Block consent-related cookies
             if (this.isConsentCookie && this.isConsentCookie(value)) {
               console.log('🍪 Blocked consent cookie:', value);
+              emitInterception('cookie-blocked', value.split('=')[0]);
               return;
             }
             return originalCookieDescriptor.set.call(this, value);
@@ -258,6 +387,8 @@
     }
 
     isConsentKey(key) {
+      if (isCmpDecisionKey(key)) return false;
+      
       const consentKeywords = [
         'consent', 'cookie-consent', 'gdpr', 'ccpa', 'privacy-consent',
         'analytics-consent', 'tracking-consent', 'marketing-consent', 'functional-consent',
@@ -271,6 +402,8 @@
     }
 
     isConsentCookie(cookieString) {
+      if (isCmpDecisionKey(cookieString)) return false;
+      
       const consentPatterns = [
         /consent.*=/i, /gdpr.*=/i, /ccpa.*=/i, /privacy.*=/i,
         /analytics.*consent/i, /tracking.*consent/i, /marketing.*consent/i,
@@ -317,130 +450,184 @@
     }
 
     // Utility method to reject all known consent mechanisms
+    // Returns one { name, status } entry per mechanism: called, unavailable or failed
     rejectAllConsent() {
       const rejectMethods = [
         // OneTrust
-        () => window.OneTrust?.RejectAll?.(),
-        () => window.OneTrust?.Close?.(),
+        ['OneTrust.RejectAll', () => callIfPresent(window.OneTrust?.RejectAll, window.OneTrust)],
+        ['OneTrust.Close', () => callIfPresent(window.OneTrust?.Close, window.OneTrust)],
         
         // Cookiebot
-        () => window.Cookiebot?.reject?.(),
-        () => window.CookieConsent?.reject?.(),
+        ['Cookiebot.reject', () => callIfPresent(window.Cookiebot?.reject, window.Cookiebot)],
+        ['CookieConsent.reject', () => callIfPresent(window.CookieConsent?.reject, window.CookieConsent)],
         
         // TrustArc
-        () => window.truste?.eu?.bindMap?.toggledivs?.call(),
+        ['truste.toggledivs', () => callIfPresent(window.truste?.eu?.bindMap?.toggledivs)],
         
-        // Quantcast
-        () => window.__cmp?.('setVendorConsents', false),
+        // Didomi
+        ['Didomi.setUserDisagreeToAll', () => callIfPresent(window.Didomi?.setUserDisagreeToAll, window.Didomi)],
         
-        // Custom implementations
-        () => {
-          // Try to find and click reject buttons in common frameworks
-          const rejectSelectors = [
-            '[data-accept-action="reject"]',
-            '[data-consent="reject"]',
-            '.ot-pc-refuse-all-handler',
-            '#CybotCookiebotDialogBodyButtonDecline',
-            '.cc-dismiss',
-            '[id*="reject" i]'
-          ];
-          
-          rejectSelectors.forEach(selector => {
-            const button = document.querySelector(selector);
-            if (button && button.offsetParent) {
-              button.click();
-              console.log('🍪 Clicked reject button:', selector);
-            }
-          });
-        }
+        // TCF v2 CMPs (Quantcast Choice...) have no reject call: their UI decides
+        // Buttons are left to the content script, where ClickGuard vets every click
       ];
 
-      rejectMethods.forEach((method, index) => {
-        try {
-          method();
-        } catch (e) {
-          // Method not available or failed
-        }
-      });
+      return runConsentMethods(rejectMethods);
     }
   }
 
-  // Initialize the injected banner killer
-  const injectedKiller = new InjectedBannerKiller();
+  // Show the CMP's consent UI again so the user can review the decision
+  // (undo from the popup). Same { name, status } entries as rejectAllConsent
+  const reopenConsentUi = () => {
+    const real = (api) => (fakeApiObjects.has(window[api]) ? undefined : window[api]);
+    
+    return runConsentMethods([
+      ['OneTrust.ToggleInfoDisplay', () => callIfPresent(real('OneTrust')?.ToggleInfoDisplay, window.OneTrust)],
+      ['Cookiebot.renew', () => callIfPresent(real('Cookiebot')?.renew, window.Cookiebot)],
+      ['Didomi.preferences.show', () => callIfPresent(real('Didomi')?.preferences?.show, window.Didomi?.preferences)],
+      ['UC_UI.showSecondLayer', () => callIfPresent(real('UC_UI')?.showSecondLayer, window.UC_UI)],
+      ['truste.eu.clickListener', () => callIfPresent(real('truste')?.eu?.clickListener, window.truste?.eu)]
+    ]);
+  };
 
-  // Expose utility function to content script
-  window.cookieBannerKillerRejectAll = () => {
-    injectedKiller.rejectAllConsent();
+  // Didomi.getUserStatus() as a verdict: refused once purposes were decided
+  // and none has consent; legitimate interest does not count
+  const didomiVerdict = (status) => {
+    const consent = status?.purposes?.consent;
+    if (!consent) return 'unknown';
+    if ((consent.enabled || []).length > 0) return 'granted';
+    return (consent.disabled || []).length > 0 ? 'refused' : 'unknown';
   };
 
-  // Auto-reject after a short delay to let consent managers initialize
-  setTimeout(() => {
-    injectedKiller.rejectAllConsent();
-  }, 2000);
+  // The site's own TCF v2 CMP answers __tcfapi; tcfStub does not count
+  const hasSiteTcfApi = () => typeof window.__tcfapi === 'function' && window.__tcfapi !== tcfStub.handleCommand;
 
-  // Advanced Consent Management System (CMS) Blocking
-  const advancedCMSBlocker = {
-    // Block popular CMS providers
-    blockConsentManagers: () => {
-      const cmsProviders = [
-        'cookiebot', 'onetrust', 'trustarc', 'cookiepro', 'quantcast',
-        'didomi', 'usercentrics', 'cookiefirst', 'termly', 'iubenda',
-        'cookieyes', 'complianz', 'borlabs', 'cookielawinfo', 'wpcc'
-      ];
+  // __tcfapi('getTCData') as a verdict: refused once the CMP holds a TC string
+  // without any purpose consent; legitimate interest does not count
+  const tcfVerdict = () => new Promise(resolve => {
+    if (!hasSiteTcfApi()) {
+      resolve('unknown');
+      return;
+    }
 
-      cmsProviders.forEach(provider => {
-        // Block script loading
-        const scripts = document.querySelectorAll(`script[src*="${provider}"]`);
-        scripts.forEach(script => {
-          script.remove();
-          console.log(`🚫 Blocked ${provider} consent script`);
-        });
+    // A CMP still loading may never call back
+    const timer = setTimeout(() => resolve('unknown'), 1000);
+    const answer = (verdict) => {
+      clearTimeout(timer);
+      resolve(verdict);
+    };
 
-        // Block global objects
-        if (window[provider]) {
-          window[provider] = undefined;
-          delete window[provider];
+    try {
+      window.__tcfapi('getTCData', 2, (tcData, success) => {
+        if (!success || !tcData || !tcData.tcString || tcData.eventStatus === 'cmpuishown') {
+          answer('unknown');
+          return;
         }
+        const consents = Object.values(tcData.purpose?.consents || {});
+        answer(consents.some(Boolean) ? 'granted' : 'refused');
+      });
+    } catch (error) {
+      answer('unknown');
+    }
+  });
 
-        // Block common variations
-        const variations = [provider.toUpperCase(), provider + 'API', provider + '_api'];
-        variations.forEach(variation => {
-          if (window[variation]) {
-            window[variation] = undefined;
-            delete window[variation];
-          }
-        });
+  // Per-CMP APIs used by the content script's adapters (cmp-adapters.js):
+  //   present    boolean, the CMP's API is loaded
+  //   rejectAll  called | unavailable (may return a promise)
+  //   status     refused | granted | unknown, the decision the CMP holds
+  const cmpApis = {
+    didomi: {
+      present: () => typeof window.Didomi?.setUserDisagreeToAll === 'function',
+      rejectAll: () => callIfPresent(window.Didomi?.setUserDisagreeToAll, window.Didomi),
+      status: () => (typeof window.Didomi?.getUserStatus === 'function'
+        ? didomiVerdict(window.Didomi.getUserStatus())
+        : 'unknown')
+    },
+    
+    usercentrics: {
+      present: () => typeof window.UC_UI?.denyAllConsents === 'function',
+      rejectAll: async () => {
+        if (typeof window.UC_UI?.denyAllConsents !== 'function') return 'unavailable';
+        await window.UC_UI.denyAllConsents();
+        if (typeof window.UC_UI.closeCMP === 'function') {
+          await window.UC_UI.closeCMP();
+        }
+        return 'called';
+      },
+      // The content script reads the decision from uc_settings
+      status: () => 'unknown'
+    },
+    
+    // Any TCF v2 CMP: only its decision can be read, the UI makes it
+    tcf: {
+      present: () => hasSiteTcfApi(),
+      rejectAll: () => 'unavailable',
+      status: () => tcfVerdict()
+    }
+  };
+
+  // The injected banner killer starts once the content script has sent its
+  // configuration over the bridge
+  let injectedKiller = null;
+
+  // Advanced Consent Management System (CMS) Blocking
+  // Opt-in (evasionConfig.proactiveBlocking): it keeps known CMP hosts from
+  // loading, which also takes the page APIs of those CMPs off the page
+  const BLOCKED_CMP_HOSTS = [
+    'cookiebot.com', 'cookielaw.org', 'onetrust.com', 'cookiepro.com', 'trustarc.com',
+    'privacy-center.org', 'usercentrics.eu', 'quantcast.com', 'consensu.org', 'privacy-mgmt.com',
+    'cookiefirst.com', 'termly.io', 'iubenda.com', 'cdn-cookieyes.com'
+  ];
+
+  const isBlockedCmpUrl = (url) => {
+    let hostname;
+    try {
+      hostname = new URL(String(url), location.href).hostname;
+    } catch (e) {
+      return false;
+    }
+    return BLOCKED_CMP_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+  };
+
+  const requestUrl = (input) => (input instanceof Request ? input.url : input);
+
+  // Put back what the blocker replaced, newest first
+  const blockerRestores = [];
+
+  // Replace target[name], restoring the original unless the page wrapped it since
+  const patchMethod = (target, name, replacement) => {
+    const original = target[name];
+    target[name] = replacement(original);
+    const patched = target[name];
+    blockerRestores.push(() => {
+      if (target[name] === patched) target[name] = original;
+    });
+  };
+
+  const advancedCMSBlocker = {
+    // Remove CMP scripts that have not run yet
+    blockConsentManagers: () => {
+      document.querySelectorAll('script[src]').forEach(script => {
+        if (!isBlockedCmpUrl(script.src)) return;
+        script.remove();
+        console.log(`🚫 Blocked consent script: ${script.src}`);
+        emitInterception('script-blocked', script.src);
       });
     },
 
-    // Block consent-related localStorage/sessionStorage
+    // Block consent-related localStorage/sessionStorage writes
     blockConsentStorage: () => {
-      const originalSetItem = Storage.prototype.setItem;
-      const originalGetItem = Storage.prototype.getItem;
+      const consentKeys = ['consent', 'cookie-consent', 'gdpr-consent', 'privacy-consent', 'tracking-consent', 'analytics-consent'];
 
-      Storage.prototype.setItem = function(key, value) {
-        // More specific consent key patterns
-        const consentKeys = ['consent', 'cookie-consent', 'gdpr-consent', 'privacy-consent', 'tracking-consent', 'analytics-consent'];
-        const isConsentKey = consentKeys.some(keyword => key.toLowerCase().includes(keyword)) && key.length > 8;
+      patchMethod(Storage.prototype, 'setItem', originalSetItem => function(key, value) {
+        const isConsentKey = consentKeys.some(keyword => String(key).toLowerCase().includes(keyword)) && String(key).length > 8;
         
-        if (isConsentKey) {
+        if (isConsentKey && !isCmpDecisionKey(key)) {
           console.log(`🚫 Blocked consent storage: ${key}`);
+          emitInterception('storage-blocked', key);
           return;
         }
         return originalSetItem.call(this, key, value);
-      };
-
-      Storage.prototype.getItem = function(key) {
-        // More specific consent key patterns
-        const consentKeys = ['consent', 'cookie-consent', 'gdpr-consent', 'privacy-consent', 'tracking-consent'];
-        const isConsentKey = consentKeys.some(keyword => key.toLowerCase().includes(keyword)) && key.length > 8;
-        
-        if (isConsentKey) {
-          console.log(`🚫 Blocked consent storage read: ${key}`);
-          return null;
-        }
-        return originalGetItem.call(this, key);
-      };
+      });
     },
 
     // Block consent-related cookies
@@ -467,10 +654,11 @@
               
               const isConsentCookie = consentCookies.some(keyword => 
                 cookieName.includes(keyword.replace('=', '')) || value.toLowerCase().includes(keyword)
-              ) && value.length > 15;
+              ) && value.length > 15 && !isCmpDecisionKey(value);
               
               if (isConsentCookie) {
                 console.log(`🚫 Blocked consent cookie: ${cookieName}`);
+                emitInterception('cookie-blocked', cookieName);
                 return;
               }
               
@@ -481,6 +669,11 @@
           
           // Mark as intercepted
           document._cookieIntercepted = true;
+          blockerRestores.push(() => {
+            // Dropping the own property exposes Document.prototype's accessor again
+            delete document.cookie;
+            delete document._cookieIntercepted;
+          });
           console.log('🍪 Advanced cookie blocking activated');
         } else {
           console.log('🍪 Cookie property not configurable for advanced blocking');
@@ -490,82 +683,58 @@
       }
     },
 
-    // Block consent-related network requests
+    // Block requests to CMP hosts
     blockConsentRequests: () => {
-      const originalFetch = window.fetch;
-      const originalXHROpen = XMLHttpRequest.prototype.open;
-
-      // Block fetch requests
-      window.fetch = function(url, options) {
-        if (typeof url === 'string') {
-          // More specific consent URL patterns
-          const consentProviders = ['cookiebot.com', 'onetrust.com', 'trustarc.com', 'quantcast.com', 'didomi.io'];
-          const consentPaths = ['/consent/', '/cookie/', '/gdpr/', '/privacy/'];
-          
-          const isConsentRequest = consentProviders.some(provider => url.includes(provider)) ||
-                                 consentPaths.some(path => url.includes(path));
-          
-          if (isConsentRequest) {
-            console.log(`🚫 Blocked consent fetch request: ${url}`);
-            return Promise.reject(new Error('Consent request blocked'));
-          }
+      patchMethod(window, 'fetch', originalFetch => function(input) {
+        if (isBlockedCmpUrl(requestUrl(input))) {
+          console.log(`🚫 Blocked consent fetch request: ${requestUrl(input)}`);
+          emitInterception('request-blocked', String(requestUrl(input)));
+          return Promise.reject(new Error('Consent request blocked'));
         }
         return originalFetch.apply(this, arguments);
-      };
+      });
 
-      // Block XMLHttpRequest
-      XMLHttpRequest.prototype.open = function(method, url) {
-        if (typeof url === 'string') {
-          // More specific consent URL patterns
-          const consentProviders = ['cookiebot.com', 'onetrust.com', 'trustarc.com', 'quantcast.com'];
-          const consentPaths = ['/consent/', '/cookie/', '/gdpr/', '/privacy/'];
-          
-          const isConsentRequest = consentProviders.some(provider => url.includes(provider)) ||
-                                 consentPaths.some(path => url.includes(path));
-          
-          if (isConsentRequest) {
-            console.log(`🚫 Blocked consent XHR request: ${url}`);
-            return;
-          }
+      patchMethod(XMLHttpRequest.prototype, 'open', originalXHROpen => function(method, url) {
+        if (isBlockedCmpUrl(url)) {
+          console.log(`🚫 Blocked consent XHR request: ${url}`);
+          emitInterception('request-blocked', String(url));
+          return;
         }
         return originalXHROpen.apply(this, arguments);
-      };
+      });
     },
 
-    // Block dynamic script injection
+    // Block scripts from CMP hosts inserted later
     blockDynamicScripts: () => {
-      const originalAppendChild = Element.prototype.appendChild;
-      const originalInsertBefore = Element.prototype.insertBefore;
-
-      Element.prototype.appendChild = function(child) {
-        if (child.tagName === 'SCRIPT' && child.src) {
-          const consentScripts = ['consent', 'cookie', 'gdpr', 'privacy', 'tracking'];
-          if (consentScripts.some(keyword => child.src.toLowerCase().includes(keyword))) {
-            console.log(`🚫 Blocked dynamic consent script: ${child.src}`);
-            return child;
-          }
+      const isBlockedScript = (node) => node && node.tagName === 'SCRIPT' && node.src && isBlockedCmpUrl(node.src);
+
+      patchMethod(Element.prototype, 'appendChild', originalAppendChild => function(child) {
+        if (isBlockedScript(child)) {
+          console.log(`🚫 Blocked dynamic consent script: ${child.src}`);
+          emitInterception('script-blocked', child.src);
+          return child;
         }
         return originalAppendChild.call(this, child);
-      };
+      });
 
-      Element.prototype.insertBefore = function(newNode, referenceNode) {
-        if (newNode.tagName === 'SCRIPT' && newNode.src) {
-          const consentScripts = ['consent', 'cookie', 'gdpr', 'privacy', 'tracking'];
-          if (consentScripts.some(keyword => newNode.src.toLowerCase().includes(keyword))) {
-            console.log(`🚫 Blocked dynamic consent script insertion: ${newNode.src}`);
-            return newNode;
-          }
+      patchMethod(Element.prototype, 'insertBefore', originalInsertBefore => function(newNode, referenceNode) {
+        if (isBlockedScript(newNode)) {
+          console.log(`🚫 Blocked dynamic consent script insertion: ${newNode.src}`);
+          emitInterception('script-blocked', newNode.src);
+          return newNode;
         }
         return originalInsertBefore.call(this, newNode, referenceNode);
-      };
+      });
     },
 
     // Create fake consent APIs to prevent errors
     createFakeAPIs: () => {
       // Common consent management APIs
       const fakeAPIs = {
-        // Google Consent Mode
-        gtag: () => console.log('🎭 Fake gtag called'),
+        // Google Consent Mode: the standard snippet, so commands still reach dataLayer
+        gtag: function() {
+          consentMode.pushCommand(...arguments);
+        },
         
         // OneTrust
         OneTrust: {
@@ -594,14 +763,7 @@
           }
         },
         
-        // Quantcast
-        __tcfapi: (command, version, callback) => {
-          if (callback) {
-            callback({}, true);
-          }
-        },
-        
-        // IAB TCF
+        // IAB TCF v1 (__tcfapi comes from tcfStub)
         __cmp: (command, parameter, callback) => {
           if (callback) {
             callback({}, true);
@@ -612,67 +774,564 @@
       Object.keys(fakeAPIs).forEach(api => {
         if (!window[api]) {
           window[api] = fakeAPIs[api];
+          fakeApiObjects.add(fakeAPIs[api]);
+          blockerRestores.push(() => {
+            if (window[api] === fakeAPIs[api]) delete window[api];
+            fakeApiObjects.delete(fakeAPIs[api]);
+          });
           console.log(`🎭 Created fake API: ${api}`);
         }
       });
     },
 
-    // Monitor and block consent-related events
-    blockConsentEvents: () => {
-      const originalAddEventListener = EventTarget.prototype.addEventListener;
-      
-      EventTarget.prototype.addEventListener = function(type, listener, options) {
-        const consentEvents = ['consent', 'cookie', 'gdpr', 'privacy'];
-        if (consentEvents.some(keyword => type.toLowerCase().includes(keyword))) {
-          console.log(`🚫 Blocked consent event listener: ${type}`);
-          return;
-        }
-        return originalAddEventListener.call(this, type, listener, options);
-      };
-    },
-
-    // Block consent-related CSS that might hide content
+    // Remove stylesheets served by CMP hosts
     blockConsentCSS: () => {
       const observer = new MutationObserver((mutations) => {
         mutations.forEach(mutation => {
-          if (mutation.type === 'childList') {
-            mutation.addedNodes.forEach(node => {
-              if (node.tagName === 'STYLE' || node.tagName === 'LINK') {
-                const content = node.textContent || node.href || '';
-                if (content.includes('consent') || content.includes('cookie') || content.includes('gdpr')) {
-                  console.log('🚫 Blocked consent-related CSS');
-                  node.remove();
-                }
-              }
-            });
-          }
+          mutation.addedNodes.forEach(node => {
+            if (node.tagName === 'LINK' && isBlockedCmpUrl(node.href)) {
+              console.log('🚫 Blocked consent-related CSS');
+              emitInterception('css-blocked', node.href);
+              node.remove();
+            }
+          });
         });
       });
 
-      observer.observe(document.head, { childList: true, subtree: true });
+      observer.observe(document.head || document.documentElement, { childList: true, subtree: true });
+      blockerRestores.push(() => observer.disconnect());
+    },
+
+    restore: () => {
+      while (blockerRestores.length) {
+        blockerRestores.pop()();
+      }
     }
   };
 
-  // Activate all advanced blocking mechanisms
-  const activateAdvancedBlocking = () => {
-    console.log('🛡️ Activating advanced consent blocking...');
-    
-    advancedCMSBlocker.blockConsentManagers();
-    advancedCMSBlocker.blockConsentStorage();
-    advancedCMSBlocker.blockConsentCookies();
-    advancedCMSBlocker.blockConsentRequests();
-    advancedCMSBlocker.blockDynamicScripts();
-    advancedCMSBlocker.createFakeAPIs();
-    advancedCMSBlocker.blockConsentEvents();
-    advancedCMSBlocker.blockConsentCSS();
-    
-    console.log('✅ Advanced consent blocking activated');
+  // Helpers shared by the IAB consent API stubs (TCF, GPP)
+  const STUB_CMP_ID = 4095;  // Decoders require an id > 1; the 12-bit maximum avoids posing as a registered CMP
+
+  // Bit-level writer for IAB strings, encoded as base64url once complete
+  const createBitWriter = () => {
+    const bits = [];
+
+    return {
+      // 36-bit fields exceed 32-bit bitwise operators, so stay in floating point
+      write(value, length) {
+        for (let i = length - 1; i >= 0; i--) {
+          bits.push(Math.floor(value / Math.pow(2, i)) % 2);
+        }
+      },
+
+      writeLetters(letters) {
+        letters.split('').forEach(letter => this.write(letter.charCodeAt(0) - 65, 6));
+      },
+
+      // Zeckendorf bits, smallest Fibonacci number first, terminated by an extra 1
+      writeFibonacci(value) {
+        const fibonacci = [1, 2];
+        while (fibonacci[fibonacci.length - 1] + fibonacci[fibonacci.length - 2] <= value) {
+          fibonacci.push(fibonacci[fibonacci.length - 1] + fibonacci[fibonacci.length - 2]);
+        }
+
+        const encoded = [];
+        let remaining = value;
+        for (let i = fibonacci.length - 1; i >= 0; i--) {
+          if (fibonacci[i] <= remaining) {
+            encoded[i] = 1;
+            remaining -= fibonacci[i];
+          } else {
+            encoded[i] = 0;
+          }
+        }
+        while (encoded.length > 1 && encoded[encoded.length - 1] === 0) encoded.pop();
+        bits.push(...encoded, 1);
+      },
+
+      toBase64Url() {
+        const padded = bits.slice();
+        while (padded.length % 8 !== 0 || padded.length % 6 !== 0) padded.push(0);
+
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+        let encoded = '';
+        for (let i = 0; i < padded.length; i += 6) {
+          encoded += alphabet[parseInt(padded.slice(i, i + 6).join(''), 2)];
+        }
+        return encoded;
+      }
+    };
+  };
+
+  // Script hosts of CMPs that bring their own IAB APIs and locator frames
+  const CMP_SCRIPT_HOSTS = [
+    'consensu.org', 'cmp.quantcast.com', 'cmp.inmobi.com', 'sdk.privacy-center.org', 'privacy-mgmt.com',
+    'cookielaw.org', 'onetrust.com', 'cookiebot.com', 'usercentrics.eu', 'trustarc.com', 'fundingchoicesmessages.google.com'
+  ];
+
+  const hasCmpScript = () => Array.from(document.scripts).some(script =>
+    CMP_SCRIPT_HOSTS.some(host => (script.src || '').includes(host))
+  );
+
+  /**
+   * Frames without direct access find an IAB API through a named frame in the
+   * top window. None is added when a CMP script is on the page: the CMP adds
+   * its own, and a second frame of the same name would catch its callers
+   * @param {Function} isActive - () => boolean, the stub still answers the API
+   */
+  const locatorFrames = new Map();  // name -> iframe added by a stub
+
+  const addLocatorFrame = (name, isActive) => {
+    if (window !== window.top || window.frames[name]) return;
+
+    const addFrame = () => {
+      if (window.frames[name] || !isActive() || hasCmpScript()) return;
+      const frame = document.createElement('iframe');
+      locatorFrames.set(name, frame);
+      frame.name = name;
+      frame.style.display = 'none';
+      frame.setAttribute('aria-hidden', 'true');
+      frame.setAttribute('tabindex', '-1');
+      (document.body || document.documentElement).appendChild(frame);
+    };
+
+    if (document.body) {
+      addFrame();
+    } else {
+      document.addEventListener('DOMContentLoaded', addFrame);
+    }
+  };
+
+  const removeLocatorFrame = (name) => {
+    const frame = locatorFrames.get(name);
+    if (frame) frame.remove();
+    locatorFrames.delete(name);
+  };
+
+  /**
+   * Answer { [callKey]: { command, parameter, version, callId } } messages from
+   * child frames with { [returnKey]: { returnValue, success, callId } }, until
+   * a CMP replaces the stub: it answers them itself from then on
+   * @param {Function} isActive - () => boolean, the stub still answers the API
+   * @param {Function} invoke - (call, respond) => void
+   */
+  const answeredCallKeys = new Set();  // A reinstalled stub keeps its one listener
+
+  const answerFrameCalls = (callKey, returnKey, isActive, invoke) => {
+    if (answeredCallKeys.has(callKey)) return;
+    answeredCallKeys.add(callKey);
+
+    window.addEventListener('message', (event) => {
+      if (!isActive()) return;
+
+      let data = event.data;
+      if (typeof data === 'string') {
+        try {
+          data = JSON.parse(data);
+        } catch (e) {
+          return;
+        }
+      }
+
+      const call = data && data[callKey];
+      if (!call || typeof call !== 'object' || !event.source) return;
+
+      invoke(call, (returnValue, success) => {
+        const reply = { [returnKey]: { returnValue, success, callId: call.callId } };
+        event.source.postMessage(typeof event.data === 'string' ? JSON.stringify(reply) : reply, '*');
+      });
+    });
+  };
+
+  // IAB TCF v2.2 CMP stub
+  // Answers __tcfapi with an explicit refusal: a real TC string in which every
+  // purpose, special feature and vendor has neither consent nor legitimate
+  // interest. Vendors that query the API see "no" instead of an error. A real
+  // CMP loading later replaces window.__tcfapi with its own and answers the
+  // frames' __tcfapiCall messages from then on.
+  const tcfStub = {
+    CMP_VERSION: 1,
+    VENDOR_LIST_VERSION: 1,  // No GVL is fetched; every vendor is refused whatever the version
+    POLICY_VERSION: 4,       // TCF v2.2
+    PURPOSE_COUNT: 11,
+    SPECIAL_FEATURE_COUNT: 2,
+
+    listeners: new Map(),    // listenerId -> callback
+    nextListenerId: 1,
+    tcString: null,
+
+    install: () => {
+      if (typeof window.__tcfapi === 'function') {
+        // A CMP (or its own stub) got here first; let it answer
+        return false;
+      }
+
+      window.__tcfapi = tcfStub.handleCommand;
+      addLocatorFrame('__tcfapiLocator', tcfStub.isActive);
+      answerFrameCalls('__tcfapiCall', '__tcfapiReturn', tcfStub.isActive, (call, respond) => {
+        tcfStub.handleCommand(call.command, call.version, respond, call.parameter);
+      });
+
+      console.log('🎭 TCF v2.2 stub installed (all purposes and vendors refused)');
+      return true;
+    },
+
+    // Leaves a CMP that replaced the stub alone
+    uninstall: () => {
+      if (!tcfStub.isActive()) return;
+      delete window.__tcfapi;
+      removeLocatorFrame('__tcfapiLocator');
+    },
+
+    // False once the site's CMP has replaced window.__tcfapi
+    isActive: () => window.__tcfapi === tcfStub.handleCommand,
+
+    // __tcfapi(command, version, callback, parameter)
+    handleCommand: (command, version, callback, parameter) => {
+      if (typeof callback !== 'function') return;
+
+      if (command !== 'ping') {
+        emitInterception('tcf-queried', command);
+      }
+
+      switch (command) {
+        case 'ping':
+          callback(tcfStub.getPingReturn());
+          break;
+
+        case 'getTCData':
+          callback(tcfStub.getTCData(Array.isArray(parameter) ? parameter : null), true);
+          break;
+
+        case 'addEventListener': {
+          const listenerId = tcfStub.nextListenerId++;
+          tcfStub.listeners.set(listenerId, callback);
+          // No UI is ever shown, so the string is final right away
+          callback({ ...tcfStub.getTCData(null), listenerId }, true);
+          break;
+        }
+
+        case 'removeEventListener':
+          callback(tcfStub.listeners.delete(parameter));
+          break;
+
+        default:
+          callback(null, false);
+      }
+    },
+
+    getPingReturn: () => ({
+      gdprApplies: true,
+      cmpLoaded: true,
+      cmpStatus: 'loaded',
+      displayStatus: 'hidden',
+      apiVersion: '2.2',
+      cmpVersion: tcfStub.CMP_VERSION,
+      cmpId: STUB_CMP_ID,
+      gvlVersion: tcfStub.VENDOR_LIST_VERSION,
+      tcfPolicyVersion: tcfStub.POLICY_VERSION
+    }),
+
+    getTCData: (vendorIds) => {
+      const refuse = (ids) => Object.fromEntries(ids.map(id => [id, false]));
+      const range = (count) => Array.from({ length: count }, (_, index) => index + 1);
+      const vendors = vendorIds ? refuse(vendorIds) : {};
+
+      return {
+        tcString: tcfStub.getTCString(),
+        tcfPolicyVersion: tcfStub.POLICY_VERSION,
+        cmpId: STUB_CMP_ID,
+        cmpVersion: tcfStub.CMP_VERSION,
+        gdprApplies: true,
+        eventStatus: 'tcloaded',
+        cmpStatus: 'loaded',
+        isServiceSpecific: true,
+        useNonStandardTexts: false,
+        publisherCC: 'AA',
+        purposeOneTreatment: false,
+        purpose: {
+          consents: refuse(range(tcfStub.PURPOSE_COUNT)),
+          legitimateInterests: refuse(range(tcfStub.PURPOSE_COUNT))
+        },
+        vendor: {
+          consents: { ...vendors },
+          legitimateInterests: { ...vendors }
+        },
+        specialFeatureOptins: refuse(range(tcfStub.SPECIAL_FEATURE_COUNT)),
+        publisher: {
+          consents: {},
+          legitimateInterests: {},
+          customPurpose: { consents: {}, legitimateInterests: {} },
+          restrictions: {}
+        }
+      };
+    },
+
+    getTCString: () => {
+      if (!tcfStub.tcString) {
+        tcfStub.tcString = tcfStub.encodeTCString(new Date());
+      }
+      return tcfStub.tcString;
+    },
+
+    /**
+     * Encode the core segment of a TC string with nothing consented
+     * Field order and widths follow the TCF v2.2 "TC String" specification
+     * @param {Date} now - Creation time; only the day is kept, as the spec advises
+     * @returns {string} base64url TC string
+     */
+    encodeTCString: (now) => {
+      const writer = createBitWriter();
+      const day = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+      const deciseconds = Math.round(day / 100);
+      const language = (navigator.language || 'en').slice(0, 2).toUpperCase();
+
+      writer.write(2, 6);                           // Version
+      writer.write(deciseconds, 36);                // Created
+      writer.write(deciseconds, 36);                // LastUpdated
+      writer.write(STUB_CMP_ID, 12);
+      writer.write(tcfStub.CMP_VERSION, 12);
+      writer.write(1, 6);                           // ConsentScreen
+      writer.writeLetters(/^[A-Z]{2}$/.test(language) ? language : 'EN');
+      writer.write(tcfStub.VENDOR_LIST_VERSION, 12);
+      writer.write(tcfStub.POLICY_VERSION, 6);
+      writer.write(1, 1);                           // IsServiceSpecific
+      writer.write(0, 1);                           // UseNonStandardTexts
+      writer.write(0, 12);                          // SpecialFeatureOptIns
+      writer.write(0, 24);                          // PurposesConsent
+      writer.write(0, 24);                          // PurposesLITransparency
+      writer.write(0, 1);                           // PurposeOneTreatment
+      writer.writeLetters('AA');                    // PublisherCC (unknown)
+      writer.write(0, 16); writer.write(0, 1);      // Vendor consents: MaxVendorId 0, bit field
+      writer.write(0, 16); writer.write(0, 1);      // Vendor legitimate interests: same
+      writer.write(0, 12);                          // NumPubRestrictions
+
+      return writer.toBase64Url();
+    }
+  };
+
+  // IAB Global Privacy Platform stub
+  // Answers __gpp with a GPP string whose US sections record an opt-out of
+  // sale, sharing and targeted advertising and no consent to sensitive data.
+  // Field values: 0 = not applicable, 1 = notice given / opted out / no consent.
+  // Like tcfStub, it steps aside when the site's own CMP defines __gpp, and
+  // leaves __gppCall messages to a CMP that replaces it later.
+  const gppStub = {
+    APPLICABLE_SECTIONS: [7],  // US national; the state sections are there for vendors that read them
+
+    // Core segments in specification order; every field is 2 bits except Version
+    SECTIONS: [
+      {
+        id: 7,
+        api: 'usnat',
+        version: 2,
+        fields: [
+          ['SharingNotice', 1], ['SaleOptOutNotice', 1], ['SharingOptOutNotice', 1],
+          ['TargetedAdvertisingOptOutNotice', 1], ['SensitiveDataProcessingOptOutNotice', 1],
+          ['SensitiveDataLimitUseNotice', 1],
+          ['SaleOptOut', 1], ['SharingOptOut', 1], ['TargetedAdvertisingOptOut', 1],
+          ['SensitiveDataProcessing', new Array(16).fill(1)],
+          ['KnownChildSensitiveDataConsents', new Array(3).fill(1)],
+          ['PersonalDataConsents', 1],
+          ['MspaCoveredTransaction', 2], ['MspaOptOutOptionMode', 0], ['MspaServiceProviderMode', 0]
+        ]
+      },
+      {
+        id: 8,
+        api: 'usca',
+        version: 1,
+        fields: [
+          ['SaleOptOutNotice', 1], ['SharingOptOutNotice', 1], ['SensitiveDataLimitUseNotice', 1],
+          ['SaleOptOut', 1], ['SharingOptOut', 1],
+          ['SensitiveDataProcessing', new Array(9).fill(1)],
+          ['KnownChildSensitiveDataConsents', new Array(2).fill(1)],
+          ['PersonalDataConsents', 1],
+          ['MspaCoveredTransaction', 2], ['MspaOptOutOptionMode', 0], ['MspaServiceProviderMode', 0]
+        ]
+      },
+      {
+        id: 9,
+        api: 'usva',
+        version: 1,
+        fields: [
+          ['SharingNotice', 1], ['SaleOptOutNotice', 1], ['TargetedAdvertisingOptOutNotice', 1],
+          ['SaleOptOut', 1], ['TargetedAdvertisingOptOut', 1],
+          ['SensitiveDataProcessing', new Array(8).fill(1)],
+          ['KnownChildSensitiveDataConsents', 1],
+          ['MspaCoveredTransaction', 2], ['MspaOptOutOptionMode', 0], ['MspaServiceProviderMode', 0]
+        ]
+      }
+    ],
+
+    listeners: new Map(),    // listenerId -> callback
+    nextListenerId: 1,
+    gppString: null,
+
+    install: () => {
+      if (typeof window.__gpp === 'function') {
+        return false;
+      }
+
+      window.__gpp = gppStub.handleCommand;
+      addLocatorFrame('__gppLocator', gppStub.isActive);
+      answerFrameCalls('__gppCall', '__gppReturn', gppStub.isActive, (call, respond) => {
+        gppStub.handleCommand(call.command, respond, call.parameter, call.version);
+      });
+
+      console.log('🎭 GPP stub installed (US sale, sharing and targeted advertising opted out)');
+      return true;
+    },
+
+    uninstall: () => {
+      if (!gppStub.isActive()) return;
+      delete window.__gpp;
+      removeLocatorFrame('__gppLocator');
+    },
+
+    // False once the site's CMP has replaced window.__gpp
+    isActive: () => window.__gpp === gppStub.handleCommand,
+
+    // __gpp(command, callback, parameter, version)
+    handleCommand: (command, callback, parameter, version) => {
+      if (command !== 'ping') {
+        emitInterception('gpp-queried', command);
+      }
+
+      const respond = (value, success = true) => {
+        if (typeof callback === 'function') callback(value, success);
+        return value;
+      };
+
+      switch (command) {
+        case 'ping':
+          return respond(gppStub.getPingData());
+
+        // GPP 1.0 command, still used by older vendor scripts
+        case 'getGPPData': {
+          const pingData = gppStub.getPingData();
+          return respond({
+            sectionId: 3,
+            gppVersion: 1,
+            gppString: pingData.gppString,
+            applicableSections: pingData.applicableSections,
+            parsedSections: pingData.parsedSections,
+            supportedAPIs: pingData.supportedAPIs
+          });
+        }
+
+        case 'addEventListener': {
+          if (typeof callback !== 'function') return null;
+          const listenerId = gppStub.nextListenerId++;
+          gppStub.listeners.set(listenerId, callback);
+
+          const event = (eventName, data) => ({ eventName, listenerId, data, pingData: gppStub.getPingData() });
+          callback(event('listenerRegistered', true), true);
+          // No UI is ever shown, so the signal is final right away
+          callback(event('signalStatus', 'ready'), true);
+          return null;
+        }
+
+        case 'removeEventListener': {
+          const removed = gppStub.listeners.delete(parameter);
+          return respond({ eventName: 'listenerRemoved', listenerId: parameter, data: removed, pingData: gppStub.getPingData() });
+        }
+
+        case 'hasSection':
+          return respond(gppStub.SECTIONS.some(section => section.api === parameter));
+
+        case 'getSection': {
+          const sections = gppStub.getParsedSections();
+          return respond(sections[parameter] || null);
+        }
+
+        case 'getField': {
+          const [api, field] = String(parameter || '').split('.');
+          const section = gppStub.getParsedSections()[api];
+          return respond(section && field in section ? section[field] : null);
+        }
+
+        default:
+          return respond(null, false);
+      }
+    },
+
+    getPingData: () => ({
+      gppVersion: '1.1',
+      cmpStatus: 'loaded',
+      cmpDisplayStatus: 'hidden',
+      signalStatus: 'ready',
+      supportedAPIs: gppStub.SECTIONS.map(section => `${section.id}:${section.api}`),
+      cmpId: STUB_CMP_ID,
+      sectionList: gppStub.SECTIONS.map(section => section.id),
+      applicableSections: gppStub.APPLICABLE_SECTIONS.slice(),
+      gppString: gppStub.getGPPString(),
+      parsedSections: gppStub.getParsedSections()
+    }),
+
+    getParsedSections: () => {
+      const parsed = {};
+      gppStub.SECTIONS.forEach(section => {
+        parsed[section.api] = { Version: section.version };
+        section.fields.forEach(([name, value]) => {
+          parsed[section.api][name] = Array.isArray(value) ? value.slice() : value;
+        });
+      });
+      return parsed;
+    },
+
+    getGPPString: () => {
+      if (!gppStub.gppString) {
+        gppStub.gppString = [gppStub.encodeHeader(), ...gppStub.SECTIONS.map(gppStub.encodeSection)].join('~');
+      }
+      return gppStub.gppString;
+    },
+
+    // Header section: type 3, version 1, section ids as Fibonacci-coded ranges
+    encodeHeader: () => {
+      const writer = createBitWriter();
+      writer.write(3, 6);   // Type
+      writer.write(1, 6);   // Version
+
+      const ids = gppStub.SECTIONS.map(section => section.id).sort((a, b) => a - b);
+      const ranges = [];
+      ids.forEach(id => {
+        const last = ranges[ranges.length - 1];
+        if (last && last[1] === id - 1) {
+          last[1] = id;
+        } else {
+          ranges.push([id, id]);
+        }
+      });
+
+      writer.write(ranges.length, 12);
+      let offset = 0;
+      ranges.forEach(([first, last]) => {
+        writer.write(first === last ? 0 : 1, 1);
+        writer.writeFibonacci(first - offset);
+        if (first !== last) {
+          writer.writeFibonacci(last - first);
+        }
+        offset = last;
+      });
+
+      return writer.toBase64Url();
+    },
+
+    encodeSection: (section) => {
+      const writer = createBitWriter();
+      writer.write(section.version, 6);
+      section.fields.forEach(([, value]) => {
+        (Array.isArray(value) ? value : [value]).forEach(item => writer.write(item, 2));
+      });
+      return writer.toBase64Url();
+    }
   };
 
   // Track activation state to prevent infinite loops
   let activationCount = 0;
   const maxActivations = 3; // Limit to 3 activations max
   let isActivated = false;
+  let activationTimers = [];
   
   const limitedActivateAdvancedBlocking = () => {
     if (isActivated || activationCount >= maxActivations) {
@@ -689,33 +1348,142 @@
     advancedCMSBlocker.blockConsentRequests();
     advancedCMSBlocker.blockDynamicScripts();
     advancedCMSBlocker.createFakeAPIs();
-    advancedCMSBlocker.blockConsentEvents();
     advancedCMSBlocker.blockConsentCSS();
     
     isActivated = true;
     console.log('✅ Advanced consent blocking activated');
   };
 
-  // Activate immediately
-  limitedActivateAdvancedBlocking();
-  
-  // Activate on DOM ready if not already done
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-      if (!isActivated) {
-        setTimeout(limitedActivateAdvancedBlocking, 1000);
-      }
-    });
-  }
-
-  // Re-activate only a few times with increasing delays to catch late-loading scripts
-  const retryDelays = [3000, 8000, 15000]; // 3s, 8s, 15s
-  retryDelays.forEach((delay, index) => {
-    setTimeout(() => {
+  const startAdvancedBlocking = () => {
+    if (activationTimers.length || isActivated) return;
+    
+    // Activate immediately
+    limitedActivateAdvancedBlocking();
+    
+    // Re-activate only a few times with increasing delays to catch late-loading scripts
+    const retryDelays = [3000, 8000, 15000]; // 3s, 8s, 15s
+    activationTimers = retryDelays.map(delay => setTimeout(() => {
       if (activationCount < maxActivations) {
         limitedActivateAdvancedBlocking();
       }
-    }, delay);
+    }, delay));
+  };
+
+  // Give the page back its own fetch, XHR, DOM and storage methods
+  const stopAdvancedBlocking = () => {
+    activationTimers.forEach(timer => clearTimeout(timer));
+    activationTimers = [];
+    advancedCMSBlocker.restore();
+    activationCount = 0;
+    isActivated = false;
+  };
+
+  // Consent Mode denial and the IAB stubs change what vendors see as the
+  // user's choice, so they follow the agent: on while it acts on the page
+  let consentSignalsInstalled = false;
+
+  const installConsentSignals = () => {
+    if (consentSignalsInstalled) return;
+    consentSignalsInstalled = true;
+    consentMode.install();
+    tcfStub.install();
+    gppStub.install();
+  };
+
+  const uninstallConsentSignals = () => {
+    if (!consentSignalsInstalled) return;
+    consentSignalsInstalled = false;
+    consentMode.uninstall();
+    tcfStub.uninstall();
+    gppStub.uninstall();
+  };
+
+  /**
+   * Follow the content script's agent. It sends enabled: true once it acts
+   * on the page, never while switched off (globally or for the tab), skipped
+   * by a site rule, observe-only or in a dry run, and enabled: false when it
+   * stops. Proactive blocking is opt-in and is undone on enabled: false
+   */
+  const configure = (options) => {
+    if (options.enabled !== true) {
+      uninstallConsentSignals();
+      stopAdvancedBlocking();
+      return;
+    }
+    
+    installConsentSignals();
+    start();
+    
+    if (options.proactiveBlocking === true) {
+      startAdvancedBlocking();
+    } else {
+      stopAdvancedBlocking();
+    }
+  };
+
+  // Start the banner killer the first time the agent acts; rejection only runs
+  // when the content script asks for it (rejectViaPageApi)
+  const start = () => {
+    if (injectedKiller) return;
+    
+    injectedKiller = new InjectedBannerKiller();
+  };
+
+  // Methods the content script may call through the bridge
+  const callableMethods = {
+    rejectAllConsent: () => {
+      if (!injectedKiller) {
+        throw new Error('Injected banner killer not started');
+      }
+      return injectedKiller.rejectAllConsent();
+    },
+    
+    // Independent of start(): only shows UI the CMP already provides
+    reopenConsent: () => reopenConsentUi(),
+    
+    cmpApi: (id, action) => {
+      const api = Object.prototype.hasOwnProperty.call(cmpApis, id) ? cmpApis[id] : null;
+      if (!api || !['present', 'rejectAll', 'status'].includes(action)) {
+        throw new Error(`Unknown CMP API: ${id}.${action}`);
+      }
+      return api[action]();
+    }
+  };
+
+  window.addEventListener('message', (event) => {
+    if (event.source !== window) return;
+    
+    const message = event.data;
+    if (!message || message.source !== BRIDGE_SOURCE || message.direction !== 'to-page') return;
+    
+    const payload = message.payload && typeof message.payload === 'object' ? message.payload : {};
+    
+    switch (message.type) {
+      case 'ping':
+        postToContent('ready');
+        break;
+        
+      case 'configure':
+        configure(payload);
+        break;
+        
+      case 'call': {
+        const method = callableMethods[payload.method];
+        // Methods may return a promise (CMP APIs that are async)
+        new Promise(resolve => {
+          if (!method) {
+            throw new Error(`Unknown method: ${payload.method}`);
+          }
+          resolve(method(...(Array.isArray(payload.args) ? payload.args : [])));
+        }).then(
+          value => postToContent('result', { ok: true, value }, message.id),
+          error => postToContent('result', { ok: false, error: error && error.message }, message.id)
+        );
+        break;
+      }
+    }
   });
 
+  postToContent('ready');
+
 })(); 
\ No newline at end of file
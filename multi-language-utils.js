@@ -52,10 +52,18 @@
  * effective than general-purpose AI for international applications.
  * 
  * SAFE ENHANCEMENT - No breaking changes to existing code
+ * ES module, imported by cookie-killer.js and cookie-banner-agent.js
  */
 
-class MultiLanguageDetector {
-  constructor() {
+import { resolveEnvironment } from './content-utils.js';
+
+export class MultiLanguageDetector {
+  /**
+   * @param {Object} [options] - Page environment (content-utils.js); only the document is used
+   */
+  constructor(options = {}) {
+    this.document = resolveEnvironment(options).document;
+    
     // Comprehensive language patterns for cookie consent
     this.languagePatterns = {
       // English
@@ -158,13 +166,13 @@ class MultiLanguageDetector {
    */
   detectPageLanguage() {
     // Method 1: HTML lang attribute
-    const htmlLang = document.documentElement.lang;
+    const htmlLang = this.document.documentElement.lang;
     if (htmlLang && this.languagePatterns[htmlLang.substr(0, 2)]) {
       return htmlLang.substr(0, 2);
     }
     
     // Method 2: Meta tags
-    const metaLang = document.querySelector('meta[http-equiv="content-language"]');
+    const metaLang = this.document.querySelector('meta[http-equiv="content-language"]');
     if (metaLang && metaLang.content) {
       const lang = metaLang.content.substr(0, 2);
       if (this.languagePatterns[lang]) {
@@ -173,7 +181,7 @@ class MultiLanguageDetector {
     }
     
     // Method 3: Content analysis (sample text)
-    const bodyText = document.body.textContent.toLowerCase().substr(0, 1000);
+    const bodyText = this.document.body.textContent.toLowerCase().substr(0, 1000);
     return this.detectLanguageFromText(bodyText);
   }
 
@@ -288,7 +296,7 @@ class MultiLanguageDetector {
     
     // Visual cues (button styling)
     if (button) {
-      const style = window.getComputedStyle(button);
+      const style = this.document.defaultView.getComputedStyle(button);
       const isSecondary = this.isSecondaryButton(style);
       if (isSecondary) score += 1;
     }
@@ -394,9 +402,3 @@ class MultiLanguageDetector {
     };
   }
 }
-
-// Export for use in other modules
-if (typeof window !== 'undefined') {
-  window.MultiLanguageDetector = MultiLanguageDetector;
-}
-
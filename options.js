@@ -0,0 +1,202 @@
+/**
+ * Cookie Marshal AI Agent - Options Page
+ * Edits the tunable settings defined in agent-config.js
+ */
+
+class OptionsController {
+  constructor() {
+    this.sectionTitles = {
+      evasion: 'Detection & blocking',
+      hybrid: 'Hybrid coordinator',
+      ai: 'AI engine',
+      privacy: 'Privacy signals',
+      cookies: 'Cookie cleanup',
+      debug: 'Debugging'
+    };
+
+    this.elements = {
+      form: document.getElementById('config-form'),
+      sections: document.getElementById('config-sections'),
+      status: document.getElementById('save-status'),
+      json: document.getElementById('config-json')
+    };
+
+    this.init();
+  }
+
+  async init() {
+    this.renderForm();
+    this.setupEventListeners();
+
+    const config = await AgentConfig.read();
+    this.fillForm(config);
+    this.elements.json.value = JSON.stringify(config, null, 2);
+  }
+
+  setupEventListeners() {
+    this.elements.form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.save(this.readForm());
+    });
+
+    document.getElementById('reset-defaults').addEventListener('click', () => {
+      this.fillForm(AgentConfig.getDefaults());
+      this.setStatus('Defaults loaded, save to apply');
+    });
+
+    document.getElementById('apply-conservative').addEventListener('click', () => {
+      const { config } = AgentConfig.validate(AgentConfig.presets.conservative);
+      this.fillForm(config);
+      this.setStatus('Conservative profile loaded, save to apply');
+    });
+
+    document.getElementById('export-config').addEventListener('click', async () => {
+      this.elements.json.value = JSON.stringify(await AgentConfig.read(), null, 2);
+      this.elements.json.select();
+    });
+
+    document.getElementById('import-config').addEventListener('click', () => {
+      let imported;
+      try {
+        imported = JSON.parse(this.elements.json.value);
+      } catch (error) {
+        this.setStatus('Import failed: not valid JSON', true);
+        return;
+      }
+
+      // Imported profiles may be partial; missing values keep their defaults
+      const { config, errors } = AgentConfig.validate(imported);
+      this.fillForm(config);
+      this.showErrors(errors);
+
+      if (errors.length === 0) {
+        this.save(config);
+      } else {
+        this.setStatus(`Import has ${errors.length} invalid value(s)`, true);
+      }
+    });
+  }
+
+  renderForm() {
+    const schema = AgentConfig.schema;
+
+    for (const [section, fields] of Object.entries(schema)) {
+      const fieldset = document.createElement('fieldset');
+      const legend = document.createElement('legend');
+      legend.textContent = this.sectionTitles[section] || section;
+      fieldset.appendChild(legend);
+
+      for (const [key, field] of Object.entries(fields)) {
+        fieldset.appendChild(this.createField(section, key, field));
+      }
+
+      this.elements.sections.appendChild(fieldset);
+    }
+  }
+
+  createField(section, key, field) {
+    const id = `${section}-${key}`;
+    const row = document.createElement('div');
+    row.className = 'config-field';
+    row.dataset.path = `${section}.${key}`;
+
+    const text = document.createElement('div');
+
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = field.unit ? `${field.label} (${field.unit})` : field.label;
+    text.appendChild(label);
+
+    const description = document.createElement('div');
+    description.className = 'description';
+    description.textContent = field.description;
+    text.appendChild(description);
+
+    const error = document.createElement('div');
+    error.className = 'error';
+    error.hidden = true;
+    text.appendChild(error);
+
+    const input = document.createElement('input');
+    input.id = id;
+    input.dataset.section = section;
+    input.dataset.key = key;
+
+    if (field.type === 'boolean') {
+      input.type = 'checkbox';
+    } else {
+      input.type = 'number';
+      input.min = field.min;
+      input.max = field.max;
+      input.step = field.step;
+    }
+
+    row.appendChild(text);
+    row.appendChild(input);
+    return row;
+  }
+
+  fillForm(config) {
+    this.showErrors([]);
+
+    this.elements.form.querySelectorAll('input[data-section]').forEach(input => {
+      const value = config[input.dataset.section][input.dataset.key];
+      if (input.type === 'checkbox') {
+        input.checked = value;
+      } else {
+        input.value = value;
+      }
+    });
+  }
+
+  readForm() {
+    const config = {};
+
+    this.elements.form.querySelectorAll('input[data-section]').forEach(input => {
+      const { section, key } = input.dataset;
+      config[section] = config[section] || {};
+      // Empty number inputs become NaN and are rejected by validation
+      config[section][key] = input.type === 'checkbox' ? input.checked : parseFloat(input.value);
+    });
+
+    return config;
+  }
+
+  async save(config) {
+    try {
+      const errors = await AgentConfig.save(config);
+      this.showErrors(errors);
+
+      if (errors.length > 0) {
+        this.setStatus('Fix the highlighted values before saving', true);
+        return;
+      }
+
+      this.elements.json.value = JSON.stringify(await AgentConfig.read(), null, 2);
+      this.setStatus('Saved ✓');
+    } catch (error) {
+      console.error('Failed to save settings:', error);
+      this.setStatus(`Save failed: ${error.message}`, true);
+    }
+  }
+
+  showErrors(errors) {
+    this.elements.form.querySelectorAll('.config-field').forEach(row => {
+      const error = errors.find(item => item.path === row.dataset.path);
+      const message = row.querySelector('.error');
+
+      row.classList.toggle('invalid', !!error);
+      message.hidden = !error;
+      message.textContent = error ? error.message : '';
+    });
+  }
+
+  setStatus(message, isError = false) {
+    this.elements.status.textContent = message;
+    this.elements.status.classList.toggle('error', isError);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new OptionsController();
+});
@@ -0,0 +1,178 @@
+/**
+ * Cookie Marshal AI Agent - Page Bridge
+ * Isolated-world side of the postMessage channel to injected.js, which runs in
+ * the page's main world where the CMP JavaScript APIs live. injected.js is a
+ * main-world content script (manifest.json) that runs at document_start; the
+ * bridge only configures it and calls its methods.
+ *
+ * Every message is a plain object:
+ *   { source: 'cookie-marshal', direction, type, id, payload }
+ *
+ * to-page:    ping | configure { enabled, proactiveBlocking } | call { method, args }
+ * to-content: ready | result { ok, value, error } (answers `call` by id)
+ *             | interception { kind, detail, timestamp }
+ */
+
+class PageBridge {
+  static get SOURCE() {
+    return 'cookie-marshal';
+  }
+
+  static get MESSAGE_TYPES() {
+    return {
+      toPage: ['ping', 'configure', 'call'],
+      toContent: ['ready', 'result', 'interception']
+    };
+  }
+
+  // Main-world methods content scripts may call
+  static get CALLABLE_METHODS() {
+    return ['rejectAllConsent', 'reopenConsent', 'cmpApi'];
+  }
+
+  constructor() {
+    this.pending = new Map();      // Call id -> { resolve, reject, timeoutId }
+    this.listeners = new Set();    // Interception event listeners
+    this.nextId = 1;
+    this.isReady = false;
+    this.readyWaiters = [];
+    this.callTimeout = 3000;
+
+    this.handleMessage = this.handleMessage.bind(this);
+  }
+
+  connect() {
+    window.addEventListener('message', this.handleMessage);
+    // Answered right away when injected.js already runs in this frame
+    this.post('ping');
+  }
+
+  disconnect() {
+    window.removeEventListener('message', this.handleMessage);
+
+    this.pending.forEach(({ reject, timeoutId }) => {
+      clearTimeout(timeoutId);
+      reject(new Error('Page bridge disconnected'));
+    });
+    this.pending.clear();
+    this.readyWaiters.forEach(resolve => resolve(false));
+    this.readyWaiters = [];
+  }
+
+  waitUntilReady(timeout = 2000) {
+    if (this.isReady) return Promise.resolve(true);
+
+    return new Promise(resolve => {
+      const timeoutId = setTimeout(() => {
+        this.readyWaiters = this.readyWaiters.filter(waiter => waiter !== done);
+        resolve(false);
+      }, timeout);
+      const done = (ready) => {
+        clearTimeout(timeoutId);
+        resolve(ready);
+      };
+      this.readyWaiters.push(done);
+    });
+  }
+
+  configure(options) {
+    this.post('configure', options);
+  }
+
+  /**
+   * Call a main-world method and wait for its result
+   * @param {string} method - One of PageBridge.CALLABLE_METHODS
+   * @param {...*} args - Structured-cloneable arguments
+   * @returns {Promise<*>} The method's return value
+   */
+  call(method, ...args) {
+    if (!PageBridge.CALLABLE_METHODS.includes(method)) {
+      return Promise.reject(new Error(`Unknown page method: ${method}`));
+    }
+    if (!this.isReady) {
+      return Promise.reject(new Error('Page bridge not ready'));
+    }
+
+    const id = `${Date.now()}-${this.nextId++}`;
+
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Page call ${method} timed out`));
+      }, this.callTimeout);
+
+      this.pending.set(id, { resolve, reject, timeoutId });
+      this.post('call', { method, args }, id);
+    });
+  }
+
+  onInterception(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  post(type, payload = {}, id = null) {
+    window.postMessage({
+      source: PageBridge.SOURCE,
+      direction: 'to-page',
+      type,
+      id,
+      payload
+    }, '*');
+  }
+
+  handleMessage(event) {
+    // Only messages from this frame's main world, in our envelope
+    if (event.source !== window) return;
+
+    const message = event.data;
+    if (!message || typeof message !== 'object' ||
+        message.source !== PageBridge.SOURCE ||
+        message.direction !== 'to-content' ||
+        !PageBridge.MESSAGE_TYPES.toContent.includes(message.type)) {
+      return;
+    }
+
+    const payload = message.payload && typeof message.payload === 'object' ? message.payload : {};
+
+    switch (message.type) {
+      case 'ready':
+        this.isReady = true;
+        this.readyWaiters.forEach(resolve => resolve(true));
+        this.readyWaiters = [];
+        break;
+
+      case 'result': {
+        const pending = this.pending.get(message.id);
+        if (!pending) return;
+
+        this.pending.delete(message.id);
+        clearTimeout(pending.timeoutId);
+
+        if (payload.ok) {
+          pending.resolve(payload.value);
+        } else {
+          pending.reject(new Error(payload.error || 'Page call failed'));
+        }
+        break;
+      }
+
+      case 'interception':
+        if (typeof payload.kind !== 'string') return;
+
+        this.listeners.forEach(listener => {
+          try {
+            listener(payload);
+          } catch (error) {
+            console.warn('Interception listener failed:', error);
+          }
+        });
+        break;
+    }
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.PageBridge = PageBridge;
+}
@@ -1,10 +1,20 @@
 /**
  * Performance Optimization Utilities
  * SAFE ENHANCEMENT - Improves performance without breaking existing functionality
+ * ES module, imported by cookie-killer.js
  */
 
-class PerformanceOptimizer {
-  constructor() {
+import { resolveEnvironment } from './content-utils.js';
+
+export class PerformanceOptimizer {
+  /**
+   * @param {Object} [options] - Page environment (content-utils.js): document and clock
+   */
+  constructor(options = {}) {
+    const { document, clock } = resolveEnvironment(options);
+    this.document = document;
+    this.clock = clock;
+    
     this.scanCache = new Map();
     this.cacheTimeout = 30000; // 30 seconds cache
     this.debouncedFunctions = new Map();
@@ -25,9 +35,9 @@ class PerformanceOptimizer {
    * SAFE: Read-only operation
    */
   generateScanCacheKey() {
-    const url = window.location.href;
-    const domElements = document.querySelectorAll('*').length;
-    const timestamp = Math.floor(Date.now() / this.cacheTimeout); // Cache per 30s window
+    const url = this.document.location.href;
+    const domElements = this.document.querySelectorAll('*').length;
+    const timestamp = Math.floor(this.clock.now() / this.cacheTimeout); // Cache per 30s window
     
     return `${url}-${domElements}-${timestamp}`;
   }
@@ -57,7 +67,7 @@ class PerformanceOptimizer {
     // Cache with expiration
     this.scanCache.set(key, {
       result,
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     });
     
     // Clean old cache entries
@@ -69,7 +79,7 @@ class PerformanceOptimizer {
    * SAFE: Memory management only
    */
   cleanExpiredCache() {
-    const now = Date.now();
+    const now = this.clock.now();
     const expiredKeys = [];
     
     for (const [key, value] of this.scanCache.entries()) {
@@ -146,7 +156,7 @@ class PerformanceOptimizer {
     // Execute grouped queries
     for (const [group, selectorList] of groupedSelectors) {
       try {
-        const elements = document.querySelectorAll(selectorList.join(', '));
+        const elements = this.document.querySelectorAll(selectorList.join(', '));
         
         // Map results back to original selectors
         selectorList.forEach(selector => {
@@ -158,7 +168,7 @@ class PerformanceOptimizer {
         // Handle individual selectors if batch fails
         selectorList.forEach(selector => {
           try {
-            const elements = document.querySelectorAll(selector);
+            const elements = this.document.querySelectorAll(selector);
             results.set(selector, Array.from(elements));
           } catch (e) {
             results.set(selector, []);
@@ -218,7 +228,7 @@ class PerformanceOptimizer {
     }
     
     const lastExecution = this.lastScanResults.get(throttleKey);
-    const now = Date.now();
+    const now = this.clock.now();
     
     if (now - lastExecution >= limit) {
       this.lastScanResults.set(throttleKey, now);
@@ -233,7 +243,7 @@ class PerformanceOptimizer {
    * SAFE: Adaptive timing without breaking functionality
    */
   getAdaptiveDelay() {
-    const domSize = document.querySelectorAll('*').length;
+    const domSize = this.document.querySelectorAll('*').length;
     const isComplexPage = domSize > 1000;
     const hasFrameworks = this.detectPerformanceHeavyFrameworks();
     
@@ -258,7 +268,7 @@ class PerformanceOptimizer {
     
     return heavyFrameworks.some(framework => 
       window[framework] || 
-      document.querySelector(`script[src*="${framework.toLowerCase()}"]`)
+      this.document.querySelector(`script[src*="${framework.toLowerCase()}"]`)
     );
   }
 
@@ -304,9 +314,3 @@ class PerformanceOptimizer {
     this.reset();
   }
 }
-
-// Export for use in other modules
-if (typeof window !== 'undefined') {
-  window.PerformanceOptimizer = PerformanceOptimizer;
-}
-
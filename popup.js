@@ -0,0 +1,416 @@
+/**
+ * Cookie Marshal AI Agent - Popup
+ * Shows what the agent did on the current tab and offers a per-tab on/off switch
+ */
+
+class PopupController {
+  constructor() {
+    this.tabId = null;
+    this.tabUrl = null;
+    this.globalEnabled = true;
+    this.siteRule = null;
+    this.userRule = null;
+    this.gpcState = null;
+
+    this.elements = {
+      enabledToggle: document.getElementById('tab-enabled'),
+      host: document.getElementById('tab-host'),
+      status: document.getElementById('tab-status'),
+      bannerList: document.getElementById('banner-list'),
+      bannerEmpty: document.getElementById('banner-empty'),
+      siteRuleButtons: document.querySelectorAll('.site-rule-btn'),
+      siteRuleLabel: document.getElementById('site-rule-label'),
+      siteRuleRemove: document.getElementById('site-rule-remove'),
+      siteGpc: document.getElementById('site-gpc'),
+      siteGpcSource: document.getElementById('site-gpc-source'),
+      siteGpcReset: document.getElementById('site-gpc-reset'),
+      pickBanner: document.getElementById('pick-banner'),
+      userRuleLabel: document.getElementById('user-rule-label'),
+      userRuleRemove: document.getElementById('user-rule-remove'),
+      undoPage: document.getElementById('undo-page'),
+      undoLabel: document.getElementById('undo-label'),
+      exportTraces: document.getElementById('export-traces'),
+      traceStatus: document.getElementById('trace-status')
+    };
+
+    this.init();
+  }
+
+  async init() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab) {
+        this.renderUnavailable('No active tab');
+        return;
+      }
+
+      this.tabId = tab.id;
+      this.tabUrl = tab.url || null;
+
+      this.setupEventListeners();
+      await this.refresh();
+    } catch (error) {
+      console.error('Popup initialization failed:', error);
+      this.renderUnavailable('Could not read the current tab');
+    }
+  }
+
+  setupEventListeners() {
+    this.elements.enabledToggle.addEventListener('change', async (event) => {
+      const enabled = event.target.checked;
+      event.target.disabled = true;
+
+      const tabState = await this.sendMessage({ action: 'setTabEnabled', tabId: this.tabId, enabled });
+      if (tabState) {
+        this.render(tabState);
+      }
+
+      event.target.disabled = false;
+    });
+
+    // One click adds (or replaces) an exact-host rule for the current site
+    this.elements.siteRuleButtons.forEach(button => {
+      button.addEventListener('click', () => this.setSiteRule(button.dataset.mode));
+    });
+
+    this.elements.siteRuleRemove.addEventListener('click', () => this.removeSiteRule());
+
+    // GPC overrides are exact-host, like the mode buttons
+    this.elements.siteGpc.addEventListener('change', (event) => this.setSiteGpc(event.target.checked));
+    this.elements.siteGpcReset.addEventListener('click', () => this.setSiteGpc(null));
+
+    this.elements.pickBanner.addEventListener('click', () => this.startPicker());
+    this.elements.userRuleRemove.addEventListener('click', () => this.removeUserRule());
+
+    this.elements.undoPage.addEventListener('click', () => this.undoPage());
+    this.elements.exportTraces.addEventListener('click', () => this.exportTraces());
+
+    // Live updates while the popup is open
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      const key = `tabState_${this.tabId}`;
+      if (areaName === 'session' && changes[key] && changes[key].newValue) {
+        this.render(changes[key].newValue);
+      }
+    });
+  }
+
+  async setSiteRule(mode) {
+    const host = this.getHost(this.tabUrl);
+    this.setSiteRuleBusy(true);
+
+    // An exact-host rule replaces any previous one for this host and takes
+    // precedence over broader wildcard rules
+    const siteRule = await this.sendMessage({ action: 'addSiteRule', pattern: host, mode });
+    if (siteRule) {
+      await this.refresh();
+    }
+
+    this.setSiteRuleBusy(false);
+  }
+
+  async removeSiteRule() {
+    if (!this.siteRule) return;
+    this.setSiteRuleBusy(true);
+
+    await this.sendMessage({ action: 'removeSiteRule', pattern: this.siteRule.pattern });
+    await this.refresh();
+
+    this.setSiteRuleBusy(false);
+  }
+
+  async setSiteGpc(gpc) {
+    this.elements.siteGpc.disabled = true;
+
+    await this.sendMessage({ action: 'setSiteGpc', pattern: this.getHost(this.tabUrl), gpc });
+    await this.refresh();
+  }
+
+  // The picker runs in the page; close the popup so the user can point at it
+  async startPicker() {
+    this.elements.pickBanner.disabled = true;
+
+    const started = await this.sendMessage({ action: 'startPicker', tabId: this.tabId });
+    if (started) {
+      window.close();
+      return;
+    }
+
+    this.elements.userRuleLabel.textContent = 'Picker unavailable on this page';
+    this.elements.pickBanner.disabled = false;
+  }
+
+  async removeUserRule() {
+    this.elements.userRuleRemove.disabled = true;
+
+    await this.sendMessage({ action: 'removeUserRule', url: this.tabUrl });
+    await this.refresh();
+
+    this.elements.userRuleRemove.disabled = false;
+  }
+
+  async undoPage() {
+    const { undoPage, undoLabel } = this.elements;
+    undoPage.disabled = true;
+
+    const undo = await this.sendMessage({ action: 'undoPage', tabId: this.tabId });
+    if (!undo) {
+      undoLabel.textContent = 'Undo unavailable on this page';
+      undoPage.disabled = false;
+      return;
+    }
+
+    undoLabel.textContent = undo.reopened.length > 0
+      ? `Consent dialog reopened (${undo.reopened[0].split('.')[0]})`
+      : `Restored ${undo.restored} blocked resource(s)`;
+  }
+
+  // Recent decision traces from every tab, downloaded as one JSON file
+  async exportTraces() {
+    const { exportTraces, traceStatus } = this.elements;
+    exportTraces.disabled = true;
+
+    const traces = await this.sendMessage({ action: 'getTraces' });
+    if (!traces || traces.length === 0) {
+      traceStatus.textContent = traces ? 'No traces recorded yet' : 'Traces unavailable';
+      exportTraces.disabled = false;
+      return;
+    }
+
+    const report = {
+      extension: chrome.runtime.getManifest().version,
+      exportedAt: new Date().toISOString(),
+      traces: traces
+    };
+    const url = URL.createObjectURL(new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `cookie-marshal-traces-${Date.now()}.json`;
+    link.click();
+    // The download starts after click() returns; revoking right away can cancel it
+    setTimeout(() => URL.revokeObjectURL(url));
+
+    traceStatus.textContent = `${traces.length} trace(s) exported`;
+    exportTraces.disabled = false;
+  }
+
+  setSiteRuleBusy(busy) {
+    this.elements.siteRuleButtons.forEach(button => { button.disabled = busy; });
+    this.elements.siteRuleRemove.disabled = busy;
+  }
+
+  async refresh() {
+    const settings = await this.sendMessage({ action: 'getSettings' });
+    this.globalEnabled = !settings || settings.isEnabled !== false;
+    this.siteRule = this.isWebPage(this.tabUrl)
+      ? await this.sendMessage({ action: 'matchSiteRule', url: this.tabUrl })
+      : null;
+    this.userRule = this.isWebPage(this.tabUrl)
+      ? await this.sendMessage({ action: 'getUserRule', url: this.tabUrl })
+      : null;
+    this.gpcState = this.isWebPage(this.tabUrl)
+      ? await this.sendMessage({ action: 'getGpcState', url: this.tabUrl })
+      : null;
+    this.renderSiteRule();
+    this.renderGpc();
+    this.renderUserRule();
+
+    const tabState = await this.sendMessage({ action: 'getTabState', tabId: this.tabId });
+    if (tabState) {
+      this.render(tabState);
+    } else {
+      this.renderUnavailable('Agent state unavailable');
+    }
+  }
+
+  sendMessage(message) {
+    return new Promise(resolve => {
+      chrome.runtime.sendMessage(message, response => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+          console.warn('Popup message failed:', message.action, chrome.runtime.lastError || response);
+          resolve(null);
+          return;
+        }
+        resolve(response.data);
+      });
+    });
+  }
+
+  render(tabState) {
+    const { enabledToggle, host, status } = this.elements;
+
+    enabledToggle.checked = tabState.enabled !== false;
+    host.textContent = this.getHost(tabState.url || this.tabUrl);
+
+    const banners = tabState.banners || [];
+    const rejected = banners.filter(banner => banner.success).length;
+    const siteMode = this.siteRule ? this.siteRule.mode : null;
+
+    if (tabState.enabled === false) {
+      status.textContent = 'Disabled on this tab';
+    } else if (siteMode === 'skip') {
+      status.textContent = 'Skipped by site rule';
+    } else if (tabState.undone) {
+      status.textContent = 'Undone · paused until the page reloads';
+    } else if (!this.globalEnabled && siteMode !== 'run') {
+      status.textContent = 'Disabled in settings';
+    } else if (siteMode === 'observe') {
+      status.textContent = `Observe only · ${banners.length} banner(s) seen`;
+    } else if (this.describeCombined(tabState.combined)) {
+      status.textContent = this.describeCombined(tabState.combined);
+    } else if (banners.length === 0) {
+      status.textContent = 'Watching for cookie banners…';
+    } else if (banners.every(banner => banner.observed)) {
+      // Dry run (the observe-only site rule is handled above): planned, never clicked
+      status.textContent = `Dry run · ${banners.length} banner(s) seen, nothing clicked`;
+    } else {
+      status.textContent = `${rejected} of ${banners.length} banner(s) rejected`;
+    }
+
+    this.elements.undoPage.disabled = !this.isWebPage(this.tabUrl) || tabState.undone === true;
+    this.renderBanners(banners);
+  }
+
+  // Result across the page's frames (BackgroundManager.combineFrameOutcomes), null when there is none
+  describeCombined(combined) {
+    if (!combined || combined.status === 'none') return null;
+
+    const frames = combined.frames > 1 ? ` across ${combined.frames} frames` : '';
+    switch (combined.status) {
+      case 'pending':
+        return `Handling ${combined.pending} banner(s)${frames}…`;
+      case 'rejected':
+        return `${combined.rejected} banner(s) rejected${frames}`;
+      case 'partial':
+        return `${combined.rejected} of ${combined.rejected + combined.failed} banner(s) rejected${frames}`;
+      case 'failed':
+        return `Could not reject ${combined.failed} banner(s)${frames}`;
+      default:
+        return null;
+    }
+  }
+
+  renderSiteRule() {
+    const { siteRuleButtons, siteRuleLabel, siteRuleRemove } = this.elements;
+    const available = this.isWebPage(this.tabUrl);
+    const mode = this.siteRule ? this.siteRule.mode : null;
+
+    siteRuleButtons.forEach(button => {
+      button.disabled = !available;
+      button.classList.toggle('active', button.dataset.mode === mode);
+    });
+
+    if (!available) {
+      siteRuleLabel.textContent = 'Site rules apply to web pages only';
+    } else if (this.siteRule) {
+      siteRuleLabel.textContent = `Rule: ${this.siteRule.pattern}`;
+    } else {
+      siteRuleLabel.textContent = 'No rule, default behaviour';
+    }
+    siteRuleRemove.hidden = !this.siteRule;
+  }
+
+  renderGpc() {
+    const { siteGpc, siteGpcSource, siteGpcReset } = this.elements;
+    const fromSite = !!this.gpcState && this.gpcState.source === 'site';
+
+    siteGpc.disabled = !this.gpcState;
+    siteGpc.checked = !!this.gpcState && this.gpcState.enabled;
+    siteGpcSource.textContent = this.gpcState && !fromSite ? 'Default' : '';
+    siteGpcReset.hidden = !fromSite;
+  }
+
+  renderUserRule() {
+    const { pickBanner, userRuleLabel, userRuleRemove } = this.elements;
+    const available = this.isWebPage(this.tabUrl);
+
+    pickBanner.disabled = !available;
+    userRuleLabel.textContent = this.userRule ? `Picked: ${this.userRule.bannerSelector}` : '';
+    userRuleLabel.title = this.userRule
+      ? `Banner: ${this.userRule.bannerSelector}\nReject: ${this.userRule.rejectSelector}`
+      : '';
+    userRuleRemove.hidden = !this.userRule;
+  }
+
+  renderBanners(banners) {
+    const { bannerList, bannerEmpty } = this.elements;
+    bannerList.textContent = '';
+    bannerEmpty.hidden = banners.length > 0;
+
+    // Most recent first
+    banners.slice().reverse().forEach(banner => {
+      bannerList.appendChild(this.createBannerItem(banner));
+    });
+  }
+
+  createBannerItem(banner) {
+    const item = document.createElement('li');
+    const state = banner.success ? '' : (banner.observed ? ' observed' : ' failed');
+    item.className = `banner-item${state}`;
+
+    const title = document.createElement('div');
+    title.className = 'banner-title';
+
+    const label = document.createElement('span');
+    const icon = banner.success ? '✅' : (banner.observed ? '👁️' : '❌');
+    label.textContent = `${icon} ${banner.framework !== 'unknown' ? banner.framework : banner.label}`;
+    title.appendChild(label);
+
+    const method = document.createElement('span');
+    method.className = 'badge';
+    method.textContent = banner.method || 'unknown';
+    title.appendChild(method);
+
+    item.appendChild(title);
+
+    const meta = document.createElement('div');
+    meta.className = 'banner-meta';
+    meta.textContent = this.describeOutcome(banner);
+    item.appendChild(meta);
+
+    return item;
+  }
+
+  describeOutcome(banner) {
+    const parts = [];
+
+    if (banner.buttonText) {
+      parts.push(`Clicked "${banner.buttonText.trim().slice(0, 40)}"`);
+    }
+    if (typeof banner.confidence === 'number') {
+      parts.push(`confidence ${Math.round(banner.confidence * 100)}%`);
+    }
+    if (banner.strategy && banner.strategy !== banner.method) {
+      parts.push(banner.strategy);
+    }
+    if (!banner.success && banner.reason) {
+      parts.push(banner.reason);
+    }
+    if (banner.frameId) {
+      parts.push('in iframe');
+    }
+
+    return parts.join(' · ') || banner.label;
+  }
+
+  renderUnavailable(message) {
+    this.elements.enabledToggle.disabled = true;
+    this.elements.status.textContent = message;
+    this.elements.bannerEmpty.hidden = false;
+  }
+
+  isWebPage(url) {
+    return /^https?:\/\//.test(url || '');
+  }
+
+  getHost(url) {
+    try {
+      return new URL(url).hostname || url;
+    } catch (error) {
+      return url || '—';
+    }
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new PopupController();
+});
@@ -0,0 +1,421 @@
+/**
+ * Cookie Marshal AI Agent - Rule Engine
+ * Interprets the declarative CMP rules from cmp-rules.js: detect the CMP,
+ * check its UI is shown, run the opt-out steps and verify the result.
+ */
+
+class RuleEngine {
+  /**
+   * @param {Array<Object>} rules - Rules in the cmp-rules.js format
+   * @param {Object} options
+   * @param {Function} options.click - async (element) => { success, vetoed, buttonText }; every click goes
+   *   through it. success once the click is made: whether the banner went is for verify
+   * @param {Object} [options.clickGuard] - ClickGuard (click-guard.js) vetting the default click and toggleOff
+   * @param {Function} [options.isVisible] - (element) => boolean
+   * @param {Document} [options.root] - Document the selectors run against
+   */
+  constructor(rules, options = {}) {
+    this.clickGuard = options.clickGuard || null;
+    this.click = options.click || (async (element) => {
+      const veto = this.clickGuard ? this.clickGuard.check(element, 'RuleEngine') : null;
+      if (veto) {
+        return { success: false, vetoed: true, buttonText: veto.text };
+      }
+      element.click();
+      return { success: true, buttonText: (element.textContent || '').trim() };
+    });
+    this.isVisible = options.isVisible || ((element) => this.isElementVisible(element));
+    this.root = options.root || document;
+
+    this.defaultWaitTimeout = 2000;
+    this.defaultVerifyTimeout = 2000;
+    this.pollInterval = 100;
+
+    this.rules = [];
+    (Array.isArray(rules) ? rules : []).forEach(rule => this.addRule(rule));
+  }
+
+  static get STEP_TYPES() {
+    return ['click', 'waitFor', 'wait', 'toggleOff', 'check', 'any'];
+  }
+
+  static get CONDITION_TYPES() {
+    return ['exists', 'visible', 'any', 'all', 'not'];
+  }
+
+  /**
+   * Check a rule against the schema
+   * @param {Object} rule - Rule to validate
+   * @returns {Array<string>} Problems found, empty when valid
+   */
+  static validateRule(rule) {
+    const errors = [];
+
+    if (!rule || typeof rule !== 'object') {
+      return ['Rule must be an object'];
+    }
+    if (typeof rule.id !== 'string' || !/^[a-z0-9-]+$/.test(rule.id)) {
+      errors.push('id must be a lowercase identifier');
+    }
+    if (!Array.isArray(rule.containers) || rule.containers.some(selector => typeof selector !== 'string')) {
+      errors.push('containers must be a list of selectors');
+    }
+    if (!Array.isArray(rule.optOut) || rule.optOut.length === 0) {
+      errors.push('optOut must contain at least one step');
+    } else {
+      rule.optOut.forEach((step, index) => RuleEngine.validateStep(step, `optOut[${index}]`, errors));
+    }
+
+    ['detect', 'show', 'verify'].forEach(key => {
+      if (rule[key] !== undefined) {
+        RuleEngine.validateCondition(rule[key], key, errors);
+      }
+    });
+
+    return errors;
+  }
+
+  static validateStep(step, path, errors) {
+    const type = step && typeof step === 'object'
+      ? RuleEngine.STEP_TYPES.find(name => name in step)
+      : null;
+
+    if (!type) {
+      errors.push(`${path}: unknown step`);
+      return;
+    }
+
+    if (type === 'any') {
+      if (!Array.isArray(step.any) || step.any.some(branch => !Array.isArray(branch))) {
+        errors.push(`${path}.any must be a list of step lists`);
+        return;
+      }
+      step.any.forEach((branch, branchIndex) => {
+        branch.forEach((inner, index) => RuleEngine.validateStep(inner, `${path}.any[${branchIndex}][${index}]`, errors));
+      });
+    } else if (type === 'check') {
+      RuleEngine.validateCondition(step.check, `${path}.check`, errors);
+    } else if (type === 'wait') {
+      if (typeof step.wait !== 'number' || step.wait < 0) {
+        errors.push(`${path}.wait must be a duration in ms`);
+      }
+    } else if (typeof step[type] !== 'string') {
+      errors.push(`${path}.${type} must be a selector`);
+    }
+  }
+
+  static validateCondition(condition, path, errors) {
+    const type = condition && typeof condition === 'object'
+      ? RuleEngine.CONDITION_TYPES.find(name => name in condition)
+      : null;
+
+    if (!type) {
+      errors.push(`${path}: unknown condition`);
+    } else if (type === 'any' || type === 'all') {
+      if (!Array.isArray(condition[type])) {
+        errors.push(`${path}.${type} must be a list of conditions`);
+        return;
+      }
+      condition[type].forEach((inner, index) => RuleEngine.validateCondition(inner, `${path}.${type}[${index}]`, errors));
+    } else if (type === 'not') {
+      RuleEngine.validateCondition(condition.not, `${path}.not`, errors);
+    } else if (typeof condition[type] !== 'string') {
+      errors.push(`${path}.${type} must be a selector`);
+    }
+  }
+
+  /**
+   * Turn a picked { host, bannerSelector, rejectSelector } into a regular rule
+   * @param {Object} userRule - Rule saved by the element picker
+   * @returns {Object} Rule in the cmp-rules.js format
+   */
+  static fromUserRule(userRule) {
+    const host = (userRule.host || 'site').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+    return {
+      id: `user-${host}`,
+      name: `Picked rule (${userRule.host})`,
+      containers: [userRule.bannerSelector],
+      detect: { exists: userRule.bannerSelector },
+      show: { visible: userRule.bannerSelector },
+      optOut: [{ click: userRule.rejectSelector }],
+      verify: { not: { visible: userRule.bannerSelector } }
+    };
+  }
+
+  /**
+   * Add or replace a rule (same id)
+   * @returns {boolean} Whether the rule was valid and added
+   */
+  addRule(rule, { prepend = false } = {}) {
+    const errors = RuleEngine.validateRule(rule);
+    if (errors.length > 0) {
+      console.warn(`⚠️ Skipping invalid CMP rule ${rule && rule.id}:`, errors);
+      return false;
+    }
+
+    this.rules = this.rules.filter(existing => existing.id !== rule.id);
+    if (prepend) {
+      this.rules.unshift(rule);
+    } else {
+      this.rules.push(rule);
+    }
+    return true;
+  }
+
+  removeRule(id) {
+    this.rules = this.rules.filter(rule => rule.id !== id);
+  }
+
+  getRule(frameworkName) {
+    const name = (frameworkName || '').toLowerCase();
+    return this.rules.find(rule =>
+      name.includes(rule.id) || (rule.aliases || []).some(alias => name.includes(alias))
+    ) || null;
+  }
+
+  /**
+   * Selectors for a framework's root elements, used by framework monitoring
+   * Unknown frameworks fall back to class/id substring selectors
+   */
+  getContainerSelectors(frameworkName) {
+    const rule = this.getRule(frameworkName);
+    if (rule) return rule.containers;
+
+    const name = (frameworkName || '').toLowerCase();
+    return [`[class*="${name}"]`, `[id*="${name}"]`];
+  }
+
+  /**
+   * Find the rule responsible for a banner element
+   * @param {HTMLElement} banner - Detected banner
+   * @returns {Object|null} Matching rule whose CMP is detected on the page
+   */
+  findRuleForBanner(banner) {
+    if (!banner || !banner.nodeType) return null;
+
+    return this.rules.find(rule =>
+      this.isRelatedToContainers(banner, rule.containers) &&
+      (!rule.detect || this.evaluate(rule.detect))
+    ) || null;
+  }
+
+  // Banners inside a shadow root are related through the hosts around them
+  isRelatedToContainers(element, containers) {
+    return containers.some(selector => {
+      try {
+        if (element.matches(selector) || element.querySelector(selector)) return true;
+        for (let node = element; node; node = node.getRootNode().host) {
+          if (node.closest(selector)) return true;
+        }
+        return false;
+      } catch (error) {
+        return false; // Invalid selector
+      }
+    });
+  }
+
+  /**
+   * Run a rule's opt-out steps and verify the outcome
+   * @param {Object} rule - Rule to execute
+   * @returns {Promise<Object>} { success, method, rule, buttonText, steps, categoriesDisabled, reason }
+   */
+  async run(rule) {
+    const context = { steps: 0, buttonText: null, categoriesDisabled: 0 };
+    const result = {
+      success: false,
+      method: `${rule.id}-rule`,
+      rule: rule.id,
+      confidence: 0
+    };
+
+    if (rule.show && !this.evaluate(rule.show)) {
+      return { ...result, reason: 'Consent UI not shown' };
+    }
+
+    console.log(`📜 Running ${rule.name || rule.id} opt-out rule...`);
+
+    const completed = await this.executeSteps(rule.optOut, context);
+    const verified = completed && (!rule.verify ||
+      await this.waitForCondition(rule.verify, rule.verifyTimeout || this.defaultVerifyTimeout));
+
+    return {
+      ...result,
+      success: verified,
+      confidence: verified ? 0.9 : 0,
+      buttonText: context.buttonText,
+      steps: context.steps,
+      categoriesDisabled: context.categoriesDisabled,
+      reason: verified ? null : (completed ? 'Verification failed' : 'Opt-out steps failed')
+    };
+  }
+
+  /**
+   * First element a step list would click, without running it (dry runs)
+   * Waits are skipped; in "any" the first branch with a clickable target wins
+   * @param {Array<Object>} steps - Steps of a rule's optOut
+   * @returns {HTMLElement|null}
+   */
+  findClickTarget(steps) {
+    for (const step of steps) {
+      if ('click' in step) {
+        const element = this.findVisible(step.click, step.textIncludes);
+        if (element || !step.optional) return element;
+      } else if ('any' in step) {
+        for (const branch of step.any) {
+          const element = this.findClickTarget(branch);
+          if (element) return element;
+        }
+        return null;
+      }
+    }
+    return null;
+  }
+
+  async executeSteps(steps, context) {
+    for (const step of steps) {
+      const ok = await this.executeStep(step, context);
+      if (!ok && !step.optional) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  async executeStep(step, context) {
+    context.steps++;
+
+    if ('any' in step) {
+      for (const branch of step.any) {
+        if (await this.executeSteps(branch, context)) {
+          return true;
+        }
+      }
+      return false;
+    }
+
+    if ('click' in step) {
+      const element = this.findVisible(step.click, step.textIncludes);
+      if (!element) return false;
+
+      // A vetoed or failed click fails the step, so an any: moves on to its next alternative
+      const clickResult = await this.click(element);
+      if (!clickResult || clickResult.success === false || clickResult.vetoed) return false;
+
+      context.buttonText = clickResult.buttonText || (element.textContent || '').trim();
+      // A click that opens another view is still a completed step; verify decides success
+      return true;
+    }
+
+    if ('waitFor' in step) {
+      return this.waitForCondition({ visible: step.waitFor }, step.timeout || this.defaultWaitTimeout);
+    }
+
+    if ('wait' in step) {
+      await this.sleep(step.wait);
+      return true;
+    }
+
+    if ('toggleOff' in step) {
+      context.categoriesDisabled += await this.toggleOff(step);
+      return true;
+    }
+
+    if ('check' in step) {
+      return this.evaluate(step.check);
+    }
+
+    return false;
+  }
+
+  // Uncheck every checked toggle whose category label is not excluded
+  async toggleOff(step) {
+    const exclude = (step.exclude || []).map(word => word.toLowerCase());
+    let disabled = 0;
+
+    for (const toggle of this.queryAll(step.toggleOff)) {
+      if (!toggle.checked || toggle.disabled) continue;
+
+      let container = step.labelContainer ? toggle.closest(step.labelContainer) : toggle.parentElement;
+      if (container && step.labelSelector) {
+        container = container.querySelector(step.labelSelector);
+      }
+      const label = ((container && container.textContent) || '').toLowerCase();
+
+      if (exclude.some(word => label.includes(word))) continue;
+      if (this.clickGuard && this.clickGuard.check(toggle, 'RuleEngine.toggleOff')) continue;
+
+      toggle.click();
+      disabled++;
+      await this.sleep(200);
+    }
+
+    return disabled;
+  }
+
+  evaluate(condition) {
+    if (!condition) return true;
+
+    if ('any' in condition) return condition.any.some(inner => this.evaluate(inner));
+    if ('all' in condition) return condition.all.every(inner => this.evaluate(inner));
+    if ('not' in condition) return !this.evaluate(condition.not);
+    if ('exists' in condition) return this.queryAll(condition.exists).length > 0;
+    if ('visible' in condition) return !!this.findVisible(condition.visible);
+
+    return false;
+  }
+
+  async waitForCondition(condition, timeout) {
+    const deadline = Date.now() + timeout;
+
+    while (Date.now() <= deadline) {
+      if (this.evaluate(condition)) return true;
+      await this.sleep(this.pollInterval);
+    }
+    return this.evaluate(condition);
+  }
+
+  findVisible(selector, textIncludes = null) {
+    const text = textIncludes ? textIncludes.toLowerCase() : null;
+
+    return this.queryAll(selector).find(element =>
+      this.isVisible(element) &&
+      (!text || (element.textContent || '').toLowerCase().includes(text))
+    ) || null;
+  }
+
+  // "#host >>> .button" continues inside the open shadow roots of the matched hosts
+  queryAll(selector) {
+    try {
+      const [outer, ...inner] = selector.split(' >>> ');
+      return inner.reduce(
+        (hosts, part) => hosts.flatMap(host => (host.shadowRoot ? Array.from(host.shadowRoot.querySelectorAll(part)) : [])),
+        Array.from(this.root.querySelectorAll(outer))
+      );
+    } catch (error) {
+      console.warn(`⚠️ Invalid rule selector: ${selector}`);
+      return [];
+    }
+  }
+
+  isElementVisible(element) {
+    const view = element.ownerDocument.defaultView;
+    const style = view.getComputedStyle(element);
+    const rect = element.getBoundingClientRect();
+
+    return style.display !== 'none' &&
+           style.visibility !== 'hidden' &&
+           style.opacity !== '0' &&
+           rect.width > 0 &&
+           rect.height > 0;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+// Export for use in content script
+if (typeof window !== 'undefined') {
+  window.RuleEngine = RuleEngine;
+}
@@ -0,0 +1,73 @@
+/**
+ * Cookie Marshal AI Agent - Click Guard Unit Tests
+ * Runs click-guard.js as the classic content script it is, with the
+ * multi-language patterns of the agent, and checks which labels it vetoes.
+ *
+ *   npm install --no-save jsdom
+ *   node --test test/click-guard.test.js
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { pathToFileURL } = require('url');
+const { before, test } = require('node:test');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+let guard = null;
+let document = null;
+
+before(async () => {
+  const { window } = new JSDOM('<!DOCTYPE html><html lang="en"><body></body></html>', { url: 'https://shop.example/' });
+  document = window.document;
+
+  const context = vm.createContext({ window: {}, console });
+  vm.runInContext(fs.readFileSync(path.join(ROOT, 'click-guard.js'), 'utf8'), context, { filename: 'click-guard.js' });
+
+  const { MultiLanguageDetector } = await import(pathToFileURL(path.join(ROOT, 'multi-language-utils.js')).href);
+  guard = new context.window.ClickGuard({ languagePatterns: new MultiLanguageDetector({ document }).languagePatterns, document });
+});
+
+const vetoed = (text) => {
+  const element = document.createElement('button');
+  element.textContent = text;
+  return guard.evaluate(element).vetoed;
+};
+
+test('vetoes accept labels in any language, casual ones included', () => {
+  ['Accept all', 'Allow cookies', 'Akzeptieren', 'Tout accepter', 'OK', 'Got it!', 'Ich stimme zu', 'Einverstanden'].forEach(label => {
+    assert.equal(vetoed(label), true, label);
+  });
+});
+
+test('lets refusals through, even when they name accepting', () => {
+  ['Reject all', 'Ablehnen', 'Continue without accepting', "Don't accept", 'Nicht akzeptieren',
+    'Continuer sans accepter', 'Allow necessary only', 'Nur notwendige akzeptieren', 'Allow selection', 'Manage settings'].forEach(label => {
+    assert.equal(vetoed(label), false, label);
+  });
+});
+
+test('keeps vetoing accept labels that only narrow what is accepted', () => {
+  ['Accept settings', 'Accept all functional cookies', 'Accept options', 'Accept essential and analytics cookies',
+    'Accept all or continue without accepting'].forEach(label => {
+    assert.equal(vetoed(label), true, label);
+  });
+  // "ok" inside another word is not agreement
+  assert.equal(vetoed('Cookie settings'), false);
+});
+
+test('logs a veto with the guarded document\'s URL', () => {
+  const element = document.createElement('button');
+  element.textContent = 'Accept all';
+  const { warn } = console;
+  console.warn = () => {};
+  try {
+    assert.equal(guard.check(element, 'test').url, 'https://shop.example/');
+  } finally {
+    console.warn = warn;
+  }
+  assert.equal(guard.check(Object.assign(document.createElement('button'), { textContent: 'Reject all' })), null);
+});
@@ -0,0 +1,191 @@
+/**
+ * Cookie Marshal AI Agent - CMP Adapter Unit Tests
+ * Checks which adapter takes a banner (across shadow roots and CMP message
+ * frames) and how run() chooses between the CMP's API and its UI rule, with
+ * stand-ins for the page bridge, the rule engine and the consent verifier.
+ *
+ *   npm install --no-save jsdom
+ *   node --test test/cmp-adapters.test.js
+ */
+
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { before, describe, test } = require('node:test');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+let CmpAdapters = null;
+let CMP_ADAPTERS = null;
+
+before(async () => {
+  ({ CmpAdapters, CMP_ADAPTERS } = await import(pathToFileURL(path.join(ROOT, 'cmp-adapters.js')).href));
+});
+
+function createDocument(html = '') {
+  return new JSDOM(`<!DOCTYPE html><html lang="en"><body>${html}</body></html>`, {
+    url: 'https://news.example/'
+  }).window.document;
+}
+
+// Quiet the adapters' emoji logging while a test runs
+async function quietly(run) {
+  const { log, warn } = console;
+  console.log = console.warn = () => {};
+  try {
+    return await run();
+  } finally {
+    Object.assign(console, { log, warn });
+  }
+}
+
+/**
+ * Page bridge answering cmpApi calls from a table of action -> value
+ * @returns {Object} The bridge, with the actions it was asked for in calls
+ */
+function createBridge(answers) {
+  const calls = [];
+  return {
+    isReady: true,
+    calls,
+    async call(method, id, action) {
+      calls.push(`${id}.${action}`);
+      return action in answers ? answers[action] : null;
+    }
+  };
+}
+
+function createAdapters(options = {}) {
+  const adapters = new CmpAdapters({ getBridge: () => options.bridge || null, ...options });
+  adapters.verifyTimeout = 50;
+  adapters.pollInterval = 10;
+  return adapters;
+}
+
+const adapter = (id) => CMP_ADAPTERS.find(candidate => candidate.id === id);
+
+describe('findForBanner', () => {
+  test('matches a container, its content and shadow content', () => {
+    const document = createDocument('<div id="didomi-host"><div id="didomi-notice"></div></div><div id="usercentrics-root"></div>');
+    const shadow = document.getElementById('usercentrics-root').attachShadow({ mode: 'open' });
+    shadow.innerHTML = '<div data-testid="uc-default-banner"><button>Deny</button></div>';
+    const adapters = createAdapters();
+
+    assert.equal(adapters.findForBanner(document.getElementById('didomi-notice')).id, 'didomi');
+    assert.equal(adapters.findForBanner(document.getElementById('didomi-host')).id, 'didomi');
+    assert.equal(adapters.findForBanner(shadow.querySelector('button')).id, 'usercentrics');
+    assert.equal(adapters.findForBanner(document.body.appendChild(document.createElement('div'))), null);
+  });
+
+  test('only applies message frame containers inside the frame', () => {
+    const document = createDocument('<div class="message-container"></div><iframe id="sp_message_iframe_1"></iframe>');
+    const frameDocument = document.getElementById('sp_message_iframe_1').contentDocument;
+    frameDocument.body.innerHTML = '<div class="message-container"><button class="sp_choice_type_13">Reject</button></div>';
+    const adapters = createAdapters();
+
+    assert.equal(adapters.findForBanner(document.querySelector('.message-container')), null);
+    assert.equal(adapters.findForBanner(frameDocument.querySelector('.message-container')).id, 'sourcepoint');
+  });
+});
+
+describe('findMessageFrame', () => {
+  test('is null in the top frame, even with the marker', () => {
+    const document = createDocument('<div class="message-container"><button class="sp_choice_type_11">Accept</button></div>');
+
+    assert.equal(createAdapters().findMessageFrame(document), null);
+  });
+
+  test('finds the consent UI of a frame with the marker', () => {
+    const document = createDocument('<iframe id="sp_message_iframe_1"></iframe><iframe id="other"></iframe>');
+    const frameDocument = document.getElementById('sp_message_iframe_1').contentDocument;
+    frameDocument.body.innerHTML = '<div class="message-container"><button class="sp_choice_type_12">Manage</button></div>';
+    const adapters = createAdapters();
+
+    const frame = adapters.findMessageFrame(frameDocument);
+    assert.equal(frame.adapter.id, 'sourcepoint');
+    assert.equal(frame.banner, frameDocument.querySelector('.message-container'));
+    assert.equal(adapters.findMessageFrame(document.getElementById('other').contentDocument), null);
+  });
+});
+
+describe('findMessageFrameIframe', () => {
+  test('finds the message frame a banner holds, or is', () => {
+    const document = createDocument('<div id="sp_message_container_1"><iframe id="sp_message_iframe_1"></iframe></div><div id="other"><iframe></iframe></div>');
+    const iframe = document.getElementById('sp_message_iframe_1');
+    const adapters = createAdapters();
+
+    assert.equal(adapters.findMessageFrameIframe(document.getElementById('sp_message_container_1')).iframe, iframe);
+    assert.equal(adapters.findMessageFrameIframe(iframe).adapter.id, 'sourcepoint');
+    assert.equal(adapters.findMessageFrameIframe(document.getElementById('other')), null);
+  });
+});
+
+describe('run', () => {
+  const ruleEngine = (result) => ({
+    rules: [{ id: 'didomi' }, { id: 'quantcast' }, { id: 'sourcepoint' }],
+    runs: [],
+    async run(rule) {
+      this.runs.push(rule.id);
+      return result;
+    }
+  });
+
+  test('rejects through the API when it confirms a refusal', async () => {
+    const bridge = createBridge({ present: true, rejectAll: 'called', status: 'refused' });
+    const engine = ruleEngine({ success: true, method: 'cmp-rule' });
+    const result = await quietly(() => createAdapters({ bridge, ruleEngine: engine }).run(adapter('didomi')));
+
+    assert.equal(result.success, true);
+    assert.equal(result.method, 'didomi-api');
+    assert.equal(result.verdict, 'refused');
+    assert.deepEqual(engine.runs, []);
+  });
+
+  test('falls back to the UI rule when the API still reports consent', async () => {
+    const bridge = createBridge({ present: true, rejectAll: 'called', status: 'granted' });
+    const engine = ruleEngine({ success: true, method: 'cmp-rule' });
+    const result = await quietly(() => createAdapters({ bridge, ruleEngine: engine }).run(adapter('didomi')));
+
+    assert.deepEqual(engine.runs, ['didomi']);
+    // The rule clicked through, but the CMP kept the consent
+    assert.equal(result.success, false);
+    assert.equal(result.verdict, 'granted');
+  });
+
+  test('reads the stored decision when the API cannot tell', async () => {
+    const consentVerifier = { read: () => ({ sources: { didomi: 'refused' } }) };
+    const engine = ruleEngine({ success: true, method: 'cmp-rule' });
+    const result = await quietly(() => createAdapters({ ruleEngine: engine, consentVerifier }).run(adapter('didomi')));
+
+    assert.equal(result.success, true);
+    assert.equal(result.method, 'cmp-rule');
+    assert.equal(result.verdict, 'refused');
+  });
+
+  test('confirms a TCF CMP through the site\'s __tcfapi', async () => {
+    const engine = ruleEngine({ success: true, method: 'cmp-rule' });
+    const granted = createBridge({ present: true, status: 'granted' });
+    const result = await quietly(() => createAdapters({ bridge: granted, ruleEngine: engine }).run(adapter('quantcast')));
+
+    // No reject call: the UI rule decides, getTCData confirms
+    assert.deepEqual(granted.calls, ['tcf.status']);
+    assert.equal(result.success, false);
+    assert.equal(result.verdict, 'granted');
+
+    const refused = createBridge({ status: 'refused' });
+    assert.equal(await createAdapters({ bridge: refused }).readTcfVerdict(), 'refused');
+    assert.equal(await createAdapters({ bridge: createBridge({ status: 'unknown' }) }).readTcfVerdict(), 'unknown');
+  });
+
+  test('never calls the bridge for adapters without an API', async () => {
+    const bridge = createBridge({ present: true });
+    const engine = ruleEngine({ success: true, method: 'cmp-rule' });
+    const result = await quietly(() => createAdapters({ bridge, ruleEngine: engine }).run(adapter('sourcepoint')));
+
+    assert.deepEqual(bridge.calls, []);
+    assert.deepEqual(engine.runs, ['sourcepoint']);
+    assert.equal(result.success, true);
+    assert.equal(result.verdict, 'unknown');
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Cookie Marshal AI Agent - Content Script Harness
+ * Runs the content scripts of manifest.json in a jsdom window the way the
+ * browser does, for the fixture and frame coordination tests: the main-world
+ * script before the page parses, the classic scripts once it is loaded, and
+ * the ES modules content.js imports as vm modules in the page's context
+ * (node --experimental-vm-modules).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const MANIFEST_SCRIPTS = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8')).content_scripts;
+const CONTENT_SCRIPTS = MANIFEST_SCRIPTS.find(entry => entry.world !== 'MAIN').js;
+const MAIN_WORLD_SCRIPTS = MANIFEST_SCRIPTS.find(entry => entry.world === 'MAIN').js;
+
+/**
+ * jsdom does no layout. Rendered elements get a fixed box (controls are
+ * small, everything else is a wide block), elements that are not rendered
+ * (display: none on themselves or an ancestor, across shadow hosts) an empty one
+ */
+function installLayout(window) {
+  const controls = new Set(['A', 'BUTTON', 'INPUT', 'LABEL', 'SELECT', 'SPAN']);
+
+  const isRendered = (element) => {
+    if (!element.isConnected) return false;
+    for (let node = element; node; node = node.nodeType === 11 ? node.host : node.parentNode) {
+      if (node.nodeType === 1 && window.getComputedStyle(node).display === 'none') return false;
+    }
+    return window.getComputedStyle(element).visibility !== 'hidden';
+  };
+
+  const box = (element) => {
+    if (!isRendered(element)) return { width: 0, height: 0 };
+
+    const style = window.getComputedStyle(element);
+    const control = controls.has(element.tagName);
+    return {
+      width: parseFloat(style.width) || (control ? 120 : 1024),
+      height: parseFloat(style.height) || (control ? 32 : 160)
+    };
+  };
+
+  window.Element.prototype.getBoundingClientRect = function() {
+    const { width, height } = box(this);
+    return { x: 0, y: 0, top: 0, left: 0, width, height, right: width, bottom: height, toJSON() { return this; } };
+  };
+
+  const define = (name, get) => Object.defineProperty(window.HTMLElement.prototype, name, { configurable: true, get });
+  define('offsetWidth', function() { return box(this).width; });
+  define('offsetHeight', function() { return box(this).height; });
+  define('offsetParent', function() { return isRendered(this) ? this.ownerDocument.body : null; });
+}
+
+/**
+ * jsdom's postMessage leaves event.source unset; the page bridge only trusts
+ * messages whose source is its own window
+ */
+function installPostMessage(window) {
+  window.postMessage = (data) => {
+    setTimeout(() => {
+      window.dispatchEvent(new window.MessageEvent('message', { data, source: window, origin: window.location.origin }));
+    }, 0);
+  };
+}
+
+// Run the main-world content scripts; call from beforeParse, as at document_start
+function runMainWorldScripts(window) {
+  MAIN_WORLD_SCRIPTS.forEach(script => window.eval(fs.readFileSync(path.join(ROOT, script), 'utf8')));
+}
+
+/**
+ * Module loader for the page's context, standing in for the browser's
+ * import() of the extension's web accessible ES modules
+ * @returns {Function} importModuleDynamically for the content scripts
+ */
+function createModuleLoader(context) {
+  const modules = new Map();
+
+  const linker = (specifier, referrer) => resolve(new URL(specifier, referrer.identifier).href);
+
+  function resolve(url) {
+    if (!modules.has(url)) {
+      const file = path.join(ROOT, new URL(url).pathname);
+      modules.set(url, new vm.SourceTextModule(fs.readFileSync(file, 'utf8'), { identifier: url, context }));
+    }
+    return modules.get(url);
+  }
+
+  return async (specifier) => {
+    const module = resolve(specifier);
+    if (module.status === 'unlinked') await module.link(linker);
+    if (module.status === 'linked') await module.evaluate();
+    return module;
+  };
+}
+
+// Run the isolated-world content scripts in the loaded page; chrome.runtime.getURL must point at ROOT paths
+function runContentScripts(dom) {
+  const context = dom.getInternalVMContext();
+  const importModuleDynamically = createModuleLoader(context);
+  CONTENT_SCRIPTS.forEach(script => {
+    const file = path.join(ROOT, script);
+    new vm.Script(fs.readFileSync(file, 'utf8'), { filename: file, importModuleDynamically }).runInContext(context);
+  });
+}
+
+async function waitFor(condition, timeout, description) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${description}`);
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+module.exports = { installLayout, installPostMessage, runMainWorldScripts, runContentScripts, waitFor };
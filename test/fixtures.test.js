@@ -0,0 +1,193 @@
+/**
+ * Cookie Marshal AI Agent - Fixture Regression Tests
+ * Loads every page of test/fixtures from a local static server into jsdom,
+ * runs the content scripts listed in manifest.json against it (the main-world
+ * one before the page's own scripts, as at document_start) and checks
+ * what the agent finds (findAllCookieBanners) and does (processBanner)
+ * against the outcome the fixture expects. Runs offline. The ES modules
+ * content.js imports are evaluated in the page's context with vm modules,
+ * hence the flag:
+ *
+ *   npm install --no-save jsdom
+ *   node --experimental-vm-modules --test test/fixtures.test.js
+ *
+ * Expected outcome, a JSON block in each fixture:
+ *   <script type="application/json" id="expected-outcome">
+ *   banner   Selector of the banner findAllCookieBanners must return, null when the page has none
+ *   reject   Selector of the control processBanner must click
+ *   never    Selectors of controls that must never be clicked (accept)
+ *   consent  ConsentVerifier verdict once processed: refused, granted or unknown
+ *   tcf      Verdict of the page's own __tcfapi getTCData once processed (optional)
+ *   todo     Reason the agent does not handle the fixture yet: reported, not failed
+ * Selectors reach into open shadow roots with " >>> " ("#host >>> .banner").
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { after, before, test } = require('node:test');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { startStaticServer } = require('./static-server');
+const { installLayout, installPostMessage, runMainWorldScripts, runContentScripts, waitFor } = require('./content-harness');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Set FIXTURE_VERBOSE=1 to see the agent's console output
+const VERBOSE = Boolean(process.env.FIXTURE_VERBOSE);
+
+let server = null;
+
+before(async () => {
+  server = await startStaticServer(ROOT);
+});
+
+after(async () => {
+  if (server) await server.close();
+});
+
+function readExpectation(file) {
+  const { document } = new JSDOM(fs.readFileSync(file, 'utf8')).window;
+  const block = document.getElementById('expected-outcome');
+  if (!block) throw new Error(`${path.basename(file)} has no expected-outcome block`);
+
+  return { never: [], consent: 'unknown', todo: false, ...JSON.parse(block.textContent) };
+}
+
+function query(document, selector) {
+  return selector.split(' >>> ').reduce((scope, part) => {
+    const root = scope === document ? scope : scope && scope.shadowRoot;
+    return root ? root.querySelector(part) : null;
+  }, document);
+}
+
+/**
+ * Extension APIs the content scripts use. The tab switch starts off, so the
+ * agent initializes without scanning and the test drives it instead.
+ * Other background actions fail, which makes sendToBackground use its fallback
+ */
+function installChrome(window, messages) {
+  const responses = {
+    registerTab: { enabled: false }
+  };
+
+  window.chrome = {
+    runtime: {
+      id: 'fixture-tests',
+      lastError: undefined,
+      getURL: (file) => `${server.url}/${file}`,
+      sendMessage(message, callback) {
+        messages.push(message);
+        const response = message.action in responses
+          ? { success: true, data: responses[message.action] }
+          : { success: false, error: 'No background in fixture tests' };
+        setTimeout(() => callback && callback(response), 0);
+      },
+      onMessage: { addListener() {} }
+    },
+    storage: {
+      sync: { get: async () => ({}) },
+      onChanged: { addListener() {} }
+    }
+  };
+}
+
+/**
+ * Load a fixture with the main-world scripts run before it parses and the
+ * content scripts injected once the page is loaded
+ * @returns {Promise<Object>} { dom, window, killer, clicks, messages }
+ */
+async function loadFixture(name) {
+  const virtualConsole = new VirtualConsole();
+  // Newer jsdom renamed sendTo to forwardTo
+  if (VERBOSE) (virtualConsole.forwardTo || virtualConsole.sendTo).call(virtualConsole, console);
+
+  const clicks = [];
+  const messages = [];
+  const dom = await JSDOM.fromURL(`${server.url}/test/fixtures/${name}`, {
+    runScripts: 'dangerously',
+    resources: 'usable',
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse(window) {
+      installLayout(window);
+      installPostMessage(window);
+      installChrome(window, messages);
+      // Capture phase on the document sees every click, including inside shadow roots
+      window.document.addEventListener('click', event => clicks.push(event.composedPath()[0]), true);
+      runMainWorldScripts(window);
+    }
+  });
+
+  const { window } = dom;
+  if (window.document.readyState !== 'complete') {
+    await new Promise(resolve => window.addEventListener('load', resolve, { once: true }));
+  }
+
+  runContentScripts(dom);
+
+  await waitFor(
+    () => window.cookieKiller && messages.some(message => message.action === 'registerTab') && !window.cookieKiller.isInitializing,
+    10000,
+    'the agent to initialize'
+  );
+
+  // injected.js answers over the page bridge for the CMP adapters' API calls.
+  // Left unconfigured, its proactive blocking never starts
+  const killer = window.cookieKiller;
+  killer.pageBridge = new window.PageBridge();
+  killer.pageBridge.connect();
+  assert.ok(await killer.pageBridge.waitUntilReady(), 'injected.js did not answer over the page bridge');
+
+  return { dom, window, killer, clicks, messages };
+}
+
+const fixtures = fs.readdirSync(FIXTURES).filter(file => file.endsWith('.html')).sort();
+
+fixtures.forEach(name => {
+  const expected = readExpectation(path.join(FIXTURES, name));
+
+  test(name, { todo: expected.todo, timeout: 30000 }, async () => {
+    const { window, killer, clicks } = await loadFixture(name);
+    const { document } = window;
+
+    try {
+      // Switch the tab on without starting the agent's own scanning
+      killer.activation.tab = true;
+      killer.isEnabled = killer.shouldBeEnabled();
+
+      const banners = await killer.findAllCookieBanners();
+      const found = banners.map(banner => killer.describeElement(banner)).join(', ') || 'nothing';
+
+      if (expected.banner === null) {
+        assert.equal(banners.length, 0, `no banner expected, found ${found}`);
+        return;
+      }
+
+      const banner = query(document, expected.banner);
+      assert.ok(banner, `fixture has no element ${expected.banner}`);
+      assert.ok(banners.includes(banner), `findAllCookieBanners missed ${expected.banner}, found ${found}`);
+
+      const result = await killer.processBanner(banner);
+      assert.equal(result.success, true, `processBanner failed: ${result.method} ${result.reason || result.error || ''}`);
+
+      if (expected.reject) {
+        const reject = query(document, expected.reject);
+        assert.ok(reject, `fixture has no element ${expected.reject}`);
+        assert.ok(clicks.some(target => reject === target || reject.contains(target)), `${expected.reject} was not clicked`);
+      }
+
+      expected.never.forEach(selector => {
+        const control = query(document, selector);
+        assert.ok(!clicks.some(target => control && (control === target || control.contains(target))), `${selector} must never be clicked`);
+      });
+
+      assert.equal(new window.ConsentVerifier().read().verdict, expected.consent, 'final consent state');
+      if (expected.tcf) {
+        assert.equal(await killer.cmpAdapters.readTcfVerdict(), expected.tcf, 'final __tcfapi state');
+      }
+    } finally {
+      window.close();
+    }
+  });
+});
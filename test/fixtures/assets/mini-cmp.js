@@ -0,0 +1,53 @@
+/**
+ * Cookie Marshal AI Agent - Fixture CMP
+ * Stand-in for the CMP scripts of the saved fixtures: clicking one of the
+ * banner's controls stores a decision the way the real CMP does (cookie or
+ * localStorage) and closes the consent UI, so the run-fixtures harness can
+ * check the final consent state through ConsentVerifier.
+ *
+ * MiniCmp.wire({
+ *   ui:      ['#banner', '#preferences'],  // hidden by every action
+ *   actions: {
+ *     '#reject':   { cookies: { name: value }, storage: { key: value } },
+ *     '#settings': { show: '#preferences', close: false },
+ *     '#save':     { store: () => ({ cookies: { ... } }) }   // decision read from the UI
+ *   }
+ * })
+ */
+
+(function() {
+  'use strict';
+
+  const store = ({ cookies = {}, storage = {} }) => {
+    Object.entries(cookies).forEach(([name, value]) => {
+      document.cookie = `${name}=${encodeURIComponent(value)}; path=/`;
+    });
+    Object.entries(storage).forEach(([key, value]) => {
+      localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+    });
+  };
+
+  const setShown = (selector, shown) => {
+    document.querySelectorAll(selector).forEach(element => {
+      element.style.display = shown ? '' : 'none';
+    });
+  };
+
+  // Delegated, so controls of UI shown later (preference centers) work too;
+  // the composed path reaches controls inside open shadow roots
+  const wire = ({ ui = [], actions = {} }) => {
+    document.addEventListener('click', event => {
+      const path = event.composedPath().filter(node => node.nodeType === Node.ELEMENT_NODE);
+      const selector = Object.keys(actions).find(candidate => path.some(node => node.matches(candidate)));
+      if (!selector) return;
+
+      const action = actions[selector];
+      store(action.store ? action.store() : action);
+
+      if (action.close !== false) ui.forEach(container => setShown(container, false));
+      if (action.show) setShown(action.show, true);
+    });
+  };
+
+  window.MiniCmp = { wire };
+})();
@@ -0,0 +1,346 @@
+/**
+ * Cookie Marshal AI Agent - Frame Coordination Tests
+ * Runs background.js in a vm context with in-memory extension APIs and
+ * drives its message handler the way the content scripts of several frames
+ * of one tab would: registerTab, claimBanner, reportBanner. The last tests
+ * run the real content scripts in a jsdom window per frame, connected to
+ * that background script (see content-harness.js for the flag):
+ *
+ *   npm install --no-save jsdom
+ *   node --experimental-vm-modules --test test/frame-coordination.test.js
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { beforeEach, test } = require('node:test');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { installLayout, installPostMessage, runMainWorldScripts, runContentScripts, waitFor } = require('./content-harness');
+
+const ROOT = path.join(__dirname, '..');
+const TAB_ID = 7;
+const TOP = { tab: { id: TAB_ID, url: 'https://news.example/' }, frameId: 0, url: 'https://news.example/' };
+const CMP_FRAME = { tab: TOP.tab, frameId: 3, url: 'https://cdn.privacy-mgmt.com/index.html?message_id=1' };
+
+function createStorageArea() {
+  const items = {};
+  return {
+    async get(keys) {
+      const names = keys === null || keys === undefined ? Object.keys(items) : [].concat(keys);
+      return Object.fromEntries(names.filter(name => name in items).map(name => [name, structuredClone(items[name])]));
+    },
+    async set(values) {
+      Object.entries(values).forEach(([name, value]) => { items[name] = structuredClone(value); });
+    },
+    async remove(keys) {
+      [].concat(keys).forEach(name => delete items[name]);
+    }
+  };
+}
+
+/**
+ * Load background.js with in-memory chrome.* APIs. tabs.sendMessage reaches
+ * the frames connected with connect(), all of them without a frameId
+ * @returns {Object} { send(message, sender), dispatch(message, sender), connect(frameId, listener), navigate(url), delivered }
+ *   delivered holds the tabs.sendMessage calls; navigate commits a new document in the top frame
+ */
+function loadBackground() {
+  const listeners = [];
+  const commitListeners = [];
+  const delivered = [];
+  const frames = [];
+  const ignore = { addListener() {} };
+
+  const chrome = {
+    runtime: { onInstalled: ignore, onMessage: { addListener: listener => listeners.push(listener) } },
+    storage: { sync: createStorageArea(), local: createStorageArea(), session: createStorageArea(), onChanged: ignore },
+    tabs: {
+      onRemoved: ignore,
+      async sendMessage(tabId, message, options = {}) {
+        delivered.push({ tabId, message, frameId: options.frameId });
+        const targets = frames.filter(frame => options.frameId === undefined || frame.frameId === options.frameId);
+        const responses = await Promise.all(targets.map(frame => new Promise(resolve => {
+          if (frame.listener(message, {}, resolve) !== true) resolve(undefined);
+        })));
+        return responses[0] || { success: true };
+      }
+    },
+    webNavigation: { onCommitted: { addListener: listener => commitListeners.push(listener) } },
+    action: { async setBadgeText() {}, async setBadgeBackgroundColor() {} }
+  };
+
+  const context = vm.createContext({ chrome, console: { log() {}, warn() {}, error() {} }, URL, structuredClone, setTimeout, clearTimeout });
+  context.importScripts = (...files) => files.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  });
+  vm.runInContext(fs.readFileSync(path.join(ROOT, 'background.js'), 'utf8'), context, { filename: 'background.js' });
+
+  const dispatch = (message, sender) => new Promise(resolve => listeners[0](message, sender, resolve));
+  const send = (message, sender) => dispatch(message, sender)
+    .then(response => {
+      assert.equal(response.success, true, `${message.action}: ${response.error}`);
+      return response.data;
+    });
+  const connect = (frameId, listener) => frames.push({ frameId, listener });
+  const navigate = (url) => commitListeners.forEach(listener => listener({ tabId: TAB_ID, frameId: 0, url }));
+  return { send, dispatch, connect, navigate, delivered };
+}
+
+let background = null;
+
+beforeEach(async () => {
+  background = loadBackground();
+  background.navigate(TOP.url);
+  await background.send({ action: 'registerTab' }, TOP);
+});
+
+const claim = (sender, banner) => background.send({ action: 'claimBanner', banner: { label: 'div#banner', framework: 'unknown', iframeUrls: [], ...banner } }, sender);
+const report = (sender, banner) => background.send({ action: 'reportBanner', banner: { label: 'div#banner', framework: 'unknown', ...banner } }, sender);
+const tabState = () => background.send({ action: 'getTabState', tabId: TAB_ID });
+
+test('the top frame leaves a banner around a child frame to that frame', async () => {
+  await background.send({ action: 'registerTab' }, CMP_FRAME);
+
+  const topClaim = await claim(TOP, { iframeUrls: ['https://cdn.privacy-mgmt.com/index.html?message_id=1#top'] });
+  assert.equal(topClaim.granted, false);
+  assert.equal(topClaim.owner, CMP_FRAME.frameId);
+  assert.equal((await tabState()).combined.status, 'pending');
+
+  const childClaim = await claim(CMP_FRAME, { label: 'div.message-container' });
+  assert.equal(childClaim.granted, true);
+
+  await report(CMP_FRAME, { claimId: childClaim.claimId, success: true, method: 'cmp-adapter', cmp: 'sourcepoint' });
+
+  const relayed = background.delivered.find(({ message }) => message.action === 'frameOutcome');
+  assert.equal(relayed.frameId, 0);
+  assert.equal(relayed.message.frameId, CMP_FRAME.frameId);
+  assert.equal(relayed.message.frameUrl, CMP_FRAME.url);
+  assert.deepEqual([...relayed.message.claimIds], [topClaim.claimId]);
+  assert.deepEqual({ ...relayed.message.outcome }, { cmp: 'sourcepoint', success: true, observed: false, method: 'cmp-adapter', label: 'div#banner' });
+  assert.deepEqual({ ...(await tabState()).combined }, { status: 'rejected', frames: 1, rejected: 1, failed: 0, pending: 0 });
+});
+
+test('a child frame stays out of a banner the top frame is handling', async () => {
+  const topClaim = await claim(TOP, { iframeUrls: [CMP_FRAME.url] });
+  assert.equal(topClaim.granted, true);
+
+  // The frame loaded after the top frame claimed its banner
+  await background.send({ action: 'registerTab' }, CMP_FRAME);
+  const childClaim = await claim(CMP_FRAME);
+  assert.equal(childClaim.granted, false);
+  assert.equal(childClaim.owner, 0);
+
+  // Once the top frame failed, the child frame may try
+  await report(TOP, { claimId: topClaim.claimId, success: false, method: 'all-failed' });
+  const retry = await claim(CMP_FRAME, { claimId: childClaim.claimId });
+  assert.equal(retry.granted, true);
+  assert.equal(retry.claimId, childClaim.claimId);
+});
+
+test('a child frame claiming after the top frame rejected the banner learns it is handled', async () => {
+  const topClaim = await claim(TOP, { iframeUrls: [CMP_FRAME.url] });
+  await report(TOP, { claimId: topClaim.claimId, success: true, method: 'cmp-rule' });
+
+  // Loaded too late for the relayed outcome
+  await background.send({ action: 'registerTab' }, CMP_FRAME);
+  const childClaim = await claim(CMP_FRAME);
+  assert.equal(childClaim.granted, false);
+  assert.equal(childClaim.owner, 0);
+  assert.equal(childClaim.handled, true);
+});
+
+test('a top frame claiming after its child frame rejected the banner learns it is handled', async () => {
+  await background.send({ action: 'registerTab' }, CMP_FRAME);
+  const childClaim = await claim(CMP_FRAME, { label: 'div.message-container' });
+  await report(CMP_FRAME, { claimId: childClaim.claimId, success: true, method: 'cmp-adapter', cmp: 'sourcepoint' });
+
+  const topClaim = await claim(TOP, { iframeUrls: [CMP_FRAME.url] });
+  assert.equal(topClaim.owner, CMP_FRAME.frameId);
+  assert.equal(topClaim.handled, true);
+});
+
+test('a takeover makes the claiming frame the owner', async () => {
+  await background.send({ action: 'registerTab' }, CMP_FRAME);
+  const topClaim = await claim(TOP, { iframeUrls: [CMP_FRAME.url] });
+
+  const takeover = await claim(TOP, { claimId: topClaim.claimId, iframeUrls: [CMP_FRAME.url], takeover: true });
+  assert.equal(takeover.granted, true);
+  assert.equal(takeover.owner, 0);
+
+  await report(TOP, { claimId: topClaim.claimId, success: false, method: 'all-failed' });
+  assert.equal((await tabState()).combined.status, 'failed');
+});
+
+test('frames registering with a woken background script share one tab state', async () => {
+  background = loadBackground();
+  await Promise.all([
+    background.send({ action: 'registerTab' }, TOP),
+    background.send({ action: 'registerTab' }, CMP_FRAME)
+  ]);
+
+  const state = await tabState();
+  assert.deepEqual(Array.from(state.frames, frame => frame.frameId), [0, CMP_FRAME.frameId]);
+});
+
+test('outcomes of several frames combine into one tab result', async () => {
+  const other = { tab: TOP.tab, frameId: 5, url: 'https://video.example/embed' };
+  await background.send({ action: 'registerTab' }, other);
+
+  const topClaim = await claim(TOP);
+  const otherClaim = await claim(other);
+  assert.equal(topClaim.granted && otherClaim.granted, true);
+
+  await report(TOP, { claimId: topClaim.claimId, success: true, method: 'cmp-rule' });
+  assert.equal((await tabState()).combined.status, 'pending');
+
+  await report(other, { claimId: otherClaim.claimId, success: false, method: 'all-failed' });
+  assert.deepEqual({ ...(await tabState()).combined }, { status: 'partial', frames: 2, rejected: 1, failed: 1, pending: 0 });
+
+  // A new page in the top frame starts over; claim ids do not repeat
+  background.navigate('https://news.example/next');
+  const state = await tabState();
+  assert.deepEqual([...state.claims], []);
+  assert.deepEqual([...state.frames], []);
+  assert.equal(state.combined.status, 'none');
+  assert.ok((await claim(TOP)).claimId > otherClaim.claimId);
+});
+
+test('a child frame registering before the top frame stays known', async () => {
+  background.navigate('https://news.example/next');
+  await background.send({ action: 'registerTab' }, CMP_FRAME);
+  await background.send({ action: 'registerTab' }, { ...TOP, url: 'https://news.example/next' });
+
+  const topClaim = await claim(TOP, { iframeUrls: [CMP_FRAME.url] });
+  assert.equal(topClaim.granted, false);
+  assert.equal(topClaim.owner, CMP_FRAME.frameId);
+});
+
+/**
+ * Load a page as one frame of the tab: main-world scripts before it parses,
+ * the content scripts once it is loaded, extension messages through background
+ * @param {Function} [hold] - (message) => promise the message waits for before it is sent, or null
+ * @returns {Promise<Object>} { window, killer, clicks }
+ */
+async function loadFrame(html, sender, hold = () => null) {
+  const clicks = [];
+  const dom = new JSDOM(html, {
+    url: sender.url,
+    runScripts: 'dangerously',
+    pretendToBeVisual: true,
+    virtualConsole: new VirtualConsole(),
+    beforeParse(window) {
+      installLayout(window);
+      installPostMessage(window);
+      window.chrome = {
+        runtime: {
+          id: 'frame-tests',
+          lastError: undefined,
+          getURL: (file) => `chrome-extension://frame-tests/${file}`,
+          sendMessage(message, callback) {
+            Promise.resolve(hold(message))
+              .then(() => background.dispatch(message, sender))
+              .then(response => callback && callback(response));
+          },
+          onMessage: { addListener: listener => background.connect(sender.frameId, listener) }
+        },
+        storage: {
+          sync: { get: async () => ({}) },
+          onChanged: { addListener() {} }
+        }
+      };
+      window.document.addEventListener('click', event => clicks.push(event.composedPath()[0]), true);
+      runMainWorldScripts(window);
+    }
+  });
+
+  const { window } = dom;
+  if (window.document.readyState !== 'complete') {
+    await new Promise(resolve => window.addEventListener('load', resolve, { once: true }));
+  }
+  runContentScripts(dom);
+  await waitFor(() => window.cookieKiller && !window.cookieKiller.isInitializing, 10000, 'the agent to initialize');
+
+  // Switch the tab on without starting the agent's own scanning
+  const killer = window.cookieKiller;
+  killer.activation.tab = true;
+  killer.isEnabled = killer.shouldBeEnabled();
+  return { window, killer, clicks };
+}
+
+const page = (body) => `<!DOCTYPE html><html lang="en"><head><title>Frame</title></head><body>${body}</body></html>`;
+
+test('a child frame inside a banner the top frame failed on takes it over', { timeout: 60000 }, async () => {
+  const child = { tab: TOP.tab, frameId: 4, url: 'https://consent.example/notice.html' };
+  await background.send({ action: 'setTabEnabled', tabId: TAB_ID, enabled: false });
+
+  // The top frame fails on the banner only once the child frame claimed it
+  let childClaimed = null;
+  const claimed = new Promise(resolve => { childClaimed = resolve; });
+  const top = await loadFrame(page(`
+    <div id="cookie-notice" class="cookie-banner" role="dialog">
+      <p>We use cookies to personalise content and ads.</p>
+      <iframe src="${child.url}"></iframe>
+    </div>`), TOP, message => (message.action === 'reportBanner' ? claimed : null));
+
+  try {
+    const banner = top.window.document.getElementById('cookie-notice');
+    const topResult = top.killer.processBanner(banner);
+    // The child frame loads after the top frame claimed the banner around it
+    await waitFor(() => top.killer.frameClaims.has(banner), 10000, 'the top frame to claim its banner');
+
+    const frame = await loadFrame(page(`
+      <div id="consent" class="cookie-consent" role="dialog">
+        <p>We use cookies to improve your experience. You can accept or reject them.</p>
+        <button id="accept">Accept all</button>
+        <button id="reject">Reject all</button>
+      </div>`), child, message => {
+      if (message.action === 'claimBanner' && !message.banner.takeover) setTimeout(childClaimed, 0);
+      return null;
+    });
+
+    try {
+      // Long enough that only the relayed outcome ends the wait
+      frame.killer.evasionConfig.frameOutcomeTimeout = 60000;
+      const childResult = frame.killer.processBanner(frame.window.document.getElementById('consent'));
+
+      assert.equal((await topResult).success, false);
+      const result = await childResult;
+
+      assert.equal(frame.killer.frameOutcomes.some(outcome => outcome.frameId === 0 && !outcome.success), true);
+      assert.equal(result.success, true, `processBanner failed: ${result.method}`);
+      const reject = frame.window.document.getElementById('reject');
+      assert.ok(frame.clicks.some(target => reject === target || reject.contains(target)), '#reject was not clicked');
+    } finally {
+      frame.window.close();
+    }
+  } finally {
+    top.window.close();
+  }
+});
+
+test('the top frame waits for a CMP message frame that has not registered yet', { timeout: 60000 }, async () => {
+  await background.send({ action: 'setTabEnabled', tabId: TAB_ID, enabled: false });
+
+  const top = await loadFrame(page(`
+    <div id="sp_message_container_1">
+      <iframe id="sp_message_iframe_1" src="${CMP_FRAME.url}"></iframe>
+    </div>`), TOP);
+
+  try {
+    const banner = top.window.document.getElementById('sp_message_container_1');
+    const result = top.killer.processBanner(banner);
+
+    // The message frame's agent, after the top frame started on the banner
+    await background.send({ action: 'registerTab' }, CMP_FRAME);
+    const childClaim = await claim(CMP_FRAME, { label: 'div.message-container' });
+    assert.equal(childClaim.granted, true);
+    await report(CMP_FRAME, { claimId: childClaim.claimId, success: true, method: 'cmp-adapter', cmp: 'sourcepoint' });
+
+    const { success, method, frameId } = await result;
+    assert.deepEqual({ success, method, frameId }, { success: true, method: 'child-frame', frameId: CMP_FRAME.frameId });
+    assert.equal(top.killer.processedBanners.has(banner), true);
+  } finally {
+    top.window.close();
+  }
+});
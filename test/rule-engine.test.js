@@ -0,0 +1,71 @@
+/**
+ * Cookie Marshal AI Agent - Rule Engine Unit Tests
+ * Runs rule-engine.js and click-guard.js as the classic content scripts they
+ * are and checks how opt-out steps treat a click the guard vetoes.
+ *
+ *   npm install --no-save jsdom
+ *   node --test test/rule-engine.test.js
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { pathToFileURL } = require('url');
+const { before, beforeEach, test } = require('node:test');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+let context = null;
+let languagePatterns = null;
+let document = null;
+let clicks = [];
+
+before(async () => {
+  context = vm.createContext({ window: {}, console: { log() {}, warn() {} }, setTimeout, clearTimeout });
+  ['click-guard.js', 'rule-engine.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  });
+
+  const { MultiLanguageDetector } = await import(pathToFileURL(path.join(ROOT, 'multi-language-utils.js')).href);
+  languagePatterns = new MultiLanguageDetector({ document: new JSDOM('').window.document }).languagePatterns;
+});
+
+beforeEach(() => {
+  ({ document } = new JSDOM(`<!DOCTYPE html><html lang="en"><body>
+    <div id="banner">
+      <button id="accept">Accept all</button>
+      <button id="reject">Reject all</button>
+    </div>
+  </body></html>`, { url: 'https://shop.example/' }).window);
+  clicks = [];
+  document.addEventListener('click', event => clicks.push(event.target.id), true);
+});
+
+const createEngine = () => new context.window.RuleEngine([], {
+  clickGuard: new context.window.ClickGuard({ languagePatterns, document }),
+  isVisible: () => true,
+  root: document
+});
+
+const rule = (optOut) => ({ id: 'test-cmp', containers: ['#banner'], optOut });
+
+test('an any: step moves on when the guard vetoes its first alternative', async () => {
+  const result = await createEngine().run(rule([
+    { any: [[{ click: '#accept' }], [{ click: '#reject' }]] }
+  ]));
+
+  assert.equal(result.success, true, result.reason);
+  assert.equal(result.buttonText, 'Reject all');
+  assert.deepEqual(clicks, ['reject']);
+});
+
+test('a vetoed click fails the opt-out steps', async () => {
+  const result = await createEngine().run(rule([{ click: '#accept' }]));
+
+  assert.equal(result.success, false);
+  assert.equal(result.reason, 'Opt-out steps failed');
+  assert.equal(result.buttonText, null);
+  assert.deepEqual(clicks, []);
+});
@@ -0,0 +1,154 @@
+/**
+ * Cookie Marshal AI Agent - Scoring Unit Tests
+ * Imports the content-script modules straight into Node, with a jsdom
+ * document, a Map-backed storage and a fixed clock as their environment,
+ * and checks the button and category scoring of both agents.
+ *
+ *   npm install --no-save jsdom
+ *   node --test test/scoring.test.js
+ */
+
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { before, describe, test } = require('node:test');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+const load = (file) => import(pathToFileURL(path.join(ROOT, file)).href);
+
+let AntiEvasionCookieKiller = null;
+let CookieBannerAgent = null;
+
+before(async () => {
+  ({ AntiEvasionCookieKiller } = await load('cookie-killer.js'));
+  ({ CookieBannerAgent } = await load('cookie-banner-agent.js'));
+});
+
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+function createEnvironment(html = '') {
+  const { document } = new JSDOM(`<!DOCTYPE html><html lang="en"><body>${html}</body></html>`, {
+    url: 'https://shop.example/'
+  }).window;
+  return { document, storage: createStorage(), clock: { now: () => 1700000000000 } };
+}
+
+// Quiet the agents' emoji logging while a test builds and scores
+function quietly(run) {
+  const { log, warn } = console;
+  console.log = console.warn = () => {};
+  try {
+    return run();
+  } finally {
+    Object.assign(console, { log, warn });
+  }
+}
+
+function button(document, text, attributes = {}) {
+  const element = document.createElement('button');
+  element.textContent = text;
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  (document.querySelector('.cookie-banner') || document.body).appendChild(element);
+  return element;
+}
+
+describe('AntiEvasionCookieKiller', () => {
+  test('builds without a window from the injected environment', () => {
+    const environment = createEnvironment();
+    const killer = quietly(() => new AntiEvasionCookieKiller(environment));
+
+    assert.equal(typeof window, 'undefined');
+    assert.equal(killer.document, environment.document);
+    assert.equal(killer.storage, environment.storage);
+    assert.equal(killer.clock.now(), 1700000000000);
+    // Classic content-script components are not loaded in Node
+    assert.equal(killer.clickGuard, null);
+    assert.equal(killer.ruleEngine, null);
+  });
+
+  test('scores explicit rejection high and acceptance at zero', () => {
+    const { document, ...rest } = createEnvironment('<div class="cookie-banner"></div>');
+    const killer = quietly(() => new AntiEvasionCookieKiller({ document, ...rest }));
+    const score = (text, attributes) => quietly(() => killer.calculateRejectScore(text, button(document, text, attributes)));
+
+    assert.ok(score('Reject all') >= 0.9);
+    assert.ok(score('Decline all') >= 0.9);
+    assert.equal(score('Accept all'), 0);
+    assert.equal(score('I agree'), 0);
+    // Ambiguous labels stay below the 0.7 reject threshold
+    assert.ok(score('Continue') < 0.7);
+    assert.ok(score('Save and apply') < 0.7);
+  });
+
+  test('scores rejection labels that mention cookies', () => {
+    const { document, ...rest } = createEnvironment('<div class="cookie-banner"></div>');
+    const killer = quietly(() => new AntiEvasionCookieKiller({ document, ...rest }));
+    const score = (text) => quietly(() => killer.calculateRejectScore(text.toLowerCase(), button(document, text)));
+
+    assert.ok(score('Decline cookies') >= 0.7);
+    assert.ok(score('Block cookies') >= 0.7);
+    // "ok" still counts as a word of its own
+    assert.equal(score('OK'), 0);
+    assert.equal(score('Cookies OK'), 0);
+  });
+
+  test('uses cookie context and attributes for short labels', () => {
+    const { document, ...rest } = createEnvironment('<div class="cookie-banner"></div>');
+    const killer = quietly(() => new AntiEvasionCookieKiller({ document, ...rest }));
+    const outside = document.createElement('button');
+    outside.textContent = 'Close';
+    document.body.appendChild(outside);
+
+    const inBanner = quietly(() => killer.calculateRejectScore('close', button(document, 'Close')));
+    const elsewhere = quietly(() => killer.calculateRejectScore('close', outside));
+    assert.ok(inBanner > elsewhere);
+
+    const plain = quietly(() => killer.calculateRejectScore('reject', button(document, 'Reject')));
+    const labelled = quietly(() => killer.calculateRejectScore('reject', button(document, 'Reject', { 'aria-label': 'Reject cookies' })));
+    assert.ok(labelled > plain);
+    assert.ok(quietly(() => killer.calculateRejectScore('reject', button(document, 'Reject', { class: 'btn-accept' }))) < plain);
+  });
+
+  test('keeps essential categories and switches off the rest', () => {
+    const killer = quietly(() => new AntiEvasionCookieKiller(createEnvironment()));
+
+    ['Marketing', 'Analytics cookies', 'Social media', 'Werbung', 'Publicité ciblée'].forEach(category => {
+      assert.equal(killer.isNonEssentialCategory(category), true, category);
+    });
+    ['Strictly necessary', 'Functional', 'Security', 'Notwendig', 'Nécessaire'].forEach(category => {
+      assert.equal(killer.isNonEssentialCategory(category), false, category);
+    });
+    // Essential wins when a label names both
+    assert.equal(killer.isNonEssentialCategory('Necessary analytics'), false);
+    assert.equal(killer.isNonEssentialCategory('Preferences'), false);
+  });
+});
+
+describe('CookieBannerAgent', () => {
+  test('builds without a window from the injected environment', () => {
+    const environment = createEnvironment();
+    const agent = quietly(() => new CookieBannerAgent(environment));
+
+    assert.equal(agent.document, environment.document);
+    assert.equal(agent.clock.now(), 1700000000000);
+  });
+
+  test('ranks reject above accept like the main agent', () => {
+    const { document, ...rest } = createEnvironment('<div class="cookie-banner"></div>');
+    const agent = quietly(() => new CookieBannerAgent({ document, ...rest }));
+    const score = (text) => quietly(() => agent.calculateRejectScore(text.toLowerCase(), button(document, text)));
+
+    assert.ok(score('Reject all') > score('Accept all'));
+    assert.ok(score('Deny all') >= 0.7);
+    assert.ok(score('Allow all') < 0.7);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Cookie Marshal AI Agent - Fixture Server
+ * Minimal static file server on 127.0.0.1 for the fixture tests: pages are
+ * loaded over http (cookies and localStorage need a real origin) without
+ * any network access.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png'
+};
+
+/**
+ * Serve a directory on a free local port
+ * @param {string} root - Directory to serve
+ * @returns {Promise<{url: string, close: Function}>} Base URL (no trailing slash) and stop function
+ */
+function startStaticServer(root) {
+  const base = path.resolve(root);
+
+  const server = http.createServer((request, response) => {
+    const pathname = decodeURIComponent(new URL(request.url, 'http://127.0.0.1').pathname);
+    const file = path.join(base, pathname);
+
+    // No escaping the served directory with ../
+    if (file !== base && !file.startsWith(base + path.sep)) {
+      response.writeHead(403).end();
+      return;
+    }
+
+    fs.readFile(file, (error, content) => {
+      if (error) {
+        response.writeHead(404).end();
+        return;
+      }
+      response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+      response.end(content);
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startStaticServer };
@@ -0,0 +1,60 @@
+/**
+ * Cookie Marshal AI Agent - Tracker Cookies
+ * Cookies set by analytics and advertising vendors, used by CookieAuditor
+ * (cookie-auditor.js) to classify what a site still stores after a rejection.
+ * Loaded into the background service worker with importScripts().
+ *
+ * Entry format (plain JSON):
+ *   name      Cookie name, name prefix when match is "prefix", or a regular
+ *             expression source when match is "pattern"
+ *   match     "exact", "prefix" or "pattern"
+ *   vendor    Display name
+ *   category  "analytics" or "advertising"
+ *   domains   Only count cookies set on these domains (and their subdomains).
+ *             Listed domains are also audited when the page is on another site.
+ */
+
+const TRACKER_COOKIES = [
+  { "name": "_ga", "match": "exact", "vendor": "Google Analytics", "category": "analytics" },
+  { "name": "_ga_", "match": "prefix", "vendor": "Google Analytics", "category": "analytics" },
+  { "name": "_gid", "match": "exact", "vendor": "Google Analytics", "category": "analytics" },
+  { "name": "_gat", "match": "prefix", "vendor": "Google Analytics", "category": "analytics" },
+  { "name": "__utm", "match": "prefix", "vendor": "Google Analytics", "category": "analytics" },
+  { "name": "_gcl_", "match": "prefix", "vendor": "Google Ads", "category": "advertising" },
+  { "name": "IDE", "match": "exact", "vendor": "Google Ads", "category": "advertising", "domains": ["doubleclick.net"] },
+  { "name": "DSID", "match": "exact", "vendor": "Google Ads", "category": "advertising", "domains": ["doubleclick.net"] },
+  { "name": "test_cookie", "match": "exact", "vendor": "Google Ads", "category": "advertising", "domains": ["doubleclick.net"] },
+  { "name": "YSC", "match": "exact", "vendor": "YouTube", "category": "advertising", "domains": ["youtube.com"] },
+  { "name": "VISITOR_INFO1_LIVE", "match": "exact", "vendor": "YouTube", "category": "advertising", "domains": ["youtube.com"] },
+  { "name": "_fbp", "match": "exact", "vendor": "Meta Pixel", "category": "advertising" },
+  { "name": "_fbc", "match": "exact", "vendor": "Meta Pixel", "category": "advertising" },
+  { "name": "fr", "match": "exact", "vendor": "Meta Pixel", "category": "advertising", "domains": ["facebook.com"] },
+  { "name": "_uetsid", "match": "exact", "vendor": "Microsoft Advertising", "category": "advertising" },
+  { "name": "_uetvid", "match": "exact", "vendor": "Microsoft Advertising", "category": "advertising" },
+  { "name": "MUID", "match": "exact", "vendor": "Microsoft Advertising", "category": "advertising", "domains": ["bing.com", "clarity.ms"] },
+  { "name": "_clck", "match": "exact", "vendor": "Microsoft Clarity", "category": "analytics" },
+  { "name": "_clsk", "match": "exact", "vendor": "Microsoft Clarity", "category": "analytics" },
+  { "name": "_hj", "match": "prefix", "vendor": "Hotjar", "category": "analytics" },
+  { "name": "li_fat_id", "match": "exact", "vendor": "LinkedIn Insight", "category": "advertising" },
+  { "name": "bcookie", "match": "exact", "vendor": "LinkedIn Insight", "category": "advertising", "domains": ["linkedin.com"] },
+  { "name": "lidc", "match": "exact", "vendor": "LinkedIn Insight", "category": "advertising", "domains": ["linkedin.com"] },
+  { "name": "UserMatchHistory", "match": "exact", "vendor": "LinkedIn Insight", "category": "advertising", "domains": ["linkedin.com"] },
+  { "name": "_pin_unauth", "match": "exact", "vendor": "Pinterest Tag", "category": "advertising" },
+  { "name": "_pinterest_ct_ua", "match": "exact", "vendor": "Pinterest Tag", "category": "advertising" },
+  { "name": "_ttp", "match": "exact", "vendor": "TikTok Pixel", "category": "advertising" },
+  { "name": "_tt_enable_cookie", "match": "exact", "vendor": "TikTok Pixel", "category": "advertising" },
+  { "name": "_scid", "match": "prefix", "vendor": "Snap Pixel", "category": "advertising" },
+  { "name": "personalization_id", "match": "exact", "vendor": "X (Twitter)", "category": "advertising", "domains": ["twitter.com", "x.com"] },
+  { "name": "cto_bundle", "match": "exact", "vendor": "Criteo", "category": "advertising" },
+  { "name": "uuid2", "match": "exact", "vendor": "Xandr", "category": "advertising", "domains": ["adnxs.com"] },
+  { "name": "__qca", "match": "exact", "vendor": "Quantcast", "category": "advertising" },
+  { "name": "mc", "match": "exact", "vendor": "Quantcast", "category": "advertising", "domains": ["quantserve.com"] },
+  { "name": "__hstc", "match": "exact", "vendor": "HubSpot", "category": "analytics" },
+  { "name": "__hssc", "match": "exact", "vendor": "HubSpot", "category": "analytics" },
+  { "name": "hubspotutk", "match": "exact", "vendor": "HubSpot", "category": "analytics" },
+  { "name": "^mp_[0-9a-f]+_mixpanel$", "match": "pattern", "vendor": "Mixpanel", "category": "analytics" },
+  { "name": "AMP_", "match": "prefix", "vendor": "Amplitude", "category": "analytics" },
+  { "name": "ajs_anonymous_id", "match": "exact", "vendor": "Segment", "category": "analytics" },
+  { "name": "ajs_user_id", "match": "exact", "vendor": "Segment", "category": "analytics" },
+  { "name": "_hp2_", "match": "prefix", "vendor": "Heap", "category": "analytics" }
+];